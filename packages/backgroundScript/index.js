@@ -5,6 +5,8 @@ import StorageService from './services/StorageService';
 import WalletService from './services/WalletService';
 import Utils from '@tronlink/lib/utils';
 import transactionBuilder from '@tronlink/lib/transactionBuilder';
+import TypedData from '@tronlink/lib/typedData';
+import LedgerBridge, { DuplexTransport } from '@tronlink/lib/LedgerBridge';
 import TronWeb from 'tronweb';
 
 import * as Sentry from '@sentry/browser';
@@ -32,6 +34,7 @@ const backgroundScript = {
 
     run() {
         BackgroundAPI.init(duplex);
+        LedgerBridge.init(new DuplexTransport(duplex));
 
         this.bindAnalytics();
         this.bindPopupDuplex();
@@ -92,25 +95,38 @@ const backgroundScript = {
         // WalletService: Confirmation responses
         duplex.on('acceptConfirmation', this.walletService.acceptConfirmation);
         duplex.on('rejectConfirmation', this.walletService.rejectConfirmation);
+        duplex.on('estimateConfirmation', this.walletService.estimateConfirmation);
+        duplex.on('rejectSiteConfirmations', this.walletService.rejectSiteConfirmations);
 
         // WalletService: Blockchain actions
         duplex.on('sendTrx', this.walletService.sendTrx);
         duplex.on('sendBasicToken', this.walletService.sendBasicToken);
         duplex.on('sendSmartToken', this.walletService.sendSmartToken);
+        duplex.on('estimateSend', this.walletService.estimateSend);
         duplex.on('getPrices', this.walletService.getPrices);
 
         // WalletService: Account management / migration
         duplex.on('addAccount', this.walletService.addAccount);
+        duplex.on('deriveAccount', this.walletService.deriveAccount);
+        duplex.on('discoverAccounts', this.walletService.discoverAccounts);
+        duplex.on('importMnemonicAccounts', this.walletService.importMnemonicAccounts);
+        duplex.on('discoverLedgerAccounts', this.walletService.discoverLedgerAccounts);
+        duplex.on('importLedgerAccounts', this.walletService.importLedgerAccounts);
         duplex.on('selectAccount', this.walletService.selectAccount);
         duplex.on('getAccountDetails', this.walletService.getAccountDetails);
         duplex.on('getAccounts', this.walletService.getAccounts);
         duplex.on('importAccount', this.walletService.importAccount);
+        duplex.on('importWatchOnlyAccount', this.walletService.importWatchOnlyAccount);
         duplex.on('getSelectedAccount', this.walletService.getSelectedAccount);
         duplex.on('addSmartToken', this.walletService.addSmartToken);
         duplex.on('getConfirmations', this.walletService.getConfirmations);
         duplex.on('selectCurrency', this.walletService.selectCurrency);
         duplex.on('deleteAccount', this.walletService.deleteAccount);
         duplex.on('exportAccount', this.walletService.exportAccount);
+        duplex.on('exportKeystore', this.walletService.exportKeystore);
+        duplex.on('exportBackup', this.walletService.exportBackup);
+        duplex.on('previewBackup', this.walletService.previewBackup);
+        duplex.on('restoreBackup', this.walletService.restoreBackup);
 
         // WalletService: State management
         duplex.on('changeState', this.walletService.changeState);
@@ -120,6 +136,7 @@ const backgroundScript = {
         duplex.on('setPassword', this.walletService.setPassword);
         duplex.on('unlockWallet', this.walletService.unlockWallet);
         duplex.on('lockWallet', this.walletService.lockWallet);
+        duplex.on('changePassword', this.walletService.changePassword);
 
         // NodeService: Node management
         duplex.on('selectNode', this.walletService.selectNode);
@@ -170,6 +187,11 @@ const backgroundScript = {
         duplex.on('setTransactionDetail', this.walletService.setTransactionDetail);
         duplex.on('setAuthorizeDapps', this.walletService.setAuthorizeDapps);
         duplex.on('getAuthorizeDapps', this.walletService.getAuthorizeDapps);
+        duplex.on('getConnectedSites', this.walletService.getConnectedSites);
+        duplex.on('disconnectSite', this.walletService.disconnectSite);
+        duplex.on('selectSiteAccount', this.walletService.selectSiteAccount);
+        duplex.on('getAllowances', this.walletService.getAllowances);
+        duplex.on('revokeAllowances', this.walletService.revokeAllowances);
 
         duplex.on('setLedgerImportAddress', this.walletService.setLedgerImportAddress);
         duplex.on('getLedgerImportAddress', this.walletService.getLedgerImportAddress);
@@ -211,17 +233,17 @@ const backgroundScript = {
 
                     if(StorageService.ready) {
                         const node = NodeService.getCurrentNode();
-                        const { address, name, type } = this.walletService.accounts[this.walletService.selectedAccount];
                         const { phishingList } = this.walletService;
-                        response.address = address;
                         response.node = {
                             fullNode: node.fullNode,
                             solidityNode: node.solidityNode,
-                            eventServer: node.eventServer
+                            eventServer: node.eventServer,
+                            chainId: await this.getChainId()
                         };
-                        response.name = name;
-                        response.type = type;
                         response.phishingList = phishingList;
+
+                        // Sites only learn the accounts the user has bound to them
+                        Object.assign(response, this.walletService.getSiteAccount(hostname));
                     }
 
                     resolve({
@@ -231,7 +253,7 @@ const backgroundScript = {
                     });
 
                     break;
-                } case 'sign': {
+                } case 'requestAccounts': {
                     if(!this.walletService.selectedAccount) {
                         return resolve({
                             success: false,
@@ -240,24 +262,57 @@ const backgroundScript = {
                         });
                     }
 
+                    const siteAccount = this.walletService.getSiteAccount(hostname);
+
+                    if(siteAccount.address) {
+                        return resolve({
+                            success: true,
+                            data: siteAccount,
+                            uuid
+                        });
+                    }
+
+                    this.walletService.queueConfirmation({
+                        type: CONFIRMATION_TYPE.CONNECT,
+                        hostname,
+                        input: {}
+                    }, uuid, resolve);
+
+                    break;
+                } case 'sign': {
                     try {
                         const {
                             transaction,
                             input
                         } = data;
 
-                        const {
-                            selectedAccount
-                        } = this.walletService;
+                        // Transactions are signed by their owner, messages by the account the site currently uses
+                        const address = typeof input !== 'string' && input.owner_address ?
+                            TronWeb.address.fromHex(input.owner_address) :
+                            this.walletService.getSiteAccount(hostname).address;
+
+                        const signerError = this.getSignerError(hostname, address);
+
+                        if(signerError) {
+                            return resolve({
+                                success: false,
+                                data: signerError,
+                                uuid
+                            });
+                        }
 
                         const tronWeb = NodeService.tronWeb;
-                        const account = this.walletService.getAccount(selectedAccount);
+                        const account = this.walletService.getAccount(address);
+
+                        // Nothing is signed until it is approved, by the user or a whitelist. Hardware signing needs the popup open, so it always waits
+                        const canAutoSign = !account.signer.isHardware;
+
                         const appWhitelist = this.walletService.appWhitelist.hasOwnProperty(hostname)?this.walletService.appWhitelist[ hostname ]:{};
 
                         if(typeof input === 'string') {
                             const { duration = 0 } = appWhitelist;
-                            const signedTransaction = await account.sign(input);
-                            if(appWhitelist && (duration === -1 || duration >= Date.now())){
+                            if(canAutoSign && (duration === -1 || duration >= Date.now())){
+                                const signedTransaction = await account.sign(input);
                                 logger.info('Automatically signing transaction', signedTransaction);
                                 return resolve({
                                     success: true,
@@ -268,7 +323,7 @@ const backgroundScript = {
                             return this.walletService.queueConfirmation({
                                 type: CONFIRMATION_TYPE.STRING,
                                 hostname,
-                                signedTransaction,
+                                address,
                                 input
                             }, uuid, resolve);
                         }
@@ -288,10 +343,8 @@ const backgroundScript = {
                             });
                         }
 
-                        const signedTransaction = await account.sign(
-                            mapped.transaction || mapped,
-                            NodeService._selectedChain === '_' ? NodeService.sunWeb.mainchain : NodeService.sunWeb.sidechain
-                        );
+                        const unsignedTransaction = mapped.transaction || mapped;
+                        const sideChain = NodeService._selectedChain !== '_';
 
                         const whitelist = this.walletService.contractWhitelist[ input.contract_address ];
 
@@ -322,23 +375,18 @@ const backgroundScript = {
                         //     }
                         // }
 
-                        if(contractType === 'TriggerSmartContract' && whitelist) {
-                            const expiration = whitelist[ hostname ];
-
-                            if(expiration === -1 || expiration >= Date.now()) {
-                                logger.info('Automatically signing transaction', signedTransaction);
+                        const expiration = whitelist && whitelist[ hostname ];
+                        const isWhitelisted = !!whitelist && (expiration === -1 || expiration >= Date.now());
+                        const authorizeDapps = this.walletService.getAuthorizeDapps();
 
-                                return resolve({
-                                    success: true,
-                                    data: signedTransaction,
-                                    uuid
-                                });
-                            }
-                        }
+                        if(canAutoSign && contractType === 'TriggerSmartContract' && (isWhitelisted || authorizeDapps.hasOwnProperty(contractAddress))) {
+                            const signedTransaction = await account.sign(
+                                unsignedTransaction,
+                                sideChain ? NodeService.sunWeb.sidechain : NodeService.sunWeb.mainchain
+                            );
 
-                        const authorizeDapps = this.walletService.getAuthorizeDapps();
-                        if( contractType === 'TriggerSmartContract' && authorizeDapps.hasOwnProperty(contractAddress)){
                             logger.info('Automatically signing transaction', signedTransaction);
+                            this.walletService.logAllowance(address, hostname, signedTransaction);
 
                             return resolve({
                                 success: true,
@@ -347,10 +395,13 @@ const backgroundScript = {
                             });
                         }
 
+                        // Only the unsigned transaction waits in the queue, the user may still change its fee limit or permission
                         this.walletService.queueConfirmation({
                             type: CONFIRMATION_TYPE.TRANSACTION,
                             hostname,
-                            signedTransaction,
+                            address,
+                            transaction: unsignedTransaction,
+                            sideChain,
                             contractType,
                             input
                         }, uuid, resolve);
@@ -363,6 +414,130 @@ const backgroundScript = {
                             uuid
                         });
                     }
+                    break;
+                } case 'signTypedData': {
+                    // Dapps name the signing account, otherwise it is the one the site currently uses
+                    const { typedData } = data;
+                    const address = data.address ?
+                        TronWeb.address.fromHex(data.address) :
+                        this.walletService.getSiteAccount(hostname).address;
+
+                    const signerError = this.getSignerError(hostname, address);
+
+                    if(signerError) {
+                        return resolve({
+                            success: false,
+                            data: signerError,
+                            uuid
+                        });
+                    }
+
+                    try {
+                        TypedData.hash(typedData);
+                    } catch(ex) {
+                        return resolve({
+                            success: false,
+                            data: `Invalid typed data: ${ ex.message }`,
+                            uuid
+                        });
+                    }
+
+                    // A signature for another chain's domain, or for none, could be replayed there
+                    if(!typedData.domain.hasOwnProperty('chainId')) {
+                        return resolve({
+                            success: false,
+                            data: 'Typed data must name the chain id in its domain',
+                            uuid
+                        });
+                    }
+
+                    try {
+                        const chainId = await NodeService.getChainId();
+
+                        if(!TypedData.isForChain(typedData, chainId)) {
+                            return resolve({
+                                success: false,
+                                data: `Typed data is for chain ${ typedData.domain.chainId }, the wallet is on chain ${ chainId }`,
+                                uuid
+                            });
+                        }
+                    } catch(ex) {
+                        logger.error('Failed to read the chain id:', ex);
+
+                        return resolve({
+                            success: false,
+                            data: 'Could not check the typed data chain id against the node',
+                            uuid
+                        });
+                    }
+
+                    // Typed data is never signed automatically, whitelisting only covers messages and contracts
+                    this.walletService.queueConfirmation({
+                        type: CONFIRMATION_TYPE.TYPED_DATA,
+                        hostname,
+                        address,
+                        input: typedData
+                    }, uuid, resolve);
+
+                    break;
+                } case 'signMessageV2': {
+                    const { message } = data;
+                    const address = data.address ?
+                        TronWeb.address.fromHex(data.address) :
+                        this.walletService.getSiteAccount(hostname).address;
+
+                    const signerError = this.getSignerError(hostname, address);
+
+                    if(signerError) {
+                        return resolve({
+                            success: false,
+                            data: signerError,
+                            uuid
+                        });
+                    }
+
+                    if(typeof message !== 'string' || !/^0x([0-9a-f]{2})*$/i.test(message)) {
+                        return resolve({
+                            success: false,
+                            data: 'Invalid message provided',
+                            uuid
+                        });
+                    }
+
+                    const account = this.walletService.getAccount(address);
+                    const appWhitelist = this.walletService.appWhitelist[ hostname ] || {};
+                    const { duration = 0 } = appWhitelist;
+
+                    // Whitelisting covers these the same as legacy messages, hardware accounts always wait for the popup
+                    if(!account.signer.isHardware && (duration === -1 || duration >= Date.now())) {
+                        try {
+                            const signature = await account.signMessageV2(message);
+
+                            logger.info('Automatically signing message', signature);
+
+                            return resolve({
+                                success: true,
+                                data: signature,
+                                uuid
+                            });
+                        } catch(ex) {
+                            logger.error('Failed to sign message:', ex);
+
+                            return resolve({
+                                success: false,
+                                data: 'Failed to sign message',
+                                uuid
+                            });
+                        }
+                    }
+
+                    this.walletService.queueConfirmation({
+                        type: CONFIRMATION_TYPE.MESSAGE_V2,
+                        hostname,
+                        address,
+                        input: message
+                    }, uuid, resolve);
+
                     break;
                 } case 'setVisited': {
                     const { href = ''} = data;
@@ -398,17 +573,58 @@ const backgroundScript = {
         });
     },
 
+    // Why the site can't ask the given account to sign, false when it can
+    getSignerError(hostname, address) {
+        if(!this.walletService.selectedAccount)
+            return 'User has not unlocked wallet';
+
+        const siteAccounts = this.walletService.getSiteAccounts(hostname);
+
+        if(!siteAccounts.length)
+            return 'Site is not connected to TronLink';
+
+        if(!siteAccounts.includes(address))
+            return 'Account is not connected to this site';
+
+        if(!this.walletService.getAccount(address).signer)
+            return 'Watch-only accounts cannot sign';
+
+        return false;
+    },
+
+    // Pages are still told the node when it can't be reached, just without a chain id
+    async getChainId() {
+        try {
+            return await NodeService.getChainId();
+        } catch(ex) {
+            logger.error('Failed to read the chain id:', ex);
+            return false;
+        }
+    },
+
     bindWalletEvents() {
         this.walletService.on('newState', appState => (
             BackgroundAPI.setState(appState)
         ));
 
-        this.walletService.on('setAccount', address => BackgroundAPI.setAccount(
-            this.walletService.getAccountDetails(address)
+        // Tabs don't follow the popup's selection, each is re-sent the account bound to its site
+        this.walletService.on('setAccount', address => {
+            BackgroundAPI.setAccount(this.walletService.getAccountDetails(address));
+            BackgroundAPI.setSiteAccounts(hostname => this.walletService.getSiteAccount(hostname));
+        });
+
+        this.walletService.on('setConnectedSites', connectedSites => {
+            BackgroundAPI.setConnectedSites(connectedSites);
+            BackgroundAPI.setSiteAccounts(hostname => this.walletService.getSiteAccount(hostname));
+        });
+
+        // The injected provider tells dapps which chain they are on, and that it changed
+        this.walletService.on('setNode', async node => (
+            BackgroundAPI.setNode({ ...node, chainId: await this.getChainId() })
         ));
 
-        this.walletService.on('setNode', node => (
-            BackgroundAPI.setNode(node)
+        this.walletService.on('lock', () => (
+            BackgroundAPI.lock()
         ));
 
 
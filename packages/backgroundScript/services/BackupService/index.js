@@ -0,0 +1,176 @@
+import StorageService from '../StorageService';
+import Logger from '@tronlink/lib/logger';
+import Utils from '@tronlink/lib/utils';
+
+import {
+    ACCOUNT_TYPE,
+    BACKUP
+} from '@tronlink/lib/constants';
+
+const logger = new Logger('BackupService');
+
+const diffKeys = (current = {}, incoming = {}) => ({
+    added: Object.keys(incoming).filter(key => !(key in current)),
+    removed: Object.keys(current).filter(key => !(key in incoming)),
+    existing: Object.keys(incoming).filter(key => key in current)
+});
+
+const countTokens = (current = {}, incoming = {}) => [ 'basic', 'smart' ].reduce((count, type) => (
+    count + diffKeys(current[ type ], incoming[ type ]).added.length
+), 0);
+
+const BackupService = {
+    // Only the fields needed to rebuild an account, cached balances are fetched again after restoring
+    _exportAccount({ type, name, address, accountIndex = 0, seedId, privateKey, tokens }) {
+        const { mnemonic, passphrase } = StorageService.getSeed(seedId);
+
+        return {
+            type,
+            name,
+            address,
+            accountIndex,
+            mnemonic,
+            passphrase,
+            privateKey,
+            tokens
+        };
+    },
+
+    _exportSettings() {
+        return {
+            autoLock: StorageService.setting.lock.duration,
+            language: StorageService.language,
+            currency: StorageService.prices.selected
+        };
+    },
+
+    _isValidPayload(payload) {
+        if(!payload || typeof payload !== 'object')
+            return false;
+
+        const {
+            accounts,
+            nodes,
+            chains,
+            settings
+        } = payload;
+
+        if(!accounts || typeof accounts !== 'object')
+            return false;
+
+        if(!nodes || typeof nodes.nodeList !== 'object' || !chains || typeof chains.chainList !== 'object')
+            return false;
+
+        if(!settings || typeof settings !== 'object')
+            return false;
+
+        return Object.values(accounts).every(({ type, mnemonic, privateKey, address }) => (
+            Object.values(ACCOUNT_TYPE).includes(type) &&
+            !!(mnemonic || privateKey || address)
+        ));
+    },
+
+    create(passphrase) {
+        if(!StorageService.ready)
+            return { error: 'ERRORS.NOT_UNLOCKED' };
+
+        const accounts = {};
+
+        Object.entries(StorageService.accounts).forEach(([ address, account ]) => (
+            accounts[ address ] = this._exportAccount(account)
+        ));
+
+        const payload = {
+            accounts,
+            selectedAccount: StorageService.selectedAccount,
+            nodes: StorageService.nodes,
+            chains: StorageService.chains,
+            authorizeDapps: StorageService.authorizeDapps,
+            settings: this._exportSettings()
+        };
+
+        logger.info(`Creating backup of ${ Object.keys(accounts).length } accounts`);
+
+        return {
+            backup: JSON.stringify({
+                format: BACKUP.FORMAT,
+                version: BACKUP.VERSION,
+                createdAt: Date.now(),
+                vault: Utils.encryptVault(payload, passphrase, Utils.createKdf())
+            })
+        };
+    },
+
+    open(contents, passphrase) {
+        let file;
+
+        try {
+            file = JSON.parse(contents);
+        } catch(ex) {
+            logger.warn('Backup file is not valid JSON:', ex);
+            return { error: 'ERRORS.INVALID_BACKUP' };
+        }
+
+        if(!file || file.format !== BACKUP.FORMAT || !file.vault || typeof file.vault !== 'object')
+            return { error: 'ERRORS.INVALID_BACKUP' };
+
+        if(file.version > BACKUP.VERSION) {
+            logger.warn(`Backup version ${ file.version } is newer than supported version ${ BACKUP.VERSION }`);
+            return { error: 'ERRORS.UNSUPPORTED_BACKUP_VERSION' };
+        }
+
+        let payload;
+
+        try {
+            payload = Utils.decryptVault(file.vault, passphrase);
+        } catch(ex) {
+            logger.warn('Failed to decrypt backup (wrong passphrase?):', ex);
+            return { error: 'ERRORS.INVALID_BACKUP_PASSPHRASE' };
+        }
+
+        if(!this._isValidPayload(payload))
+            return { error: 'ERRORS.INVALID_BACKUP' };
+
+        return {
+            createdAt: file.createdAt,
+            payload
+        };
+    },
+
+    // Summarises what restoring the payload would change, for the popup to show before the user picks merge or replace
+    diff(payload) {
+        const accounts = diffKeys(StorageService.accounts, payload.accounts);
+        const describe = (source, addresses) => addresses.map(address => ({
+            address,
+            name: source[ address ].name
+        }));
+
+        const tokens = accounts.existing.reduce((count, address) => (
+            count + countTokens(StorageService.accounts[ address ].tokens, payload.accounts[ address ].tokens)
+        ), 0);
+
+        const count = ({ added, removed }) => ({
+            added: added.length,
+            removed: removed.length
+        });
+
+        const settings = this._exportSettings();
+
+        return {
+            accounts: {
+                added: describe(payload.accounts, accounts.added),
+                removed: describe(StorageService.accounts, accounts.removed),
+                existing: describe(payload.accounts, accounts.existing)
+            },
+            tokens,
+            nodes: count(diffKeys(StorageService.nodes.nodeList, payload.nodes.nodeList)),
+            chains: count(diffKeys(StorageService.chains.chainList, payload.chains.chainList)),
+            authorizeDapps: count(diffKeys(StorageService.authorizeDapps, payload.authorizeDapps)),
+            settings: Object.keys(settings).filter(key => (
+                key in payload.settings && settings[ key ] !== payload.settings[ key ]
+            ))
+        };
+    }
+};
+
+export default BackupService;
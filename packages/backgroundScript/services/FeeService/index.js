@@ -0,0 +1,290 @@
+import Logger from '@tronlink/lib/logger';
+import TronWeb from 'tronweb';
+import NodeService from '../NodeService';
+import TransactionMapper from '../WalletService/TransactionMapper';
+
+import {
+    FEE,
+    FEE_ESTIMATE,
+    FEE_LIMIT_CONTRACTS
+} from '@tronlink/lib/constants';
+
+const logger = new Logger('FeeService');
+
+// Chain parameters resources are priced with, as the node names them
+const PARAMETERS = {
+    bandwidthPrice: 'getTransactionFee', // sun per byte
+    energyPrice: 'getEnergyFee', // sun per energy
+    createAccountFee: 'getCreateAccountFee', // burned instead of bandwidth when activating an account
+    activationFee: 'getCreateNewAccountFeeInSystemContract', // burned on top by transfers activating their recipient
+    memoFee: 'getMemoFee', // burned by transactions carrying a memo
+    maxFeeLimit: 'getMaxFeeLimit'
+};
+
+// Fields of a triggerconstantcontract request
+const CALL = {
+    OWNER: 'owner_address',
+    CONTRACT: 'contract_address',
+    SELECTOR: 'function_selector',
+    CALL_VALUE: 'call_value',
+    TOKEN_ID: 'token_id',
+    TOKEN_VALUE: 'call_token_value'
+};
+
+// Transfers to an address that doesn't exist yet activate it
+const ACTIVATING_CONTRACTS = [ 'TransferContract', 'TransferAssetContract' ];
+
+// Bytes protobuf needs to write a length
+const getVarintSize = value => Math.max(1, Math.ceil(Math.log2(value + 1) / 7));
+
+const encodeParameters = parameters => TronWeb.utils.abi.encodeParams(
+    parameters.map(({ type }) => type),
+    parameters.map(({ value }) => value)
+).replace(/^0x/, '');
+
+/**
+ * Estimates what a transaction burns before it's signed. Bandwidth is worked out from the size of
+ * the serialized transaction, energy by simulating contract calls through triggerconstantcontract.
+ * Whatever the account's free and staked resources don't cover is priced with the chain's current
+ * parameters. Amounts are in sun.
+ */
+const FeeService = {
+    _parameters: {},
+
+    async getChainParameters(tronWeb = NodeService.tronWeb) {
+        const { host } = tronWeb.fullNode;
+        const cached = this._parameters[ host ];
+
+        if(cached && Date.now() - cached.timestamp < FEE_ESTIMATE.PARAMETERS_TTL)
+            return cached.parameters;
+
+        // Parameters that are zero are left out of the list
+        const values = (await tronWeb.trx.getChainParameters()).reduce((values, { key, value = 0 }) => {
+            values[ key ] = value;
+            return values;
+        }, {});
+
+        const parameters = Object.entries(PARAMETERS).reduce((parameters, [ name, key ]) => {
+            parameters[ name ] = values[ key ] || 0;
+            return parameters;
+        }, {});
+
+        parameters.maxFeeLimit = parameters.maxFeeLimit || FEE_ESTIMATE.MAX_FEE_LIMIT;
+
+        this._parameters[ host ] = {
+            parameters,
+            timestamp: Date.now()
+        };
+
+        return parameters;
+    },
+
+    // What's left of the account's resources for today
+    async getResources(address, tronWeb = NodeService.tronWeb) {
+        const {
+            freeNetLimit = 0,
+            freeNetUsed = 0,
+            NetLimit: stakedNetLimit = 0,
+            NetUsed: stakedNetUsed = 0,
+            EnergyLimit: energyLimit = 0,
+            EnergyUsed: energyUsed = 0
+        } = await tronWeb.trx.getAccountResources(address);
+
+        return {
+            freeBandwidth: Math.max(0, freeNetLimit - freeNetUsed),
+            bandwidth: Math.max(0, stakedNetLimit - stakedNetUsed),
+            energy: Math.max(0, energyLimit - energyUsed)
+        };
+    },
+
+    // Bytes of bandwidth a transaction uses once it carries `signatures` signatures
+    getSize(transaction, signatures = 1) {
+        const { raw_data_hex: rawDataHex } = transaction;
+
+        if(!rawDataHex)
+            return FEE_ESTIMATE.DEFAULT_SIZE;
+
+        const rawSize = rawDataHex.length / 2;
+
+        const signatureSize = signatures * FEE_ESTIMATE.SIGNATURE_SIZE;
+
+        // raw_data is written after its field header and length
+        return 1 + getVarintSize(rawSize) + rawSize + signatureSize + FEE_ESTIMATE.RESULT_SIZE;
+    },
+
+    /**
+     * Runs a contract call against the node's current state without broadcasting it. `call` names
+     * the function either by `functionSelector` and `parameters` ([{ type, value }]) or by the ABI
+     * encoded `data` of a built transaction. Energy is false when the node doesn't report it,
+     * error holds the revert reason of calls the node expects to fail.
+     */
+    async simulate(address, call, tronWeb = NodeService.tronWeb) {
+        const {
+            contractAddress,
+            functionSelector = false,
+            parameters = [],
+            data = '',
+            callValue = 0,
+            tokenId = false,
+            tokenValue = 0
+        } = call;
+
+        const request = {
+            [ CALL.OWNER ]: TronWeb.address.toHex(address),
+            [ CALL.CONTRACT ]: TronWeb.address.toHex(contractAddress),
+            [ CALL.CALL_VALUE ]: callValue
+        };
+
+        if(functionSelector) {
+            request[ CALL.SELECTOR ] = functionSelector;
+            request.parameter = encodeParameters(parameters);
+        } else request.data = data;
+
+        if(tokenId) {
+            request[ CALL.TOKEN_ID ] = tokenId;
+            request[ CALL.TOKEN_VALUE ] = tokenValue;
+        }
+
+        const {
+            result = {},
+            energy_used: energy = false,
+            constant_result: contractResult = [],
+            transaction: { ret: [ { ret = false } = {} ] = [] } = {}
+        } = await tronWeb.fullNode.request('wallet/triggerconstantcontract', request, 'post');
+
+        const isFailed = !result.result || ret === 'FAILED';
+
+        return {
+            energy,
+            error: isFailed && (TransactionMapper.getFailureReason({
+                result: 'FAILED',
+                resMessage: result.message,
+                contractResult
+            }) || 'REVERT')
+        };
+    },
+
+    // Enough for the simulated energy to be paid for in TRX alone, with a margin, in whole TRX
+    getFeeLimit(energy, { energyPrice, maxFeeLimit }) {
+        if(energy === false)
+            return Math.min(FEE.FEE_LIMIT, maxFeeLimit);
+
+        const feeLimit = Math.ceil(energy * energyPrice * (1 + FEE_ESTIMATE.FEE_LIMIT_MARGIN) / 1000000) * 1000000;
+
+        return Math.min(Math.max(feeLimit, 1000000), maxFeeLimit);
+    },
+
+    // A fee_limit for a call that hasn't been built yet, falls back to the wallet's default
+    async suggestFeeLimit(address, call, tronWeb = NodeService.tronWeb) {
+        try {
+            const [ parameters, { energy } ] = await Promise.all([
+                this.getChainParameters(tronWeb),
+                this.simulate(address, call, tronWeb)
+            ]);
+
+            return this.getFeeLimit(energy, parameters);
+        } catch(ex) {
+            logger.warn('Failed to estimate fee limit, using the default:', ex);
+            return FEE.FEE_LIMIT;
+        }
+    },
+
+    async isActivated(address, tronWeb = NodeService.tronWeb) {
+        const account = await tronWeb.trx.getAccount(address);
+        return !!account.address;
+    },
+
+    /**
+     * What an unsigned transaction from address would burn:
+     *
+     *     {
+     *         bandwidth: { required, burn },
+     *         energy: { required, cost, burn, error }, // required is false when it couldn't be simulated
+     *                                                  // cost is what fee_limit has to cover
+     *         activation, // burned for activating the recipient
+     *         memo, // burned for the memo in raw_data.data
+     *         total,
+     *         feeLimit // suggested, false for transactions without one
+     *     }
+     */
+    async estimate(address, transaction, tronWeb = NodeService.tronWeb) {
+        const [ { type, parameter: { value } } ] = transaction.raw_data.contract;
+
+        const [ parameters, resources ] = await Promise.all([
+            this.getChainParameters(tronWeb),
+            this.getResources(address, tronWeb)
+        ]);
+
+        const activates = ACTIVATING_CONTRACTS.includes(type) && !(await this.isActivated(value.to_address, tronWeb));
+        const bandwidth = this._estimateBandwidth(this.getSize(transaction), resources, parameters, activates);
+        const energy = await this._estimateEnergy(address, type, value, resources, parameters, tronWeb);
+        const activation = activates ? parameters.activationFee : 0;
+        const memo = transaction.raw_data.data ? parameters.memoFee : 0;
+
+        return {
+            bandwidth,
+            energy,
+            activation,
+            memo,
+            total: bandwidth.burn + energy.burn + activation + memo,
+            feeLimit: FEE_LIMIT_CONTRACTS.includes(type) && this.getFeeLimit(energy.required, parameters)
+        };
+    },
+
+    // Staked bandwidth goes first, then the free daily allowance. When neither covers the whole
+    // transaction every byte is paid for in TRX. Activating an account can't use the free allowance
+    // and burns a flat fee instead.
+    _estimateBandwidth(required, { bandwidth, freeBandwidth }, { bandwidthPrice, createAccountFee }, activates) {
+        if(activates) {
+            return {
+                required,
+                burn: bandwidth >= required ? 0 : createAccountFee
+            };
+        }
+
+        return {
+            required,
+            burn: bandwidth >= required || freeBandwidth >= required ? 0 : required * bandwidthPrice
+        };
+    },
+
+    // Staked energy goes first, only what it doesn't cover is burned
+    async _estimateEnergy(address, type, value, resources, { energyPrice }, tronWeb) {
+        if(type === 'CreateSmartContract')
+            return { required: false, cost: 0, burn: 0, error: false };
+
+        if(type !== 'TriggerSmartContract')
+            return { required: 0, cost: 0, burn: 0, error: false };
+
+        const {
+            contract_address: contractAddress,
+            data,
+            call_value: callValue,
+            token_id: tokenId,
+            call_token_value: tokenValue
+        } = value;
+
+        const { energy, error } = await this.simulate(address, {
+            contractAddress,
+            data,
+            callValue,
+            tokenId,
+            tokenValue
+        }, tronWeb).catch(ex => {
+            logger.warn('Failed to simulate contract call:', ex);
+            return { energy: false, error: false };
+        });
+
+        if(energy === false)
+            return { required: false, cost: 0, burn: 0, error };
+
+        return {
+            required: energy,
+            cost: energy * energyPrice,
+            burn: Math.max(0, energy - resources.energy) * energyPrice,
+            error
+        };
+    }
+};
+
+export default FeeService;
@@ -0,0 +1,147 @@
+import Logger from '@tronlink/lib/logger';
+
+const logger = new Logger('HistoryStore');
+
+const DB_NAME = 'TronLinkHistory';
+const DB_VERSION = 1;
+
+const STORES = {
+    TRANSACTIONS: 'transactions',
+    CURSORS: 'cursors'
+};
+
+const getKey = (...parts) => parts.join(':');
+
+const promisify = request => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB-backed storage for indexed history, partitioned by chain (the genesis block id)
+ * and account. Transactions are the records TransactionMapper produces, cursors are whatever
+ * HistoryService needs to carry on syncing where it stopped.
+ */
+const HistoryStore = {
+    _db: false,
+
+    open() {
+        if(this._db)
+            return this._db;
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const transactions = db.createObjectStore(STORES.TRANSACTIONS, { keyPath: 'key' });
+
+            transactions.createIndex('account', [ 'chainId', 'account', 'timestamp' ]);
+            transactions.createIndex('address', 'account');
+
+            db.createObjectStore(STORES.CURSORS, { keyPath: 'key' });
+        };
+
+        this._db = promisify(request).catch(error => {
+            logger.error('Failed to open history database:', error);
+
+            this._db = false;
+            throw error;
+        });
+
+        return this._db;
+    },
+
+    async _store(name, mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    },
+
+    async getCursor(chainId, address) {
+        const store = await this._store(STORES.CURSORS);
+        const cursor = await promisify(store.get(getKey(chainId, address)));
+
+        return cursor ? cursor.cursor : false;
+    },
+
+    async saveCursor(chainId, address, cursor) {
+        const store = await this._store(STORES.CURSORS, 'readwrite');
+
+        await promisify(store.put({
+            key: getKey(chainId, address),
+            account: address,
+            cursor
+        }));
+    },
+
+    // Records already stored are handed to merge(existing, record) along with the new one
+    async saveTransactions(chainId, address, transactions, merge = (existing, record) => record) {
+        const store = await this._store(STORES.TRANSACTIONS, 'readwrite');
+
+        for(const transaction of transactions) {
+            const key = getKey(chainId, address, transaction.txID);
+            const existing = await promisify(store.get(key));
+
+            store.put({
+                ...merge(existing, transaction),
+                key,
+                chainId,
+                account: address
+            });
+        }
+
+        await new Promise((resolve, reject) => {
+            store.transaction.oncomplete = resolve;
+            store.transaction.onerror = () => reject(store.transaction.error);
+        });
+    },
+
+    async getTransaction(chainId, address, txID) {
+        const store = await this._store(STORES.TRANSACTIONS);
+        return (await promisify(store.get(getKey(chainId, address, txID)))) || false;
+    },
+
+    // Newest first, skipping `offset` records that pass filter
+    async query(chainId, address, { filter = () => true, offset = 0, limit = 30 } = {}) {
+        const store = await this._store(STORES.TRANSACTIONS);
+        const range = IDBKeyRange.bound([ chainId, address, -Infinity ], [ chainId, address, Infinity ]);
+        const request = store.index('account').openCursor(range, 'prev');
+        const records = [];
+
+        let skipped = 0;
+
+        await new Promise((resolve, reject) => {
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+
+                if(!cursor || records.length === limit)
+                    return resolve();
+
+                if(filter(cursor.value)) {
+                    if(skipped < offset)
+                        skipped++;
+                    else records.push(cursor.value);
+                }
+
+                cursor.continue();
+            };
+        });
+
+        return records;
+    },
+
+    // Drops an account's history and cursors on every chain
+    async clear(address) {
+        for(const name of Object.values(STORES)) {
+            const store = await this._store(name, 'readwrite');
+            const source = name === STORES.TRANSACTIONS ? store.index('address') : store;
+            const keys = name === STORES.TRANSACTIONS ?
+                await promisify(source.getAllKeys(address)) :
+                (await promisify(store.getAll())).filter(({ account }) => account === address).map(({ key }) => key);
+
+            keys.forEach(key => store.delete(key));
+        }
+    }
+};
+
+export default HistoryStore;
@@ -0,0 +1,102 @@
+import NodeService from '../NodeService';
+
+// Statuses a node answers with when it doesn't serve an API at all
+const UNSUPPORTED = [ 400, 404, 405, 501 ];
+
+// Query parameters of the /v1 APIs
+const QUERY = {
+    CONFIRMED: 'only_confirmed',
+    ORDER: 'order_by',
+    SINCE: 'min_timestamp'
+};
+
+const isUnsupported = error => !!error.response && UNSUPPORTED.includes(error.response.status);
+
+/**
+ * The selected node's own HTTP APIs, as HistoryService reads them. Account history comes from
+ * the /v1 account APIs TronGrid-compatible nodes serve, any java-tron full node can be scanned
+ * block by block. Anything implementing the same methods can stand in for it, e.g. a mocked node:
+ *
+ *     HistoryService.init({ node: { getChainId: async () => 'test', ... } });
+ *
+ * The /v1 methods resolve false when the node doesn't serve them.
+ */
+const NodeSource = {
+    _chainIds: {},
+
+    get tronWeb() {
+        return NodeService.tronWeb;
+    },
+
+    // The genesis block id, which tells networks sharing a chain id (mainnet and Shasta) apart
+    async getChainId() {
+        const { fullNode } = NodeService.getCurrentNode();
+
+        if(!this._chainIds[ fullNode ]) {
+            const { blockID } = await this.tronWeb.trx.getBlockByNumber(0);
+            this._chainIds[ fullNode ] = blockID;
+        }
+
+        return this._chainIds[ fullNode ];
+    },
+
+    // Confirmed transactions involving address, oldest first
+    async getAccountTransactions(address, { minTimestamp = 0, fingerprint = false, limit = 50 } = {}) {
+        return this._getPage(`v1/accounts/${ address }/transactions`, { minTimestamp, fingerprint, limit });
+    },
+
+    // Confirmed TRC20 transfers to or from address, oldest first
+    async getTokenTransfers(address, { minTimestamp = 0, fingerprint = false, limit = 50 } = {}) {
+        return this._getPage(`v1/accounts/${ address }/transactions/trc20`, { minTimestamp, fingerprint, limit });
+    },
+
+    async _getPage(url, { minTimestamp, fingerprint, limit }) {
+        const params = {
+            [ QUERY.CONFIRMED ]: true,
+            [ QUERY.ORDER ]: 'block_timestamp,asc',
+            [ QUERY.SINCE ]: minTimestamp,
+            limit
+        };
+
+        if(fingerprint)
+            params.fingerprint = fingerprint;
+
+        try {
+            const { data = [], meta = {} } = await this.tronWeb.fullNode.request(url, params, 'get');
+
+            return {
+                data,
+                fingerprint: meta.fingerprint || false
+            };
+        } catch(error) {
+            if(isUnsupported(error))
+                return false;
+
+            throw error;
+        }
+    },
+
+    async getCurrentBlock() {
+        const { block_header: { raw_data: { number } } } = await this.tronWeb.trx.getCurrentBlock();
+
+        return number;
+    },
+
+    // Blocks start to end inclusive, at most 100
+    async getBlocks(start, end) {
+        return this.tronWeb.trx.getBlockRange(start, end);
+    },
+
+    // Transaction info of every transaction in a block, with receipts and event logs
+    async getBlockInfo(number) {
+        const info = await this.tronWeb.fullNode.request('wallet/gettransactioninfobyblocknum', { num: number }, 'post');
+
+        return Array.isArray(info) ? info : [];
+    },
+
+    async getTransactionInfo(txID) {
+        return this.tronWeb.fullNode.request('wallet/gettransactioninfobyid', { value: txID }, 'post');
+    }
+};
+
+export default NodeSource;
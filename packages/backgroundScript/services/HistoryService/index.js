@@ -0,0 +1,310 @@
+import Logger from '@tronlink/lib/logger';
+import TronWeb from 'tronweb';
+import NodeSource from './NodeSource';
+import HistoryStore from './HistoryStore';
+import TransactionMapper from '../WalletService/TransactionMapper';
+
+import { HISTORY, TRANSACTION_DIRECTION } from '@tronlink/lib/constants';
+
+const logger = new Logger('HistoryService');
+
+// Transactions whose amounts only their transaction info has, the /v1 APIs leave it out
+const NEEDS_INFO = [
+    'UnfreezeBalanceContract',
+    'WithdrawBalanceContract',
+    'CreateSmartContract',
+    'ExchangeInjectContract',
+    'ExchangeWithdrawContract',
+    'ExchangeTransactionContract'
+];
+
+// Resources a /v1 transaction reports alongside itself, shaped like a receipt
+const RECEIPT_FIELDS = [ 'net_usage', 'net_fee', 'energy_usage_total', 'energy_fee' ];
+
+const getMovementKey = ({ tokenID, from, to, amount }) => [ tokenID, from, to, amount ].join(':');
+
+const union = (first, second, getKey = item => item) => {
+    const seen = {};
+
+    return [ ...first, ...second ].filter(item => {
+        const key = getKey(item);
+
+        if(seen[ key ])
+            return false;
+
+        return (seen[ key ] = true);
+    });
+};
+
+const toInfo = transaction => ({
+    id: transaction.txID,
+    blockNumber: transaction.blockNumber,
+    blockTimeStamp: transaction.block_timestamp,
+    fee: (transaction.net_fee || 0) + (transaction.energy_fee || 0),
+    receipt: RECEIPT_FIELDS.reduce((receipt, field) => {
+        receipt[ field ] = transaction[ field ] || 0;
+        return receipt;
+    }, {})
+});
+
+/**
+ * Indexes each account's history from the selected node into HistoryStore, so it works on any
+ * network the wallet can connect to. Syncing is incremental: nodes serving the /v1 account APIs
+ * are read from the newest timestamp already stored, any other node is scanned block by block
+ * from where the last scan stopped. Scanning only finds what happened after the first sync.
+ *
+ * `node` and `store` can be swapped out through init(), see NodeSource and HistoryStore for
+ * what they have to implement.
+ */
+const HistoryService = {
+    node: NodeSource,
+    store: HistoryStore,
+    _syncs: {},
+
+    init({ node = NodeSource, store = HistoryStore } = {}) {
+        this.node = node;
+        this.store = store;
+        this._syncs = {};
+    },
+
+    // One sync per account at a time, anyone asking while it runs waits for the same one
+    sync(address) {
+        if(!this._syncs[ address ]) {
+            this._syncs[ address ] = this._sync(address).catch(error => {
+                logger.error(`Failed to sync history of ${ address }:`, error);
+            }).then(() => {
+                delete this._syncs[ address ];
+            });
+        }
+
+        return this._syncs[ address ];
+    },
+
+    async _sync(address) {
+        const chainId = await this.node.getChainId();
+        const cursor = (await this.store.getCursor(chainId, address)) || {};
+
+        if(await this._syncFromApi(chainId, address, cursor))
+            return;
+
+        await this._syncFromBlocks(chainId, address, cursor);
+    },
+
+    // False when the node doesn't serve the /v1 APIs
+    async _syncFromApi(chainId, address, cursor) {
+        const sources = [
+            [ 'transactions', 'getAccountTransactions', '_fromAccountTransactions' ],
+            [ 'transfers', 'getTokenTransfers', '_fromTokenTransfers' ]
+        ];
+
+        for(const [ key, method, mapper ] of sources) {
+            // The timestamp is inclusive, whatever is read again is merged into what's stored
+            const { timestamp: since = 0 } = cursor[ key ] || {};
+
+            let fingerprint = false;
+            let pages = 0;
+
+            do {
+                const page = await this.node[ method ](address, {
+                    minTimestamp: since,
+                    fingerprint,
+                    limit: HISTORY.PAGE_SIZE
+                });
+
+                if(!page)
+                    return false;
+
+                const records = await this[ mapper ](page.data, address);
+                const { timestamp = since } = cursor[ key ] || {};
+
+                await this._save(chainId, address, records);
+
+                cursor[ key ] = {
+                    timestamp: Math.max(timestamp, ...records.map(record => record.timestamp || 0))
+                };
+
+                await this.store.saveCursor(chainId, address, cursor);
+
+                fingerprint = page.fingerprint;
+            } while(fingerprint && ++pages < HISTORY.MAX_PAGES);
+        }
+
+        return true;
+    },
+
+    async _syncFromBlocks(chainId, address, cursor) {
+        const head = await this.node.getCurrentBlock();
+        const needle = TronWeb.address.toHex(address).substr(2).toLowerCase();
+
+        let next = cursor.block ? cursor.block + 1 : head;
+
+        for(let batch = 0; batch < HISTORY.MAX_BATCHES && next <= head; batch++) {
+            const end = Math.min(head, next + HISTORY.BLOCK_BATCH - 1);
+            const blocks = await this.node.getBlocks(next, end);
+            const records = [];
+
+            for(const block of blocks)
+                records.push(...await this._fromBlock(block, address, needle));
+
+            await this._save(chainId, address, records);
+
+            cursor.block = end;
+            await this.store.saveCursor(chainId, address, cursor);
+
+            next = end + 1;
+        }
+    },
+
+    async _fromAccountTransactions(transactions, address) {
+        const records = [];
+
+        // Internal transactions are listed too but have no raw data to map
+        for(const transaction of transactions.filter(({ txID, raw_data: rawData }) => txID && rawData)) {
+            const [ { type } ] = transaction.raw_data.contract;
+
+            const info = NEEDS_INFO.includes(type) ?
+                await this.node.getTransactionInfo(transaction.txID) :
+                toInfo(transaction);
+
+            records.push(await TransactionMapper.map(transaction, { address, info }));
+        }
+
+        return records;
+    },
+
+    // Transfers only, the transaction they happened in is merged in when it's indexed
+    async _fromTokenTransfers(transfers, address) {
+        return transfers.map(({
+            transaction_id: txID,
+            block_timestamp: timestamp,
+            token_info: token = {},
+            from,
+            to,
+            value
+        }) => {
+            const tokens = [{
+                tokenID: token.address,
+                name: token.name,
+                abbr: token.symbol,
+                decimals: token.decimals,
+                amount: String(value),
+                from,
+                to
+            }];
+
+            return {
+                txID,
+                timestamp,
+                direction: TransactionMapper.getDirection({ sender: false, tokens }, address),
+                cached: false,
+                receipt: false,
+                result: false,
+                fee: false,
+                type: false,
+                raw: false,
+                sender: false,
+                recipient: false,
+                counterparties: [ from, to ].filter(counterparty => counterparty !== address),
+                tokens
+            };
+        });
+    },
+
+    async _fromBlock(block, address, needle) {
+        const { transactions = [] } = block;
+
+        const involves = transaction => JSON.stringify(
+            transaction.raw_data.contract[ 0 ].parameter.value
+        ).toLowerCase().includes(needle);
+
+        const isCall = transaction => transaction.raw_data.contract[ 0 ].type === 'TriggerSmartContract';
+
+        // Token transfers to the account only show up in the event logs of contract calls
+        if(!transactions.some(transaction => involves(transaction) || isCall(transaction)))
+            return [];
+
+        const infos = (await this.node.getBlockInfo(block.block_header.raw_data.number)).reduce((infos, info) => {
+            infos[ info.id ] = info;
+            return infos;
+        }, {});
+
+        const logsInvolve = ({ txID }) => ((infos[ txID ] || {}).log || []).some(({ topics = [] }) => (
+            topics.some(topic => topic.toLowerCase().endsWith(needle))
+        ));
+
+        return TransactionMapper.mapAll(
+            transactions.filter(transaction => involves(transaction) || (isCall(transaction) && logsInvolve(transaction))),
+            { address, infos }
+        );
+    },
+
+    _save(chainId, address, records) {
+        return this.store.saveTransactions(chainId, address, records, (existing, record) => {
+            if(!existing)
+                return record;
+
+            // Whichever came from a whole transaction wins, token transfers only add movements
+            const [ full, partial ] = record.type || !existing.type ?
+                [ record, existing ] :
+                [ existing, record ];
+
+            const merged = {
+                ...partial,
+                ...full,
+                tokens: union(full.tokens, partial.tokens, getMovementKey),
+                counterparties: union(full.counterparties, partial.counterparties)
+            };
+
+            merged.direction = TransactionMapper.getDirection(merged, address);
+
+            return merged;
+        });
+    },
+
+    /**
+     * A page of indexed history, newest first. `tokenId` limits it to transactions moving that
+     * token (TRC10 id, TRC20 address or "_"), TRX history also lists the ones that moved nothing
+     * since they still cost TRX. `type` limits it to one contract type. `offset` is false on the
+     * last page.
+     */
+    async getTransactions(address, { tokenId = false, direction = false, type: contractType = false, offset = 0, limit = 30 } = {}) {
+        const chainId = await this.node.getChainId();
+
+        const filter = ({ tokens, type, direction: recordDirection }) => (
+            (!tokenId || tokens.some(({ tokenID }) => tokenID === tokenId) || (tokenId === '_' && type && !tokens.length)) &&
+            (!direction || recordDirection === direction || recordDirection === TRANSACTION_DIRECTION.SELF) &&
+            (!contractType || type === contractType)
+        );
+
+        const records = await this.store.query(chainId, address, { filter, offset, limit });
+
+        return {
+            records,
+            offset: records.length === limit ? offset + limit : false
+        };
+    },
+
+    // Token transfers are indexed without their block or fee, the node fills them in when first asked
+    async getTransaction(address, txID) {
+        const chainId = await this.node.getChainId();
+        const record = await this.store.getTransaction(chainId, address, txID);
+
+        if(!record || record.block)
+            return record;
+
+        const info = await this.node.getTransactionInfo(txID).catch(() => ({}));
+
+        TransactionMapper.mapResult(record, {}, info || {});
+        await this._save(chainId, address, [ record ]);
+
+        return record;
+    },
+
+    forget(address) {
+        return this.store.clear(address).catch(error => (
+            logger.error(`Failed to clear history of ${ address }:`, error)
+        ));
+    }
+};
+
+export default HistoryService;
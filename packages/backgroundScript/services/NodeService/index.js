@@ -3,6 +3,7 @@ import randomUUID from 'uuid/v4';
 import TronWeb from 'tronweb';
 import SunWeb from 'sunweb';
 import Logger from '@tronlink/lib/logger';
+import TypedData from '@tronlink/lib/typedData';
 import { CONTRACT_ADDRESS,SIDE_CHAIN_ID,NODE } from '@tronlink/lib/constants';
 import { BigNumber } from 'bignumber.js';
 
@@ -19,6 +20,8 @@ const NodeService = {
             default:false
         }
     },
+    _genesisBlockIds: {},
+
     _nodes: {
             // 'f0b1e38e-7bee-485e-9d3f-69410bf30682': {
             //     name: 'Mainnet Testnet',
@@ -86,14 +89,6 @@ const NodeService = {
             ...nodeList,
         };
 
-
-        this._nodes = Object.entries(this._nodes).map(([nodeId, node])=>{
-            if(!node.hasOwnProperty('chain')){
-                node.chain = '_';
-            }
-            return [nodeId, node];
-        }).reduce((accumulator, currentValue)=>{accumulator[currentValue[0]]=currentValue[1];return accumulator;},{});
-
         if(selectedChain)
             this._selectedChain = selectedChain;
 
@@ -213,6 +208,43 @@ const NodeService = {
         return nodeID;
     },
 
+    // Merging keeps local nodes on conflict, replacing drops every custom node the backup doesn't know about
+    restore({ nodeList = {}, selectedNode = false }, { chainList = {}, selectedChain = false }, replace = false) {
+        if(replace) {
+            this._nodes = { ...DEFAULT_NODES, ...nodeList };
+            this._chains = { ...DEFAULT_CHAINS, ...chainList };
+
+            if(selectedNode in this._nodes) {
+                this._selectedNode = selectedNode;
+                this._selectedChain = this._nodes[ selectedNode ].chain || selectedChain || '_';
+            }
+
+            StorageService.nodes.nodeList = {};
+            StorageService.chains.chainList = {};
+        } else {
+            this._nodes = { ...nodeList, ...this._nodes };
+            this._chains = { ...chainList, ...this._chains };
+        }
+
+        this.save();
+    },
+
+    // Never changes for a node, so it's only asked once
+    async getGenesisBlockId(tronWeb = this.tronWeb) {
+        const { host } = tronWeb.fullNode;
+
+        if(!this._genesisBlockIds[ host ])
+            this._genesisBlockIds[ host ] = (await tronWeb.trx.getBlockByNumber(0)).blockID;
+
+        return this._genesisBlockIds[ host ];
+    },
+
+    // What pages and typed data domains know the selected chain by, the main chain's differs per node
+    async getChainId() {
+        const tronWeb = this._selectedChain === '_' ? this.tronWeb : this.sunWeb.sidechain;
+        return TypedData.getChainId(await this.getGenesisBlockId(tronWeb));
+    },
+
     async getSmartToken(address) {
         try {
             let balance;
@@ -240,7 +272,30 @@ const NodeService = {
             logger.error(`Failed to fetch token ${ address }:`, ex);
             return false;
         }
+    },
+
+    // What each spender may still move out of owner's balance of a TRC20 token, raw amounts as strings
+    async getAllowances(token, owner, spenders) {
+        const allowances = {};
+
+        try {
+            const contract = await this.tronWeb.contract().at(token);
+
+            for(const spender of spenders) {
+                const result = await contract.allowance(owner, spender).call();
+                const remaining = result.remaining || result._remaining || result;
+
+                allowances[ spender ] = new BigNumber(remaining.toString()).toFixed();
+            }
+        } catch(ex) {
+            logger.error(`Failed to fetch allowances of ${ token }:`, ex);
+        }
+
+        return allowances;
     }
 };
 
+const DEFAULT_NODES = { ...NodeService._nodes };
+const DEFAULT_CHAINS = { ...NodeService._chains };
+
 export default NodeService;
@@ -3,6 +3,10 @@ import Logger from '@tronlink/lib/logger';
 import Utils from '@tronlink/lib/utils';
 import NodeService from '../NodeService';
 import axios from 'axios';
+
+import { VAULT, PENDING_STATUS, PENDING_TRANSACTION } from '@tronlink/lib/constants';
+import { SCHEMA_VERSION, runMigrations } from './migrations';
+
 const logger = new Logger('StorageService');
 
 const StorageService = {
@@ -21,8 +25,12 @@ const StorageService = {
         'allDapps',
         'allTokens',
         'authorizeDapps',
+        'connectedSites',
         'vTokenList',
         'chains',
+        'seeds',
+        'allowances',
+        'schemaVersion'
     ],
 
     storage: extensionizer.storage.local,
@@ -56,6 +64,7 @@ const StorageService = {
     },
     pendingTransactions: {},
     accounts: {},
+    seeds: {},
     transactions: {},
     tokenCache: {},
     selectedAccount: false,
@@ -73,6 +82,7 @@ const StorageService = {
     language: '',
     ready: false,
     password: false,
+    kdf: false,
     dappList: {
         recommend: [],
         used: []
@@ -84,7 +94,11 @@ const StorageService = {
     },
     allSideTokens : [],
     authorizeDapps: {},
+    connectedSites: {},
+    // TRC20 allowances each account has signed, address => token => spender => grant
+    allowances: {},
     vTokenList: [],
+    schemaVersion: 0,
     get needsMigrating() {
         return localStorage.hasOwnProperty('TronLink_WALLET');
     },
@@ -104,12 +118,35 @@ const StorageService = {
         ));
     },
 
+    setStorage(items) {
+        return new Promise((resolve, reject) => (
+            this.storage.set(items, () => {
+                const { lastError } = extensionizer.runtime;
+
+                if(lastError)
+                    return reject(lastError);
+
+                resolve();
+            })
+        ));
+    },
+
+    removeStorage(keys) {
+        return new Promise(resolve => (
+            this.storage.remove(keys, resolve)
+        ));
+    },
+
     async dataExists() {
         return !!(await this.getStorage('accounts'));
     },
 
     lock() {
         this.ready = false;
+        this.password = false;
+        this.kdf = false;
+
+        Utils.clearVaultKeys();
     },
 
     async unlock(password) {
@@ -121,6 +158,11 @@ const StorageService = {
         if(!await this.dataExists())
             return 'ERRORS.NOT_SETUP';
 
+        const decrypted = {};
+
+        let kdf = false;
+        let needsUpgrade = false;
+
         try {
             for(let i = 0; i < this.storageKeys.length; i++) {
                 const key = this.storageKeys[ i ];
@@ -129,21 +171,64 @@ const StorageService = {
                 if(!encrypted)
                     continue;
 
-                this[ key ] = Utils.decrypt(
+                if(Utils.isLegacyEncrypted(encrypted))
+                    needsUpgrade = true;
+                else if(!kdf)
+                    kdf = encrypted.kdf;
+
+                decrypted[ key ] = Utils.decryptVault(
                     encrypted,
                     password
                 );
             }
         } catch(ex) {
+            if(ex.isNewerVersion) {
+                logger.error('Wallet data was encrypted by a newer version:', ex);
+                return 'ERRORS.NEWER_SCHEMA_VERSION';
+            }
+
             logger.warn('Failed to decrypt wallet (wrong password?):', ex);
             return 'ERRORS.INVALID_PASSWORD';
         }
 
+        const { schemaVersion = 0 } = decrypted;
+
+        if(schemaVersion > SCHEMA_VERSION) {
+            logger.error(`Wallet data was written by schema version ${ schemaVersion }, this build only supports ${ SCHEMA_VERSION }`);
+            return 'ERRORS.NEWER_SCHEMA_VERSION';
+        }
+
+        let changed;
+
+        // Nothing is kept from a migration that fails part way, the vault stays as it was stored
+        try {
+            ({ changed } = runMigrations(decrypted, schemaVersion));
+        } catch(ex) {
+            logger.error(`Failed to migrate wallet data from schema version ${ schemaVersion }:`, ex);
+            return 'ERRORS.MIGRATION_FAILED';
+        }
+
+        decrypted.schemaVersion = SCHEMA_VERSION;
+
+        Object.assign(this, decrypted);
         logger.info('Decrypted wallet data');
 
+        // Re-key the vault when it holds legacy records or was stretched with fewer iterations than we now require
+        if(!kdf || kdf.iterations < VAULT.KDF.ITERATIONS) {
+            needsUpgrade = true;
+            kdf = Utils.createKdf();
+        }
+
         this.password = password;
+        this.kdf = kdf;
         this.ready = true;
 
+        if(needsUpgrade) {
+            logger.info(`Upgrading wallet storage to vault version ${ VAULT.VERSION }`);
+            this.save();
+        } else if(schemaVersion < SCHEMA_VERSION)
+            this.save(...changed, 'schemaVersion');
+
         return false;
     },
 
@@ -186,9 +271,28 @@ const StorageService = {
         logger.info('Deleting account', address);
 
         delete this.accounts[ address ];
+        delete this.pendingTransactions[ address ];
         //delete this.transactions[ address ];
         //this.accounts = Object.entries(this.accounts).filter(([key,accounts])=>key !== address).reduce((accumulator, currentValue)=>{accumulator[currentValue[0]]=currentValue[1];return accumulator;},{});
-        this.save('accounts');
+        this.save('accounts', 'pendingTransactions');
+    },
+
+    getSeed(seedId) {
+        return this.seeds[ seedId ] || false;
+    },
+
+    saveSeed(seedId, seed) {
+        logger.info('Saving seed', seedId);
+
+        this.seeds[ seedId ] = seed;
+        this.save('seeds');
+    },
+
+    deleteSeed(seedId) {
+        logger.info('Deleting seed', seedId);
+
+        delete this.seeds[ seedId ];
+        this.save('seeds');
     },
 
     deleteNode(nodeID) {
@@ -229,8 +333,11 @@ const StorageService = {
     saveAccount(account) {
         logger.info('Saving account', account);
 
+        // Mnemonics and their passphrases live once per seed in `seeds`, accounts only keep a reference to theirs
         const {
             transactions,
+            mnemonic, // eslint-disable-line
+            passphrase, // eslint-disable-line
             ...remaining // eslint-disable-line
         } = account;
 
@@ -259,12 +366,6 @@ const StorageService = {
     },
 
     getSetting(){
-        if(!this.setting.hasOwnProperty('advertising')){
-            this.setting.advertising = {};
-        }
-        if(!this.setting.hasOwnProperty('showUpdateDescription')){
-            this.setting.showUpdateDescription = false;
-        }
         return {...this.setting,developmentMode:location.hostname !== 'ibnejdfjmmkpcnlpebklmnkoeoihofec'};
     },
 
@@ -299,12 +400,69 @@ const StorageService = {
 
     authenticate(password) {
         this.password = password;
+        this.kdf = Utils.createKdf();
+        this.schemaVersion = SCHEMA_VERSION;
         this.ready = true;
 
         logger.info('Set storage password');
     },
 
-    addPendingTransaction(address, txID) {
+    async changePassword(oldPassword, newPassword) {
+        if(!this.ready)
+            return 'ERRORS.NOT_UNLOCKED';
+
+        if(oldPassword !== this.password)
+            return 'ERRORS.INVALID_PASSWORD';
+
+        const previous = {
+            password: this.password,
+            kdf: this.kdf
+        };
+
+        const backup = await new Promise(resolve => (
+            this.storage.get(this.storageKeys, resolve)
+        ));
+
+        const kdf = Utils.createKdf();
+        const encrypted = {};
+
+        this.storageKeys.forEach(key => (
+            encrypted[ key ] = Utils.encryptVault(this[ key ], newPassword, kdf)
+        ));
+
+        // Switch credentials before yielding so any save() queued behind this write uses the new key
+        this.password = newPassword;
+        this.kdf = kdf;
+
+        try {
+            await this.setStorage(encrypted);
+        } catch(ex) {
+            logger.error('Failed to re-encrypt wallet, restoring previous vault:', ex);
+
+            this.password = previous.password;
+            this.kdf = previous.kdf;
+
+            await this.setStorage(backup).catch(err => (
+                logger.error('Failed to restore previous vault:', err)
+            ));
+
+            await this.removeStorage(
+                this.storageKeys.filter(key => !(key in backup))
+            ).catch(err => (
+                logger.error('Failed to remove records the previous vault did not have:', err)
+            ));
+
+            return 'ERRORS.PASSWORD_CHANGE_FAILED';
+        }
+
+        Utils.clearVaultKeys();
+        logger.info('Changed storage password');
+
+        return false;
+    },
+
+    // details describes the transaction for the popup and where to check on it, see WalletService._checkPendingTransaction
+    addPendingTransaction(address, txID, details = {}) {
         if(!(address in this.pendingTransactions))
             this.pendingTransactions[ address ] = [];
 
@@ -314,13 +472,29 @@ const StorageService = {
         logger.info('Adding pending transaction:', { address, txID });
 
         this.pendingTransactions[ address ].push({
-            nextCheck: Date.now() + 5000,
+            ...details,
+            status: PENDING_STATUS.PENDING,
+            attempts: 0,
+            createdAt: Date.now(),
+            nextCheck: Date.now() + PENDING_TRANSACTION.FIRST_CHECK,
             txID
         });
 
         this.save('pendingTransactions');
     },
 
+    updatePendingTransaction(address, txID, changes) {
+        const transaction = this.getPendingTransactions(address).find(tx => tx.txID === txID);
+
+        if(!transaction)
+            return false;
+
+        Object.assign(transaction, changes);
+        this.save('pendingTransactions');
+
+        return transaction;
+    },
+
     removePendingTransaction(address, txID) {
         if(!(address in this.pendingTransactions))
             return;
@@ -337,19 +511,17 @@ const StorageService = {
         this.save('pendingTransactions');
     },
 
-    getNextPendingTransaction(address) {
-        if(!(address in this.pendingTransactions))
-            return false;
-
-        const [ transaction ] = this.pendingTransactions[ address ];
-
-        if(!transaction)
-            return false;
+    getPendingTransactions(address) {
+        return this.pendingTransactions[ address ] || [];
+    },
 
-        if(transaction.nextCheck < Date.now())
-            return false;
+    // The first transaction still pending that is due to be checked
+    getNextPendingTransaction(address) {
+        const transaction = this.getPendingTransactions(address).find(({ status, nextCheck }) => (
+            status === PENDING_STATUS.PENDING && nextCheck <= Date.now()
+        ));
 
-        return transaction.txID;
+        return transaction || false;
     },
 
     setPrices(priceList,usdtPriceList) {
@@ -372,12 +544,15 @@ const StorageService = {
 
         logger.info(`Writing storage for keys ${ keys.join(', ') }`);
 
+        // A single write keeps related keys (e.g. seeds and the accounts referencing them) consistent
+        const items = {};
+
         keys.forEach(key => (
-            this.storage.set({
-                [ key ]: Utils.encrypt(this[ key ], this.password)
-            })
+            items[ key ] = Utils.encryptVault(this[ key ], this.password, this.kdf)
         ));
 
+        this.storage.set(items);
+
         logger.info('Storage saved');
     },
 
@@ -408,6 +583,24 @@ const StorageService = {
         this.save('tokenCache');
     },
 
+    // TRC20 tokens share the cache, keyed by contract address
+    async cacheSmartToken(address) {
+        const token = await NodeService.getSmartToken(address);
+
+        if(!token)
+            return;
+
+        this.tokenCache[ address ] = {
+            name: token.name,
+            abbr: token.symbol,
+            decimals: token.decimals
+        };
+
+        logger.info(`Cached token ${ address }:`, this.tokenCache[ address ]);
+
+        this.save('tokenCache');
+    },
+
     async getDappList(isFromStorage) {
         if(!this.hasOwnProperty('dappList')) {
             this.dappList = { recommend: [], used: [] };
@@ -445,6 +638,35 @@ const StorageService = {
         this.save('authorizeDapps');
     },
 
+    setConnectedSites(connectedSites) {
+        this.connectedSites = connectedSites;
+        this.save('connectedSites');
+    },
+
+    saveAllowance(address, { token, spender, ...grant }) {
+        logger.info(`Logging ${ token } allowance for ${ spender } signed by ${ address }`, grant);
+
+        const tokens = this.allowances[ address ] || {};
+
+        tokens[ token ] = {
+            ...tokens[ token ],
+            [ spender ]: grant
+        };
+
+        this.allowances[ address ] = tokens;
+        this.save('allowances');
+    },
+
+    // Newest first, one entry per token and spender
+    getAllowances(address) {
+        const tokens = this.allowances[ address ] || {};
+
+        return Object.entries(tokens).reduce((allowances, [ token, spenders ]) => [
+            ...allowances,
+            ...Object.entries(spenders).map(([ spender, grant ]) => ({ token, spender, ...grant }))
+        ], []).sort((a, b) => b.timestamp - a.timestamp);
+    },
+
     saveVTokenList(vTokenList){
         this.vTokenList = vTokenList;
         this.save('vTokenList');
@@ -454,7 +676,7 @@ const StorageService = {
         logger.warn('Purging TronLink. This will remove all stored transaction data');
 
         this.storage.set({
-            transactions: Utils.encrypt({}, this.password)
+            transactions: Utils.encryptVault({}, this.password, this.kdf)
         });
 
         logger.info('Purge complete. Please reload TronLink');
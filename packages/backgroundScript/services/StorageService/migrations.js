@@ -0,0 +1,126 @@
+import Logger from '@tronlink/lib/logger';
+import randomUUID from 'uuid/v4';
+
+const logger = new Logger('StorageService/migrations');
+
+const ANTE = {
+    OLD: 'TBHN6guS6ztVVXbFivajdG3PxFUZ5UXGxY',
+    NEW: 'TCN77KWWyUyi2A4Cu7vrh5dnmRyvUuME1E'
+};
+
+// Each step receives the decrypted storage keyed like StorageService.storageKeys, mutates it
+// in place and returns the keys it changed. Only ever append steps, released ones must stay as they are.
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Add advertising and showUpdateDescription to settings',
+        migrate({ setting }) {
+            if(!setting)
+                return [];
+
+            const missing = [ 'advertising', 'showUpdateDescription' ].filter(key => !setting.hasOwnProperty(key));
+
+            if(!setting.hasOwnProperty('advertising'))
+                setting.advertising = {};
+
+            if(!setting.hasOwnProperty('showUpdateDescription'))
+                setting.showUpdateDescription = false;
+
+            return missing.length ? [ 'setting' ] : [];
+        }
+    },
+    {
+        version: 2,
+        description: 'Assign nodes without a chain to the main chain',
+        migrate({ nodes }) {
+            if(!nodes || !nodes.nodeList)
+                return [];
+
+            const outdated = Object.values(nodes.nodeList).filter(node => !node.hasOwnProperty('chain'));
+
+            outdated.forEach(node => (
+                node.chain = '_'
+            ));
+
+            return outdated.length ? [ 'nodes' ] : [];
+        }
+    },
+    {
+        version: 3,
+        description: 'Move the old ANTE token address to the new contract',
+        migrate({ accounts }) {
+            if(!accounts)
+                return [];
+
+            let changed = false;
+
+            Object.values(accounts).forEach(({ tokens }) => {
+                // Very old accounts kept tokens in a flat map rather than under basic / smart
+                [ tokens, tokens && tokens.smart ].forEach(list => {
+                    if(!list || !list.hasOwnProperty(ANTE.OLD))
+                        return;
+
+                    list[ ANTE.NEW ] = list[ ANTE.OLD ];
+                    delete list[ ANTE.OLD ];
+
+                    changed = true;
+                });
+            });
+
+            return changed ? [ 'accounts' ] : [];
+        }
+    },
+    {
+        version: 4,
+        description: 'Store each mnemonic once as a seed and link its accounts to it',
+        migrate(data) {
+            const { accounts } = data;
+
+            if(!accounts)
+                return [];
+
+            const seeds = data.seeds || (data.seeds = {});
+            const withMnemonic = Object.values(accounts).filter(account => account.mnemonic);
+
+            withMnemonic.forEach(account => {
+                let seedId = Object.keys(seeds).find(id => seeds[ id ].mnemonic === account.mnemonic);
+
+                if(!seedId) {
+                    seedId = randomUUID();
+                    seeds[ seedId ] = {
+                        mnemonic: account.mnemonic,
+                        name: account.name
+                    };
+                }
+
+                account.seedId = seedId;
+                delete account.mnemonic;
+            });
+
+            return withMnemonic.length ? [ 'seeds', 'accounts' ] : [];
+        }
+    }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[ MIGRATIONS.length - 1 ].version;
+
+export const runMigrations = (data, fromVersion = 0) => {
+    if(fromVersion > SCHEMA_VERSION)
+        throw new Error(`Storage schema version ${ fromVersion } is newer than supported version ${ SCHEMA_VERSION }`);
+
+    const changed = new Set();
+
+    MIGRATIONS
+        .filter(({ version }) => version > fromVersion)
+        .forEach(({ version, description, migrate }) => {
+            const keys = migrate(data);
+
+            keys.forEach(key => changed.add(key));
+            logger.info(`Applied migration ${ version } (${ description }), changed: ${ keys.join(', ') || 'nothing' }`);
+        });
+
+    return {
+        version: SCHEMA_VERSION,
+        changed: [ ...changed ]
+    };
+};
@@ -3,6 +3,10 @@ import TronWeb from 'tronweb';
 import Logger from '@tronlink/lib/logger';
 import Utils from '@tronlink/lib/utils';
 import NodeService from '../NodeService';
+import SoftwareSigner from './signers/SoftwareSigner';
+import LedgerSigner from './signers/LedgerSigner';
+import TransactionMapper from './TransactionMapper';
+import FeeService from '../FeeService';
 
 import { BigNumber } from 'bignumber.js';
 
@@ -18,10 +22,21 @@ import axios from 'axios';
 BigNumber.config({ EXPONENTIAL_AT: [-20, 30] });
 const logger = new Logger('WalletService/Account');
 
+const TRC20_TRANSFER = 'transfer(address,uint256)';
+
+// A contract call's own options with the user's send options on top, it keeps its fee limit unless they set one
+const withSendOptions = (callOptions, options = {}) => ({
+    ...callOptions,
+    ...options,
+    feeLimit: options.feeLimit || callOptions.feeLimit
+});
+
 class Account {
-    constructor(accountType, importData, accountIndex = 0) {
+    constructor(accountType, importData, accountIndex = 0, passphrase = '') {
         this.type = accountType;
         this.accountIndex = accountIndex;
+        this.passphrase = passphrase;
+        this.seedId = false; // set for mnemonic accounts, points at the shared mnemonic in StorageService.seeds
         this.address = false;
         this.name = false;
         this.updatingTransactions = false;
@@ -54,11 +69,11 @@ class Account {
         //     balance: 0,
         //     price: 0
         // };
-        if (accountType == ACCOUNT_TYPE.MNEMONIC) {
+        if (accountType == ACCOUNT_TYPE.MNEMONIC)
             this._importMnemonic(importData);
-        } else {
-            this._importPrivateKey(importData);
-        }
+        else if (accountType == ACCOUNT_TYPE.WATCH_ONLY || accountType == ACCOUNT_TYPE.LEDGER)
+            this._importAddress(importData);
+        else this._importPrivateKey(importData);
         this.loadCache();
     }
 
@@ -87,18 +102,34 @@ class Account {
         this.address = address;
     }
 
+    // Addresses are imported as watch-only accounts, so anything that doesn't derive one is rejected
     _importPrivateKey(privateKey) {
-        try {
-            if (privateKey.match(/^T/) && TronWeb.isAddress(privateKey)) {
-                this.privateKey = null;
-                this.address = privateKey;
-            } else {
-                this.privateKey = privateKey;
-                this.address = TronWeb.address.fromPrivateKey(privateKey);
-            }
-        } catch (ex) { // eslint-disable-line
+        const address = TronWeb.address.fromPrivateKey(privateKey);
+
+        if (!address)
             throw new Error('INVALID_PRIVATE_KEY');
-        }
+
+        this.privateKey = privateKey;
+        this.address = address;
+    }
+
+    _importAddress(address) {
+        if (!TronWeb.isAddress(address))
+            throw new Error('INVALID_ADDRESS');
+
+        this.privateKey = null;
+        this.address = TronWeb.address.fromHex(address);
+    }
+
+    // Built on demand rather than kept on the instance, so it never ends up in what save() stores
+    get signer() {
+        if (this.type == ACCOUNT_TYPE.LEDGER)
+            return new LedgerSigner(this.address, this.accountIndex);
+
+        if (this.privateKey)
+            return new SoftwareSigner(this.privateKey);
+
+        return false;
     }
 
     getAccountAtIndex(index = 0) {
@@ -108,7 +139,8 @@ class Account {
 
         return Utils.getAccountAtIndex(
             this.mnemonic,
-            index
+            index,
+            this.passphrase
         );
     }
 
@@ -496,6 +528,8 @@ class Account {
             type: this.type,
             name: this.name,
             address: this.address,
+            seedId: this.seedId,
+            accountIndex: this.accountIndex,
             balance: this.balance,
             frozenBalance: this.frozenBalance,
             totalEnergyWeight: this.totalEnergyWeight,
@@ -509,7 +543,8 @@ class Account {
             selectedBankRecordId: this.selectedBankRecordId,
             dealCurrencyPage: this.dealCurrencyPage,
             airdropInfo: this.airdropInfo,
-            transactionDetail: this.transactionDetail
+            transactionDetail: this.transactionDetail,
+            pendingTransactions: StorageService.getPendingTransactions(this.address)
         };
     }
 
@@ -522,98 +557,216 @@ class Account {
     }
 
     async sign(transaction, tronWeb = NodeService.tronWeb) {
+        const { signer } = this;
 
-        if (!this.privateKey) {
-            return 'CREATION.LEDGER.ALERT.BODY';
-        }
-        const signedTransaction = tronWeb.trx.sign(
-            transaction,
-            this.privateKey
+        if (!signer)
+            return Promise.reject('ERRORS.WATCH_ONLY_ACCOUNT');
+
+        if (typeof transaction === 'string')
+            return signer.signMessage(transaction, tronWeb);
+
+        return signer.signTransaction(transaction, tronWeb);
+    }
+
+    async signMessageV2(message) {
+        const { signer } = this;
+
+        if (!signer)
+            return Promise.reject('ERRORS.WATCH_ONLY_ACCOUNT');
+
+        return signer.signMessageV2(message);
+    }
+
+    async signTypedData(typedData) {
+        const { signer } = this;
+
+        if (!signer)
+            return Promise.reject('ERRORS.WATCH_ONLY_ACCOUNT');
+
+        return signer.signTypedData(typedData);
+    }
+
+    async broadcast(signedTransaction, tronWeb = NodeService.tronWeb) {
+        const { result } = await tronWeb.trx.sendRawTransaction(signedTransaction);
+
+        if (!result)
+            return Promise.reject('Failed to broadcast transaction');
+
+        await this.trackTransaction(signedTransaction, tronWeb);
+
+        return signedTransaction.txID;
+    }
+
+    // Watched by WalletService until it's confirmed, fails or expires, on the node it was sent to
+    async trackTransaction(transaction, tronWeb = NodeService.tronWeb) {
+        const {
+            type,
+            recipient,
+            tokens
+        } = await TransactionMapper.map(transaction, { address: this.address }).catch(() => ({}));
+
+        StorageService.addPendingTransaction(this.address, transaction.txID, {
+            type: type || false,
+            recipient: recipient || false,
+            tokens: tokens || [],
+            expiration: transaction.raw_data.expiration,
+            node: tronWeb.fullNode.host
+        });
+    }
+
+    // The node builds the transaction, a memo and expiration are set on it afterwards, which gives it a new id
+    async applySendOptions(transaction, { memo = '', expiration = false } = {}, tronWeb = NodeService.tronWeb) {
+        if (!memo && !expiration)
+            return transaction;
+
+        const { timestamp, expiration: defaultExpiration } = transaction.raw_data;
+
+        return tronWeb.transactionBuilder.alterTransaction(transaction, {
+            data: memo && TronWeb.fromUtf8(memo),
+            dataFormat: 'hex',
+            extension: expiration && Math.round((timestamp + expiration - defaultExpiration) / 1000)
+        });
+    }
+
+    async triggerSmartContract(contractAddress, functionSelector, options = {}, parameters = [], tronWeb = NodeService.tronWeb) {
+        const { memo, expiration, ...callOptions } = options;
+        const { result, transaction } = await tronWeb.transactionBuilder.triggerSmartContract(
+            contractAddress,
+            functionSelector,
+            callOptions,
+            parameters,
+            TronWeb.address.toHex(this.address)
+        );
+
+        if (!result || !result.result)
+            return Promise.reject(`Unknown error: ${ JSON.stringify(transaction, null, 2) }`);
+
+        return this.broadcast(
+            await this.sign(await this.applySendOptions(transaction, { memo, expiration }, tronWeb), tronWeb),
+            tronWeb
         );
+    }
 
-        return await signedTransaction;
+    // Same as contract().at(address)[ method ](...args).send() but signed through this account's signer
+    async sendContractMethod(contractAddress, method, args = [], options = {}, tronWeb = NodeService.tronWeb) {
+        const contract = await tronWeb.contract().at(contractAddress);
+        const {
+            abi: { stateMutability },
+            functionSelector,
+            defaultOptions,
+            inputs
+        } = contract.methodInstances[ method ];
+
+        const callOptions = { ...defaultOptions, ...options };
+
+        if (stateMutability.toLowerCase() !== 'payable')
+            callOptions.callValue = 0;
+
+        return this.triggerSmartContract(
+            contractAddress,
+            functionSelector,
+            callOptions,
+            inputs.map(({ type }, index) => ({ type, value: args[ index ] })),
+            tronWeb
+        );
     }
 
-    async sendTrx(recipient, amount) {
+    // `options` are the send options WalletService validated: memo, feeLimit, expiration and permissionId
+    async sendTrx(recipient, amount, options = {}) {
         const selectedChain = NodeService._selectedChain;
+        const tronWeb = selectedChain === '_' ? NodeService.tronWeb : NodeService.sunWeb.sidechain;
         try {
-            if (selectedChain === '_') {
-                const transaction = await NodeService.tronWeb.transactionBuilder.sendTrx(
-                    recipient,
-                    amount
-                );
-
-                await NodeService.tronWeb.trx.sendRawTransaction(
-                    await this.sign(transaction)
-                ).then(() => true).catch(err => Promise.reject(
-                    'Failed to broadcast transaction'
-                ));
-                return Promise.resolve(transaction.txID);
-            } else {
-                const { transaction } = await NodeService.sunWeb.sidechain.trx.sendTransaction(recipient, amount, { privateKey: this.privateKey });
-                return Promise.resolve(transaction.txID);
-            }
+            const transaction = await tronWeb.transactionBuilder.sendTrx(
+                recipient,
+                amount,
+                this.address,
+                { permissionId: options.permissionId }
+            );
+
+            const signedTransaction = await this.sign(await this.applySendOptions(transaction, options, tronWeb), tronWeb);
+            return await this.broadcast(signedTransaction, tronWeb);
         } catch (ex) {
             logger.error('Failed to send TRX:', ex);
             return Promise.reject(ex);
         }
     }
 
-    async sendBasicToken(recipient, amount, token) {
+    async sendBasicToken(recipient, amount, token, options = {}) {
         const selectedChain = NodeService._selectedChain;
+        const tronWeb = selectedChain === '_' ? NodeService.tronWeb : NodeService.sunWeb.sidechain;
         try {
-            if (selectedChain === '_') {
-                const transaction = await NodeService.tronWeb.transactionBuilder.sendToken(
-                    recipient,
-                    amount,
-                    token
-                );
-
-                await NodeService.tronWeb.trx.sendRawTransaction(
-                    await this.sign(transaction)
-                ).then(() => true).catch(err => Promise.reject(
-                    'Failed to broadcast transaction'
-                ));
-                return Promise.resolve(transaction.txID);
-            } else {
-                const { transaction } = await NodeService.sunWeb.sidechain.trx.sendToken(recipient, amount, token, { privateKey: this.privateKey });
-                return Promise.resolve(transaction.txID);
-            }
+            const transaction = await tronWeb.transactionBuilder.sendToken(
+                recipient,
+                amount,
+                token,
+                this.address,
+                { permissionId: options.permissionId }
+            );
+
+            const signedTransaction = await this.sign(await this.applySendOptions(transaction, options, tronWeb), tronWeb);
+            return await this.broadcast(signedTransaction, tronWeb);
         } catch (ex) {
             logger.error('Failed to send basic token:', ex);
             return Promise.reject(ex);
         }
     }
 
-    async sendSmartToken(recipient, amount, token) {
+    async sendSmartToken(recipient, amount, token, options = {}) {
         const selectedChain = NodeService._selectedChain;
+        const tronWeb = selectedChain === '_' ? NodeService.tronWeb : NodeService.sunWeb.sidechain;
+        const parameters = [
+            { type: 'address', value: recipient },
+            { type: 'uint256', value: amount }
+        ];
+
         try {
-            if (selectedChain === '_') {
-                const contract = await NodeService.tronWeb.contract().at(token);
-                const transactionId = await contract.transfer(recipient, amount).send(
-                    { feeLimit: 10 * Math.pow(10, 6) },
-                    this.privateKey
-                );
-                return Promise.resolve(transactionId);
-            } else {
-                const sidechain = NodeService.sunWeb.sidechain;
-                const { transaction } = await NodeService.tronWeb.transactionBuilder.triggerSmartContract(TronWeb.address.toHex(token), 'transfer(address,uint256)', { feeLimit: 1000000 }, [{
-                    'type': 'address',
-                    'value': recipient
-                }, { 'type': 'uint256', 'value': amount }]);
-                const signTransaction = await sidechain.trx.sign(transaction, this.privateKey);
-                await sidechain.trx.sendRawTransaction(signTransaction);
-                return Promise.resolve(transaction.txID);
-            }
+            const feeLimit = options.feeLimit || await FeeService.suggestFeeLimit(this.address, {
+                contractAddress: token,
+                functionSelector: TRC20_TRANSFER,
+                parameters
+            }, tronWeb);
+
+            return await this.triggerSmartContract(TronWeb.address.toHex(token), TRC20_TRANSFER, withSendOptions({ feeLimit }, options), parameters, tronWeb);
         } catch (ex) {
             logger.error('Failed to send smart token:', ex);
             return Promise.reject(ex);
         }
     }
 
-    async depositTrx(amount) {
+    // What sendTrx, sendBasicToken or sendSmartToken would burn, see FeeService.estimate
+    async estimateSend(recipient, amount, token = '_', options = {}) {
+        const selectedChain = NodeService._selectedChain;
+        const tronWeb = selectedChain === '_' ? NodeService.tronWeb : NodeService.sunWeb.sidechain;
+        const { transactionBuilder } = tronWeb;
+        const { permissionId } = options;
+
+        let transaction;
+
+        if (token === '_')
+            transaction = await transactionBuilder.sendTrx(recipient, amount, this.address, { permissionId });
+        else if (token.match(/^T/)) {
+            // Only built to be measured. The estimate suggests its own fee limit from the simulated energy, the
+            // default here only stands in for the fee_limit field's size when the user hasn't set one
+            ({ transaction } = await transactionBuilder.triggerSmartContract(
+                TronWeb.address.toHex(token),
+                TRC20_TRANSFER,
+                { feeLimit: options.feeLimit || FEE.FEE_LIMIT, permissionId },
+                [{ type: 'address', value: recipient }, { type: 'uint256', value: amount }],
+                TronWeb.address.toHex(this.address)
+            ));
+        } else transaction = await transactionBuilder.sendToken(recipient, amount, token, this.address, { permissionId });
+
+        return FeeService.estimate(this.address, await this.applySendOptions(transaction, options, tronWeb), tronWeb);
+    }
+
+    // Gateway calls are built here instead of through SunWeb's helpers, which only accept a raw private key
+    async depositTrx(amount, options = {}) {
         try {
-            const txId = await NodeService.sunWeb.depositTrx(amount, FEE.DEPOSIT_FEE, FEE.FEE_LIMIT, {}, this.privateKey);
+            const { mainGatewayAddress, mainchain } = NodeService.sunWeb;
+            const txId = await this.sendContractMethod(mainGatewayAddress, 'depositTRX', [], withSendOptions({
+                callValue: Number(amount) + FEE.DEPOSIT_FEE,
+                feeLimit: FEE.FEE_LIMIT
+            }, options), mainchain);
             return Promise.resolve(txId);
         } catch (ex) {
             logger.error('Failed to send TRX:', ex);
@@ -621,9 +774,13 @@ class Account {
         }
     }
 
-    async withdrawTrx(amount) {
+    async withdrawTrx(amount, options = {}) {
         try {
-            const txId = await NodeService.sunWeb.withdrawTrx(amount, FEE.WITHDRAW_FEE, FEE.FEE_LIMIT, {}, this.privateKey);
+            const { sideGatewayAddress, sidechain } = NodeService.sunWeb;
+            const txId = await this.sendContractMethod(sideGatewayAddress, 'withdrawTRX', [], withSendOptions({
+                callValue: Number(amount) + FEE.WITHDRAW_FEE,
+                feeLimit: FEE.FEE_LIMIT
+            }, options), sidechain);
             return Promise.resolve(txId);
         } catch (ex) {
             logger.error('Failed to send TRX:', ex);
@@ -631,9 +788,15 @@ class Account {
         }
     }
 
-    async depositTrc10(id, amount) {
+    async depositTrc10(id, amount, options = {}) {
         try {
-            const txId = await NodeService.sunWeb.depositTrc10(id, amount, FEE.DEPOSIT_FEE, FEE.FEE_LIMIT, {}, this.privateKey);
+            const { mainGatewayAddress, mainchain } = NodeService.sunWeb;
+            const txId = await this.sendContractMethod(mainGatewayAddress, 'depositTRC10', [ id, amount ], withSendOptions({
+                tokenId: id,
+                tokenValue: amount,
+                callValue: FEE.DEPOSIT_FEE,
+                feeLimit: FEE.FEE_LIMIT
+            }, options), mainchain);
             return Promise.resolve(txId);
         } catch (ex) {
             logger.error('Failed to send TRX:', ex);
@@ -641,9 +804,15 @@ class Account {
         }
     }
 
-    async withdrawTrc10(id, amount) {
+    async withdrawTrc10(id, amount, options = {}) {
         try {
-            const txId = await NodeService.sunWeb.withdrawTrc10(id, amount, FEE.WITHDRAW_FEE, FEE.FEE_LIMIT, {}, this.privateKey);
+            const { sideGatewayAddress, sidechain } = NodeService.sunWeb;
+            const txId = await this.sendContractMethod(sideGatewayAddress, 'withdrawTRC10', [ id, amount ], withSendOptions({
+                tokenId: id,
+                tokenValue: amount,
+                callValue: FEE.WITHDRAW_FEE,
+                feeLimit: FEE.FEE_LIMIT
+            }, options), sidechain);
             return Promise.resolve(txId);
         } catch (ex) {
             logger.error('Failed to send TRX:', ex);
@@ -651,11 +820,18 @@ class Account {
         }
     }
 
-    async depositTrc20(id, amount) {
+    async depositTrc20(id, amount, options = {}) {
         try {
-            const approve = await NodeService.sunWeb.approveTrc20(amount, FEE.FEE_LIMIT, id, {}, this.privateKey);
+            const { mainGatewayAddress, mainchain } = NodeService.sunWeb;
+            // The memo goes on the deposit, not on the approval ahead of it
+            const approve = await this.sendContractMethod(id, 'approve', [ mainGatewayAddress, amount ], withSendOptions({
+                feeLimit: FEE.FEE_LIMIT
+            }, { ...options, memo: '' }), mainchain);
             if (approve) {
-                const txId = await NodeService.sunWeb.depositTrc20(amount, FEE.DEPOSIT_FEE, FEE.FEE_LIMIT, id, {}, this.privateKey);
+                const txId = await this.sendContractMethod(mainGatewayAddress, 'depositTRC20', [ id, amount ], withSendOptions({
+                    callValue: FEE.DEPOSIT_FEE,
+                    feeLimit: FEE.FEE_LIMIT
+                }, options), mainchain);
                 return Promise.resolve(txId);
             } else {
                 return Promise.resolve('failed');
@@ -666,10 +842,13 @@ class Account {
         }
     }
 
-    async withdrawTrc20(id, amount) {
+    async withdrawTrc20(id, amount, options = {}) {
         try {
 
-            const txId = await NodeService.sunWeb.withdrawTrc20(amount, FEE.WITHDRAW_FEE, FEE.FEE_LIMIT, id, {}, this.privateKey);
+            const txId = await this.triggerSmartContract(id, 'withdrawal(uint256)', withSendOptions({
+                callValue: FEE.WITHDRAW_FEE,
+                feeLimit: FEE.FEE_LIMIT
+            }, options), [{ type: 'uint256', value: amount }], NodeService.sunWeb.sidechain);
             return Promise.resolve(txId);
 
         } catch (ex) {
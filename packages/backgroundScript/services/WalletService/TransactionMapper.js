@@ -1,17 +1,286 @@
 import StorageService from '../StorageService';
+import TransactionDecoder from '@tronlink/lib/transactionDecoder';
+import TronWeb from 'tronweb';
+import Logger from '@tronlink/lib/logger';
+
+import { utils } from 'ethers';
+import { TRANSACTION_DIRECTION } from '@tronlink/lib/constants';
+
+const logger = new Logger('TransactionMapper');
+
+const TRX = {
+    tokenID: '_',
+    name: 'TRX',
+    abbr: 'TRX',
+    decimals: 6
+};
+
+// keccak256('Transfer(address,address,uint256)')
+const TRANSFER_TOPIC = 'ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// Error(string), what require() and revert() return
+const REVERT_SELECTOR = '08c379a0';
+
+const TRC20_TRANSFERS = {
+    'transfer(address,uint256)': [ 'address', 'uint256' ],
+    'transferFrom(address,address,uint256)': [ 'address', 'address', 'uint256' ]
+};
+
+const toBase58 = address => (address ? TronWeb.address.fromHex(address) : false);
+
+// Event logs and ABI values carry 20 byte addresses without the network prefix
+const fromWord = word => `41${ word.replace(/^0x/, '').substr(-40) }`;
+
+// TRC20 tokens are known by their base58 contract address, TRC10 tokens by id
+const toTokenID = token => (/^41[0-9a-f]{40}$/i.test(token) ? toBase58(token) : String(token));
+
+const isEmpty = amount => !amount || String(amount) === '0';
+
+const getTransferLogs = logs => logs.filter(({ topics = [] }) => (
+    topics.length === 3 && topics[ 0 ] === TRANSFER_TOPIC
+)).map(({ address, topics, data }) => ({
+    token: fromWord(address),
+    amount: utils.bigNumberify(`0x${ data || '0' }`).toString(),
+    from: fromWord(topics[ 1 ]),
+    to: fromWord(topics[ 2 ])
+}));
+
+const getTransferCall = value => {
+    const data = (value.data || '').replace(/^0x/, '');
+    const signature = Object.keys(TRC20_TRANSFERS).find(method => (
+        data.startsWith(utils.id(method).substr(2, 8))
+    ));
+
+    if(!signature)
+        return [];
+
+    try {
+        const args = utils.defaultAbiCoder.decode(TRC20_TRANSFERS[ signature ], `0x${ data.substr(8) }`);
+        const [ to, amount ] = args.slice(-2);
+
+        return [{
+            token: value.contract_address,
+            amount: amount.toString(),
+            from: args.length === 3 ? fromWord(args[ 0 ]) : value.owner_address,
+            to: fromWord(to)
+        }];
+    } catch(ex) {
+        return [];
+    }
+};
+
+/**
+ * Per-type mappers, called with the contract's parameter value (hex addresses, amounts in sun),
+ * the transaction info from the node (may be empty when it wasn't fetched) and the mapped owner.
+ * Each returns the type-specific fields, `counterparties` and `tokens` are filled in from them:
+ *
+ *     { counterparties: [ hexAddress ], tokens: [ { token, amount, from, to } ], ...fields }
+ *
+ * where `token` is a TRC10 id ("_" for TRX) or a hex TRC20 contract address.
+ */
+const MAPPERS = {
+    TransferContract: value => ({
+        recipient: value.to_address,
+        amount: value.amount,
+        counterparties: [ value.to_address ],
+        tokens: [
+            { token: TRX.tokenID, amount: value.amount, to: value.to_address }
+        ]
+    }),
+
+    TransferAssetContract: value => {
+        const tokenID = value.tokenID || TransactionDecoder.getTokenId(value.asset_name);
+
+        return {
+            recipient: value.to_address,
+            amount: value.amount,
+            tokenID,
+            counterparties: [ value.to_address ],
+            tokens: [
+                { token: tokenID, amount: value.amount, to: value.to_address }
+            ]
+        };
+    },
+
+    ParticipateAssetIssueContract: value => ({
+        recipient: value.to_address,
+        amount: value.amount,
+        tokenID: TransactionDecoder.getTokenId(value.asset_name),
+        counterparties: [ value.to_address ],
+        tokens: [
+            { token: TRX.tokenID, amount: value.amount, to: value.to_address }
+        ]
+    }),
+
+    // Frozen TRX stays with the owner, so nothing moves
+    FreezeBalanceContract: value => ({
+        recipient: value.receiver_address || false,
+        amount: value.frozen_balance,
+        duration: value.frozen_duration,
+        resource: value.resource || 'BANDWIDTH',
+        counterparties: [ value.receiver_address ]
+    }),
+
+    UnfreezeBalanceContract: (value, info) => ({
+        recipient: value.receiver_address || false,
+        amount: info.unfreeze_amount || false,
+        resource: value.resource || 'BANDWIDTH',
+        counterparties: [ value.receiver_address ]
+    }),
+
+    VoteWitnessContract: value => {
+        const votes = (value.votes || []).map(({ vote_address: voteAddress, vote_count: voteCount }) => ({
+            address: toBase58(voteAddress),
+            count: voteCount
+        }));
+
+        return {
+            votes,
+            counterparties: (value.votes || []).map(({ vote_address: voteAddress }) => voteAddress)
+        };
+    },
+
+    WithdrawBalanceContract: (value, info) => ({
+        amount: info.withdraw_amount || false,
+        tokens: [
+            { token: TRX.tokenID, amount: info.withdraw_amount, to: value.owner_address, from: false }
+        ]
+    }),
+
+    AccountCreateContract: value => ({
+        recipient: value.account_address,
+        counterparties: [ value.account_address ]
+    }),
+
+    AccountPermissionUpdateContract: value => {
+        const permissions = [
+            value.owner,
+            value.witness,
+            ...(value.actives || [])
+        ].filter(Boolean).map(permission => ({
+            type: permission.type || 'Owner',
+            name: permission.permission_name,
+            threshold: permission.threshold,
+            keys: (permission.keys || []).map(({ address, weight }) => ({
+                address: toBase58(address),
+                weight
+            }))
+        }));
+
+        return {
+            permissions,
+            counterparties: [].concat(...[
+                value.owner,
+                value.witness,
+                ...(value.actives || [])
+            ].filter(Boolean).map(({ keys = [] }) => keys.map(({ address }) => address)))
+        };
+    },
+
+    CreateSmartContract: (value, info) => {
+        const contract = value.new_contract || {};
+        const contractAddress = info.contract_address || contract.contract_address || false;
+
+        return {
+            recipient: contractAddress,
+            contractName: contract.name || false,
+            counterparties: [ contractAddress ],
+            tokens: [
+                { token: TRX.tokenID, amount: contract.call_value, to: contractAddress },
+                { token: TransactionDecoder.getTokenId(value.token_id), amount: value.call_token_value, to: contractAddress }
+            ]
+        };
+    },
+
+    TriggerSmartContract: (value, info) => {
+        const approval = TransactionDecoder.Approval.fromContract({
+            type: 'TriggerSmartContract',
+            parameter: { value }
+        });
+
+        const tokens = [
+            { token: TRX.tokenID, amount: value.call_value, to: value.contract_address },
+            { token: TransactionDecoder.getTokenId(value.token_id), amount: value.call_token_value, to: value.contract_address }
+        ];
+
+        // Emitted events are what actually happened, the call data only what was asked for
+        const transfers = info.id ?
+            getTransferLogs(info.log || []) :
+            getTransferCall(value);
+
+        return {
+            recipient: value.contract_address,
+            approval,
+            counterparties: [
+                value.contract_address,
+                ...transfers.map(({ from, to }) => [ from, to ]).reduce((all, pair) => all.concat(pair), [])
+            ],
+            tokens: tokens.concat(transfers)
+        };
+    },
+
+    ExchangeCreateContract: value => ({
+        tokens: [
+            { token: TransactionDecoder.getTokenId(value.first_token_id), amount: value.first_token_balance, to: false },
+            { token: TransactionDecoder.getTokenId(value.second_token_id), amount: value.second_token_balance, to: false }
+        ]
+    }),
+
+    // The node reports how much of the exchange's other token moved, but not which token that is
+    ExchangeInjectContract: (value, info) => ({
+        exchangeID: value.exchange_id,
+        amount: info.exchange_inject_another_amount || false,
+        tokens: [
+            { token: TransactionDecoder.getTokenId(value.token_id), amount: value.quant, to: false }
+        ]
+    }),
+
+    ExchangeWithdrawContract: (value, info) => ({
+        exchangeID: value.exchange_id,
+        amount: info.exchange_withdraw_another_amount || false,
+        tokens: [
+            { token: TransactionDecoder.getTokenId(value.token_id), amount: value.quant, from: false, to: value.owner_address }
+        ]
+    }),
+
+    ExchangeTransactionContract: (value, info) => ({
+        exchangeID: value.exchange_id,
+        expected: value.expected,
+        amount: info.exchange_received_amount || false,
+        tokens: [
+            { token: TransactionDecoder.getTokenId(value.token_id), amount: value.quant, to: false }
+        ]
+    })
+};
 
 const TransactionMapper = {
-    async mapAll(transactions) {
+    // Mapped one after another so a token missing from the cache is only looked up once
+    async mapAll(transactions, { address = false, infos = {} } = {}) {
         const newTransactions = [];
 
-        transactions.forEach(async transaction => {
-            newTransactions.push(await this.map(transaction));
-        });
+        for(const transaction of transactions) {
+            const txID = transaction.txID || transaction.hash;
+
+            newTransactions.push(await this.map(transaction, {
+                address,
+                info: infos[ txID ]
+            }));
+        }
 
         return newTransactions;
     },
 
-    async map(transaction) {
+    /**
+     * Normalises a transaction from the node, with its transaction info (gettransactioninfobyid)
+     * when known. `direction` is relative to `address`, the account the transaction was indexed
+     * for, and `tokens` lists every movement of value as
+     *
+     *     { tokenID, name, abbr, decimals, amount, from, to }
+     *
+     * with amounts as raw integer strings and base58 addresses, `false` meaning the address isn't known
+     * or value left the account without going to one (frozen, put into an exchange).
+     */
+    async map(transaction, { address = false, info = {} } = {}) {
         const newTransaction = {
             timestamp: transaction.raw_data.timestamp || transaction.timestamp || false,
             direction: transaction.direction || false,
@@ -19,7 +288,8 @@ const TransactionMapper = {
             txID: transaction.txID || transaction.hash,
             cached: false,
             receipt: false,
-            result: false
+            result: false,
+            fee: false
         };
 
         const {
@@ -27,50 +297,155 @@ const TransactionMapper = {
             parameter
         } = transaction.raw_data.contract[ 0 ];
 
+        const { value = {} } = parameter;
+        const transactionInfo = info || {};
+
         // Transaction metadata
         newTransaction.type = type;
         newTransaction.raw = parameter;
+        newTransaction.sender = toBase58(value.owner_address);
+        newTransaction.recipient = false;
 
+        // Contract-specific data
         const {
-            owner_address, // eslint-disable-line
-            to_address, // eslint-disable-line
-            amount
-        } = parameter.value;
+            counterparties = [],
+            tokens = [],
+            ...fields
+        } = MAPPERS.hasOwnProperty(type) ? MAPPERS[ type ](value, transactionInfo) : {};
 
-        // Contract-specific data
-        switch(type) {
-            case 'TransferContract': {
-                newTransaction.sender = owner_address; // eslint-disable-line
-                newTransaction.recipient = to_address; // eslint-disable-line
-                newTransaction.amount = amount;
+        Object.assign(newTransaction, fields, {
+            recipient: toBase58(fields.recipient),
+            counterparties: [ ...new Set(counterparties.filter(Boolean).map(toBase58)) ]
+                .filter(counterparty => counterparty !== newTransaction.sender && counterparty !== address),
+            tokens: await this.mapTokens(tokens.filter(({ amount }) => !isEmpty(amount)), value.owner_address)
+        });
+
+        if(newTransaction.tokenID && !newTransaction.hasOwnProperty('decimals')) {
+            const { name, decimals } = await this.getToken(newTransaction.tokenID);
+
+            newTransaction.tokenName = name;
+            newTransaction.decimals = decimals;
+        }
+
+        this.mapResult(newTransaction, transaction, transactionInfo);
+
+        if(address)
+            newTransaction.direction = this.getDirection(newTransaction, address);
+
+        return newTransaction;
+    },
+
+    async mapTokens(tokens, owner) {
+        const mapped = [];
+
+        for(const { token, amount, from = owner, to = false } of tokens) {
+            const tokenID = toTokenID(token);
+
+            // Exchanges call TRX "_"
+            const metadata = tokenID === TRX.tokenID ?
+                TRX :
+                { tokenID, ...await this.getToken(tokenID) };
+
+            mapped.push({
+                tokenID: metadata.tokenID,
+                name: metadata.name,
+                abbr: metadata.abbr,
+                decimals: metadata.decimals,
+                amount: String(amount),
+                from: toBase58(from),
+                to: toBase58(to)
+            });
+        }
+
+        return mapped;
+    },
 
-                break;
+    // TRC10 ids and TRC20 addresses share the token cache, fetched from the node the first time they're seen
+    async getToken(tokenID) {
+        if(!StorageService.tokenCache.hasOwnProperty(tokenID)) {
+            try {
+                if(TronWeb.isAddress(tokenID))
+                    await StorageService.cacheSmartToken(tokenID);
+                else await StorageService.cacheToken(tokenID);
+            } catch(ex) {
+                logger.warn(`Failed to look up token ${ tokenID }:`, ex);
             }
-            case 'TransferAssetContract': {
-                const tokenID = parameter.value.tokenID ? parameter.value.tokenID : Buffer.from(
-                     parameter.value.asset_name,
-                     'hex'
-                ).toString('utf8');
-                if(!StorageService.tokenCache.hasOwnProperty(tokenID))
-                    await StorageService.cacheToken(tokenID);
-
-                const {
-                    decimals,
-                    name
-                } = StorageService.tokenCache[ tokenID ];
-
-                newTransaction.sender = owner_address; // eslint-disable-line
-                newTransaction.recipient = to_address; // eslint-disable-line
-                newTransaction.amount = amount;
-                newTransaction.decimals = decimals;
-                newTransaction.tokenName = name;
-                newTransaction.tokenID = tokenID;
-
-                break;
+        }
+
+        const {
+            name = tokenID,
+            abbr = '',
+            decimals = 0
+        } = StorageService.tokenCache[ tokenID ] || {};
+
+        return { name, abbr, decimals };
+    },
+
+    mapResult(newTransaction, transaction, info) {
+        const [ { contractRet } = {} ] = transaction.ret || [];
+
+        newTransaction.result = (info.receipt && info.receipt.result) || contractRet || false;
+        newTransaction.reason = this.getFailureReason(info);
+
+        if(info.result === 'FAILED')
+            newTransaction.result = newTransaction.result || 'FAILED';
+
+        if(!info.id)
+            return;
+
+        const {
+            net_usage: bandwidth = 0,
+            net_fee: bandwidthFee = 0,
+            energy_usage_total: energy = 0,
+            energy_fee: energyFee = 0
+        } = info.receipt || {};
+
+        newTransaction.receipt = info.receipt || false;
+        newTransaction.block = info.blockNumber || false;
+        newTransaction.timestamp = info.blockTimeStamp || newTransaction.timestamp;
+        newTransaction.fee = {
+            total: info.fee || 0,
+            bandwidth,
+            bandwidthFee,
+            energy,
+            energyFee
+        };
+    },
+
+    // Why a transaction failed according to its transaction info, false when it didn't
+    getFailureReason({ result, resMessage, receipt = {}, contractResult = [] }) {
+        if(result !== 'FAILED' && (!receipt.result || receipt.result === 'SUCCESS'))
+            return false;
+
+        const [ output = '' ] = contractResult;
+
+        if(output.startsWith(REVERT_SELECTOR)) {
+            try {
+                return utils.defaultAbiCoder.decode([ 'string' ], `0x${ output.substr(8) }`)[ 0 ];
+            } catch(ex) {
+                // Not a reason string after all, fall back to what the node says
             }
         }
 
-        return newTransaction;
+        if(resMessage)
+            return TronWeb.toUtf8(resMessage);
+
+        return receipt.result || result;
+    },
+
+    // Anything the account didn't send itself was indexed because it involves the account
+    getDirection({ sender, tokens }, address) {
+        const sent = tokens.some(({ from }) => from === address);
+        const received = tokens.some(({ to }) => to === address);
+
+        if(tokens.some(({ from, to }) => from === address && to === address))
+            return TRANSACTION_DIRECTION.SELF;
+
+        // Rewards and exchange withdrawals are sent by the account but only pay out to it
+        if(sender === address && !(received && !sent))
+            return TRANSACTION_DIRECTION.OUT;
+
+        return TRANSACTION_DIRECTION.IN;
     }
 };
 
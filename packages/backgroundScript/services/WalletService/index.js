@@ -2,20 +2,46 @@ import Logger from '@tronlink/lib/logger';
 import EventEmitter from 'eventemitter3';
 import StorageService from '../StorageService';
 import NodeService from '../NodeService';
+import BackupService from '../BackupService';
+import HistoryService from '../HistoryService';
+import FeeService from '../FeeService';
 import Account from './Account';
+import TransactionMapper from './TransactionMapper';
+import LedgerBridge from '@tronlink/lib/LedgerBridge';
 import axios from 'axios';
 import extensionizer from 'extensionizer';
 import Utils from '@tronlink/lib/utils';
+import Approval from '@tronlink/lib/transactionDecoder/approval';
 import TronWeb from 'tronweb';
+import randomUUID from 'uuid/v4';
 
 import {
     APP_STATE,
     ACCOUNT_TYPE,
     CONTRACT_ADDRESS,
-    API_URL
+    API_URL,
+    HD_WALLET,
+    KEYSTORE,
+    LEDGER_BRIDGE,
+    CONFIRMATION_TYPE,
+    CONFIRMATION_TIMEOUT,
+    FEE_LIMIT_CONTRACTS,
+    PENDING_STATUS,
+    PENDING_TRANSACTION,
+    FEE_ESTIMATE,
+    SEND_OPTIONS,
+    HISTORY,
+    EXPLORER
 } from '@tronlink/lib/constants';
 
 const logger = new Logger('WalletService');
+
+// The transaction fields behind the edits a user can make on the approval screen
+const EDITABLE_FIELDS = {
+    feeLimit: 'fee_limit',
+    permissionId: 'Permission_id'
+};
+
 let basicPrice;
 let smartPrice;
 let usdtPrice;
@@ -40,7 +66,14 @@ class Wallet extends EventEmitter {
         // this.bankContractAddress = 'TMdSctThYMVEuGgPU8tumKc1TuyinkeEFK'; //test
         this.bankContractAddress = 'TPgbgZReSnPnJeXPakHcionXzsGk6kVqZB'; //online
         this.ledgerImportAddress = [];
-        this.times = 0;
+        this.pendingTimer = false;
+        this.notificationLinks = {}; // explorer pages of the transactions notified about
+
+        if(extensionizer.notifications) {
+            extensionizer.notifications.onClicked.addListener(notifyId => (
+                this.notificationLinks.hasOwnProperty(notifyId) && window.open(this.notificationLinks[ notifyId ])
+            ));
+        }
         setInterval(() => {
             this._updatePrice();
             this.setCache();
@@ -113,12 +146,16 @@ class Wallet extends EventEmitter {
         const accounts = StorageService.getAccounts();
         const selected = StorageService.selectedAccount;
         Object.entries(accounts).forEach(([ address, account ]) => {
+            const { mnemonic, passphrase } = StorageService.getSeed(account.seedId);
             const accountObj = new Account(
                 account.type,
-                account.mnemonic || account.privateKey || account.address,
-                account.accountIndex
+                mnemonic || account.privateKey || account.address,
+                account.accountIndex,
+                passphrase
             );
 
+            accountObj.seedId = account.seedId || false;
+
             accountObj.loadCache();
             accountObj.update([], [], 0);
 
@@ -152,6 +189,7 @@ class Wallet extends EventEmitter {
             usdtPrice = prices.usdtPriceList ? prices.usdtPriceList[ prices.selected ] : 0;
             for (const account of accounts) {
                 if (account.address === this.selectedAccount) {
+                    HistoryService.sync(account.address);
                     Promise.all([account.update(basicPrice, smartPrice, usdtPrice)]).then(() => {
                         if (account.address === this.selectedAccount) {
                             this.emit('setAccount', this.selectedAccount);
@@ -170,6 +208,135 @@ class Wallet extends EventEmitter {
         }, 10000);
     }
 
+    // Broadcast transactions are watched whenever the wallet is unlocked, with or without the popup open
+    async _pollPendingTransactions() {
+        clearTimeout(this.pendingTimer);
+
+        if(!StorageService.ready)
+            return;
+
+        try {
+            for(const address of Object.keys(StorageService.pendingTransactions)) {
+                let pending;
+
+                while((pending = StorageService.getNextPendingTransaction(address)))
+                    await this._checkPendingTransaction(address, pending);
+
+                this._prunePendingTransactions(address);
+            }
+        } catch(ex) {
+            logger.error('Failed to check pending transactions:', ex);
+        }
+
+        this._schedulePendingTransactions();
+    }
+
+    // Each transaction backs off on its own, the poll sleeps until the first one is due. New ones are first checked
+    // a block after they're sent, so it never sleeps longer than that
+    _schedulePendingTransactions() {
+        const nextChecks = Object.keys(StorageService.pendingTransactions).reduce((checks, address) => [
+            ...checks,
+            ...StorageService.getPendingTransactions(address)
+                .filter(({ status }) => status === PENDING_STATUS.PENDING)
+                .map(({ nextCheck }) => nextCheck)
+        ], []);
+
+        const delay = Math.min(PENDING_TRANSACTION.FIRST_CHECK, ...nextChecks.map(nextCheck => nextCheck - Date.now()));
+
+        this.pendingTimer = setTimeout(() => this._pollPendingTransactions(), Math.max(delay, 0));
+    }
+
+    async _checkPendingTransaction(address, { txID, node, expiration, attempts }) {
+        const info = await new TronWeb.providers.HttpProvider(node)
+            .request('wallet/gettransactioninfobyid', { value: txID }, 'post')
+            .catch(error => {
+                logger.warn(`Failed to check pending transaction ${ txID }:`, error);
+                return false;
+            });
+
+        if(info && info.id) {
+            const reason = TransactionMapper.getFailureReason(info);
+
+            return this._finishPendingTransaction(address, txID, {
+                status: reason ? PENDING_STATUS.FAILED : PENDING_STATUS.CONFIRMED,
+                reason,
+                block: info.blockNumber,
+                fee: info.fee || 0
+            });
+        }
+
+        // Only a node that answered can tell it never made it into a block
+        if(info && Date.now() > expiration + PENDING_TRANSACTION.EXPIRY_GRACE) {
+            return this._finishPendingTransaction(address, txID, {
+                status: PENDING_STATUS.EXPIRED
+            });
+        }
+
+        StorageService.updatePendingTransaction(address, txID, {
+            attempts: attempts + 1,
+            nextCheck: Date.now() + Math.min(
+                PENDING_TRANSACTION.FIRST_CHECK * Math.pow(2, attempts),
+                PENDING_TRANSACTION.MAX_INTERVAL
+            )
+        });
+    }
+
+    async _finishPendingTransaction(address, txID, changes) {
+        logger.info(`Pending transaction ${ txID } ${ changes.status }`, changes);
+
+        const { notification, node } = StorageService.updatePendingTransaction(address, txID, {
+            ...changes,
+            finishedAt: Date.now()
+        });
+
+        if(notification && changes.status === PENDING_STATUS.CONFIRMED)
+            this._notify(txID, notification, EXPLORER[ node ]);
+
+        if(changes.status !== PENDING_STATUS.EXPIRED && this.accounts[ address ]) {
+            HistoryService.sync(address);
+
+            await this.accounts[ address ].update(basicPrice, smartPrice, usdtPrice).catch(ex => (
+                logger.error(`Failed to update account ${ address }:`, ex)
+            ));
+        }
+
+        if(address === this.selectedAccount)
+            this.emit('setAccount', address);
+    }
+
+    _prunePendingTransactions(address) {
+        const finished = StorageService.getPendingTransactions(address).filter(({ finishedAt }) => (
+            finishedAt && Date.now() - finishedAt > PENDING_TRANSACTION.KEEP_FINISHED
+        ));
+
+        finished.forEach(({ txID }) => StorageService.removePendingTransaction(address, txID));
+
+        if(finished.length && address === this.selectedAccount)
+            this.emit('setAccount', address);
+    }
+
+    // Custom nodes have no known explorer, their notifications don't link anywhere
+    _notify(hash, { iconUrl, title, message }, explorer = false) {
+        if(!extensionizer.notifications)
+            return;
+
+        if(explorer)
+            this.notificationLinks[ hash ] = `${ explorer }${ hash }`;
+
+        extensionizer.notifications.getPermissionLevel(level => {
+            if(level !== 'granted')
+                return;
+
+            extensionizer.notifications.create(hash, {
+                type: 'basic',
+                iconUrl,
+                title,
+                message,
+                isClickable: !!explorer
+            });
+        });
+    }
+
     async _updatePrice() {
         if(!StorageService.ready)
             return;
@@ -301,7 +468,11 @@ class Wallet extends EventEmitter {
             APP_STATE.LEDGER,
             APP_STATE.LEDGER_IMPORT_ACCOUNT,
             APP_STATE.NODE_MANAGE,
-            APP_STATE.TRANSFER
+            APP_STATE.TRANSFER,
+            APP_STATE.CHANGE_PASSWORD,
+            APP_STATE.BACKUP,
+            APP_STATE.EXPORT_KEYSTORE,
+            APP_STATE.CONNECTED_SITES
         ];
         if(!stateAry.includes(appState))
             return logger.error(`Attempted to change app state to ${ appState }. Only 'restoring' and 'creating' is permitted`);
@@ -383,21 +554,8 @@ class Wallet extends EventEmitter {
 
         this._loadAccounts();
         this._updatePrice();
+        this._pollPendingTransactions();
 
-        // Bandage fix to change old ANTE to new ANTE
-        Object.keys(this.accounts).forEach(address => {
-            const account = this.accounts[ address ];
-            const tokens = account.tokens;
-
-            const oldAddress = 'TBHN6guS6ztVVXbFivajdG3PxFUZ5UXGxY';
-            const newAddress = 'TCN77KWWyUyi2A4Cu7vrh5dnmRyvUuME1E';
-
-            if(!tokens.hasOwnProperty(oldAddress))
-                return;
-
-            tokens[ newAddress ] = tokens[ oldAddress ];
-            delete tokens[ oldAddress ];
-        });
         const node = NodeService.getCurrentNode();
         this.emit('setNode', {
             fullNode: node.fullNode,
@@ -416,20 +574,39 @@ class Wallet extends EventEmitter {
         }
     }
 
+    async changePassword({ oldPassword, newPassword }) {
+        if(!StorageService.ready) {
+            logger.error('Attempted to change password whilst locked');
+            return Promise.reject('ERRORS.NOT_UNLOCKED');
+        }
+
+        const changeFailed = await StorageService.changePassword(oldPassword, newPassword);
+        if(changeFailed) {
+            logger.error(`Failed to change password: ${ changeFailed }`);
+            return Promise.reject(changeFailed);
+        }
+
+        logger.info('User has changed their password');
+    }
+
     async lockWallet() {
+        clearTimeout(this.pendingTimer);
         StorageService.lock();
         this.accounts = {};
         this.selectedAccount = false;
         this.appWhitelist = {};
         this.emit('setAccount', this.selectedAccount);
+        this.emit('lock');
         this._setState(APP_STATE.PASSWORD_SET);
     }
 
+    // Requests are shown and answered in the order they arrive, each one is addressed by its uuid
     queueConfirmation(confirmation, uuid, callback) {
         this.confirmations.push({
             confirmation,
             callback,
-            uuid
+            uuid,
+            timeout: setTimeout(() => this._expireConfirmation(uuid), CONFIRMATION_TIMEOUT)
         });
 
         // if(this.state === APP_STATE.PASSWORD_SET) {
@@ -470,7 +647,7 @@ class Wallet extends EventEmitter {
             ga('send', 'event', {
                 eventCategory: 'Transaction',
                 eventAction: 'Whitelisted Transaction',
-                eventLabel: confirmation.contractType || 'SignMessage',
+                eventLabel: this._getConfirmationLabel(confirmation),
                 eventValue: duration,
                 referrer: hostname,
                 userId: Utils.hash(TronWeb.address.toHex(this.selectedAccount))
@@ -497,27 +674,102 @@ class Wallet extends EventEmitter {
                 userId: Utils.hash(confirmation.input.owner_address)
             });
         }
+    }
+
+    _getConfirmation(uuid) {
+        return this.confirmations.find(pending => pending.uuid === uuid);
+    }
+
+    _removeConfirmation(uuid) {
+        const pending = this._getConfirmation(uuid);
+
+        clearTimeout(pending.timeout);
+        this.confirmations = this.confirmations.filter(queued => queued !== pending);
+    }
+
+    // The dapp gets a definite answer instead of waiting forever on a popup nobody looks at
+    _expireConfirmation(uuid) {
+        const pending = this._getConfirmation(uuid);
+
+        if(!pending)
+            return;
+
+        // A device may still be signing it, a failed attempt expires it afterwards
+        if(this.isConfirming === uuid) {
+            pending.isExpired = true;
+            return;
+        }
 
+        logger.info(`Confirmation ${ uuid } expired`);
 
+        this._removeConfirmation(uuid);
 
+        pending.callback({
+            success: false,
+            data: 'Confirmation timed out',
+            uuid
+        });
 
-        this.acceptConfirmation();
+        this._updateConfirmations();
     }
 
-    acceptConfirmation(whitelistDuration) {
-        if(!this.confirmations.length)
+    async acceptConfirmation({ uuid, whitelistDuration = false, accounts = [], overrides = {} } = {}) {
+        const pending = this._getConfirmation(uuid);
+
+        if(!pending)
             return Promise.reject('NO_CONFIRMATIONS');
 
         if(this.isConfirming)
             return Promise.reject('ALREADY_CONFIRMING');
 
-        this.isConfirming = true;
+        this.isConfirming = uuid;
 
         const {
             confirmation,
-            callback,
-            uuid
-        } = this.confirmations.pop();
+            callback
+        } = pending;
+
+        // Approving a connection binds the accounts the user picked to the site, there is nothing to sign
+        if(confirmation.type === CONFIRMATION_TYPE.CONNECT) {
+            const bound = accounts.filter(address => address in this.accounts);
+
+            if(!bound.length) {
+                this.isConfirming = false;
+                return Promise.reject('CONFIRMATIONS.CONNECT.NO_ACCOUNT');
+            }
+
+            this._removeConfirmation(uuid);
+            this.connectSite(confirmation.hostname, bound);
+
+            callback({
+                success: true,
+                data: this.getSiteAccount(confirmation.hostname),
+                uuid
+            });
+
+            return this._finishConfirmation();
+        }
+
+        // Nothing is signed before the user accepts, so a signature never sits in the queue or reaches the popup
+        let signedTransaction;
+
+        try {
+            signedTransaction = await this._signConfirmation(confirmation, overrides);
+        } catch(ex) {
+            logger.error('Failed to sign confirmation:', ex);
+
+            this.isConfirming = false;
+
+            if(pending.isExpired)
+                this._expireConfirmation(uuid);
+
+            return Promise.reject(ex);
+        }
+
+        this._removeConfirmation(uuid);
+
+        if(confirmation.type === CONFIRMATION_TYPE.TRANSACTION)
+            this.logAllowance(confirmation.address, confirmation.hostname, signedTransaction);
 
         if(whitelistDuration !== false)
             this.whitelistContract(confirmation, whitelistDuration);
@@ -525,7 +777,7 @@ class Wallet extends EventEmitter {
         ga('send', 'event', {
             eventCategory: 'Transaction',
             eventAction: 'Confirmed Transaction',
-            eventLabel: confirmation.contractType || 'SignMessage',
+            eventLabel: this._getConfirmationLabel(confirmation),
             eventValue: confirmation.input.amount || 0,
             referrer: confirmation.hostname,
             userId: Utils.hash(TronWeb.address.toHex(this.selectedAccount))
@@ -533,34 +785,309 @@ class Wallet extends EventEmitter {
 
         callback({
             success: true,
-            data: confirmation.signedTransaction,
+            data: signedTransaction,
             uuid
         });
 
+        this._finishConfirmation();
+    }
+
+    _finishConfirmation() {
         this.isConfirming = false;
-        if(this.confirmations.length) {
-            this.emit('setConfirmations', this.confirmations);
-        }
+        this._updateConfirmations();
+    }
+
+    _updateConfirmations() {
+        this.emit('setConfirmations', this.confirmations);
         this._closePopup();
-        this.resetState();
+
+        // Expiring in the background mustn't pull the user off whatever page they are on
+        if(this.state === APP_STATE.REQUESTING_CONFIRMATION)
+            this.resetState();
     }
 
-    rejectConfirmation() {
-        if(this.isConfirming)
-            return Promise.reject('ALREADY_CONFIRMING');
+    // What a queued transaction would burn if it were signed as the site built it
+    async estimateConfirmation({ uuid }) {
+        const pending = this._getConfirmation(uuid);
 
-        this.isConfirming = true;
+        if(!pending || pending.confirmation.type !== CONFIRMATION_TYPE.TRANSACTION)
+            return Promise.reject('NO_CONFIRMATIONS');
 
         const {
-            confirmation,
-            callback,
-            uuid
-        } = this.confirmations.pop();
+            address,
+            transaction,
+            sideChain
+        } = pending.confirmation;
+
+        return FeeService.estimate(
+            address,
+            transaction,
+            sideChain ? NodeService.sunWeb.sidechain : NodeService.tronWeb
+        );
+    }
+
+    async _signConfirmation(confirmation, overrides) {
+        const {
+            type,
+            input,
+            sideChain,
+            address
+        } = confirmation;
+
+        const account = this.getAccount(address);
+
+        if(type === CONFIRMATION_TYPE.TYPED_DATA)
+            return account.signTypedData(input);
+
+        if(type === CONFIRMATION_TYPE.MESSAGE_V2)
+            return account.signMessageV2(input);
+
+        if(typeof input === 'string')
+            return account.sign(input);
+
+        return account.sign(
+            await this._editTransaction(confirmation, overrides),
+            sideChain ? NodeService.sunWeb.sidechain : NodeService.sunWeb.mainchain
+        );
+    }
+
+    // A different fee limit, permission or allowance changes the transaction id. Only the edited fields are patched
+    // into the dapp's transaction, so whatever else it set (a memo, its expiration) is kept, then the node works out
+    // the new id
+    async _editTransaction({ transaction, input, contractType, sideChain }, { feeLimit, permissionId, allowance } = {}) {
+        const changes = {};
+        const approval = Approval.parse(contractType, input);
+
+        if(feeLimit !== undefined && FEE_LIMIT_CONTRACTS.includes(contractType) && feeLimit !== input.fee_limit) {
+            if(!Number.isInteger(feeLimit) || feeLimit <= 0)
+                return Promise.reject('CONFIRMATIONS.EDIT.INVALID_FEE_LIMIT');
+
+            changes[ EDITABLE_FIELDS.feeLimit ] = feeLimit;
+        }
+
+        if(permissionId !== undefined && permissionId !== (input.Permission_id || 0)) {
+            if(!Number.isInteger(permissionId) || permissionId < 0)
+                return Promise.reject('CONFIRMATIONS.EDIT.INVALID_PERMISSION');
+
+            changes[ EDITABLE_FIELDS.permissionId ] = permissionId;
+        }
+
+        // Allowances can only be lowered, raising one is up to the dapp asking for it
+        if(allowance !== undefined && approval && allowance !== approval.amount) {
+            if(!/^\d+$/.test(allowance) || new TronWeb.BigNumber(allowance).gt(approval.amount))
+                return Promise.reject('CONFIRMATIONS.EDIT.INVALID_ALLOWANCE');
+
+            changes.parameter = Approval.encode(approval.spender, allowance);
+        }
+
+        if(!Object.keys(changes).length)
+            return transaction;
+
+        logger.info('Editing transaction with', changes);
+
+        const copy = JSON.parse(JSON.stringify(transaction));
+        const { raw_data: rawData } = copy;
+        const [ contract ] = rawData.contract;
+
+        if(changes.hasOwnProperty(EDITABLE_FIELDS.feeLimit))
+            rawData[ EDITABLE_FIELDS.feeLimit ] = changes[ EDITABLE_FIELDS.feeLimit ];
+
+        if(changes.hasOwnProperty(EDITABLE_FIELDS.permissionId))
+            contract[ EDITABLE_FIELDS.permissionId ] = changes[ EDITABLE_FIELDS.permissionId ];
+
+        // The call data keeps its 4 byte function selector
+        if(changes.parameter)
+            contract.parameter.value.data = contract.parameter.value.data.substr(0, 8) + changes.parameter;
+
+        const tronWeb = sideChain ? NodeService.sunWeb.sidechain : NodeService.tronWeb;
+
+        try {
+            const edited = await tronWeb.transactionBuilder.newTxID(copy);
+
+            if(!edited || !edited.txID)
+                throw edited;
+
+            return edited;
+        } catch(ex) {
+            logger.error('Failed to edit transaction:', ex);
+            return Promise.reject('CONFIRMATIONS.EDIT.FAILED');
+        }
+    }
+
+    // Kept once signed, whether or not the dapp broadcasts it, so the user can review and revoke it later
+    logAllowance(address, hostname, transaction) {
+        const approval = Approval.fromTransaction(transaction);
+
+        if(!approval)
+            return;
+
+        StorageService.saveAllowance(address, {
+            ...approval,
+            hostname,
+            txID: transaction.txID,
+            timestamp: Date.now()
+        });
+    }
+
+    // Every token and spender the selected account has approved, from the allowance log and its history, with what each token reports now
+    async getAllowances() {
+        const address = this.selectedAccount;
+        const account = this.accounts[ address ];
+        const grants = {};
+
+        const addGrant = ({ token, spender, ...grant }) => {
+            grants[ token ] = {
+                ...grants[ token ],
+                [ spender ]: grant
+            };
+        };
+
+        const calls = [];
+
+        await HistoryService.sync(address);
+
+        // Approvals are contract calls, the indexed history lists them newest first
+        for(let offset = 0; offset !== false;) {
+            const page = await HistoryService.getTransactions(address, {
+                type: 'TriggerSmartContract',
+                offset,
+                limit: HISTORY.PAGE_SIZE
+            });
+
+            calls.push(...page.records);
+            ({ offset } = page);
+        }
+
+        calls.reverse().forEach(({ type, raw, txID, timestamp }) => {
+            const approval = raw && Approval.fromContract({ type, parameter: raw });
+
+            if(approval && TronWeb.address.fromHex(raw.value.owner_address) === address)
+                addGrant({ ...approval, hostname: false, txID, timestamp });
+        });
+
+        // The log knows which site asked for an allowance, so it wins over history
+        StorageService.getAllowances(address).reverse().forEach(addGrant);
+
+        const allowances = await Promise.all(Object.entries(grants).map(async ([ token, spenders ]) => {
+            const {
+                symbol = '',
+                decimals = 0
+            } = account.tokens.smart[ token ] || await NodeService.getSmartToken(token) || {};
+
+            const current = await NodeService.getAllowances(token, address, Object.keys(spenders));
+
+            return Object.entries(spenders).map(([ spender, { hostname, timestamp } ]) => {
+                const amount = current.hasOwnProperty(spender) ? current[ spender ] : false;
+
+                return {
+                    token,
+                    spender,
+                    symbol,
+                    decimals,
+                    hostname,
+                    timestamp,
+                    amount,
+                    isUnlimited: amount !== false && Approval.isUnlimited(amount)
+                };
+            });
+        }));
+
+        return [].concat(...allowances).sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    // Sets each allowance to zero through the account's signer, one at a time so a Ledger can confirm every transaction
+    async revokeAllowances(allowances = []) {
+        await this._assertCanSign();
+
+        const account = this.accounts[ this.selectedAccount ];
+        const results = [];
+
+        for(const { token, spender } of allowances) {
+            try {
+                const parameters = [{ type: 'address', value: spender }, { type: 'uint256', value: 0 }];
+
+                const feeLimit = await FeeService.suggestFeeLimit(account.address, {
+                    contractAddress: token,
+                    functionSelector: Approval.METHODS.APPROVE,
+                    parameters
+                });
+
+                const txID = await account.triggerSmartContract(
+                    TronWeb.address.toHex(token),
+                    Approval.METHODS.APPROVE,
+                    { feeLimit },
+                    parameters
+                );
+
+                StorageService.saveAllowance(account.address, {
+                    token,
+                    spender,
+                    amount: '0',
+                    method: Approval.METHODS.APPROVE,
+                    isUnlimited: false,
+                    hostname: false,
+                    txID,
+                    timestamp: Date.now()
+                });
+
+                results.push({ token, spender, txID });
+            } catch(ex) {
+                logger.error(`Failed to revoke ${ token } allowance for ${ spender }:`, ex);
+                results.push({ token, spender, error: ex.message || ex });
+            }
+        }
+
+        return results;
+    }
+
+    _getConfirmationLabel({ type, contractType }) {
+        if(contractType)
+            return contractType;
+
+        if(type === CONFIRMATION_TYPE.CONNECT)
+            return 'Connect';
+
+        if(type === CONFIRMATION_TYPE.TYPED_DATA)
+            return 'SignTypedData';
+
+        if(type === CONFIRMATION_TYPE.MESSAGE_V2)
+            return 'SignMessageV2';
+
+        return 'SignMessage';
+    }
+
+    rejectConfirmation({ uuid } = {}) {
+        const pending = this._getConfirmation(uuid);
+
+        if(!pending)
+            return Promise.reject('NO_CONFIRMATIONS');
+
+        if(this.isConfirming === uuid)
+            return Promise.reject('ALREADY_CONFIRMING');
+
+        this._declineConfirmation(pending);
+        this._updateConfirmations();
+    }
+
+    // Clears a flood of requests from one site, leaving alone one a device is already signing
+    rejectSiteConfirmations({ hostname } = {}) {
+        const pending = this.confirmations.filter(({ confirmation, uuid }) => (
+            confirmation.hostname === hostname && this.isConfirming !== uuid
+        ));
+
+        logger.info(`Rejecting ${ pending.length } confirmations from ${ hostname }`);
+
+        pending.forEach(confirmation => this._declineConfirmation(confirmation));
+        this._updateConfirmations();
+    }
+
+    _declineConfirmation({ confirmation, callback, uuid }) {
+        this._removeConfirmation(uuid);
 
         ga('send', 'event', {
             eventCategory: 'Transaction',
             eventAction: 'Rejected Transaction',
-            eventLabel: confirmation.contractType || 'SignMessage',
+            eventLabel: this._getConfirmationLabel(confirmation),
             eventValue: confirmation.input.amount || 0,
             referrer: confirmation.hostname,
             userId: Utils.hash(
@@ -573,47 +1100,237 @@ class Wallet extends EventEmitter {
             data: 'Confirmation declined by user',
             uuid
         });
-
-        this.isConfirming = false;
-        if(this.confirmations.length) {
-            this.emit('setConfirmations', this.confirmations);
-        }
-        this._closePopup();
-        this.resetState();
     }
 
     /**
      *
      * @param mnemonic
+     * @param passphrase
      * @param name
      * @returns {Promise.<boolean>} create an account with mnemonic after confirming by generated mnemonic
      */
 
-    async addAccount({ mnemonic, name }) {
+    async addAccount({ mnemonic, passphrase = '', name }) {
         logger.info(`Adding account '${ name }' from popup`);
         if(Object.keys(this.accounts).length === 0) {
             this.setCache();
         }
 
+        const {
+            address
+        } = this._addMnemonicAccount(this._saveSeed(mnemonic, passphrase, name), 0, name);
+
+        this.emit('setAccounts', this.getAccounts());
+        this.selectAccount(address);
+        return true;
+    }
+
+    // Reuses the seed already holding this mnemonic so accounts derived from it stay grouped together.
+    // A different passphrase derives an unrelated wallet, so it gets a seed of its own
+    _saveSeed(mnemonic, passphrase = '', name) {
+        const existing = Object.keys(StorageService.seeds).find(seedId => (
+            StorageService.seeds[ seedId ].mnemonic === mnemonic &&
+            (StorageService.seeds[ seedId ].passphrase || '') === passphrase
+        ));
+
+        if(existing)
+            return existing;
+
+        const seedId = randomUUID();
+
+        StorageService.saveSeed(seedId, {
+            mnemonic,
+            passphrase,
+            name
+        });
+
+        return seedId;
+    }
+
+    _pruneSeeds() {
+        Object.keys(StorageService.seeds)
+            .filter(seedId => !Object.values(this.accounts).some(account => account.seedId === seedId))
+            .forEach(seedId => StorageService.deleteSeed(seedId));
+    }
+
+    _addMnemonicAccount(seedId, accountIndex, name) {
+        const { mnemonic, passphrase } = StorageService.getSeed(seedId);
         const account = new Account(
             ACCOUNT_TYPE.MNEMONIC,
-            mnemonic
+            mnemonic,
+            accountIndex,
+            passphrase
         );
 
-        const {
-            address
-        } = account;
-
+        account.seedId = seedId;
         account.name = name;
 
-        this.accounts[ address ] = account;
+        this.accounts[ account.address ] = account;
         StorageService.saveAccount(account);
 
+        return account;
+    }
+
+    /**
+     *
+     * @param seedId
+     * @returns {Promise.<string>} derive the account after the highest index already used by this seed
+     */
+
+    async deriveAccount(seedId) {
+        const seed = StorageService.getSeed(seedId);
+
+        if(!seed)
+            return Promise.reject('ERRORS.SEED_NOT_FOUND');
+
+        const indices = Object.values(this.accounts)
+            .filter(account => account.seedId === seedId)
+            .map(({ accountIndex }) => accountIndex);
+
+        let accountIndex = Math.max(-1, ...indices) + 1;
+
+        // Skip indices whose key was already imported on its own, e.g. as a private key
+        while(Utils.getAccountAtIndex(seed.mnemonic, accountIndex, seed.passphrase).address in this.accounts)
+            accountIndex++;
+
+        logger.info(`Deriving account ${ accountIndex } from seed ${ seedId }`);
+
+        const {
+            address
+        } = this._addMnemonicAccount(seedId, accountIndex, `${ seed.name } #${ accountIndex + 1 }`);
+
         this.emit('setAccounts', this.getAccounts());
         this.selectAccount(address);
+        return address;
+    }
+
+    // Balance and usage of a derived address on the selected chain, as listed by the import screens
+    async _describeDerivedAccount(index, address) {
+        const chain = NodeService._selectedChain === '_' ? 'mainchain' : 'sidechain';
+        const { [ chain ]: account } = await this.getAccountInfo(address);
+
+        return {
+            index,
+            path: Utils.getDerivationPath(index),
+            address,
+            balance: account.balance || 0,
+            isUsed: !!account.address,
+            isImported: address in this.accounts
+        };
+    }
+
+    /**
+     *
+     * @param mnemonic
+     * @param passphrase
+     * @returns {Promise.<Array>} scan derivation indices until HD_WALLET.GAP_LIMIT unused addresses in a row are found
+     */
+
+    async discoverAccounts({ mnemonic, passphrase = '' }) {
+        if(!Utils.validateMnemonic(mnemonic))
+            return Promise.reject('EXCEPTION.FORMAT_ERROR_MNEMONIC');
+
+        const results = [];
+        let lastUsed = -1;
+
+        const checkIndex = index => this._describeDerivedAccount(
+            index,
+            Utils.getAccountAtIndex(mnemonic, index, passphrase).address
+        );
+
+        for(let start = 0; start - lastUsed <= HD_WALLET.GAP_LIMIT; start += HD_WALLET.GAP_LIMIT) {
+            const batch = await Promise.all(
+                [ ...Array(HD_WALLET.GAP_LIMIT).keys() ].map(offset => checkIndex(start + offset))
+            );
+
+            batch.forEach(result => {
+                results.push(result);
+
+                if(result.isUsed)
+                    lastUsed = result.index;
+            });
+        }
+
+        logger.info(`Discovered ${ lastUsed + 1 } used accounts after scanning ${ results.length } indices`);
+
+        // Every used account plus the first unused one, so a fresh mnemonic can still be imported
+        return results.filter(({ index, isUsed }) => isUsed || index === lastUsed + 1);
+    }
+
+    async importMnemonicAccounts({ mnemonic, passphrase = '', accountIndices, name }) {
+        logger.info(`Importing ${ accountIndices.length } accounts '${ name }' from mnemonic`);
+
+        if(!Utils.validateMnemonic(mnemonic))
+            return Promise.reject('EXCEPTION.FORMAT_ERROR_MNEMONIC');
+
+        if(Object.keys(this.accounts).length === 0)
+            this.setCache();
+
+        const seedId = this._saveSeed(mnemonic, passphrase, name);
+        const isSingle = accountIndices.length === 1;
+
+        const addresses = accountIndices
+            .filter(accountIndex => !(Utils.getAccountAtIndex(mnemonic, accountIndex, passphrase).address in this.accounts))
+            .map(accountIndex => this._addMnemonicAccount(
+                seedId,
+                accountIndex,
+                isSingle ? name : `${ name } #${ accountIndex + 1 }`
+            ).address);
+
+        this.emit('setAccounts', this.getAccounts());
+
+        if(addresses.length)
+            this.selectAccount(addresses[ 0 ]);
+
         return true;
     }
 
+    /**
+     *
+     * @param start
+     * @param count
+     * @returns {Promise.<Array>} one page of addresses held by the connected Ledger, starting at derivation index `start`
+     */
+
+    async discoverLedgerAccounts({ start = 0, count = LEDGER_BRIDGE.PAGE_SIZE }) {
+        const addresses = [];
+
+        // The device answers one request at a time, balances can be fetched together afterwards
+        for(let index = start; index < start + count; index++)
+            addresses.push(await LedgerBridge.getAddress({ index }));
+
+        return Promise.all(
+            addresses.map((address, offset) => this._describeDerivedAccount(start + offset, address))
+        );
+    }
+
+    async importLedgerAccounts({ accounts, name }) {
+        logger.info(`Importing ${ accounts.length } Ledger accounts '${ name }'`);
+
+        if(Object.keys(this.accounts).length === 0)
+            this.setCache();
+
+        const isSingle = accounts.length === 1;
+
+        const addresses = accounts
+            .filter(({ address }) => !(address in this.accounts))
+            .map(({ address, index }) => {
+                const account = new Account(ACCOUNT_TYPE.LEDGER, address, index);
+
+                account.name = isSingle ? name : `${ name } #${ index + 1 }`;
+                this.accounts[ account.address ] = account;
+                StorageService.saveAccount(account);
+
+                return account.address;
+            });
+
+        this.emit('setAccounts', this.getAccounts());
+
+        if(addresses.length)
+            this.selectAccount(addresses[ 0 ]);
+
+        return true;
+    }
 
     // This and the above func should be merged into one
     /**
@@ -624,10 +1341,14 @@ class Wallet extends EventEmitter {
      */
 
     async importAccount({ privateKey, name }) {
+        // An address holds no key, it can only be watched
+        if(privateKey.match(/^T/) && TronWeb.isAddress(privateKey))
+            return this.importWatchOnlyAccount({ address: privateKey, name });
+
         logger.info(`Importing account '${ name }' from popup`);
 
         const account = new Account(
-            privateKey.match(/^T/) && TronWeb.isAddress(privateKey) ? ACCOUNT_TYPE.LEDGER : ACCOUNT_TYPE.PRIVATE_KEY,
+            ACCOUNT_TYPE.PRIVATE_KEY,
             privateKey
         );
 
@@ -647,6 +1368,38 @@ class Wallet extends EventEmitter {
         return true;
     }
 
+    /**
+     *
+     * @param address
+     * @param name
+     * @returns {Promise.<boolean>} track an address without holding any key for it
+     */
+
+    async importWatchOnlyAccount({ address, name }) {
+        logger.info(`Importing watch-only account '${ name }' from popup`);
+
+        if(!TronWeb.isAddress(address))
+            return Promise.reject('EXCEPTION.FORMAT_ERROR');
+
+        const account = new Account(
+            ACCOUNT_TYPE.WATCH_ONLY,
+            address
+        );
+
+        if(account.address in this.accounts)
+            return Promise.reject('EXCEPTION.ACCOUNT_EXIST');
+
+        account.name = name;
+        if(Object.keys(this.accounts).length === 0)
+            this.setCache();
+        this.accounts[ account.address ] = account;
+        StorageService.saveAccount(account);
+
+        this.emit('setAccounts', this.getAccounts());
+        this.selectAccount(account.address);
+        return true;
+    }
+
     async setCache(isResetPhishingList = true ){
         const selectedChain = NodeService._selectedChain;
         const dapps   = axios.get('https://dappradar.com/api/xchain/dapps/theRest');
@@ -733,11 +1486,8 @@ class Wallet extends EventEmitter {
         id  ? this.selectNode(id) : null;
     }
 
-    getAccounts(sideChain = false) {
+    getAccounts() {
         const accounts = Object.entries(this.accounts).reduce((accounts, [ address, account ]) => {
-            if(sideChain && account.type === ACCOUNT_TYPE.LEDGER)
-                return;
-
             accounts[ address ] = {
                 name: account.name,
                 balance: account.balance + account.frozenBalance,
@@ -748,8 +1498,11 @@ class Wallet extends EventEmitter {
                 netUsed: account.netUsed,
                 netLimit: account.netLimit,
                 tokenCount: Object.keys(account.tokens.basic).length + Object.keys(account.tokens.smart).length,
+                tokens: account.tokens,
                 asset: account.asset,
                 type: account.type,
+                seedId: account.seedId,
+                accountIndex: account.accountIndex,
                 frozenBalance: account.frozenBalance
             };
 
@@ -800,7 +1553,8 @@ class Wallet extends EventEmitter {
                 transactions: {
                     cached: [],
                     uncached: 0
-                }
+                },
+                pendingTransactions: []
             };
         }
 
@@ -821,6 +1575,9 @@ class Wallet extends EventEmitter {
     deleteAccount() {
         delete this.accounts[ this.selectedAccount ];
         StorageService.deleteAccount(this.selectedAccount);
+        HistoryService.forget(this.selectedAccount);
+        this._pruneSeeds();
+        this._unbindAccount(this.selectedAccount);
 
         this.emit('setAccounts', this.getAccounts());
 
@@ -849,42 +1606,88 @@ class Wallet extends EventEmitter {
         return this.confirmations;
     }
 
-    async sendTrx({ recipient, amount }) {
+    // Rejects up front for accounts that have nothing to sign with, rather than failing halfway through a send
+    async _assertCanSign() {
+        if(!this.accounts[ this.selectedAccount ].signer)
+            return Promise.reject('ERRORS.WATCH_ONLY_ACCOUNT');
+    }
+
+    // The advanced options a send can carry, with defaults filled in. Fee limits and expirations are
+    // in sun and milliseconds, false leaves them to the wallet and the node
+    async _validateSendOptions({ memo = '', feeLimit = false, expiration = false, permissionId = 0 } = {}) {
+        // fromUtf8 prefixes the bytes with 0x
+        if(typeof memo !== 'string' || (TronWeb.fromUtf8(memo).length / 2) - 1 > SEND_OPTIONS.MAX_MEMO_SIZE)
+            return Promise.reject('EXCEPTION.SEND.OPTIONS.INVALID_MEMO');
+
+        if(feeLimit !== false && (!Number.isInteger(feeLimit) || feeLimit <= 0 || feeLimit > FEE_ESTIMATE.MAX_FEE_LIMIT))
+            return Promise.reject('EXCEPTION.SEND.OPTIONS.INVALID_FEE_LIMIT');
+
+        if(expiration !== false && (!Number.isInteger(expiration) || expiration < SEND_OPTIONS.MIN_EXPIRATION || expiration > SEND_OPTIONS.MAX_EXPIRATION))
+            return Promise.reject('EXCEPTION.SEND.OPTIONS.INVALID_EXPIRATION');
+
+        if(!Number.isInteger(permissionId) || permissionId < 0)
+            return Promise.reject('EXCEPTION.SEND.OPTIONS.INVALID_PERMISSION');
+
+        return {
+            memo,
+            feeLimit,
+            expiration,
+            permissionId
+        };
+    }
+
+    async sendTrx({ recipient, amount, options }) {
+        await this._assertCanSign();
+
         return await this.accounts[ this.selectedAccount ].sendTrx(
             recipient,
-            amount
+            amount,
+            await this._validateSendOptions(options)
         );
     }
 
-    async sendBasicToken({ recipient, amount, token }) {
+    async sendBasicToken({ recipient, amount, token, options }) {
+        await this._assertCanSign();
+
         return await this.accounts[ this.selectedAccount ].sendBasicToken(
             recipient,
             amount,
-            token
+            token,
+            await this._validateSendOptions(options)
         );
     }
 
-    async sendSmartToken({ recipient, amount, token }) {
+    async sendSmartToken({ recipient, amount, token, options }) {
+        await this._assertCanSign();
+
         return await this.accounts[ this.selectedAccount ].sendSmartToken(
             recipient,
             amount,
-            token
+            token,
+            await this._validateSendOptions(options)
+        );
+    }
+
+    async estimateSend({ recipient, amount, token, options }) {
+        return await this.accounts[ this.selectedAccount ].estimateSend(
+            recipient,
+            amount,
+            token,
+            await this._validateSendOptions(options)
         );
     }
 
     async rentEnergy({ _freezeAmount, _payAmount, _days, _energyAddress }) {
-        const {
-            privateKey
-        } = this.accounts[ this.selectedAccount ];
+        await this._assertCanSign();
+
+        const account = this.accounts[ this.selectedAccount ];
         try {
             const bankContractAddress = this.bankContractAddress;
-            const contractInstance = await NodeService.tronWeb.contract().at(bankContractAddress);
-            const result = await contractInstance.entrustOrder(_freezeAmount, _days, _energyAddress).send(
-                {
-                    callValue: _payAmount,
-                    shouldPollResponse: false
-                },
-                privateKey
+            const result = await account.sendContractMethod(
+                bankContractAddress,
+                'entrustOrder',
+                [ _freezeAmount, _days, _energyAddress ],
+                { callValue: _payAmount }
             );
             return result;
         } catch(ex) {
@@ -977,126 +1780,212 @@ class Wallet extends EventEmitter {
     exportAccount() {
         const {
             mnemonic,
+            passphrase,
             privateKey
         } = this.accounts[ this.selectedAccount ];
 
         return {
             mnemonic: mnemonic || false,
+            passphrase: passphrase || false,
             privateKey
         };
     }
 
-    async getTransactionsByTokenId({ tokenId, fingerprint = '', direction = "all" ,limit = 30 }) {
-        const selectedChain = NodeService._selectedChain;
-        const { fullNode } = NodeService.getCurrentNode();
-        const address = this.selectedAccount;
-        let params = {limit};
-        let requestUrl = selectedChain === '_' ? 'https://apilist.tronscan.org' : 'https://dappchainapi.tronscan.org';
-        // if(selectedChain === '_') {
-        //     params.fingerprint = fingerprint;
-        //     if (!tokenId.match(/^T/)) {
-        //         requestUrl = `${fullNode}/v1/accounts/${address}/transactions`;
-        //         if (direction === 'to') {
-        //             params.only_to = true;
-        //         } else if (direction === 'from') {
-        //             params.only_from = true;
-        //         }
-        //         params.token_id = tokenId === '_' ? 'trx' : tokenId;
-        //         const {data: {data: records, meta: {fingerprint: finger}}} = await axios.get(requestUrl, {
-        //             params,
-        //             timeout: 5000
-        //         }).catch(err => ({data: {data: [], meta: {fingerprint: ''}}}));
-        //         let lists = records.map(record => {
-        //             let fromAddress = '';
-        //             let toAddress = '';
-        //             let amount = 0;
-        //             let timestamp = 0;
-        //             let hash = '';
-        //             if (record['internal_tx_id']) {
-        //                 fromAddress = TronWeb.address.fromHex(record['from_address']);
-        //                 toAddress = TronWeb.address.fromHex(record['to_address']);
-        //                 amount = record['data']['call_value'][tokenId];
-        //                 timestamp = record['block_timestamp'];
-        //                 hash = record['tx_id'];
-        //             } else {
-        //                 const value = record['raw_data']['contract'][0]['parameter']['value'];
-        //                 fromAddress = TronWeb.address.fromHex(value['owner_address']);
-        //                 toAddress = TronWeb.address.fromHex(value['to_address']);
-        //                 amount = value['amount'];
-        //                 timestamp = record['raw_data']['timestamp'];
-        //                 hash = record['txID']
-        //             }
-        //             return {fromAddress, toAddress, amount, timestamp, hash};
-        //         });
-        //         return {records: lists, finger};
-        //     } else {
-        //         params['event_name'] = 'Transfer';
-        //         if (direction === 'to') {
-        //             params.filters = `{"to":"${TronWeb.address.toHex(address).replace(/41/, '0x')}"}`;
-        //         } else if (direction === 'from') {
-        //             params.filters = `{"from":"${TronWeb.address.toHex(address).replace(/41/, '0x')}"}`;
-        //         }
-        //         requestUrl = `${fullNode}/v1/contracts/${tokenId}/events`;
-        //         const {data: {data: records, meta: {fingerprint: finger}}} = await axios.get(requestUrl, {
-        //             params,
-        //             timeout: 5000
-        //         }).catch(r => ({data: {data: [], meta: {fingerprint: ''}}}));
-        //         let lists = records.map(record => {
-        //             const fromAddress = TronWeb.address.fromHex(record['result']['from'].replace(/^0x/, '41'));
-        //             const toAddress = TronWeb.address.fromHex(record['result']['to'].replace(/^0x/, '41'));
-        //             const amount = record['result']['value'];
-        //             const timestamp = record['block_timestamp'];
-        //             const hash = record['transaction_id'];
-        //             return {fromAddress, toAddress, amount, timestamp, hash};
-        //         });
-        //         return {records: lists, finger};
-        //     }
-        // } else {
-            let newRecord = [];
-            const finger = fingerprint || 0;
-            params.start = limit * finger;
-            if(!tokenId.match(/^T/)) {
-                if(tokenId === '_') {
-                    requestUrl += '/api/simple-transaction';
-                } else {
-                    requestUrl += '/api/simple-transfer';
-                    params.token_id = tokenId;
-                }
-                if(direction === 'all') {
-                    params = {...params, address};
-                } else if(direction === 'to') {
-                    params = { ...params, from: address };
-                } else {
-                    params = { ...params, to: address };
-                }
-                const { data: { data: records } } = await axios.get(requestUrl, { params }).catch(err => ({ data: { data: [], total: 0 }}));
+    exportKeystore({ password, format }) {
+        const {
+            address,
+            privateKey
+        } = this.accounts[ this.selectedAccount ];
 
-                newRecord = records.filter(({contractType,contractData})=>![2,5,11,12,30,31].includes(contractType) || (contractType === 31 && contractData.hasOwnProperty('call_value')) ).map(({hash, transactionHash = '', timestamp, contractData = {},toAddress,ownerAddress,transferFromAddress = '',transferToAddress= '' ,amount})=>{
-                    return {hash : hash || transactionHash,timestamp,toAddress : toAddress || transferToAddress || ownerAddress,fromAddress:ownerAddress || transferFromAddress,amount:contractData['call_value'] || contractData.amount || amount || 0};
-                });
+        if(!privateKey)
+            return Promise.reject('ERRORS.NO_PRIVATE_KEY');
 
-                return { records: newRecord, finger };
-            } else {
-                params.address = address;
-                params.contract = tokenId;
-                const { data: { data: transactions } } = await axios.get(`${requestUrl}/api/contract/events`, {
-                    params
-                }).catch(err => {
-                    return { data: { data: [] } };
-                });
-                const transactions2 = transactions.map(({transactionHash,transferFromAddress,transferToAddress,amount,timestamp})=>{
-                    return {fromAddress:transferFromAddress,toAddress:transferToAddress,hash:transactionHash,timestamp,amount};
+        logger.info(`Exporting ${ format } keystore for ${ address }`);
+
+        return {
+            fileName: `${ address }.${ format === KEYSTORE.FORMAT.WEB3 ? 'json' : 'txt' }`,
+            contents: Utils.createKeystore(privateKey, password, format)
+        };
+    }
+
+    exportBackup(passphrase) {
+        const {
+            error = false,
+            backup
+        } = BackupService.create(passphrase);
+
+        if(error)
+            return Promise.reject(error);
+
+        return backup;
+    }
+
+    previewBackup({ backup, passphrase }) {
+        const {
+            error = false,
+            createdAt,
+            payload
+        } = BackupService.open(backup, passphrase);
+
+        if(error)
+            return Promise.reject(error);
+
+        return {
+            createdAt,
+            ...BackupService.diff(payload)
+        };
+    }
+
+    async restoreBackup({ backup, passphrase, replace = false }) {
+        if(!StorageService.ready)
+            return Promise.reject('ERRORS.NOT_UNLOCKED');
+
+        const {
+            error = false,
+            payload
+        } = BackupService.open(backup, passphrase);
+
+        if(error)
+            return Promise.reject(error);
+
+        const restored = {};
+
+        // Rebuild every account before touching storage so a bad record can't leave a partial restore behind
+        try {
+            Object.values(payload.accounts).forEach(({ type, mnemonic, passphrase, privateKey, address, accountIndex, name, tokens }) => {
+                const account = new Account(
+                    type,
+                    mnemonic || privateKey || address,
+                    accountIndex,
+                    passphrase
+                );
+
+                account.name = name;
+
+                if(tokens)
+                    account.tokens = tokens;
+
+                restored[ account.address ] = account;
+            });
+        } catch(ex) {
+            logger.error('Failed to rebuild accounts from backup:', ex);
+            return Promise.reject('ERRORS.INVALID_BACKUP');
+        }
+
+        logger.info(`Restoring ${ Object.keys(restored).length } accounts from backup (${ replace ? 'replace' : 'merge' })`);
+
+        if(replace) {
+            Object.keys(this.accounts)
+                .filter(address => !(address in restored))
+                .forEach(address => {
+                    delete this.accounts[ address ];
+                    StorageService.deleteAccount(address);
+                    HistoryService.forget(address);
                 });
-                if(direction === 'all') {
-                    return { records: transactions2, finger};
-                }else if(direction === 'to') {
-                    return { records: transactions2.filter(({ fromAddress }) => fromAddress === address),finger };
-                }else {
-                    return { records: transactions2.filter(({ toAddress })=> toAddress === address),finger };
-                }
+        }
+
+        Object.entries(restored).forEach(([ address, account ]) => {
+            const existing = this.accounts[ address ];
+
+            if(existing && !replace) {
+                existing.tokens.basic = { ...account.tokens.basic, ...existing.tokens.basic };
+                existing.tokens.smart = { ...account.tokens.smart, ...existing.tokens.smart };
+
+                return existing.save();
             }
 
-        //}
+            if(account.mnemonic)
+                account.seedId = this._saveSeed(account.mnemonic, account.passphrase, account.name);
+
+            this.accounts[ address ] = account;
+            account.save();
+        });
+
+        this._pruneSeeds();
+        NodeService.restore(payload.nodes, payload.chains, replace);
+
+        if(replace) {
+            const {
+                autoLock,
+                language,
+                currency
+            } = payload.settings;
+
+            this.setAuthorizeDapps(payload.authorizeDapps || {});
+            this.setSetting({
+                ...StorageService.setting,
+                lock: {
+                    lockTime: Date.now(),
+                    duration: autoLock || 0
+                }
+            });
+
+            if(language)
+                this.setLanguage(language);
+
+            if(currency)
+                this.selectCurrency(currency);
+        } else this.setAuthorizeDapps({ ...payload.authorizeDapps, ...StorageService.authorizeDapps });
+
+        const selectedAccount = [
+            replace && payload.selectedAccount,
+            this.selectedAccount,
+            Object.keys(this.accounts)[ 0 ]
+        ].find(address => address && address in this.accounts);
+
+        const node = NodeService.getCurrentNode();
+
+        this.emit('setNode', {
+            fullNode: node.fullNode,
+            solidityNode: node.solidityNode,
+            eventServer: node.eventServer
+        });
+        this.emit('setChain', NodeService.getChains());
+        this.emit('setAccounts', this.getAccounts());
+        this.selectAccount(selectedAccount || false);
+
+        return true;
+    }
+
+    // A page of the selected account's history for one token, as the transaction list shows it
+    async getTransactionsByTokenId({ tokenId, fingerprint = 0, direction = false, limit = 30 }) {
+        const address = this.selectedAccount;
+
+        await HistoryService.sync(address);
+
+        const { records, offset } = await HistoryService.getTransactions(address, {
+            tokenId,
+            direction,
+            offset: fingerprint || 0,
+            limit
+        });
+
+        return {
+            records: records.map(record => this._describeTransaction(record, tokenId)),
+            finger: offset
+        };
+    }
+
+    // Flattens an indexed transaction to the movement of the token being looked at
+    _describeTransaction(record, tokenId) {
+        const {
+            from = record.sender,
+            to = record.recipient || record.sender,
+            amount = 0
+        } = record.tokens.find(({ tokenID }) => tokenID === tokenId) || {};
+
+        return {
+            hash: record.txID,
+            timestamp: record.timestamp,
+            type: record.type,
+            direction: record.direction,
+            fromAddress: from,
+            toAddress: to,
+            amount,
+            block: record.block || false,
+            fee: record.fee,
+            result: record.result
+        };
     }
 
     async getNews() {
@@ -1178,21 +2067,16 @@ class Wallet extends EventEmitter {
         return StorageService.hasOwnProperty('allTokens') ? (selectedChain === '_' ? StorageService.allTokens.mainchain : StorageService.allTokens.sidechain) : {};
     }
 
-    async setTransactionDetail(hash) {
-        const selectedChain = NodeService._selectedChain;
-        const requestUrl = selectedChain === '_'?'https://apilist.tronscan.org':'https://dappchainapi.tronscan.org';
-        //const reauestUrl = 'https://apilist.tronscan.org';
-        const res = await axios.get(`${requestUrl}/api/transaction-info`, { params: { hash } }).catch(e=>false);
-        if(res) {
-            let { confirmed, ownerAddress, toAddress, hash, block,timestamp = 0 ,cost, tokenTransferInfo = false, trigger_info, contractType, contractData } = res.data;
-            if( contractType === 31 && tokenTransferInfo ) {
-                ownerAddress = tokenTransferInfo.from_address;
-                toAddress = tokenTransferInfo.to_address;
-            }
-            this.accounts[ this.selectedAccount ].transactionDetail = { confirmed, timestamp, ownerAddress, toAddress, hash, block, cost, tokenTransferInfo, trigger_info, contractType, contractData };
-            this.emit('setAccount', this.selectedAccount);
-        }
-        return res;
+    async setTransactionDetail({ hash, tokenId }) {
+        const record = await HistoryService.getTransaction(this.selectedAccount, hash);
+
+        if(!record)
+            return false;
+
+        this.accounts[ this.selectedAccount ].transactionDetail = this._describeTransaction(record, tokenId);
+        this.emit('setAccount', this.selectedAccount);
+
+        return true;
     }
 
     getAuthorizeDapps(){
@@ -1204,6 +2088,101 @@ class Wallet extends EventEmitter {
         this.emit('setAuthorizeDapps',authorizeDapps);
     }
 
+    getConnectedSites() {
+        return StorageService.connectedSites;
+    }
+
+    isSiteConnected(hostname) {
+        return StorageService.connectedSites.hasOwnProperty(hostname);
+    }
+
+    // Accounts the user bound to a site that are still in the wallet (none while it is locked)
+    getSiteAccounts(hostname) {
+        if(!this.isSiteConnected(hostname))
+            return [];
+
+        return StorageService.connectedSites[ hostname ].accounts.filter(address => address in this.accounts);
+    }
+
+    // What a site is told: the bound account it currently uses, followed by the others it may use
+    getSiteAccount(hostname) {
+        const accounts = this.getSiteAccounts(hostname);
+
+        const isConnected = this.isSiteConnected(hostname);
+
+        if(!accounts.length)
+            return { address: false, name: false, type: false, accounts: [], isConnected };
+
+        const { selected } = StorageService.connectedSites[ hostname ];
+        const address = accounts.includes(selected) ? selected : accounts[ 0 ];
+        const { name, type } = this.accounts[ address ];
+
+        return {
+            address,
+            name,
+            type,
+            accounts: [ address, ...accounts.filter(bound => bound !== address) ],
+            isConnected
+        };
+    }
+
+    _setConnectedSites(connectedSites) {
+        StorageService.setConnectedSites(connectedSites);
+        this.emit('setConnectedSites', connectedSites);
+    }
+
+    connectSite(hostname, accounts) {
+        logger.info(`Connecting site ${ hostname } to ${ accounts.length } accounts`);
+
+        this._setConnectedSites({
+            ...StorageService.connectedSites,
+            [ hostname ]: {
+                hostname,
+                accounts,
+                selected: accounts[ 0 ],
+                connectTime: Date.now()
+            }
+        });
+    }
+
+    disconnectSite(hostname) {
+        if(!this.isSiteConnected(hostname))
+            return;
+
+        logger.info(`Disconnecting site ${ hostname }`);
+
+        const { [ hostname ]: removed, ...connectedSites } = StorageService.connectedSites;
+
+        this._setConnectedSites(connectedSites);
+    }
+
+    selectSiteAccount({ hostname, address }) {
+        if(!this.getSiteAccounts(hostname).includes(address))
+            return;
+
+        this._setConnectedSites({
+            ...StorageService.connectedSites,
+            [ hostname ]: {
+                ...StorageService.connectedSites[ hostname ],
+                selected: address
+            }
+        });
+    }
+
+    // A deleted account is unbound everywhere, so re-importing it doesn't silently reconnect sites
+    _unbindAccount(address) {
+        const connectedSites = Object.values(StorageService.connectedSites).reduce((sites, site) => {
+            const accounts = site.accounts.filter(bound => bound !== address);
+
+            if(accounts.length)
+                sites[ site.hostname ] = { ...site, accounts };
+
+            return sites;
+        }, {});
+
+        this._setConnectedSites(connectedSites);
+    }
+
     setLedgerImportAddress(address){
         this.ledgerImportAddress = address;
         this.emit('setLedgerImportAddress',address);
@@ -1222,58 +2201,49 @@ class Wallet extends EventEmitter {
         return StorageService.hasOwnProperty('vTokenList') ? StorageService.vTokenList : [];
     }
 
-    setPushMessage({iconUrl='packages/popup/static/icon.png', title, message, hash}){
-        const timer = setInterval(async()=>{
-            this.times++;
-            if(this.times === 16){
-                clearInterval(timer);
-                this.times = 0;
-                return;
-            }
-            const transaction = await NodeService.tronWeb.trx.getConfirmedTransaction(hash);
-            if(transaction && transaction.txID === hash){
-                clearInterval(timer);
-                extensionizer.notifications.getPermissionLevel((level)=>{
-                    if(level === 'granted'){
-                        extensionizer.notifications.create(
-                            hash,
-                            {type: "basic", iconUrl, title, message, isClickable: true},
-                            notifyId=>{}
-                        );
-                        extensionizer.notifications.onClicked.addListener(notifyId=>{
-                            window.open('https://tronscan.org/#/transaction/'+notifyId)
-                        });
-                    } else {}
-                })
-            }
-        },10000);
+    // Shown when the transaction is confirmed, it has to be one this wallet broadcast
+    setPushMessage({ iconUrl = 'packages/popup/static/icon.png', title, message, hash }) {
+        const notification = { iconUrl, title, message };
+        const transaction = StorageService.updatePendingTransaction(this.selectedAccount, hash, { notification });
+
+        if(!transaction)
+            return logger.warn(`Not notifying about ${ hash }, it isn't pending`);
+
+        if(transaction.status === PENDING_STATUS.CONFIRMED)
+            this._notify(hash, notification);
     }
 
-    async depositTrx(amount){
-        return await this.accounts[ this.selectedAccount ].depositTrx(amount);
+    async depositTrx({ amount, options }) {
+        await this._assertCanSign();
+        return await this.accounts[ this.selectedAccount ].depositTrx(amount, await this._validateSendOptions(options));
     }
 
-    async withdrawTrx(amount){
-        return await this.accounts[ this.selectedAccount ].withdrawTrx(amount);
+    async withdrawTrx({ amount, options }) {
+        await this._assertCanSign();
+        return await this.accounts[ this.selectedAccount ].withdrawTrx(amount, await this._validateSendOptions(options));
 
     }
 
-    async depositTrc10({id,amount}){
-        return await this.accounts[ this.selectedAccount ].depositTrc10(id,amount);
+    async depositTrc10({ id, amount, options }) {
+        await this._assertCanSign();
+        return await this.accounts[ this.selectedAccount ].depositTrc10(id, amount, await this._validateSendOptions(options));
     }
 
-    async withdrawTrc10({id,amount}){
-        return await this.accounts[ this.selectedAccount ].withdrawTrc10(id,amount);
+    async withdrawTrc10({ id, amount, options }) {
+        await this._assertCanSign();
+        return await this.accounts[ this.selectedAccount ].withdrawTrc10(id, amount, await this._validateSendOptions(options));
 
     }
 
-    async depositTrc20({contract_address,amount}){
-        return await this.accounts[ this.selectedAccount ].depositTrc20(contract_address,amount);
+    async depositTrc20({ contract_address, amount, options }) {
+        await this._assertCanSign();
+        return await this.accounts[ this.selectedAccount ].depositTrc20(contract_address, amount, await this._validateSendOptions(options));
 
     }
 
-    async withdrawTrc20({contract_address,amount}){
-        return await this.accounts[ this.selectedAccount ].withdrawTrc20(contract_address,amount);
+    async withdrawTrc20({ contract_address, amount, options }) {
+        await this._assertCanSign();
+        return await this.accounts[ this.selectedAccount ].withdrawTrc20(contract_address, amount, await this._validateSendOptions(options));
 
     }
 }
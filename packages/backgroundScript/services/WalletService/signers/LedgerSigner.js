@@ -0,0 +1,74 @@
+import LedgerBridge from '@tronlink/lib/LedgerBridge';
+import TypedData from '@tronlink/lib/typedData';
+import NodeService from '../../NodeService';
+
+// Hands the payload to the device through the bridge, which only ever returns the signature
+class LedgerSigner {
+    constructor(address, accountIndex = 0) {
+        this.address = address;
+        this.accountIndex = accountIndex;
+        this.isHardware = true;
+    }
+
+    // Sidechain signatures cover the txID plus the chain id, which the Ledger app can't produce. The
+    // popup doesn't offer side chain sends or withdrawals to Ledger accounts, dapps get this error
+    _isSidechain(tronWeb) {
+        return !!NodeService.sunWeb && tronWeb === NodeService.sunWeb.sidechain;
+    }
+
+    async signTransaction(transaction, tronWeb) {
+        if(this._isSidechain(tronWeb))
+            return Promise.reject('ERRORS.LEDGER_SIDECHAIN');
+
+        const signature = await LedgerBridge.signTransaction({
+            transaction,
+            address: this.address,
+            index: this.accountIndex
+        });
+
+        return {
+            ...transaction,
+            signature: [
+                ...(transaction.signature || []),
+                signature.replace(/^0x/, '')
+            ]
+        };
+    }
+
+    async signMessage(message, tronWeb) {
+        if(this._isSidechain(tronWeb))
+            return Promise.reject('ERRORS.LEDGER_SIDECHAIN');
+
+        const signature = await LedgerBridge.signMessage({
+            message,
+            address: this.address,
+            index: this.accountIndex
+        });
+
+        return `0x${ signature.replace(/^0x/, '') }`;
+    }
+
+    async signMessageV2(message) {
+        const signature = await LedgerBridge.signMessageV2({
+            message,
+            address: this.address,
+            index: this.accountIndex
+        });
+
+        return `0x${ signature.replace(/^0x/, '') }`;
+    }
+
+    // Typed data is bound to its own chain id through the domain, so it is signed the same on either chain
+    async signTypedData(typedData) {
+        const signature = await LedgerBridge.signTypedData({
+            domainHash: TypedData.hashDomain(typedData),
+            messageHash: TypedData.hashMessage(typedData),
+            address: this.address,
+            index: this.accountIndex
+        });
+
+        return `0x${ signature.replace(/^0x/, '') }`;
+    }
+}
+
+export default LedgerSigner;
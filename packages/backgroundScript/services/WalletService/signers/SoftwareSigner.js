@@ -0,0 +1,29 @@
+import TypedData from '@tronlink/lib/typedData';
+import SignedMessage from '@tronlink/lib/signedMessage';
+
+// Signs with a key held by the extension. The sidechain instance's trx.sign already adds the chain id
+class SoftwareSigner {
+    constructor(privateKey) {
+        this.privateKey = privateKey;
+        this.isHardware = false;
+    }
+
+    signTransaction(transaction, tronWeb) {
+        return tronWeb.trx.sign(transaction, this.privateKey);
+    }
+
+    signMessage(message, tronWeb) {
+        return tronWeb.trx.sign(message, this.privateKey);
+    }
+
+    // Takes the message bytes as hex
+    async signMessageV2(message) {
+        return SignedMessage.sign(SignedMessage.fromHex(message), this.privateKey);
+    }
+
+    async signTypedData(typedData) {
+        return TypedData.sign(typedData, this.privateKey);
+    }
+}
+
+export default SoftwareSigner;
@@ -0,0 +1,401 @@
+import assert from 'assert';
+import TronWeb from 'tronweb';
+import HistoryService from '../../../services/HistoryService';
+
+import { HISTORY, TRANSACTION_DIRECTION } from '@tronlink/lib/constants';
+
+const ACCOUNT = 'TJRabPrwbZy45sbavfcjinPJC18kjpRTv8';
+const OTHER = 'TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU7';
+const USDT = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+const CHAIN_ID = 'genesis';
+
+const hex = address => TronWeb.address.toHex(address);
+const txID = index => index.toString(16).padStart(64, '0');
+
+// A TRX transfer as the /v1 API and blocks list it, `index` doubles as its timestamp
+const transfer = (index, { from = OTHER, to = ACCOUNT, amount = 1000000 } = {}) => ({
+    txID: txID(index),
+    block_timestamp: index,
+    blockNumber: index,
+    net_fee: 100000,
+    ret: [ { contractRet: 'SUCCESS' } ],
+    raw_data: {
+        timestamp: index,
+        contract: [ {
+            type: 'TransferContract',
+            parameter: {
+                value: { owner_address: hex(from), to_address: hex(to), amount }
+            }
+        } ]
+    }
+});
+
+const contractCall = index => ({
+    ...transfer(index),
+    raw_data: {
+        timestamp: index,
+        contract: [ {
+            type: 'TriggerSmartContract',
+            parameter: {
+                value: { owner_address: hex(OTHER), contract_address: hex(USDT), data: 'a9059cbb' }
+            }
+        } ]
+    }
+});
+
+const tokenTransfer = (index, value = '2500000') => ({
+    transaction_id: txID(index),
+    block_timestamp: index,
+    token_info: { address: USDT, name: 'Tether USD', symbol: 'USDT', decimals: 6 },
+    from: OTHER,
+    to: ACCOUNT,
+    value
+});
+
+// HistoryStore in memory, sorted newest first when queried
+const createStore = () => ({
+    cursors: {},
+    transactions: {},
+
+    async getCursor(chainId, address) {
+        const cursor = this.cursors[ `${ chainId }:${ address }` ];
+        return cursor ? JSON.parse(cursor) : false;
+    },
+
+    async saveCursor(chainId, address, cursor) {
+        this.cursors[ `${ chainId }:${ address }` ] = JSON.stringify(cursor);
+    },
+
+    async saveTransactions(chainId, address, records, merge) {
+        records.forEach(record => {
+            const key = `${ chainId }:${ address }:${ record.txID }`;
+            this.transactions[ key ] = merge(this.transactions[ key ], record);
+        });
+    },
+
+    async getTransaction(chainId, address, id) {
+        return this.transactions[ `${ chainId }:${ address }:${ id }` ] || false;
+    },
+
+    async query(chainId, address, { filter, offset, limit }) {
+        return Object.keys(this.transactions)
+            .filter(key => key.startsWith(`${ chainId }:${ address }:`))
+            .map(key => this.transactions[ key ])
+            .sort((first, second) => second.timestamp - first.timestamp)
+            .filter(filter)
+            .slice(offset, offset + limit);
+    }
+});
+
+// A node serving the /v1 APIs from the given lists, oldest first, in pages of `limit`
+const createApiNode = ({ transactions = [], transfers = [] } = {}) => {
+    const getPage = (list, name) => async (address, { minTimestamp, fingerprint, limit }) => {
+        const start = fingerprint ? Number(fingerprint) : 0;
+        const matching = list.filter(({ block_timestamp }) => block_timestamp >= minTimestamp);
+        const end = start + limit;
+
+        node.requests.push({ name, minTimestamp, fingerprint, limit });
+
+        return {
+            data: matching.slice(start, end),
+            fingerprint: end < matching.length && String(end)
+        };
+    };
+
+    const node = {
+        requests: [],
+        getChainId: async () => CHAIN_ID,
+        getAccountTransactions: getPage(transactions, 'transactions'),
+        getTokenTransfers: getPage(transfers, 'transfers'),
+        getTransactionInfo: async () => ({})
+    };
+
+    return node;
+};
+
+// A plain full node, `blocks` maps block numbers to the transactions in them
+const createBlockNode = ({ head, blocks = {} }) => ({
+    head,
+    ranges: [],
+    getChainId: async () => CHAIN_ID,
+    getAccountTransactions: async () => false,
+    getTokenTransfers: async () => false,
+    async getCurrentBlock() {
+        return this.head;
+    },
+    async getBlocks(start, end) {
+        this.ranges.push([ start, end ]);
+
+        const numbers = [];
+
+        for(let number = start; number <= end; number++)
+            numbers.push(number);
+
+        return numbers.map(number => ({
+            block_header: { raw_data: { number } },
+            transactions: blocks[ number ] || []
+        }));
+    },
+    getBlockInfo: async () => [],
+    getTransactionInfo: async () => ({})
+});
+
+const getAll = async (type = false) => {
+    const { records } = await HistoryService.getTransactions(ACCOUNT, { type, limit: 1000 });
+    return records;
+};
+
+describe('HistoryService', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createStore();
+    });
+
+    after(() => HistoryService.init());
+
+    describe('syncing from the /v1 APIs', () => {
+        it('reads every page and remembers the newest timestamp', async () => {
+            const transactions = [ ...Array(120).keys() ].map(index => transfer(index + 1));
+            const node = createApiNode({ transactions });
+
+            HistoryService.init({ node, store });
+            await HistoryService.sync(ACCOUNT);
+
+            const pages = node.requests.filter(({ name }) => name === 'transactions');
+
+            assert.deepStrictEqual(pages.map(({ fingerprint }) => fingerprint), [ false, '50', '100' ]);
+            assert.ok(pages.every(({ limit }) => limit === HISTORY.PAGE_SIZE));
+            assert.strictEqual((await getAll()).length, 120);
+            assert.deepStrictEqual(await store.getCursor(CHAIN_ID, ACCOUNT), {
+                transactions: { timestamp: 120 },
+                transfers: { timestamp: 0 }
+            });
+        });
+
+        it('stops after the page limit and carries on with the next sync', async () => {
+            const count = (HISTORY.MAX_PAGES + 2) * HISTORY.PAGE_SIZE;
+            const transactions = [ ...Array(count).keys() ].map(index => transfer(index + 1));
+            const node = createApiNode({ transactions });
+
+            HistoryService.init({ node, store });
+            await HistoryService.sync(ACCOUNT);
+
+            assert.strictEqual(node.requests.filter(({ name }) => name === 'transactions').length, HISTORY.MAX_PAGES);
+            assert.strictEqual((await getAll()).length, HISTORY.MAX_PAGES * HISTORY.PAGE_SIZE);
+
+            await HistoryService.sync(ACCOUNT);
+
+            assert.strictEqual((await getAll()).length, count);
+        });
+
+        it('maps the transactions relative to the account', async () => {
+            HistoryService.init({
+                node: createApiNode({ transactions: [ transfer(1), transfer(2, { from: ACCOUNT, to: OTHER }) ] }),
+                store
+            });
+
+            await HistoryService.sync(ACCOUNT);
+
+            const [ sent, received ] = await getAll();
+
+            assert.strictEqual(sent.direction, TRANSACTION_DIRECTION.OUT);
+            assert.strictEqual(received.direction, TRANSACTION_DIRECTION.IN);
+            assert.deepStrictEqual(received.tokens, [ {
+                tokenID: '_',
+                name: 'TRX',
+                abbr: 'TRX',
+                decimals: 6,
+                amount: '1000000',
+                from: OTHER,
+                to: ACCOUNT
+            } ]);
+            assert.strictEqual(received.fee.total, 100000);
+        });
+    });
+
+    describe('resuming', () => {
+        it('reads from the stored cursor', async () => {
+            const node = createApiNode({ transactions: [ transfer(1), transfer(2), transfer(3) ] });
+
+            await store.saveCursor(CHAIN_ID, ACCOUNT, {
+                transactions: { timestamp: 2 },
+                transfers: { timestamp: 5 }
+            });
+
+            HistoryService.init({ node, store });
+            await HistoryService.sync(ACCOUNT);
+
+            assert.deepStrictEqual(node.requests.map(({ name, minTimestamp }) => [ name, minTimestamp ]), [
+                [ 'transactions', 2 ],
+                [ 'transfers', 5 ]
+            ]);
+            assert.deepStrictEqual((await getAll()).map(({ txID }) => txID), [ txID(3), txID(2) ]);
+            assert.deepStrictEqual((await store.getCursor(CHAIN_ID, ACCOUNT)).transactions, { timestamp: 3 });
+        });
+
+        it('keeps the cursor of each chain apart', async () => {
+            await store.saveCursor('other chain', ACCOUNT, { transactions: { timestamp: 2 } });
+
+            const node = createApiNode({ transactions: [ transfer(1), transfer(2) ] });
+
+            HistoryService.init({ node, store });
+            await HistoryService.sync(ACCOUNT);
+
+            assert.strictEqual(node.requests[ 0 ].minTimestamp, 0);
+            assert.strictEqual((await getAll()).length, 2);
+        });
+    });
+
+    describe('de-duplication', () => {
+        it('stores a transaction read again once', async () => {
+            const node = createApiNode({ transactions: [ transfer(1), transfer(2) ] });
+
+            HistoryService.init({ node, store });
+
+            await HistoryService.sync(ACCOUNT);
+            await HistoryService.sync(ACCOUNT);
+
+            // The second sync starts at the newest timestamp, which it reads again
+            assert.strictEqual(node.requests[ 2 ].minTimestamp, 2);
+            assert.deepStrictEqual((await getAll()).map(({ txID }) => txID), [ txID(2), txID(1) ]);
+        });
+
+        it('merges token transfers into the transaction they happened in', async () => {
+            HistoryService.init({
+                node: createApiNode({ transactions: [ contractCall(1) ], transfers: [ tokenTransfer(1) ] }),
+                store
+            });
+
+            await HistoryService.sync(ACCOUNT);
+            await HistoryService.sync(ACCOUNT);
+
+            const [ record, ...others ] = await getAll();
+
+            assert.strictEqual(others.length, 0);
+            assert.strictEqual(record.type, 'TriggerSmartContract');
+            assert.strictEqual(record.direction, TRANSACTION_DIRECTION.IN);
+            assert.deepStrictEqual(record.tokens, [ {
+                tokenID: USDT,
+                name: 'Tether USD',
+                abbr: 'USDT',
+                decimals: 6,
+                amount: '2500000',
+                from: OTHER,
+                to: ACCOUNT
+            } ]);
+        });
+
+        it('keeps the whole transaction when its transfer was indexed first', async () => {
+            HistoryService.init({ node: createApiNode({ transfers: [ tokenTransfer(1) ] }), store });
+            await HistoryService.sync(ACCOUNT);
+
+            assert.strictEqual((await getAll())[ 0 ].type, false);
+
+            HistoryService.init({
+                node: createApiNode({ transactions: [ contractCall(1) ], transfers: [ tokenTransfer(1) ] }),
+                store
+            });
+            await HistoryService.sync(ACCOUNT);
+
+            const [ record ] = await getAll();
+
+            assert.strictEqual(record.type, 'TriggerSmartContract');
+            assert.strictEqual(record.tokens.length, 1);
+        });
+
+        it('runs one sync per account at a time', async () => {
+            const node = createApiNode({ transactions: [ transfer(1) ] });
+
+            HistoryService.init({ node, store });
+
+            const syncs = [ HistoryService.sync(ACCOUNT), HistoryService.sync(ACCOUNT) ];
+
+            assert.strictEqual(syncs[ 0 ], syncs[ 1 ]);
+            await Promise.all(syncs);
+
+            assert.strictEqual(node.requests.length, 2);
+        });
+    });
+
+    describe('falling back to block scanning', () => {
+        it('starts at the head block on the first sync', async () => {
+            const node = createBlockNode({
+                head: 1000,
+                blocks: { 999: [ transfer(999) ], 1000: [ transfer(1000), transfer(1001, { from: OTHER, to: USDT }) ] }
+            });
+
+            HistoryService.init({ node, store });
+            await HistoryService.sync(ACCOUNT);
+
+            assert.deepStrictEqual(node.ranges, [ [ 1000, 1000 ] ]);
+            assert.deepStrictEqual((await getAll()).map(({ txID }) => txID), [ txID(1000) ]);
+            assert.deepStrictEqual(await store.getCursor(CHAIN_ID, ACCOUNT), { block: 1000 });
+        });
+
+        it('carries on from the last block scanned, a batch at a time', async () => {
+            const node = createBlockNode({ head: 1250, blocks: { 1100: [ transfer(1100) ], 1250: [ transfer(1250) ] } });
+
+            await store.saveCursor(CHAIN_ID, ACCOUNT, { block: 1000 });
+
+            HistoryService.init({ node, store });
+            await HistoryService.sync(ACCOUNT);
+
+            assert.deepStrictEqual(node.ranges, [ [ 1001, 1100 ], [ 1101, 1200 ], [ 1201, 1250 ] ]);
+            assert.deepStrictEqual((await getAll()).map(({ txID }) => txID), [ txID(1250), txID(1100) ]);
+            assert.deepStrictEqual(await store.getCursor(CHAIN_ID, ACCOUNT), { block: 1250 });
+        });
+
+        it('scans a limited number of batches per sync', async () => {
+            const node = createBlockNode({ head: 2000 });
+
+            await store.saveCursor(CHAIN_ID, ACCOUNT, { block: 1000 });
+
+            HistoryService.init({ node, store });
+            await HistoryService.sync(ACCOUNT);
+
+            const scanned = HISTORY.MAX_BATCHES * HISTORY.BLOCK_BATCH;
+
+            assert.strictEqual(node.ranges.length, HISTORY.MAX_BATCHES);
+            assert.deepStrictEqual(await store.getCursor(CHAIN_ID, ACCOUNT), { block: 1000 + scanned });
+        });
+
+        it('does not store a block twice', async () => {
+            const node = createBlockNode({ head: 1000, blocks: { 1000: [ transfer(1000) ] } });
+
+            HistoryService.init({ node, store });
+            await HistoryService.sync(ACCOUNT);
+            await HistoryService.sync(ACCOUNT);
+
+            assert.deepStrictEqual(node.ranges, [ [ 1000, 1000 ] ]);
+            assert.strictEqual((await getAll()).length, 1);
+        });
+    });
+
+    describe('getTransactions', () => {
+        beforeEach(async () => {
+            const transactions = [ ...Array(5).keys() ].map(index => transfer(index + 1));
+
+            HistoryService.init({
+                node: createApiNode({ transactions: [ ...transactions, contractCall(6) ] }),
+                store
+            });
+
+            await HistoryService.sync(ACCOUNT);
+        });
+
+        it('pages through the history newest first', async () => {
+            const first = await HistoryService.getTransactions(ACCOUNT, { limit: 4 });
+            const last = await HistoryService.getTransactions(ACCOUNT, { offset: first.offset, limit: 4 });
+
+            assert.deepStrictEqual(first.records.map(({ timestamp }) => timestamp), [ 6, 5, 4, 3 ]);
+            assert.strictEqual(first.offset, 4);
+            assert.deepStrictEqual(last.records.map(({ timestamp }) => timestamp), [ 2, 1 ]);
+            assert.strictEqual(last.offset, false);
+        });
+
+        it('filters by contract type', async () => {
+            assert.deepStrictEqual((await getAll('TriggerSmartContract')).map(({ txID }) => txID), [ txID(6) ]);
+        });
+    });
+});
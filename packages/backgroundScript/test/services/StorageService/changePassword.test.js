@@ -0,0 +1,105 @@
+import assert from 'assert';
+import Utils from '@tronlink/lib/utils';
+import StorageService from '../../../services/StorageService';
+
+import { SCHEMA_VERSION } from '../../../services/StorageService/migrations';
+
+const OLD_PASSWORD = 'old password';
+const NEW_PASSWORD = 'new password';
+
+const VAULT = {
+    accounts: {
+        TPrivateKeyAccount: {
+            type: 1,
+            name: 'Imported',
+            privateKey: 'a'.repeat(64)
+        }
+    },
+    selectedAccount: 'TPrivateKeyAccount',
+    schemaVersion: SCHEMA_VERSION
+};
+
+describe('StorageService.changePassword', () => {
+    const { storage } = StorageService;
+
+    let records;
+    let failures;
+
+    // Failing writes store the first half of their items before they give up, as an interrupted one would
+    const failingStorage = {
+        get: (keys, callback) => callback(
+            [].concat(keys).filter(key => key in records).reduce((found, key) => ({ ...found, [ key ]: records[ key ] }), {})
+        ),
+        set: (items, callback = () => {}) => {
+            if(failures.set) {
+                const entries = Object.entries(items);
+
+                failures.set--;
+                entries.slice(0, entries.length / 2).forEach(([ key, value ]) => (
+                    records[ key ] = value
+                ));
+
+                throw new Error('QUOTA_BYTES quota exceeded');
+            }
+
+            Object.assign(records, items);
+            callback();
+        },
+        remove: (keys, callback) => {
+            if(failures.remove)
+                throw new Error('Storage is unavailable');
+
+            keys.forEach(key => delete records[ key ]);
+            callback();
+        }
+    };
+
+    beforeEach(async () => {
+        const kdf = Utils.createKdf();
+
+        records = {};
+        failures = { set: 0, remove: false };
+
+        Object.keys(VAULT).forEach(key => (
+            records[ key ] = Utils.encryptVault(VAULT[ key ], OLD_PASSWORD, kdf)
+        ));
+
+        StorageService.storage = failingStorage;
+        assert.strictEqual(await StorageService.unlock(OLD_PASSWORD), false);
+    });
+
+    afterEach(() => {
+        StorageService.storage = storage;
+        StorageService.lock();
+    });
+
+    it('re-encrypts the vault with the new password', async () => {
+        assert.strictEqual(await StorageService.changePassword(OLD_PASSWORD, NEW_PASSWORD), false);
+
+        StorageService.lock();
+
+        assert.strictEqual(await StorageService.unlock(OLD_PASSWORD), 'ERRORS.INVALID_PASSWORD');
+        assert.strictEqual(await StorageService.unlock(NEW_PASSWORD), false);
+        assert.deepStrictEqual(StorageService.accounts, VAULT.accounts);
+    });
+
+    it('keeps the old password when the new vault cannot be written', async () => {
+        failures.set = 1;
+
+        assert.strictEqual(await StorageService.changePassword(OLD_PASSWORD, NEW_PASSWORD), 'ERRORS.PASSWORD_CHANGE_FAILED');
+        assert.strictEqual(StorageService.password, OLD_PASSWORD);
+
+        StorageService.lock();
+
+        assert.strictEqual(await StorageService.unlock(OLD_PASSWORD), false);
+        assert.deepStrictEqual(StorageService.accounts, VAULT.accounts);
+    });
+
+    it('still reports the failure when clearing the new records fails too', async () => {
+        failures.set = 1;
+        failures.remove = true;
+
+        assert.strictEqual(await StorageService.changePassword(OLD_PASSWORD, NEW_PASSWORD), 'ERRORS.PASSWORD_CHANGE_FAILED');
+        assert.strictEqual(StorageService.password, OLD_PASSWORD);
+    });
+});
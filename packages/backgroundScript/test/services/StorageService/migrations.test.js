@@ -0,0 +1,292 @@
+import assert from 'assert';
+import Utils from '@tronlink/lib/utils';
+import StorageService from '../../../services/StorageService';
+
+import { MIGRATIONS, SCHEMA_VERSION, runMigrations } from '../../../services/StorageService/migrations';
+import { VAULT } from '@tronlink/lib/constants';
+
+const ANTE = {
+    OLD: 'TBHN6guS6ztVVXbFivajdG3PxFUZ5UXGxY',
+    NEW: 'TCN77KWWyUyi2A4Cu7vrh5dnmRyvUuME1E'
+};
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+// Storage as the wallet wrote it before it had a schema version
+const createVault = () => ({
+    accounts: {
+        TFirstMnemonicAccount: {
+            type: 0,
+            name: 'Wallet',
+            mnemonic: MNEMONIC,
+            accountIndex: 0,
+            tokens: { basic: {}, smart: { [ ANTE.OLD ]: { symbol: 'ANTE', decimals: 6 } } }
+        },
+        TSecondMnemonicAccount: {
+            type: 0,
+            name: 'Wallet 2',
+            mnemonic: MNEMONIC,
+            accountIndex: 1,
+            tokens: { basic: {}, smart: {} }
+        },
+        TPrivateKeyAccount: {
+            type: 1,
+            name: 'Imported',
+            privateKey: 'a'.repeat(64),
+            tokens: { [ ANTE.OLD ]: { symbol: 'ANTE', decimals: 6 } }
+        }
+    },
+    nodes: {
+        nodeList: {
+            mainnet: { name: 'Mainnet', fullNode: 'https://api.trongrid.io', default: true },
+            sidechain: { name: 'DappChain', fullNode: 'https://sun.tronex.io', chain: 'sidechain' }
+        },
+        selectedNode: 'mainnet'
+    },
+    setting: {
+        lock: { lockTime: 0, duration: 0 },
+        openAccountsMenu: false
+    }
+});
+
+const getMigration = version => MIGRATIONS.find(migration => migration.version === version);
+
+describe('StorageService migrations', () => {
+    it('numbers its steps in order, up to the schema version', () => {
+        assert.deepStrictEqual(MIGRATIONS.map(({ version }) => version), [ 1, 2, 3, 4 ]);
+        assert.strictEqual(SCHEMA_VERSION, 4);
+    });
+
+    describe('version 1', () => {
+        const { migrate } = getMigration(1);
+
+        it('adds the missing settings', () => {
+            const vault = createVault();
+
+            assert.deepStrictEqual(migrate(vault), [ 'setting' ]);
+            assert.deepStrictEqual(vault.setting.advertising, {});
+            assert.strictEqual(vault.setting.showUpdateDescription, false);
+            assert.strictEqual(vault.setting.openAccountsMenu, false);
+        });
+
+        it('keeps settings the user already has', () => {
+            const vault = createVault();
+
+            vault.setting.advertising = { seen: true };
+            vault.setting.showUpdateDescription = true;
+
+            assert.deepStrictEqual(migrate(vault), []);
+            assert.deepStrictEqual(vault.setting.advertising, { seen: true });
+            assert.strictEqual(vault.setting.showUpdateDescription, true);
+        });
+
+        it('skips a vault without settings', () => {
+            assert.deepStrictEqual(migrate({}), []);
+        });
+    });
+
+    describe('version 2', () => {
+        const { migrate } = getMigration(2);
+
+        it('assigns nodes without a chain to the main chain', () => {
+            const vault = createVault();
+
+            assert.deepStrictEqual(migrate(vault), [ 'nodes' ]);
+            assert.strictEqual(vault.nodes.nodeList.mainnet.chain, '_');
+            assert.strictEqual(vault.nodes.nodeList.sidechain.chain, 'sidechain');
+        });
+
+        it('leaves nodes that have a chain alone', () => {
+            const vault = createVault();
+
+            vault.nodes.nodeList.mainnet.chain = '_';
+
+            assert.deepStrictEqual(migrate(vault), []);
+        });
+
+        it('skips a vault without nodes', () => {
+            assert.deepStrictEqual(migrate({}), []);
+            assert.deepStrictEqual(migrate({ nodes: {} }), []);
+        });
+    });
+
+    describe('version 3', () => {
+        const { migrate } = getMigration(3);
+
+        it('moves the old ANTE token in both token layouts', () => {
+            const vault = createVault();
+            const { TFirstMnemonicAccount, TPrivateKeyAccount } = vault.accounts;
+
+            assert.deepStrictEqual(migrate(vault), [ 'accounts' ]);
+
+            assert.ok(!(ANTE.OLD in TFirstMnemonicAccount.tokens.smart));
+            assert.deepStrictEqual(TFirstMnemonicAccount.tokens.smart[ ANTE.NEW ], { symbol: 'ANTE', decimals: 6 });
+
+            assert.ok(!(ANTE.OLD in TPrivateKeyAccount.tokens));
+            assert.deepStrictEqual(TPrivateKeyAccount.tokens[ ANTE.NEW ], { symbol: 'ANTE', decimals: 6 });
+        });
+
+        it('reports nothing when no account holds the old token', () => {
+            const vault = createVault();
+
+            delete vault.accounts.TFirstMnemonicAccount.tokens.smart[ ANTE.OLD ];
+            delete vault.accounts.TPrivateKeyAccount.tokens[ ANTE.OLD ];
+
+            assert.deepStrictEqual(migrate(vault), []);
+        });
+
+        it('copes with accounts without tokens', () => {
+            assert.deepStrictEqual(migrate({ accounts: { TAccount: { name: 'No tokens' } } }), []);
+        });
+    });
+
+    describe('version 4', () => {
+        const { migrate } = getMigration(4);
+
+        it('moves mnemonics into seeds, one per mnemonic', () => {
+            const vault = createVault();
+            const { TFirstMnemonicAccount, TSecondMnemonicAccount, TPrivateKeyAccount } = vault.accounts;
+
+            assert.deepStrictEqual(migrate(vault), [ 'seeds', 'accounts' ]);
+
+            const seedIds = Object.keys(vault.seeds);
+
+            assert.strictEqual(seedIds.length, 1);
+            assert.deepStrictEqual(vault.seeds[ seedIds[ 0 ] ], { mnemonic: MNEMONIC, name: 'Wallet' });
+
+            assert.strictEqual(TFirstMnemonicAccount.seedId, seedIds[ 0 ]);
+            assert.strictEqual(TSecondMnemonicAccount.seedId, seedIds[ 0 ]);
+            assert.ok(!('mnemonic' in TFirstMnemonicAccount));
+            assert.ok(!('mnemonic' in TSecondMnemonicAccount));
+
+            assert.ok(!('seedId' in TPrivateKeyAccount));
+            assert.strictEqual(TPrivateKeyAccount.privateKey, 'a'.repeat(64));
+        });
+
+        it('reuses a seed already stored for the mnemonic', () => {
+            const vault = createVault();
+
+            vault.seeds = { existing: { mnemonic: MNEMONIC, name: 'Earlier' } };
+            migrate(vault);
+
+            assert.deepStrictEqual(Object.keys(vault.seeds), [ 'existing' ]);
+            assert.strictEqual(vault.accounts.TFirstMnemonicAccount.seedId, 'existing');
+        });
+
+        it('keeps separate mnemonics apart', () => {
+            const vault = createVault();
+
+            vault.accounts.TSecondMnemonicAccount.mnemonic = 'zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo wrong';
+            migrate(vault);
+
+            const { TFirstMnemonicAccount, TSecondMnemonicAccount } = vault.accounts;
+
+            assert.strictEqual(Object.keys(vault.seeds).length, 2);
+            assert.notStrictEqual(TFirstMnemonicAccount.seedId, TSecondMnemonicAccount.seedId);
+            assert.strictEqual(vault.seeds[ TSecondMnemonicAccount.seedId ].name, 'Wallet 2');
+        });
+
+        it('reports nothing without mnemonic accounts', () => {
+            assert.deepStrictEqual(migrate({ accounts: { TPrivateKeyAccount: { privateKey: 'a'.repeat(64) } } }), []);
+            assert.deepStrictEqual(migrate({}), []);
+        });
+    });
+
+    describe('runMigrations', () => {
+        it('brings an unversioned vault up to the schema version', () => {
+            const vault = createVault();
+            const { version, changed } = runMigrations(vault);
+
+            assert.strictEqual(version, SCHEMA_VERSION);
+            assert.deepStrictEqual(changed.sort(), [ 'accounts', 'nodes', 'seeds', 'setting' ]);
+
+            assert.strictEqual(vault.nodes.nodeList.mainnet.chain, '_');
+            assert.strictEqual(vault.setting.showUpdateDescription, false);
+            assert.ok(ANTE.NEW in vault.accounts.TFirstMnemonicAccount.tokens.smart);
+            assert.ok(vault.accounts.TFirstMnemonicAccount.seedId);
+        });
+
+        it('only runs the steps newer than the vault', () => {
+            const vault = createVault();
+            const { changed } = runMigrations(vault, 3);
+
+            assert.deepStrictEqual(changed, [ 'seeds', 'accounts' ]);
+            assert.ok(!('chain' in vault.nodes.nodeList.mainnet));
+            assert.ok(!('advertising' in vault.setting));
+            assert.ok(ANTE.OLD in vault.accounts.TFirstMnemonicAccount.tokens.smart);
+        });
+
+        it('does nothing for a current vault', () => {
+            assert.deepStrictEqual(runMigrations(createVault(), SCHEMA_VERSION).changed, []);
+        });
+
+        it('throws for a vault newer than the schema', () => {
+            assert.throws(() => runMigrations(createVault(), SCHEMA_VERSION + 1), /newer than supported/);
+        });
+    });
+
+    describe('StorageService.unlock', () => {
+        const password = 'password';
+        const { storage } = StorageService;
+
+        afterEach(() => {
+            StorageService.storage = storage;
+            StorageService.lock();
+        });
+
+        // Records encrypted the way StorageService.save writes them, kept in memory
+        const useVault = vault => {
+            const kdf = Utils.createKdf(1);
+            const records = {};
+
+            Object.keys(vault).forEach(key => (
+                records[ key ] = Utils.encryptVault(vault[ key ], password, kdf)
+            ));
+
+            StorageService.storage = {
+                get: (key, callback) => callback(key in records ? { [ key ]: records[ key ] } : {}),
+                set: (items, callback) => {
+                    Object.assign(records, items);
+                    callback();
+                }
+            };
+
+            return records;
+        };
+
+        it('refuses a vault written by a newer schema', async () => {
+            useVault({ ...createVault(), schemaVersion: SCHEMA_VERSION + 1 });
+
+            assert.strictEqual(await StorageService.unlock(password), 'ERRORS.NEWER_SCHEMA_VERSION');
+            assert.strictEqual(StorageService.ready, false);
+            assert.ok(!('TFirstMnemonicAccount' in StorageService.accounts));
+        });
+
+        it('refuses a vault encrypted by a newer version instead of blaming the password', async () => {
+            const records = useVault(createVault());
+
+            Object.values(records).forEach(record => (
+                record.version = VAULT.VERSION + 1
+            ));
+
+            assert.strictEqual(await StorageService.unlock(password), 'ERRORS.NEWER_SCHEMA_VERSION');
+            assert.strictEqual(StorageService.ready, false);
+        });
+
+        it('keeps nothing from a migration that fails part way', async () => {
+            const vault = createVault();
+
+            vault.nodes.nodeList.broken = null;
+            useVault(vault);
+
+            assert.strictEqual(await StorageService.unlock(password), 'ERRORS.MIGRATION_FAILED');
+            assert.strictEqual(StorageService.ready, false);
+            assert.ok(!('TFirstMnemonicAccount' in StorageService.accounts));
+        });
+
+        it('still reports a wrong password as one', async () => {
+            useVault(createVault());
+            assert.strictEqual(await StorageService.unlock('wrong'), 'ERRORS.INVALID_PASSWORD');
+        });
+    });
+});
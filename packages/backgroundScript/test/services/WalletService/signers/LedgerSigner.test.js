@@ -0,0 +1,167 @@
+import assert from 'assert';
+import TronWeb from 'tronweb';
+import Utils from '@tronlink/lib/utils';
+import TypedData from '@tronlink/lib/typedData';
+import SignedMessage from '@tronlink/lib/signedMessage';
+import LedgerBridge, { MockTransport } from '@tronlink/lib/LedgerBridge';
+import NodeService from '../../../../services/NodeService';
+import LedgerSigner from '../../../../services/WalletService/signers/LedgerSigner';
+
+import { utils } from 'ethers';
+import { LEDGER_BRIDGE } from '@tronlink/lib/constants';
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const { address } = Utils.getAccountAtIndex(MNEMONIC, 1);
+
+const TRANSACTION = {
+    txID: 'b2a3eb9ba3b2d1e7ffbf1cf4c4a6a8ab3fcb1e2a8d1f6a9c1c6f9c2e4d8c1b7a'
+};
+
+const TYPED_DATA = {
+    types: {
+        Greeting: [ { name: 'text', type: 'string' } ]
+    },
+    primaryType: 'Greeting',
+    domain: { name: 'TronLink', version: '1', chainId: 728126428 },
+    message: { text: 'Hello' }
+};
+
+// Error texts as the Ledger transport reports them
+const DEVICE_ERRORS = {
+    REJECTED: 'Ledger device: Condition of use not satisfied (denied by the user?) (0x6985)',
+    LOCKED: 'Ledger device: UNKNOWN_ERROR (0x6b0c)',
+    WRONG_APP: 'Ledger device: CLA_NOT_SUPPORTED (0x6e00)'
+};
+
+const recoverTransaction = (txID, signature) => {
+    const recovered = utils.recoverAddress(`0x${ txID }`, `0x${ signature }`);
+    return TronWeb.address.fromHex(`41${ recovered.substr(2) }`);
+};
+
+// A device that fails every signing request with the given error
+const failingTransport = error => new MockTransport(
+    [
+        LEDGER_BRIDGE.ACTION.SIGN_TRANSACTION,
+        LEDGER_BRIDGE.ACTION.SIGN_MESSAGE,
+        LEDGER_BRIDGE.ACTION.SIGN_MESSAGE_V2,
+        LEDGER_BRIDGE.ACTION.SIGN_TYPED_DATA
+    ].reduce((handlers, action) => ({
+        ...handlers,
+        [ action ]: () => {
+            throw new Error(error);
+        }
+    }), {})
+);
+
+const rejectsWith = (promise, expected) => promise.then(
+    () => assert.fail('Expected the request to be rejected'),
+    error => assert.strictEqual(error, expected)
+);
+
+describe('LedgerSigner', () => {
+    const signer = new LedgerSigner(address, 1);
+
+    afterEach(() => {
+        LedgerBridge.init(false);
+        delete NodeService.sunWeb;
+    });
+
+    describe('with the device holding the account', () => {
+        let transport;
+
+        beforeEach(() => {
+            transport = MockTransport.fromMnemonic(MNEMONIC);
+            LedgerBridge.init(transport);
+        });
+
+        it('adds the device signature to the transaction', async () => {
+            const signed = await signer.signTransaction({ ...TRANSACTION, signature: [ 'existing' ] });
+
+            assert.strictEqual(signed.txID, TRANSACTION.txID);
+            assert.strictEqual(signed.signature.length, 2);
+            assert.strictEqual(signed.signature[ 0 ], 'existing');
+            assert.strictEqual(recoverTransaction(TRANSACTION.txID, signed.signature[ 1 ]), address);
+        });
+
+        it('names the account key in each request', async () => {
+            await signer.signTransaction(TRANSACTION);
+
+            const [ { action, data } ] = transport.requests;
+
+            assert.strictEqual(action, LEDGER_BRIDGE.ACTION.SIGN_TRANSACTION);
+            assert.strictEqual(data.address, address);
+            assert.strictEqual(data.index, 1);
+            assert.strictEqual(data.path, Utils.getDerivationPath(1));
+        });
+
+        it('signs messages', async () => {
+            const message = TronWeb.toHex('Hello');
+            const signature = await signer.signMessage(message);
+
+            assert.ok(signature.startsWith('0x'));
+            assert.ok(TronWeb.Trx.verifySignature(message, address, signature));
+        });
+
+        it('signs prefixed messages', async () => {
+            const signature = await signer.signMessageV2(SignedMessage.toHex('Hello'));
+
+            assert.ok(SignedMessage.verify('Hello', signature, address));
+        });
+
+        it('signs typed data', async () => {
+            const signature = await signer.signTypedData(TYPED_DATA);
+
+            assert.ok(TypedData.verify(TYPED_DATA, signature, address));
+        });
+
+        it('is refused by a device holding another seed', async () => {
+            const other = new LedgerSigner(Utils.getAccountAtIndex(MNEMONIC, 2).address, 1);
+
+            await rejectsWith(other.signTransaction(TRANSACTION), 'CREATION.LEDGER.NOT_MATCH');
+        });
+
+        it('refuses the side chain without asking the device', async () => {
+            const sidechain = {};
+
+            NodeService.sunWeb = { sidechain };
+
+            await rejectsWith(signer.signTransaction(TRANSACTION, sidechain), 'ERRORS.LEDGER_SIDECHAIN');
+            await rejectsWith(signer.signMessage(TronWeb.toHex('Hello'), sidechain), 'ERRORS.LEDGER_SIDECHAIN');
+
+            assert.strictEqual(transport.requests.length, 0);
+        });
+    });
+
+    describe('when the device refuses', () => {
+        it('reports the user rejecting the request', async () => {
+            LedgerBridge.init(failingTransport(DEVICE_ERRORS.REJECTED));
+
+            await rejectsWith(signer.signTransaction(TRANSACTION), 'CREATION.LEDGER.REJECT');
+            await rejectsWith(signer.signTypedData(TYPED_DATA), 'CREATION.LEDGER.REJECT');
+        });
+
+        it('asks to unlock a locked device', async () => {
+            LedgerBridge.init(failingTransport(DEVICE_ERRORS.LOCKED));
+
+            await rejectsWith(signer.signTransaction(TRANSACTION), 'CREATION.LEDGER.CONNECT_TIMEOUT');
+            await rejectsWith(signer.signMessageV2(SignedMessage.toHex('Hello')), 'CREATION.LEDGER.CONNECT_TIMEOUT');
+        });
+
+        it('asks to open the TRON app when another one is open', async () => {
+            LedgerBridge.init(failingTransport(DEVICE_ERRORS.WRONG_APP));
+
+            await rejectsWith(signer.signTransaction(TRANSACTION), 'CREATION.LEDGER.CONNECT_TIMEOUT');
+            await rejectsWith(signer.signMessage(TronWeb.toHex('Hello')), 'CREATION.LEDGER.CONNECT_TIMEOUT');
+        });
+
+        it('passes unknown device errors through', async () => {
+            LedgerBridge.init(failingTransport('Ledger device: UNKNOWN_ERROR (0x6f00)'));
+
+            await rejectsWith(signer.signTransaction(TRANSACTION), 'Ledger device: UNKNOWN_ERROR (0x6f00)');
+        });
+
+        it('reports a missing bridge', async () => {
+            await rejectsWith(signer.signTransaction(TRANSACTION), 'ERRORS.LEDGER_UNAVAILABLE');
+        });
+    });
+});
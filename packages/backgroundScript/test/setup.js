@@ -0,0 +1 @@
+require('@tronlink/lib/test/setup');
@@ -0,0 +1,133 @@
+import Logger from '@tronlink/lib/logger';
+import Utils from '@tronlink/lib/utils';
+import IframeTransport from './transports/iframe';
+import DuplexTransport from './transports/duplex';
+import MockTransport from './transports/mock';
+
+import { LEDGER_BRIDGE } from '@tronlink/lib/constants';
+
+const logger = new Logger('LedgerBridge');
+
+// The bridge page reports device errors as free text, known ones are mapped to translation keys
+const ERROR_KEYS = [
+    [ /denied by the user/, 'CREATION.LEDGER.REJECT' ],
+    [ /U2F TIMEOUT/, 'CREATION.LEDGER.AUTHORIZE_TIMEOUT' ],
+    [ /address not match/, 'CREATION.LEDGER.NOT_MATCH' ],
+    [ /User has not unlocked wallet/, 'CREATION.LEDGER.CONNECT_TIMEOUT' ],
+    [ /\((0x6b0c|0x5515)\)/i, 'CREATION.LEDGER.CONNECT_TIMEOUT' ], // device locked
+    [ /\((0x6e00|0x6d00|0x6511)\)/i, 'CREATION.LEDGER.CONNECT_TIMEOUT' ] // dashboard or another app open
+];
+
+/**
+ * Requests are posted as { target, action, data } and the bridge answers with
+ * { target, success, data, error }. How a message reaches the bridge is up to the
+ * transport: the popup posts it to the bridge iframe, the background relays it
+ * through the popup, and MockTransport answers it locally so the signing flow
+ * can be exercised without a device.
+ */
+const LedgerBridge = {
+    transport: false,
+    queue: Promise.resolve(),
+
+    init(transport) {
+        this.transport = transport;
+    },
+
+    mount() {
+        if(this.transport && this.transport.mount)
+            return this.transport.mount();
+    },
+
+    // Replies carry no request id, so only one message can be in flight at a time
+    relay(message) {
+        if(!this.transport)
+            return Promise.reject('ERRORS.LEDGER_UNAVAILABLE');
+
+        const request = this.queue.then(() => this.transport.send(message));
+
+        this.queue = request.catch(() => {});
+        return request;
+    },
+
+    async request(action, data = {}) {
+        const response = await this.relay({
+            target: LEDGER_BRIDGE.TARGET,
+            action,
+            data
+        });
+
+        if(!response || response.error || response.success === false) {
+            const error = (response && response.error) || 'Unknown bridge error';
+
+            logger.warn(`Ledger request "${ action }" failed:`, error);
+            return Promise.reject(this.errorKey(error));
+        }
+
+        return response.data;
+    },
+
+    errorKey(error) {
+        const [ , key = error ] = ERROR_KEYS.find(([ pattern ]) => pattern.test(error)) || [];
+        return key;
+    },
+
+    // Every request names the key it targets, by account index and by the full derivation path
+    _keyPath(index = 0) {
+        return {
+            index,
+            path: Utils.getDerivationPath(index)
+        };
+    },
+
+    getAddress({ index = 0 }) {
+        return this.request(LEDGER_BRIDGE.ACTION.GET_ADDRESS, this._keyPath(index));
+    },
+
+    signTransaction({ transaction, address, index = 0 }) {
+        return this.request(LEDGER_BRIDGE.ACTION.SIGN_TRANSACTION, {
+            transaction,
+            address,
+            ...this._keyPath(index)
+        });
+    },
+
+    signMessage({ message, address, index = 0 }) {
+        return this.request(LEDGER_BRIDGE.ACTION.SIGN_MESSAGE, {
+            message,
+            address,
+            ...this._keyPath(index)
+        });
+    },
+
+    // The device adds the message prefix and length itself, the message is passed as hex
+    signMessageV2({ message, address, index = 0 }) {
+        return this.request(LEDGER_BRIDGE.ACTION.SIGN_MESSAGE_V2, {
+            message,
+            address,
+            ...this._keyPath(index)
+        });
+    },
+
+    // The device signs the TIP-712 digest built from these two hashes and shows both to the user
+    signTypedData({ domainHash, messageHash, address, index = 0 }) {
+        return this.request(LEDGER_BRIDGE.ACTION.SIGN_TYPED_DATA, {
+            domainHash,
+            messageHash,
+            address,
+            ...this._keyPath(index)
+        });
+    },
+
+    cancel() {
+        if(this.transport && this.transport.cancel)
+            this.transport.cancel();
+    }
+};
+
+export {
+    IframeTransport,
+    DuplexTransport,
+    MockTransport
+};
+
+export default LedgerBridge;
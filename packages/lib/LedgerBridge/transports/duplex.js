@@ -0,0 +1,17 @@
+// Used by the background, which has no bridge frame of its own and asks the open popup to relay
+class DuplexTransport {
+    constructor(duplex) {
+        this.duplex = duplex;
+    }
+
+    send(message) {
+        const request = this.duplex.send('popup', 'ledgerBridge', message);
+
+        if(!request)
+            return Promise.reject('ERRORS.LEDGER_UNAVAILABLE');
+
+        return request;
+    }
+}
+
+export default DuplexTransport;
@@ -0,0 +1,79 @@
+import { LEDGER_BRIDGE } from '@tronlink/lib/constants';
+
+// Used by the popup, which hosts the bridge page in a hidden iframe
+class IframeTransport {
+    constructor(frameId = LEDGER_BRIDGE.FRAME_ID) {
+        this.frameId = frameId;
+        this.frame = false;
+        this.pending = false;
+    }
+
+    mount() {
+        if(this.frame && document.getElementById(this.frameId))
+            return this.frame;
+
+        this.frame = new Promise(resolve => {
+            const frame = document.createElement('iframe');
+
+            frame.id = this.frameId;
+            frame.src = `${ LEDGER_BRIDGE.URL }?new=${ Math.random() }`;
+            frame.onload = () => resolve(frame);
+
+            document.head.appendChild(frame);
+        });
+
+        return this.frame;
+    }
+
+    async send(message) {
+        const frame = await this.mount();
+
+        return new Promise(resolve => {
+            const listener = ({ data }) => {
+                if(data && data.target === LEDGER_BRIDGE.TARGET)
+                    this._settle(data);
+            };
+
+            this.pending = {
+                listener,
+                resolve
+            };
+
+            window.addEventListener('message', listener, false);
+            frame.contentWindow.postMessage(message, '*');
+        });
+    }
+
+    _settle(response) {
+        if(!this.pending)
+            return;
+
+        const {
+            listener,
+            resolve
+        } = this.pending;
+
+        window.removeEventListener('message', listener, false);
+
+        this.pending = false;
+        resolve(response);
+    }
+
+    cancel() {
+        if(this.frame) {
+            this.frame.then(frame => frame.contentWindow.postMessage({
+                target: LEDGER_BRIDGE.TARGET,
+                action: LEDGER_BRIDGE.ACTION.CANCEL,
+                data: {}
+            }, '*'));
+        }
+
+        this._settle({
+            target: LEDGER_BRIDGE.TARGET,
+            success: false,
+            error: 'CREATION.LEDGER.TIP_CANCEL_TRANSACTION'
+        });
+    }
+}
+
+export default IframeTransport;
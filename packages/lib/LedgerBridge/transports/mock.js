@@ -0,0 +1,75 @@
+import TronWeb from 'tronweb';
+import Utils from '@tronlink/lib/utils';
+import TypedData from '@tronlink/lib/typedData';
+import SignedMessage from '@tronlink/lib/signedMessage';
+
+import { LEDGER_BRIDGE } from '@tronlink/lib/constants';
+
+/**
+ * Answers bridge messages locally instead of forwarding them to a device. Each handler
+ * receives the message data and returns (or resolves) the response data, throwing to
+ * report a device error. Every message is kept in `requests` for inspection, e.g.
+ *
+ *     LedgerBridge.init(MockTransport.fromMnemonic(mnemonic));
+ */
+class MockTransport {
+    constructor(handlers = {}) {
+        this.handlers = handlers;
+        this.requests = [];
+    }
+
+    // Behaves like a device holding the given seed, including rejecting a key that doesn't match the address
+    static fromMnemonic(mnemonic) {
+        const keyAt = (index, address) => {
+            const account = Utils.getAccountAtIndex(mnemonic, index);
+
+            if(address && address !== account.address)
+                throw new Error('address not match');
+
+            return account;
+        };
+
+        return new MockTransport({
+            [ LEDGER_BRIDGE.ACTION.GET_ADDRESS ]: ({ index }) => keyAt(index).address,
+            [ LEDGER_BRIDGE.ACTION.SIGN_TRANSACTION ]: ({ transaction, address, index }) => (
+                TronWeb.utils.crypto.ECKeySign(
+                    TronWeb.utils.code.hexStr2byteArray(transaction.txID),
+                    TronWeb.utils.code.hexStr2byteArray(keyAt(index, address).privateKey)
+                )
+            ),
+            [ LEDGER_BRIDGE.ACTION.SIGN_MESSAGE ]: ({ message, address, index }) => (
+                TronWeb.Trx.signString(message, keyAt(index, address).privateKey)
+            ),
+            [ LEDGER_BRIDGE.ACTION.SIGN_MESSAGE_V2 ]: ({ message, address, index }) => (
+                SignedMessage.sign(SignedMessage.fromHex(message), keyAt(index, address).privateKey)
+            ),
+            [ LEDGER_BRIDGE.ACTION.SIGN_TYPED_DATA ]: ({ domainHash, messageHash, address, index }) => (
+                TypedData.signDigest(TypedData.digest(domainHash, messageHash), keyAt(index, address).privateKey)
+            )
+        });
+    }
+
+    send(message) {
+        const handler = this.handlers[ message.action ];
+        const respond = response => ({
+            target: LEDGER_BRIDGE.TARGET,
+            ...response
+        });
+
+        this.requests.push(message);
+
+        if(!handler) {
+            return Promise.resolve(respond({
+                success: false,
+                error: `Unsupported action ${ message.action }`
+            }));
+        }
+
+        return Promise.resolve()
+            .then(() => handler(message.data))
+            .then(data => respond({ success: true, data }))
+            .catch(ex => respond({ success: false, error: ex.message || ex }));
+    }
+}
+
+export default MockTransport;
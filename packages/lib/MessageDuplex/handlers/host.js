@@ -44,7 +44,8 @@ class MessageDuplexHost extends EventEmitter {
 
         this.channels.set(name, channelList.set(uuid, {
             channel,
-            url
+            url,
+            hostname
         }));
 
         channel.onMessage.addListener(message => (
@@ -136,6 +137,19 @@ class MessageDuplexHost extends EventEmitter {
         )));
     }
 
+    // Unacknowledged send where each connection's data depends on its page hostname, undefined skips it
+    sendEach(target = false, action, dataFor) {
+        if(!this.channels.has(target))
+            return;
+
+        this.channels.get(target).forEach(({ channel, hostname }) => {
+            const data = dataFor(hostname);
+
+            if(data !== undefined)
+                channel.postMessage({ action, data, noAck: true });
+        });
+    }
+
     send(target = false, action, data, requiresAck = true) {
         if(!this.channels.has(target))
             return;
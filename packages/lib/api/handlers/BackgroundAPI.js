@@ -1,6 +1,4 @@
 export default {
-    currentAccount: false,
-
     init(duplex) {
         this.duplex = duplex;
     },
@@ -11,16 +9,18 @@ export default {
 
     setAccount(account) {
         this.duplex.send('popup', 'setAccount', account, false);
+    },
 
-        if(this.currentAccount === account)
-            return;
-        const { address, name , type } = account;
-        this.duplex.send('tab', 'tunnel', {
-            action: 'setAccount',
-            data: { address, name, type }
-        }, false);
+    // Each tab is told the account bound to its own site, rather than the one selected in the popup
+    setSiteAccounts(accountFor) {
+        this.duplex.sendEach('tab', 'tunnel', hostname => {
+            const { address, name, type, accounts, isConnected } = accountFor(hostname);
 
-        this.currentAccount = account;
+            return {
+                action: 'setAccount',
+                data: { address, name, type, accounts, isConnected }
+            };
+        });
     },
 
     setNode(node) {
@@ -30,6 +30,13 @@ export default {
         }, false);
     },
 
+    lock() {
+        this.duplex.send('tab', 'tunnel', {
+            action: 'lock',
+            data: {}
+        }, false);
+    },
+
     setChain(chain){
         this.duplex.send('popup', 'setChain', chain, false);
     },
@@ -81,6 +88,10 @@ export default {
         this.duplex.send('popup', 'setAuthorizeDapps',dappList ,false);
     },
 
+    setConnectedSites(connectedSites) {
+        this.duplex.send('popup', 'setConnectedSites', connectedSites, false);
+    },
+
     setLedgerImportAddress(address) {
         this.duplex.send('popup', 'setLedgerImportAddress',address ,false);
     },
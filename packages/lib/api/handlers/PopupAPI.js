@@ -32,26 +32,39 @@ export default {
 
     // Confirmation actions
 
-    acceptConfirmation(whitelistDuration) {
-        return this.duplex.send('acceptConfirmation', whitelistDuration, false);
+    // accounts is only read for connection requests, naming the accounts the site may use
+    acceptConfirmation(uuid, whitelistDuration, accounts, overrides) {
+        return this.duplex.send('acceptConfirmation', { uuid, whitelistDuration, accounts, overrides });
     },
 
-    rejectConfirmation() {
-        return this.duplex.send('rejectConfirmation', {}, false);
+    rejectConfirmation(uuid) {
+        return this.duplex.send('rejectConfirmation', { uuid }, false);
+    },
+
+    rejectSiteConfirmations(hostname) {
+        return this.duplex.send('rejectSiteConfirmations', { hostname }, false);
+    },
+
+    estimateConfirmation(uuid) {
+        return this.duplex.send('estimateConfirmation', { uuid });
     },
 
     // Transaction handling
 
-    sendTrx(recipient, amount) {
-        return this.duplex.send('sendTrx', { recipient, amount });
+    sendTrx(recipient, amount, options = {}) {
+        return this.duplex.send('sendTrx', { recipient, amount, options });
+    },
+
+    sendBasicToken(recipient, amount, token, options = {}) {
+        return this.duplex.send('sendBasicToken', { recipient, amount, token, options });
     },
 
-    sendBasicToken(recipient, amount, token) {
-        return this.duplex.send('sendBasicToken', { recipient, amount, token });
+    sendSmartToken(recipient, amount, token, options = {}) {
+        return this.duplex.send('sendSmartToken', { recipient, amount, token, options });
     },
 
-    sendSmartToken(recipient, amount, token) {
-        return this.duplex.send('sendSmartToken', { recipient, amount, token });
+    estimateSend(recipient, amount, token, options = {}) {
+        return this.duplex.send('estimateSend', { recipient, amount, token, options });
     },
 
     // Account control
@@ -60,8 +73,32 @@ export default {
         return this.duplex.send('importAccount', { privateKey, name });
     },
 
-    addAccount(mnemonic, name) {
-        return this.duplex.send('addAccount', { mnemonic, name });
+    importWatchOnlyAccount(address, name) {
+        return this.duplex.send('importWatchOnlyAccount', { address, name });
+    },
+
+    addAccount(mnemonic, name, passphrase = '') {
+        return this.duplex.send('addAccount', { mnemonic, passphrase, name });
+    },
+
+    deriveAccount(seedId) {
+        return this.duplex.send('deriveAccount', seedId);
+    },
+
+    discoverAccounts(mnemonic, passphrase = '') {
+        return this.duplex.send('discoverAccounts', { mnemonic, passphrase });
+    },
+
+    importMnemonicAccounts(mnemonic, accountIndices, name, passphrase = '') {
+        return this.duplex.send('importMnemonicAccounts', { mnemonic, passphrase, accountIndices, name });
+    },
+
+    discoverLedgerAccounts(start, count) {
+        return this.duplex.send('discoverLedgerAccounts', { start, count });
+    },
+
+    importLedgerAccounts(accounts, name) {
+        return this.duplex.send('importLedgerAccounts', { accounts, name });
     },
 
     selectAccount(address) {
@@ -80,6 +117,22 @@ export default {
         return this.duplex.send('exportAccount');
     },
 
+    exportKeystore(password, format) {
+        return this.duplex.send('exportKeystore', { password, format });
+    },
+
+    exportBackup(passphrase) {
+        return this.duplex.send('exportBackup', passphrase);
+    },
+
+    previewBackup(backup, passphrase) {
+        return this.duplex.send('previewBackup', { backup, passphrase });
+    },
+
+    restoreBackup(backup, passphrase, replace) {
+        return this.duplex.send('restoreBackup', { backup, passphrase, replace });
+    },
+
     getSelectedAccount() {
         return this.duplex.send('getSelectedAccount');
     },
@@ -141,6 +194,10 @@ export default {
     lockWallet() {
         return this.duplex.send('lockWallet');
     },
+
+    changePassword(oldPassword, newPassword) {
+        return this.duplex.send('changePassword', { oldPassword, newPassword });
+    },
     // Misc
 
     selectCurrency(currency) {
@@ -278,8 +335,8 @@ export default {
         return this.duplex.send('getAllTokens',selectedChain);
     },
 
-    setTransactionDetail(hash) {
-       return this.duplex.send('setTransactionDetail', hash);
+    setTransactionDetail(hash, tokenId) {
+        return this.duplex.send('setTransactionDetail', { hash, tokenId });
     },
 
     setAuthorizeDapps(authorizeDapps) {
@@ -290,6 +347,28 @@ export default {
         return this.duplex.send('getAuthorizeDapps');
     },
 
+    getConnectedSites() {
+        return this.duplex.send('getConnectedSites');
+    },
+
+    disconnectSite(hostname) {
+        this.duplex.send('disconnectSite', hostname, false);
+    },
+
+    selectSiteAccount(hostname, address) {
+        this.duplex.send('selectSiteAccount', { hostname, address }, false);
+    },
+
+    // TRC20 allowances the selected account has granted with their current amounts, newest first
+    getAllowances() {
+        return this.duplex.send('getAllowances');
+    },
+
+    // Resolves one { token, spender, txID } or { token, spender, error } per allowance
+    revokeAllowances(allowances) {
+        return this.duplex.send('revokeAllowances', allowances);
+    },
+
     setLedgerImportAddress(address){
         this.duplex.send('setLedgerImportAddress', address, false);
     },
@@ -310,28 +389,28 @@ export default {
         this.duplex.send('setPushMessage', {iconUrl, title, message, hash}, false);
     },
 
-    depositTrx(amount){
-        return this.duplex.send('depositTrx', amount);
+    depositTrx(amount, options = {}) {
+        return this.duplex.send('depositTrx', { amount, options });
     },
 
-    withdrawTrx(amount){
-        return this.duplex.send('withdrawTrx', amount);
+    withdrawTrx(amount, options = {}) {
+        return this.duplex.send('withdrawTrx', { amount, options });
     },
 
-    depositTrc10(id, amount){
-        return this.duplex.send('depositTrc10', {id,amount});
+    depositTrc10(id, amount, options = {}) {
+        return this.duplex.send('depositTrc10', { id, amount, options });
     },
 
-    withdrawTrc10(id, amount){
-        return this.duplex.send('withdrawTrc10', {id,amount});
+    withdrawTrc10(id, amount, options = {}) {
+        return this.duplex.send('withdrawTrc10', { id, amount, options });
     },
 
-    depositTrc20(contract_address,amount){
-        return this.duplex.send('depositTrc20', {contract_address,amount});
+    depositTrc20(contract_address, amount, options = {}) {
+        return this.duplex.send('depositTrc20', { contract_address, amount, options });
     },
 
-    withdrawTrc20(contract_address,amount){
-        return this.duplex.send('withdrawTrc20', {contract_address,amount});
+    withdrawTrc20(contract_address, amount, options = {}) {
+        return this.duplex.send('withdrawTrc20', { contract_address, amount, options });
     }
 
 
@@ -29,13 +29,19 @@ export const APP_STATE = {
     LEDGER: 22, // [X] connect ledger wallet
     LEDGER_IMPORT_ACCOUNT: 23, // [X] connect ledger wallet
     NODE_MANAGE:24, // node manage
-    TRANSFER:25 // transfer
+    TRANSFER:25, // transfer
+    CHANGE_PASSWORD: 26, // change wallet password
+    BACKUP: 27, // export an encrypted backup of the whole wallet
+    EXPORT_KEYSTORE: 28, // export the selected account as a keystore file
+    CONNECTED_SITES: 29, // sites allowed to see the selected address
+    ALLOWANCES: 30 // TRC20 allowances granted by the selected account
 }; // User can delete *all* accounts. This will set the appState to UNLOCKED.
 
 export const ACCOUNT_TYPE = {
     MNEMONIC: 0,
     PRIVATE_KEY: 1,
-    LEDGER:2
+    LEDGER:2,
+    WATCH_ONLY: 3 // address only, can't sign
 };
 
 export const VALIDATION_STATE = {
@@ -64,6 +70,8 @@ export const RESTORATION_STAGE = {
     IMPORT_TRONSCAN: 4,
     IMPORT_MNEMONIC: 5,
     IMPORT_KEY_STORE: 7,
+    IMPORT_BACKUP: 8,
+    IMPORT_WATCH_ONLY: 9,
     SUCCESS: 6
 };
 
@@ -91,9 +99,37 @@ export const SUPPORTED_CONTRACTS = [
     'TriggerSmartContract'
 ];
 
+// Dapps waiting on a confirmation the user never answers are rejected after this long
+export const CONFIRMATION_TIMEOUT = 10 * 60 * 1000;
+
+// Contract types whose transactions carry a fee_limit
+export const FEE_LIMIT_CONTRACTS = [ 'TriggerSmartContract', 'CreateSmartContract' ];
+
 export const CONFIRMATION_TYPE = {
     STRING: 0,
-    TRANSACTION: 1
+    TRANSACTION: 1,
+    CONNECT: 2, // a site asking to see the selected address
+    TYPED_DATA: 3, // TIP-712 structured data
+    MESSAGE_V2: 4 // length-prefixed message, input is its bytes as hex
+};
+
+// Which way a mapped transaction moved value, relative to the account it was indexed for
+export const TRANSACTION_DIRECTION = {
+    IN: 'in',
+    OUT: 'out',
+    SELF: 'self'
+};
+
+// How a decoded transaction field is shown, see lib/transactionDecoder
+export const DECODED_FIELD = {
+    ADDRESS: 'address', // base58 address
+    AMOUNT: 'amount', // decimal string already scaled by the token's decimals, with its symbol
+    NUMBER: 'number',
+    TEXT: 'text',
+    MESSAGE: 'message', // a translation key
+    DATE: 'date', // timestamp in milliseconds
+    DAYS: 'days',
+    PERCENT: 'percent'
 };
 
 export const CONTRACT_ADDRESS = {
@@ -182,4 +218,123 @@ export const FEE = {
     MIN_DEPOSIT_OR_WITHDRAW:10000000
 };
 
-export const API_URL = 'https://list.tronlink.org';
\ No newline at end of file
+export const API_URL = 'https://list.tronlink.org';
+
+export const VAULT = {
+    VERSION: 2,
+    CIPHER: 'aes-256-gcm',
+    IV_LENGTH: 12,
+    KDF: {
+        NAME: 'pbkdf2',
+        DIGEST: 'sha256',
+        ITERATIONS: 100000, // Raising this re-encrypts the vault on the next unlock
+        SALT_LENGTH: 32
+    }
+};
+
+export const BACKUP = {
+    FORMAT: 'tronlink-backup',
+    VERSION: 1
+};
+
+export const HD_WALLET = {
+    GAP_LIMIT: 10 // Discovery stops after this many unused addresses in a row
+};
+
+export const PENDING_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    EXPIRED: 'expired' // never made it into a block before its expiration
+};
+
+export const PENDING_TRANSACTION = {
+    FIRST_CHECK: 3 * 1000, // a block is produced every 3 seconds
+    MAX_INTERVAL: 60 * 1000, // checks back off up to this far apart
+    EXPIRY_GRACE: 60 * 1000, // allowance for nodes lagging behind after the expiration passed
+    KEEP_FINISHED: 10 * 60 * 1000 // how long confirmed and failed ones stay listed
+};
+
+// Transaction pages of the block explorers for the networks the wallet ships with, by full node
+export const EXPLORER = {
+    'https://api.trongrid.io': 'https://tronscan.org/#/transaction/',
+    'https://api.shasta.trongrid.io': 'https://shasta.tronscan.org/#/transaction/',
+    'https://sun.tronex.io': 'https://dappchain.tronscan.org/#/transaction/'
+};
+
+export const FEE_ESTIMATE = {
+    PARAMETERS_TTL: 10 * 60 * 1000, // chain parameters only change through proposals
+    SIGNATURE_SIZE: 67, // bytes a signature adds to a transaction, with its field header
+    RESULT_SIZE: 64, // bytes a node charges on top for the result it attaches
+    DEFAULT_SIZE: 300, // assumed when a node doesn't return raw_data_hex
+    FEE_LIMIT_MARGIN: 0.2, // headroom over the simulated energy, state may change before the call runs
+    MAX_FEE_LIMIT: 1000 * 1000000 // the cap on nodes predating the getMaxFeeLimit parameter
+};
+
+export const SEND_OPTIONS = {
+    MAX_MEMO_SIZE: 512, // bytes once UTF-8 encoded
+    MIN_EXPIRATION: 60 * 1000, // how long nodes keep a transaction valid by default
+    MAX_EXPIRATION: 24 * 60 * 60 * 1000 // the furthest out nodes accept
+};
+
+export const HISTORY = {
+    PAGE_SIZE: 50, // records per /v1 request
+    MAX_PAGES: 10, // requests per API and sync, a long history catches up over several syncs
+    BLOCK_BATCH: 100, // blocks per request when scanning, the most a node returns
+    MAX_BATCHES: 5
+};
+
+export const KEYSTORE = {
+    FORMAT: {
+        TRONSCAN: 'tronscan',
+        WEB3: 'web3'
+    },
+    TRONSCAN: {
+        VERSION: 1,
+        SALT_LENGTH: 16
+    },
+    WEB3: {
+        VERSION: 3,
+        CIPHER: 'aes-128-ctr',
+        KDF: 'pbkdf2',
+        PRF: 'hmac-sha256',
+        ITERATIONS: 262144,
+        DKLEN: 32
+    }
+};
+export const LEDGER_BRIDGE = {
+    FRAME_ID: 'tronLedgerBridge',
+    URL: 'https://zacharyle.github.io/tron-ledger-bridge',
+    TARGET: 'LEDGER-IFRAME',
+    PAGE_SIZE: 5, // addresses shown per page when importing
+    ACTION: {
+        CONNECT: 'connect ledger',
+        GET_ADDRESS: 'get address',
+        SIGN_TRANSACTION: 'sign transaction',
+        SIGN_MESSAGE: 'sign message',
+        SIGN_MESSAGE_V2: 'sign message v2',
+        SIGN_TYPED_DATA: 'sign typed data',
+        CANCEL: 'cancel transaction'
+    }
+};
+
+// EIP-1193 error codes returned by the injected window.tronLink provider
+export const PROVIDER_ERROR = {
+    USER_REJECTED: { code: 4001, message: 'The user rejected the request' },
+    UNAUTHORIZED: { code: 4100, message: 'The site or account has not been authorized by the user' },
+    UNSUPPORTED_METHOD: { code: 4200, message: 'The provider does not support the requested method' },
+    DISCONNECTED: { code: 4900, message: 'The site has been disconnected from TronLink' },
+    INVALID_PARAMS: { code: -32602, message: 'Invalid method parameters' },
+    INTERNAL: { code: -32603, message: 'Internal error' }
+};
+
+export const PROVIDER_METHOD = {
+    REQUEST_ACCOUNTS: 'tron_requestAccounts',
+    ACCOUNTS: 'tron_accounts',
+    CHAIN_ID: 'tron_chainId',
+    SIGN_TRANSACTION: 'tron_signTransaction',
+    SIGN_MESSAGE: 'tron_signMessage',
+    SIGN_TYPED_DATA: 'tron_signTypedData',
+    SIGN_MESSAGE_V2: 'tron_signMessageV2',
+    VERIFY_MESSAGE: 'tron_verifyMessage'
+};
@@ -0,0 +1,100 @@
+import TronWeb from 'tronweb';
+import { utils } from 'ethers';
+
+const HEX_STRING = /^(0x)?([0-9a-f]{2})*$/i;
+const HASH_STRING = /^(0x)?[0-9a-f]{64}$/i;
+
+// Valid UTF-8 can still be binary, text with control characters other than whitespace is treated as bytes
+const isReadable = text => [ ...text ].every(char => {
+    const code = char.charCodeAt(0);
+    return (code >= 0x20 && code !== 0x7f) || '\t\n\r'.includes(char);
+});
+
+/**
+ * Message signing in the style of TronWeb's signMessageV2: the message bytes are prefixed with
+ * "\x19TRON Signed Message:\n" and their length, so messages of any size can be signed and the
+ * result can never pass for a transaction signature. Strings are signed as their UTF-8 bytes,
+ * byte arrays as given. Signatures use the same 0x-prefixed r, s, v layout as typed data.
+ */
+const SignedMessage = {
+    PREFIX: '\x19TRON Signed Message:\n',
+
+    toBytes(message) {
+        if(typeof message === 'string')
+            return utils.toUtf8Bytes(message);
+
+        return utils.arrayify(message);
+    },
+
+    // Messages cross the extension as hex so byte arrays survive serialisation
+    toHex(message) {
+        return utils.hexlify(this.toBytes(message));
+    },
+
+    fromHex(hex) {
+        return utils.arrayify(`0x${ hex.replace(/^0x/, '') }`);
+    },
+
+    hash(message) {
+        const bytes = this.toBytes(message);
+
+        return utils.keccak256(utils.concat([
+            utils.toUtf8Bytes(this.PREFIX),
+            utils.toUtf8Bytes(String(bytes.length)),
+            bytes
+        ]));
+    },
+
+    sign(message, privateKey) {
+        const signingKey = new utils.SigningKey(`0x${ privateKey.replace(/^0x/, '') }`);
+        return utils.joinSignature(signingKey.signDigest(this.hash(message)));
+    },
+
+    recover(message, signature) {
+        const address = utils.recoverAddress(this.hash(message), signature);
+        return TronWeb.address.fromHex(`41${ address.substr(2) }`);
+    },
+
+    verify(message, signature, address) {
+        try {
+            return this.recover(message, signature) === TronWeb.address.fromHex(address);
+        } catch(ex) {
+            return false;
+        }
+    },
+
+    /**
+     * What the user is shown before signing. Hex input is decoded when the bytes are readable
+     * UTF-8 text, and 32 bytes (or text spelling out 32 bytes) are flagged because that is what
+     * a transaction id looks like.
+     */
+    describe(message) {
+        if(typeof message !== 'string' || !HEX_STRING.test(message)) {
+            return {
+                text: String(message),
+                hex: false,
+                isHashLike: HASH_STRING.test(message)
+            };
+        }
+
+        const bytes = this.fromHex(message);
+        let text = false;
+
+        try {
+            text = utils.toUtf8String(bytes);
+        } catch(ex) {
+            // Not valid UTF-8, shown as hex
+        }
+
+        if(text !== false && !isReadable(text))
+            text = false;
+
+        return {
+            text,
+            hex: utils.hexlify(bytes),
+            isHashLike: bytes.length === 32 || (text !== false && HASH_STRING.test(text))
+        };
+    }
+};
+
+export default SignedMessage;
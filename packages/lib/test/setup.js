@@ -0,0 +1,34 @@
+// Compiles the packages the way webpack does and fakes the few browser globals they touch at import time
+const path = require('path');
+
+const packages = path.resolve(__dirname, '../..');
+
+require('@babel/register')({
+    babelrc: false,
+    only: [ filename => filename.startsWith(packages) && !filename.includes('node_modules') ],
+    presets: [ [ '@babel/preset-env', { targets: { node: 'current' } } ] ]
+});
+
+global.window = global;
+global.location = { hostname: 'test' };
+global.navigator = { userAgent: 'node' };
+
+global.localStorage = {
+    getItem: () => null,
+    setItem: () => {},
+    removeItem: () => {}
+};
+
+global.chrome = {
+    runtime: {
+        id: 'test',
+        lastError: null
+    },
+    storage: {
+        local: {
+            get: (keys, callback) => callback({}),
+            set: (items, callback) => callback && callback(),
+            remove: (keys, callback) => callback && callback()
+        }
+    }
+};
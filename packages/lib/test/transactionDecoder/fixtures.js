@@ -0,0 +1,335 @@
+import TronWeb from 'tronweb';
+import { utils } from 'ethers';
+
+export const ADDRESSES = {
+    USDT: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
+    RECIPIENT: 'TJRabPrwbZy45sbavfcjinPJC18kjpRTv8',
+    WITNESS: 'TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU7',
+    OTHER_WITNESS: 'TKzxdSv2FZKQrEqkKVgp5DcwEXBEKMg2Ax',
+    UNKNOWN_TOKEN: 'TMuA6YqfCeX8EhbfYEg5y7S4DqzSJireY9'
+};
+
+export const TOKENS = {
+    1002000: { name: 'BitTorrent', symbol: 'BTT', decimals: 6 },
+    [ ADDRESSES.USDT ]: { name: 'Tether USD', symbol: 'USDT', decimals: 6 }
+};
+
+// Values as the node returns them: hex addresses, hex-encoded text and call data without a prefix
+export const hex = address => TronWeb.address.toHex(address);
+export const text = value => TronWeb.fromUtf8(value).substr(2);
+
+export const callData = (types, values) => utils.defaultAbiCoder.encode(
+    types,
+    values.map(value => (TronWeb.isAddress(value) ? `0x${ hex(value).substr(2) }` : value))
+).substr(2);
+
+const OWNER = hex(ADDRESSES.RECIPIENT);
+
+/**
+ * One contract parameter value per contract type the transaction builder supports (see
+ * lib/transactionBuilder/contracts.json) and the fields it decodes to
+ */
+export const CONTRACTS = {
+    TransferContract: {
+        input: {
+            owner_address: OWNER,
+            to_address: hex(ADDRESSES.WITNESS),
+            amount: 12500000
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.RECIPIENT', type: 'address', value: ADDRESSES.WITNESS },
+            { key: 'CONFIRMATIONS.AMOUNT', type: 'amount', value: '12.5', symbol: 'TRX', decimals: 6 }
+        ]
+    },
+
+    TransferAssetContract: {
+        input: {
+            owner_address: OWNER,
+            asset_name: text('1002000'),
+            to_address: hex(ADDRESSES.WITNESS),
+            amount: 12500000
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.TOKEN', type: 'text', value: 'BitTorrent (1002000)' },
+            { key: 'CONFIRMATIONS.RECIPIENT', type: 'address', value: ADDRESSES.WITNESS },
+            { key: 'CONFIRMATIONS.AMOUNT', type: 'amount', value: '12.5', symbol: 'BTT', decimals: 6 }
+        ]
+    },
+
+    ParticipateAssetIssueContract: {
+        input: {
+            owner_address: OWNER,
+            asset_name: text('1002000'),
+            to_address: hex(ADDRESSES.WITNESS),
+            amount: 1000000
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.TOKEN', type: 'text', value: 'BitTorrent (1002000)' },
+            { key: 'CONFIRMATIONS.ISSUER', type: 'address', value: ADDRESSES.WITNESS },
+            { key: 'CONFIRMATIONS.COST', type: 'amount', value: '1', symbol: 'TRX', decimals: 6 }
+        ]
+    },
+
+    AssetIssueContract: {
+        input: {
+            owner_address: OWNER,
+            name: text('Example'),
+            abbr: text('EXM'),
+            total_supply: 1000000000000,
+            precision: 6,
+            trx_num: 1000000,
+            num: 2000000,
+            start_time: 1570000000000,
+            end_time: 1580000000000,
+            frozen_supply: [ { frozen_amount: 5000000, frozen_days: 30 } ],
+            description: text('An example token'),
+            url: text('https://example.com')
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.TOKEN', type: 'text', value: 'Example' },
+            { key: 'CONFIRMATIONS.TOKEN_ABBR', type: 'text', value: 'EXM' },
+            { key: 'CONFIRMATIONS.TOTAL_SUPPLY', type: 'amount', value: '1000000', symbol: 'EXM', decimals: 6 },
+            { key: 'CONFIRMATIONS.PRECISION', type: 'number', value: 6 },
+            { key: 'CONFIRMATIONS.TRX_RATIO', type: 'amount', value: '1', symbol: 'TRX', decimals: 6 },
+            { key: 'CONFIRMATIONS.TOKEN_RATIO', type: 'amount', value: '2', symbol: 'EXM', decimals: 6 },
+            { key: 'CONFIRMATIONS.START_TIME', type: 'date', value: 1570000000000 },
+            { key: 'CONFIRMATIONS.END_TIME', type: 'date', value: 1580000000000 },
+            { key: 'CONFIRMATIONS.FROZEN_SUPPLY', type: 'amount', value: '5', symbol: 'EXM', decimals: 6, values: { days: 30 } },
+            { key: 'CONFIRMATIONS.DESCRIPTION', type: 'text', value: 'An example token' },
+            { key: 'CONFIRMATIONS.URL', type: 'text', value: 'https://example.com' }
+        ]
+    },
+
+    UpdateAssetContract: {
+        input: {
+            owner_address: OWNER,
+            description: text('A new description'),
+            url: text('https://example.org'),
+            new_limit: 1000,
+            new_public_limit: 2000
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.DESCRIPTION', type: 'text', value: 'A new description' },
+            { key: 'CONFIRMATIONS.URL', type: 'text', value: 'https://example.org' },
+            { key: 'CONFIRMATIONS.NEW_LIMIT', type: 'number', value: 1000 },
+            { key: 'CONFIRMATIONS.NEW_PUBLIC_LIMIT', type: 'number', value: 2000 }
+        ]
+    },
+
+    UnfreezeAssetContract: {
+        input: { owner_address: OWNER },
+        fields: []
+    },
+
+    VoteWitnessContract: {
+        input: {
+            owner_address: OWNER,
+            votes: [
+                { vote_address: hex(ADDRESSES.WITNESS), vote_count: 100 },
+                { vote_address: hex(ADDRESSES.OTHER_WITNESS), vote_count: 5 }
+            ]
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.VOTE', type: 'address', value: ADDRESSES.WITNESS, values: { count: 100 } },
+            { key: 'CONFIRMATIONS.VOTE', type: 'address', value: ADDRESSES.OTHER_WITNESS, values: { count: 5 } }
+        ]
+    },
+
+    FreezeBalanceContract: {
+        input: {
+            owner_address: OWNER,
+            frozen_balance: 10000000,
+            frozen_duration: 3,
+            resource: 'ENERGY',
+            receiver_address: hex(ADDRESSES.WITNESS)
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.AMOUNT', type: 'amount', value: '10', symbol: 'TRX', decimals: 6 },
+            { key: 'CONFIRMATIONS.DURATION', type: 'days', value: 3 },
+            { key: 'CONFIRMATIONS.RESOURCE', type: 'message', value: 'CONFIRMATIONS.RESOURCE.ENERGY' },
+            { key: 'CONFIRMATIONS.RECEIVER', type: 'address', value: ADDRESSES.WITNESS }
+        ]
+    },
+
+    UnfreezeBalanceContract: {
+        input: {
+            owner_address: OWNER,
+            resource: 'BANDWIDTH'
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.RESOURCE', type: 'message', value: 'CONFIRMATIONS.RESOURCE.BANDWIDTH' }
+        ]
+    },
+
+    WithdrawBalanceContract: {
+        input: { owner_address: OWNER },
+        fields: []
+    },
+
+    AccountCreateContract: {
+        input: {
+            owner_address: OWNER,
+            account_address: hex(ADDRESSES.WITNESS)
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.ACCOUNT', type: 'address', value: ADDRESSES.WITNESS }
+        ]
+    },
+
+    AccountUpdateContract: {
+        input: {
+            owner_address: OWNER,
+            account_name: text('Savings')
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.ACCOUNT_NAME', type: 'text', value: 'Savings' }
+        ]
+    },
+
+    WitnessCreateContract: {
+        input: {
+            owner_address: OWNER,
+            url: text('https://sr.example.com')
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.URL', type: 'text', value: 'https://sr.example.com' }
+        ]
+    },
+
+    WitnessUpdateContract: {
+        input: {
+            owner_address: OWNER,
+            update_url: text('https://sr.example.org')
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.URL', type: 'text', value: 'https://sr.example.org' }
+        ]
+    },
+
+    CreateSmartContract: {
+        input: {
+            owner_address: OWNER,
+            new_contract: {
+                name: 'Example',
+                call_value: 5000000,
+                consume_user_resource_percent: 30,
+                origin_energy_limit: 10000000
+            },
+            token_id: 1002000,
+            call_token_value: 3000000
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.CONTRACT_NAME', type: 'text', value: 'Example' },
+            { key: 'CONFIRMATIONS.COST', type: 'amount', value: '5', symbol: 'TRX', decimals: 6 },
+            { key: 'CONFIRMATIONS.TOKEN', type: 'text', value: 'BitTorrent (1002000)' },
+            { key: 'CONFIRMATIONS.TOKEN_VALUE', type: 'amount', value: '3', symbol: 'BTT', decimals: 6 },
+            { key: 'CONFIRMATIONS.USER_RESOURCE_PERCENT', type: 'percent', value: 30 },
+            { key: 'CONFIRMATIONS.ENERGY_LIMIT', type: 'number', value: 10000000 }
+        ]
+    },
+
+    TriggerSmartContract: {
+        input: {
+            owner_address: OWNER,
+            contract_address: hex(ADDRESSES.USDT),
+            function_selector: 'transfer(address,uint256)',
+            parameter: callData([ 'address', 'uint256' ], [ ADDRESSES.WITNESS, 12500000 ])
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.CONTRACT', type: 'address', value: ADDRESSES.USDT },
+            { key: 'CONFIRMATIONS.FUNCTION', type: 'text', value: 'transfer(address,uint256)' },
+            { key: 'CONFIRMATIONS.RECIPIENT', type: 'address', value: ADDRESSES.WITNESS },
+            { key: 'CONFIRMATIONS.AMOUNT', type: 'amount', value: '12.5', symbol: 'USDT', decimals: 6 }
+        ]
+    },
+
+    UpdateSettingContract: {
+        input: {
+            owner_address: OWNER,
+            contract_address: hex(ADDRESSES.USDT),
+            consume_user_resource_percent: 50
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.CONTRACT', type: 'address', value: ADDRESSES.USDT },
+            { key: 'CONFIRMATIONS.USER_RESOURCE_PERCENT', type: 'percent', value: 50 }
+        ]
+    },
+
+    ExchangeCreateContract: {
+        input: {
+            owner_address: OWNER,
+            first_token_id: text('_'),
+            first_token_balance: 100000000,
+            second_token_id: text('1002000'),
+            second_token_balance: 5000000
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.FIRST_TOKEN', type: 'amount', value: '100', symbol: 'TRX', decimals: 6 },
+            { key: 'CONFIRMATIONS.SECOND_TOKEN', type: 'amount', value: '5', symbol: 'BTT', decimals: 6 }
+        ]
+    },
+
+    ExchangeInjectContract: {
+        input: {
+            owner_address: OWNER,
+            exchange_id: 12,
+            token_id: text('1002000'),
+            quant: 2500000
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.EXCHANGE_ID', type: 'number', value: 12 },
+            { key: 'CONFIRMATIONS.QUANTITY', type: 'amount', value: '2.5', symbol: 'BTT', decimals: 6 }
+        ]
+    },
+
+    ExchangeWithdrawContract: {
+        input: {
+            owner_address: OWNER,
+            exchange_id: 12,
+            token_id: text('_'),
+            quant: 2500000
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.EXCHANGE_ID', type: 'number', value: 12 },
+            { key: 'CONFIRMATIONS.QUANTITY', type: 'amount', value: '2.5', symbol: 'TRX', decimals: 6 }
+        ]
+    },
+
+    ExchangeTransactionContract: {
+        input: {
+            owner_address: OWNER,
+            exchange_id: 12,
+            token_id: text('_'),
+            quant: 1000000,
+            expected: 500
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.EXCHANGE_ID', type: 'number', value: 12 },
+            { key: 'CONFIRMATIONS.QUANTITY', type: 'amount', value: '1', symbol: 'TRX', decimals: 6 },
+            { key: 'CONFIRMATIONS.EXPECTED', type: 'number', value: 500 }
+        ]
+    },
+
+    // The builder's name for ProposalApproveContract
+    ProposalApproveContact: {
+        input: {
+            owner_address: OWNER,
+            proposal_id: 7,
+            is_add_approval: true
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.PROPOSAL_ID', type: 'number', value: 7 },
+            { key: 'CONFIRMATIONS.APPROVE', type: 'message', value: 'CONFIRMATIONS.APPROVE.YES' }
+        ]
+    },
+
+    ProposalDeleteContract: {
+        input: {
+            owner_address: OWNER,
+            proposal_id: 7
+        },
+        fields: [
+            { key: 'CONFIRMATIONS.PROPOSAL_ID', type: 'number', value: 7 }
+        ]
+    }
+};
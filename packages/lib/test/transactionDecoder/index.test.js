@@ -0,0 +1,224 @@
+import assert from 'assert';
+import TransactionDecoder from '../../transactionDecoder';
+import Contracts from '../../transactionBuilder/contracts';
+
+import { utils } from 'ethers';
+import { ADDRESSES, TOKENS, CONTRACTS, hex, text, callData } from './fixtures';
+
+import en from '@tronlink/popup/src/translations/en.json';
+import ja from '@tronlink/popup/src/translations/ja.json';
+import zh from '@tronlink/popup/src/translations/zh.json';
+
+// Fields leave out the options a builder wasn't given, but carry them as undefined
+const decode = (contractType, input, tokens = TOKENS) => (
+    JSON.parse(JSON.stringify(TransactionDecoder.decode(contractType, input, tokens)))
+);
+
+const decodeFields = (contractType, input, tokens) => decode(contractType, input, tokens).fields;
+
+// Every translation id a summary shows: the action, field labels and message values
+const getMessageIds = ({ action, fields }) => [
+    action,
+    ...fields.map(({ key }) => key),
+    ...fields.filter(({ type }) => type === 'message').map(({ value }) => value)
+];
+
+describe('TransactionDecoder', () => {
+    describe('contract types', () => {
+        it('has a fixture for every contract type the builder supports', () => {
+            assert.deepStrictEqual(Object.keys(CONTRACTS).sort(), Object.keys(Contracts).sort());
+        });
+
+        Object.entries(CONTRACTS).forEach(([ contractType, { input, fields } ]) => {
+            it(`decodes ${ contractType }`, () => {
+                assert.ok(TransactionDecoder.isSupported(contractType));
+                assert.deepStrictEqual(decode(contractType, input), {
+                    action: `CONTRACTS.${ TransactionDecoder.getContractType(contractType) }`,
+                    isDecoded: true,
+                    fields
+                });
+            });
+        });
+
+        it('decodes ProposalCreateContract', () => {
+            assert.deepStrictEqual(decodeFields('ProposalCreateContract', {
+                parameters: [ { value: 86400000 }, { key: 9, value: 1 } ]
+            }), [
+                { key: 'CONFIRMATIONS.PROPOSAL_PARAMETER', type: 'number', value: 86400000, values: { id: 0 } },
+                { key: 'CONFIRMATIONS.PROPOSAL_PARAMETER', type: 'number', value: 1, values: { id: 9 } }
+            ]);
+        });
+
+        it('has a translation for every message it shows', () => {
+            const ids = Object.entries(CONTRACTS).reduce((list, [ contractType, { input } ]) => [
+                ...list,
+                ...getMessageIds(decode(contractType, input))
+            ], []);
+
+            [ en, ja, zh ].forEach(translations => (
+                assert.deepStrictEqual(ids.filter(id => !translations.hasOwnProperty(id)), [])
+            ));
+        });
+    });
+
+    describe('optional values', () => {
+        it('defaults the resource to bandwidth and leaves out a missing receiver', () => {
+            assert.deepStrictEqual(decodeFields('FreezeBalanceContract', {
+                frozen_balance: 10000000,
+                frozen_duration: 3
+            }), [
+                { key: 'CONFIRMATIONS.AMOUNT', type: 'amount', value: '10', symbol: 'TRX', decimals: 6 },
+                { key: 'CONFIRMATIONS.DURATION', type: 'days', value: 3 },
+                { key: 'CONFIRMATIONS.RESOURCE', type: 'message', value: 'CONFIRMATIONS.RESOURCE.BANDWIDTH' }
+            ]);
+        });
+
+        it('shows a proposal without is_add_approval as disapproved', () => {
+            const [ , approve ] = decodeFields('ProposalApproveContract', { proposal_id: 7 });
+
+            assert.strictEqual(approve.value, 'CONFIRMATIONS.APPROVE.NO');
+        });
+
+        it('leaves out zero amounts', () => {
+            assert.deepStrictEqual(decodeFields('TransferContract', {
+                to_address: hex(ADDRESSES.WITNESS),
+                amount: 0
+            }), [
+                { key: 'CONFIRMATIONS.RECIPIENT', type: 'address', value: ADDRESSES.WITNESS }
+            ]);
+        });
+
+        it('shows the value sent with a contract call', () => {
+            assert.deepStrictEqual(decodeFields('TriggerSmartContract', {
+                contract_address: hex(ADDRESSES.USDT),
+                function_selector: 'stake()',
+                call_value: 1000000,
+                token_id: 1002000,
+                call_token_value: 2000000
+            }), [
+                { key: 'CONFIRMATIONS.CONTRACT', type: 'address', value: ADDRESSES.USDT },
+                { key: 'CONFIRMATIONS.FUNCTION', type: 'text', value: 'stake()' },
+                { key: 'CONFIRMATIONS.COST', type: 'amount', value: '1', symbol: 'TRX', decimals: 6 },
+                { key: 'CONFIRMATIONS.TOKEN', type: 'text', value: 'BitTorrent (1002000)' },
+                { key: 'CONFIRMATIONS.TOKEN_VALUE', type: 'amount', value: '2', symbol: 'BTT', decimals: 6 }
+            ]);
+        });
+    });
+
+    describe('TRC20 calls', () => {
+        const call = (functionSelector, parameter, contractAddress = ADDRESSES.USDT) => decodeFields('TriggerSmartContract', {
+            contract_address: hex(contractAddress),
+            function_selector: functionSelector,
+            parameter
+        }).slice(2);
+
+        it('shows an unlimited approval as such', () => {
+            assert.deepStrictEqual(call('approve(address,uint256)', callData(
+                [ 'address', 'uint256' ],
+                [ ADDRESSES.WITNESS, utils.bigNumberify(2).pow(256).sub(1) ]
+            )), [
+                { key: 'CONFIRMATIONS.SPENDER', type: 'address', value: ADDRESSES.WITNESS },
+                { key: 'CONFIRMATIONS.ALLOWANCE', type: 'message', value: 'CONFIRMATIONS.UNLIMITED' }
+            ]);
+        });
+
+        it('scales allowance increases by the token decimals', () => {
+            assert.deepStrictEqual(call('increaseAllowance(address, uint256)', callData(
+                [ 'address', 'uint256' ],
+                [ ADDRESSES.WITNESS, 2500000 ]
+            )), [
+                { key: 'CONFIRMATIONS.SPENDER', type: 'address', value: ADDRESSES.WITNESS },
+                { key: 'CONFIRMATIONS.ALLOWANCE_INCREASE', type: 'amount', value: '2.5', symbol: 'USDT', decimals: 6 }
+            ]);
+        });
+
+        it('decodes transferFrom', () => {
+            assert.deepStrictEqual(call('transferFrom(address,address,uint256)', `0x${ callData(
+                [ 'address', 'address', 'uint256' ],
+                [ ADDRESSES.RECIPIENT, ADDRESSES.WITNESS, 1000000 ]
+            ) }`), [
+                { key: 'CONFIRMATIONS.SENDER', type: 'address', value: ADDRESSES.RECIPIENT },
+                { key: 'CONFIRMATIONS.RECIPIENT', type: 'address', value: ADDRESSES.WITNESS },
+                { key: 'CONFIRMATIONS.AMOUNT', type: 'amount', value: '1', symbol: 'USDT', decimals: 6 }
+            ]);
+        });
+
+        it('leaves amounts of unknown tokens unscaled', () => {
+            const [ , amount ] = call('transfer(address,uint256)', callData(
+                [ 'address', 'uint256' ],
+                [ ADDRESSES.WITNESS, 12500000 ]
+            ), ADDRESSES.UNKNOWN_TOKEN);
+
+            assert.deepStrictEqual(amount, {
+                key: 'CONFIRMATIONS.AMOUNT',
+                type: 'amount',
+                value: '12500000',
+                symbol: false,
+                decimals: 0
+            });
+        });
+
+        it('only shows the function of calls it has no arguments for', () => {
+            assert.deepStrictEqual(call('mint(address,uint256)', callData([ 'address', 'uint256' ], [ ADDRESSES.WITNESS, 1 ])), []);
+        });
+    });
+
+    describe('malformed input', () => {
+        it('reports unknown contract types as not decoded', () => {
+            assert.strictEqual(TransactionDecoder.isSupported('ShieldedTransferContract'), false);
+            assert.deepStrictEqual(decode('ShieldedTransferContract', { amount: 1 }), {
+                action: 'CONTRACTS.ShieldedTransferContract',
+                isDecoded: false,
+                fields: []
+            });
+        });
+
+        it('decodes a contract without a parameter value to nothing', () => {
+            assert.deepStrictEqual(TransactionDecoder.decode('TransferContract'), {
+                action: 'CONTRACTS.TransferContract',
+                isDecoded: true,
+                fields: []
+            });
+
+            assert.deepStrictEqual(decodeFields('VoteWitnessContract', {}), []);
+            assert.deepStrictEqual(decodeFields('ProposalCreateContract', {}), []);
+            assert.deepStrictEqual(decodeFields('CreateSmartContract', {}), []);
+        });
+
+        it('keeps call data that does not match its selector out of the fields', () => {
+            const input = {
+                contract_address: hex(ADDRESSES.USDT),
+                function_selector: 'transfer(address,uint256)'
+            };
+
+            [ 'zz', callData([ 'address' ], [ ADDRESSES.WITNESS ]), undefined ].forEach(parameter => (
+                assert.deepStrictEqual(decodeFields('TriggerSmartContract', { ...input, parameter }), [
+                    { key: 'CONFIRMATIONS.CONTRACT', type: 'address', value: ADDRESSES.USDT },
+                    { key: 'CONFIRMATIONS.FUNCTION', type: 'text', value: 'transfer(address,uint256)' }
+                ])
+            ));
+        });
+
+        it('shows text that is not hex as it is', () => {
+            assert.deepStrictEqual(decodeFields('AccountUpdateContract', { account_name: 'not hex' }), [
+                { key: 'CONFIRMATIONS.ACCOUNT_NAME', type: 'text', value: 'not hex' }
+            ]);
+        });
+
+        it('shows tokens missing from the list by id, unscaled', () => {
+            assert.deepStrictEqual(decodeFields('TransferAssetContract', {
+                asset_name: text('1000001'),
+                to_address: hex(ADDRESSES.WITNESS),
+                amount: 250
+            }), [
+                { key: 'CONFIRMATIONS.TOKEN', type: 'text', value: '1000001' },
+                { key: 'CONFIRMATIONS.RECIPIENT', type: 'address', value: ADDRESSES.WITNESS },
+                { key: 'CONFIRMATIONS.AMOUNT', type: 'amount', value: '250', symbol: false, decimals: 0 }
+            ]);
+        });
+
+        it('leaves out resources it does not know', () => {
+            assert.deepStrictEqual(decodeFields('UnfreezeBalanceContract', { resource: 'TRON_POWER' }), []);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+import assert from 'assert';
+import TronWeb from 'tronweb';
+import TypedData from '../typedData';
+
+import { utils } from 'ethers';
+
+// EIP-712's reference example, with its addresses written as 41-prefixed TRON hex
+const toTron = address => `41${ address.substr(2).toLowerCase() }`;
+
+const MAIL = {
+    types: {
+        EIP712Domain: [
+            { name: 'name', type: 'string' },
+            { name: 'version', type: 'string' },
+            { name: 'chainId', type: 'uint256' },
+            { name: 'verifyingContract', type: 'address' }
+        ],
+        Person: [
+            { name: 'name', type: 'string' },
+            { name: 'wallet', type: 'address' }
+        ],
+        Mail: [
+            { name: 'from', type: 'Person' },
+            { name: 'to', type: 'Person' },
+            { name: 'contents', type: 'string' }
+        ]
+    },
+    primaryType: 'Mail',
+    domain: {
+        name: 'Ether Mail',
+        version: '1',
+        chainId: 1,
+        verifyingContract: toTron('0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC')
+    },
+    message: {
+        from: {
+            name: 'Cow',
+            wallet: toTron('0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826')
+        },
+        to: {
+            name: 'Bob',
+            wallet: toTron('0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB')
+        },
+        contents: 'Hello, Bob!'
+    }
+};
+
+const COW_KEY = utils.keccak256(utils.toUtf8Bytes('cow')).substr(2);
+const COW_ADDRESS = TronWeb.address.fromHex(MAIL.message.from.wallet);
+
+const MAIL_SIGNATURE = '0x' +
+    '4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d' +
+    '07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b91562' +
+    '1c';
+
+describe('TypedData', () => {
+    describe('the EIP-712 Mail vector', () => {
+        it('encodes the primary type with its dependencies', () => {
+            assert.strictEqual(
+                TypedData.encodeType(MAIL.types, 'Mail'),
+                'Mail(Person from,Person to,string contents)Person(string name,address wallet)'
+            );
+        });
+
+        it('hashes the type, message and domain', () => {
+            assert.strictEqual(
+                TypedData.hashType(MAIL.types, 'Mail'),
+                '0xa0cedeb2dc280ba39b857546d74f5549c3a1d7bdc2dd96bf881f76108e23dac2'
+            );
+            assert.strictEqual(
+                TypedData.hashMessage(MAIL),
+                '0xc52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e'
+            );
+            assert.strictEqual(
+                TypedData.hashDomain(MAIL),
+                '0xf2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f'
+            );
+        });
+
+        it('builds the digest that is signed', () => {
+            assert.strictEqual(TypedData.hash(MAIL), '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+        });
+
+        it('signs it with the reference signature', () => {
+            assert.strictEqual(TypedData.sign(MAIL, COW_KEY), MAIL_SIGNATURE);
+        });
+
+        it('fills in the domain type when a request leaves it out', () => {
+            const { EIP712Domain, ...types } = MAIL.types;
+            assert.strictEqual(TypedData.hash({ ...MAIL, types }), TypedData.hash(MAIL));
+        });
+
+        it('accepts base58 addresses the same as hex', () => {
+            const domain = { ...MAIL.domain, verifyingContract: TronWeb.address.fromHex(MAIL.domain.verifyingContract) };
+            assert.strictEqual(TypedData.hashDomain({ ...MAIL, domain }), TypedData.hashDomain(MAIL));
+        });
+    });
+
+    describe('signing and verifying', () => {
+        const { privateKey, address: { base58: address } } = TronWeb.utils.accounts.generateAccount();
+
+        it('recovers the address that signed', () => {
+            const signature = TypedData.sign(MAIL, privateKey);
+
+            assert.strictEqual(TypedData.recover(MAIL, signature), address);
+            assert.ok(TypedData.verify(MAIL, signature, address));
+            assert.ok(TypedData.verify(MAIL, signature, TronWeb.address.toHex(address)));
+        });
+
+        it('verifies the reference signature against its signer', () => {
+            assert.ok(TypedData.verify(MAIL, MAIL_SIGNATURE, COW_ADDRESS));
+        });
+
+        it('rejects a signature for a changed message or another address', () => {
+            const signature = TypedData.sign(MAIL, privateKey);
+            const changed = { ...MAIL, message: { ...MAIL.message, contents: 'Hello, Alice!' } };
+
+            assert.ok(!TypedData.verify(changed, signature, address));
+            assert.ok(!TypedData.verify(MAIL, signature, COW_ADDRESS));
+        });
+
+        it('returns false for a malformed signature', () => {
+            assert.strictEqual(TypedData.verify(MAIL, '0x1234', address), false);
+        });
+    });
+
+    describe('validate', () => {
+        it('names the type it does not know', () => {
+            const types = { ...MAIL.types, Mail: [ { name: 'from', type: 'Sender' } ] };
+            assert.throws(() => TypedData.validate({ ...MAIL, types }), /Unknown type Sender in Mail/);
+        });
+
+        it('requires the primary type to be listed', () => {
+            assert.throws(() => TypedData.validate({ ...MAIL, primaryType: 'Letter' }), /Unknown primary type Letter/);
+        });
+    });
+
+    describe('chain ids', () => {
+        it('takes the last 4 bytes of the genesis block id', () => {
+            assert.strictEqual(
+                TypedData.getChainId('00000000000000001ebf88508a03865c71d452e25f4d51194196a1d22b6653dc'),
+                '728126428'
+            );
+        });
+
+        it('matches domains for the given chain only', () => {
+            assert.ok(TypedData.isForChain(MAIL, 1));
+            assert.ok(TypedData.isForChain(MAIL, '1'));
+            assert.ok(!TypedData.isForChain(MAIL, 2));
+        });
+
+        it('matches domains without a chain id to no chain', () => {
+            const { chainId, ...domain } = MAIL.domain;
+            assert.ok(!TypedData.isForChain({ ...MAIL, domain }, 1));
+        });
+    });
+});
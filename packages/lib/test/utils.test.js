@@ -0,0 +1,134 @@
+import assert from 'assert';
+import TronWeb from 'tronweb';
+import Utils from '../utils';
+
+import { Wallet } from 'ethers';
+import { KEYSTORE } from '../constants';
+
+const PASSWORD = 'keystore password';
+
+// The pbkdf2 example from the Web3 Secret Storage definition
+const WEB3_VECTOR = {
+    password: 'testpassword',
+    privateKey: '7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d',
+    keystore: JSON.stringify({
+        crypto: {
+            cipher: 'aes-128-ctr',
+            cipherparams: {
+                iv: '6087dab2f9fdbbfaddc31a909735c1e6'
+            },
+            ciphertext: '5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46',
+            kdf: 'pbkdf2',
+            kdfparams: {
+                c: 262144,
+                dklen: 32,
+                prf: 'hmac-sha256',
+                salt: 'ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd'
+            },
+            mac: '517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2'
+        },
+        id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+        version: 3
+    })
+};
+
+const rejects = async (promise, pattern) => {
+    try {
+        await promise;
+    } catch(ex) {
+        return assert.ok(pattern.test(ex.message), ex.message);
+    }
+
+    assert.fail('Expected a rejection');
+};
+
+describe('Utils keystores', function() {
+    // Web3 keystores are stretched with the full iteration count
+    this.timeout(20000);
+
+    const { privateKey: generatedKey, address: { base58: address } } = TronWeb.utils.accounts.generateAccount();
+
+    // Web3 keystores hold the key as bytes, so it comes back lower case
+    const privateKey = generatedKey.toLowerCase();
+
+    describe('TronScan', () => {
+        const keystore = Utils.createKeystore(privateKey, PASSWORD, KEYSTORE.FORMAT.TRONSCAN);
+
+        it('is the hex encoded keystore JSON', () => {
+            const { version, address: keystoreAddress } = JSON.parse(Buffer.from(keystore, 'hex').toString('utf8'));
+
+            assert.strictEqual(version, KEYSTORE.TRONSCAN.VERSION);
+            assert.strictEqual(keystoreAddress, address);
+        });
+
+        it('decrypts what it exported', async () => {
+            assert.deepStrictEqual(await Utils.decryptKeystore(keystore, PASSWORD), { privateKey, address });
+        });
+
+        it('refuses a wrong password', async () => {
+            await rejects(Utils.decryptKeystore(keystore, 'wrong password'), /Invalid keystore password|does not match/);
+        });
+
+        it('refuses a keystore whose address is not its key\'s', async () => {
+            const other = TronWeb.utils.accounts.generateAccount().address.base58;
+            const json = { ...JSON.parse(Buffer.from(keystore, 'hex').toString('utf8')), address: other };
+
+            await rejects(
+                Utils.decryptKeystore(Buffer.from(JSON.stringify(json)).toString('hex'), PASSWORD),
+                /does not match its key/
+            );
+        });
+    });
+
+    describe('Web3 v3', () => {
+        const keystore = Utils.createKeystore(privateKey, PASSWORD, KEYSTORE.FORMAT.WEB3);
+
+        it('names the key by its 20 byte hex address', () => {
+            const { version, address: keystoreAddress, crypto } = JSON.parse(keystore);
+
+            assert.strictEqual(version, 3);
+            assert.strictEqual(keystoreAddress, TronWeb.address.toHex(address).substr(2).toLowerCase());
+            assert.strictEqual(crypto.kdf, 'pbkdf2');
+        });
+
+        it('decrypts what it exported', async () => {
+            assert.deepStrictEqual(await Utils.decryptKeystore(keystore, PASSWORD), { privateKey, address });
+        });
+
+        it('decrypts the reference pbkdf2 keystore', async () => {
+            const { password, privateKey: expected } = WEB3_VECTOR;
+
+            assert.deepStrictEqual(await Utils.decryptKeystore(WEB3_VECTOR.keystore, password), {
+                privateKey: expected,
+                address: TronWeb.address.fromPrivateKey(expected)
+            });
+        });
+
+        it('decrypts scrypt keystores written by Ethereum wallets', async () => {
+            const json = await new Wallet(`0x${ privateKey }`).encrypt(PASSWORD, { scrypt: { N: 1024 } });
+
+            assert.strictEqual(JSON.parse(json).Crypto.kdf, 'scrypt');
+            assert.deepStrictEqual(await Utils.decryptKeystore(json, PASSWORD), { privateKey, address });
+        });
+
+        it('refuses a wrong password', async () => {
+            await rejects(Utils.decryptKeystore(WEB3_VECTOR.keystore, 'wrong password'), /Invalid keystore password/);
+        });
+
+        it('refuses a keystore whose address is not its key\'s', async () => {
+            const json = { ...JSON.parse(keystore), address: '0x'.padEnd(42, '1') };
+            await rejects(Utils.decryptKeystore(JSON.stringify(json), PASSWORD), /does not match its key/);
+        });
+
+        it('refuses key derivation functions it does not know', async () => {
+            const json = JSON.parse(keystore);
+
+            json.crypto.kdf = 'argon2';
+            await rejects(Utils.decryptKeystore(JSON.stringify(json), PASSWORD), /Unsupported keystore kdf argon2/);
+        });
+    });
+
+    it('refuses files that are neither format', async () => {
+        await rejects(Utils.decryptKeystore('42', PASSWORD), /Unrecognised keystore file/);
+    });
+});
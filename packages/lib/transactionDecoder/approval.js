@@ -0,0 +1,85 @@
+import TronWeb from 'tronweb';
+import { utils } from 'ethers';
+
+const METHODS = {
+    APPROVE: 'approve(address,uint256)',
+    INCREASE: 'increaseAllowance(address,uint256)'
+};
+
+// Anything this large is the "max uint" idiom, or close enough that it may as well be
+const UNLIMITED = utils.bigNumberify(2).pow(255);
+
+const getSelector = functionSelector => (functionSelector || '').replace(/\s/g, '');
+
+/**
+ * TRC20 approve and increaseAllowance calls, which let a spender move the caller's tokens.
+ * Amounts are raw token units as decimal strings.
+ */
+const Approval = {
+    METHODS,
+
+    isApproval(contractType, input = {}) {
+        return contractType === 'TriggerSmartContract' &&
+            Object.values(METHODS).includes(getSelector(input.function_selector));
+    },
+
+    isUnlimited(amount) {
+        return utils.bigNumberify(amount).gte(UNLIMITED);
+    },
+
+    // { token, spender, amount, method, isUnlimited } with base58 addresses, or false when the call isn't one
+    parse(contractType, input = {}) {
+        if(!this.isApproval(contractType, input) || !input.parameter)
+            return false;
+
+        return this._decode(input.contract_address, getSelector(input.function_selector), input.parameter);
+    },
+
+    // The same for a built transaction, whose call data starts with the 4 byte function selector
+    fromTransaction(transaction) {
+        return this.fromContract(transaction.raw_data.contract[ 0 ]);
+    },
+
+    fromContract({ type, parameter }) {
+        const { value } = parameter;
+        const data = (value.data || '').replace(/^0x/, '');
+
+        const method = Object.values(METHODS).find(signature => (
+            data.startsWith(utils.id(signature).substr(2, 8))
+        ));
+
+        if(type !== 'TriggerSmartContract' || !method)
+            return false;
+
+        return this._decode(value.contract_address, method, data.substr(8));
+    },
+
+    _decode(contractAddress, method, parameter) {
+        try {
+            const [ spender, amount ] = utils.defaultAbiCoder.decode(
+                [ 'address', 'uint256' ],
+                `0x${ parameter.replace(/^0x/, '') }`
+            );
+
+            return {
+                token: TronWeb.address.fromHex(contractAddress),
+                spender: TronWeb.address.fromHex(`41${ spender.substr(2) }`),
+                amount: amount.toString(),
+                method,
+                isUnlimited: this.isUnlimited(amount)
+            };
+        } catch(ex) {
+            return false;
+        }
+    },
+
+    // The call's parameter with the amount replaced, hex without a prefix as the node expects it
+    encode(spender, amount) {
+        return utils.defaultAbiCoder.encode(
+            [ 'address', 'uint256' ],
+            [ `0x${ TronWeb.address.toHex(spender).substr(2) }`, amount ]
+        ).substr(2);
+    }
+};
+
+export default Approval;
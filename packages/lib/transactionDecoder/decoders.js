@@ -0,0 +1,210 @@
+import Approval from './approval';
+import { utils } from 'ethers';
+
+// TRC20 calls whose arguments are worth spelling out, amounts use the called contract's decimals
+const TRC20_CALLS = {
+    'transfer(address,uint256)': [
+        [ 'CONFIRMATIONS.RECIPIENT', 'address' ],
+        [ 'CONFIRMATIONS.AMOUNT', 'uint256' ]
+    ],
+    [ Approval.METHODS.APPROVE ]: [
+        [ 'CONFIRMATIONS.SPENDER', 'address' ],
+        [ 'CONFIRMATIONS.ALLOWANCE', 'uint256' ]
+    ],
+    [ Approval.METHODS.INCREASE ]: [
+        [ 'CONFIRMATIONS.SPENDER', 'address' ],
+        [ 'CONFIRMATIONS.ALLOWANCE_INCREASE', 'uint256' ]
+    ],
+    'transferFrom(address,address,uint256)': [
+        [ 'CONFIRMATIONS.SENDER', 'address' ],
+        [ 'CONFIRMATIONS.RECIPIENT', 'address' ],
+        [ 'CONFIRMATIONS.AMOUNT', 'uint256' ]
+    ]
+};
+
+const RESOURCES = [ 'BANDWIDTH', 'ENERGY' ];
+
+const resource = (fields, value = 'BANDWIDTH') => (
+    fields.message('CONFIRMATIONS.RESOURCE', RESOURCES.includes(value) ? `CONFIRMATIONS.RESOURCE.${ value }` : false)
+);
+
+const decodeCall = (input, fields) => {
+    const selector = (input.function_selector || '').replace(/\s/g, '');
+    const call = TRC20_CALLS[ selector ];
+
+    if(!call || !input.parameter)
+        return [];
+
+    let values;
+
+    try {
+        values = utils.defaultAbiCoder.decode(call.map(([ , type ]) => type), `0x${ input.parameter.replace(/^0x/, '') }`);
+    } catch(ex) {
+        // Not what the selector promises, the function and raw arguments are still shown
+        return [];
+    }
+
+    return call.map(([ key, type ], index) => {
+        if(type === 'address')
+            return fields.address(key, `41${ values[ index ].substr(2) }`);
+
+        if(Approval.isApproval('TriggerSmartContract', input) && Approval.isUnlimited(values[ index ]))
+            return fields.message(key, 'CONFIRMATIONS.UNLIMITED');
+
+        return fields.contractToken(key, values[ index ].toString(), input.contract_address);
+    });
+};
+
+/**
+ * One decoder per contract type, called with the contract's parameter value as the node
+ * returns it (hex addresses, hex-encoded text and token ids, amounts in sun) and the field
+ * builders from lib/transactionDecoder. Each returns the fields to show, falsy entries are
+ * dropped so optional values can be built unconditionally.
+ */
+const Decoders = {
+    TransferContract: (input, fields) => [
+        fields.address('CONFIRMATIONS.RECIPIENT', input.to_address),
+        fields.trx('CONFIRMATIONS.AMOUNT', input.amount)
+    ],
+
+    TransferAssetContract: (input, fields) => [
+        fields.tokenName('CONFIRMATIONS.TOKEN', input.asset_name),
+        fields.address('CONFIRMATIONS.RECIPIENT', input.to_address),
+        fields.token('CONFIRMATIONS.AMOUNT', input.amount, input.asset_name)
+    ],
+
+    ParticipateAssetIssueContract: (input, fields) => [
+        fields.tokenName('CONFIRMATIONS.TOKEN', input.asset_name),
+        fields.address('CONFIRMATIONS.ISSUER', input.to_address),
+        fields.trx('CONFIRMATIONS.COST', input.amount)
+    ],
+
+    AssetIssueContract: (input, fields) => {
+        const token = {
+            symbol: fields.utf8(input.abbr),
+            decimals: input.precision || 0
+        };
+
+        return [
+            fields.hexText('CONFIRMATIONS.TOKEN', input.name),
+            fields.hexText('CONFIRMATIONS.TOKEN_ABBR', input.abbr),
+            fields.amount('CONFIRMATIONS.TOTAL_SUPPLY', input.total_supply, token),
+            fields.number('CONFIRMATIONS.PRECISION', input.precision || 0),
+            fields.trx('CONFIRMATIONS.TRX_RATIO', input.trx_num),
+            fields.amount('CONFIRMATIONS.TOKEN_RATIO', input.num, token),
+            fields.date('CONFIRMATIONS.START_TIME', input.start_time),
+            fields.date('CONFIRMATIONS.END_TIME', input.end_time),
+            ...(input.frozen_supply || []).map(({ frozen_amount: frozenAmount, frozen_days: frozenDays }) => (
+                fields.amount('CONFIRMATIONS.FROZEN_SUPPLY', frozenAmount, token, { days: frozenDays })
+            )),
+            fields.hexText('CONFIRMATIONS.DESCRIPTION', input.description),
+            fields.hexText('CONFIRMATIONS.URL', input.url)
+        ];
+    },
+
+    UpdateAssetContract: (input, fields) => [
+        fields.hexText('CONFIRMATIONS.DESCRIPTION', input.description),
+        fields.hexText('CONFIRMATIONS.URL', input.url),
+        fields.number('CONFIRMATIONS.NEW_LIMIT', input.new_limit),
+        fields.number('CONFIRMATIONS.NEW_PUBLIC_LIMIT', input.new_public_limit)
+    ],
+
+    UnfreezeAssetContract: () => [],
+
+    VoteWitnessContract: (input, fields) => (input.votes || []).map(({ vote_address: voteAddress, vote_count: voteCount }) => (
+        fields.address('CONFIRMATIONS.VOTE', voteAddress, { count: voteCount })
+    )),
+
+    FreezeBalanceContract: (input, fields) => [
+        fields.trx('CONFIRMATIONS.AMOUNT', input.frozen_balance),
+        fields.days('CONFIRMATIONS.DURATION', input.frozen_duration),
+        resource(fields, input.resource),
+        fields.address('CONFIRMATIONS.RECEIVER', input.receiver_address)
+    ],
+
+    UnfreezeBalanceContract: (input, fields) => [
+        resource(fields, input.resource),
+        fields.address('CONFIRMATIONS.RECEIVER', input.receiver_address)
+    ],
+
+    WithdrawBalanceContract: () => [],
+
+    AccountCreateContract: (input, fields) => [
+        fields.address('CONFIRMATIONS.ACCOUNT', input.account_address)
+    ],
+
+    AccountUpdateContract: (input, fields) => [
+        fields.hexText('CONFIRMATIONS.ACCOUNT_NAME', input.account_name)
+    ],
+
+    WitnessCreateContract: (input, fields) => [
+        fields.hexText('CONFIRMATIONS.URL', input.url)
+    ],
+
+    WitnessUpdateContract: (input, fields) => [
+        fields.hexText('CONFIRMATIONS.URL', input.update_url)
+    ],
+
+    CreateSmartContract: (input, fields) => {
+        const contract = input.new_contract || {};
+
+        return [
+            fields.text('CONFIRMATIONS.CONTRACT_NAME', contract.name),
+            fields.trx('CONFIRMATIONS.COST', contract.call_value),
+            fields.tokenName('CONFIRMATIONS.TOKEN', input.token_id),
+            fields.token('CONFIRMATIONS.TOKEN_VALUE', input.call_token_value, input.token_id),
+            fields.percent('CONFIRMATIONS.USER_RESOURCE_PERCENT', contract.consume_user_resource_percent),
+            fields.number('CONFIRMATIONS.ENERGY_LIMIT', contract.origin_energy_limit)
+        ];
+    },
+
+    TriggerSmartContract: (input, fields) => [
+        fields.address('CONFIRMATIONS.CONTRACT', input.contract_address),
+        fields.text('CONFIRMATIONS.FUNCTION', input.function_selector),
+        ...decodeCall(input, fields),
+        fields.trx('CONFIRMATIONS.COST', input.call_value),
+        fields.tokenName('CONFIRMATIONS.TOKEN', input.token_id),
+        fields.token('CONFIRMATIONS.TOKEN_VALUE', input.call_token_value, input.token_id)
+    ],
+
+    UpdateSettingContract: (input, fields) => [
+        fields.address('CONFIRMATIONS.CONTRACT', input.contract_address),
+        fields.percent('CONFIRMATIONS.USER_RESOURCE_PERCENT', input.consume_user_resource_percent)
+    ],
+
+    ExchangeCreateContract: (input, fields) => [
+        fields.token('CONFIRMATIONS.FIRST_TOKEN', input.first_token_balance, input.first_token_id),
+        fields.token('CONFIRMATIONS.SECOND_TOKEN', input.second_token_balance, input.second_token_id)
+    ],
+
+    ExchangeInjectContract: (input, fields) => [
+        fields.number('CONFIRMATIONS.EXCHANGE_ID', input.exchange_id),
+        fields.token('CONFIRMATIONS.QUANTITY', input.quant, input.token_id)
+    ],
+
+    ExchangeWithdrawContract: (input, fields) => [
+        fields.number('CONFIRMATIONS.EXCHANGE_ID', input.exchange_id),
+        fields.token('CONFIRMATIONS.QUANTITY', input.quant, input.token_id)
+    ],
+
+    ExchangeTransactionContract: (input, fields) => [
+        fields.number('CONFIRMATIONS.EXCHANGE_ID', input.exchange_id),
+        fields.token('CONFIRMATIONS.QUANTITY', input.quant, input.token_id),
+        fields.number('CONFIRMATIONS.EXPECTED', input.expected)
+    ],
+
+    ProposalCreateContract: (input, fields) => (input.parameters || []).map(({ key, value }) => (
+        fields.number('CONFIRMATIONS.PROPOSAL_PARAMETER', value, { id: key || 0 })
+    )),
+
+    ProposalApproveContract: (input, fields) => [
+        fields.number('CONFIRMATIONS.PROPOSAL_ID', input.proposal_id),
+        fields.message('CONFIRMATIONS.APPROVE', input.is_add_approval ? 'CONFIRMATIONS.APPROVE.YES' : 'CONFIRMATIONS.APPROVE.NO')
+    ],
+
+    ProposalDeleteContract: (input, fields) => [
+        fields.number('CONFIRMATIONS.PROPOSAL_ID', input.proposal_id)
+    ]
+};
+
+export default Decoders;
@@ -0,0 +1,140 @@
+import TronWeb from 'tronweb';
+import Decoders from './decoders';
+import Approval from './approval';
+
+import { DECODED_FIELD } from '@tronlink/lib/constants';
+
+const TRX = {
+    name: 'TRX',
+    symbol: 'TRX',
+    decimals: 6
+};
+
+// Exchanges use "_" as the token id of TRX
+const TRX_TOKEN_ID = '_';
+
+// contracts.json spells this one the way an older node API did
+const ALIASES = {
+    ProposalApproveContact: 'ProposalApproveContract'
+};
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+/**
+ * Turns a contract's parameter value into a list of typed fields for the confirmation popup,
+ * e.g. for a TRC10 transfer
+ *
+ *     TransactionDecoder.decode('TransferAssetContract', input, tokens)
+ *     // { action: 'CONTRACTS.TransferAssetContract', isDecoded: true, fields: [
+ *     //     { key: 'CONFIRMATIONS.TOKEN', type: 'text', value: 'BitTorrent (1002000)' },
+ *     //     { key: 'CONFIRMATIONS.RECIPIENT', type: 'address', value: 'TJRab...' },
+ *     //     { key: 'CONFIRMATIONS.AMOUNT', type: 'amount', value: '12.5', symbol: 'BTT', decimals: 6 }
+ *     // ] }
+ *
+ * Keys are translation ids and `values` fills in their placeholders. Tokens are looked up by
+ * TRC10 id or TRC20 base58 address in `tokens` ({ name, symbol, decimals }); amounts of tokens
+ * missing from it are left unscaled.
+ */
+const TransactionDecoder = {
+    Approval,
+
+    getContractType(contractType) {
+        return ALIASES[ contractType ] || contractType;
+    },
+
+    isSupported(contractType) {
+        return Decoders.hasOwnProperty(this.getContractType(contractType));
+    },
+
+    decode(contractType, input = {}, tokens = {}) {
+        const type = this.getContractType(contractType);
+        const summary = {
+            action: `CONTRACTS.${ type }`,
+            isDecoded: false,
+            fields: []
+        };
+
+        if(!Decoders.hasOwnProperty(type))
+            return summary;
+
+        summary.isDecoded = true;
+        summary.fields = Decoders[ type ](input, this.fields(tokens)).filter(Boolean);
+
+        return summary;
+    },
+
+    // TRC10 ids are hex-encoded text in most contracts but plain numbers in smart contract calls
+    getTokenId(tokenId) {
+        if(typeof tokenId === 'number')
+            return String(tokenId);
+
+        return this.utf8(tokenId);
+    },
+
+    utf8(hex) {
+        try {
+            return TronWeb.toUtf8(hex);
+        } catch(ex) {
+            return hex;
+        }
+    },
+
+    scale(value, decimals) {
+        return new TronWeb.BigNumber(value).shiftedBy(-decimals).toFixed();
+    },
+
+    // Field builders handed to each decoder, returning false when there is nothing to show
+    fields(tokens) {
+        const getToken = tokenId => {
+            const id = this.getTokenId(tokenId);
+
+            if(id === TRX_TOKEN_ID)
+                return TRX;
+
+            return tokens[ id ] || { name: id, symbol: false, decimals: 0 };
+        };
+
+        const field = (key, type, value, extra = {}) => (
+            isMissing(value) ? false : { key, type, value, ...extra }
+        );
+
+        const amount = (key, value, { symbol = false, decimals = 0 }, values) => (
+            !isMissing(value) && Number(value) !== 0 && field(key, DECODED_FIELD.AMOUNT, this.scale(value, decimals), {
+                symbol,
+                decimals,
+                values
+            })
+        );
+
+        return {
+            utf8: hex => (isMissing(hex) ? '' : this.utf8(hex)),
+            address: (key, address, values) => (
+                !isMissing(address) && field(key, DECODED_FIELD.ADDRESS, TronWeb.address.fromHex(address), { values })
+            ),
+            amount,
+            trx: (key, value) => amount(key, value, TRX),
+            token: (key, value, tokenId) => !isMissing(tokenId) && amount(key, value, getToken(tokenId)),
+            contractToken: (key, value, contractAddress) => (
+                amount(key, value, tokens[ TronWeb.address.fromHex(contractAddress) ] || {})
+            ),
+            tokenName: (key, tokenId) => {
+                if(isMissing(tokenId) || tokenId === 0)
+                    return false;
+
+                const id = this.getTokenId(tokenId);
+                const { name } = getToken(tokenId);
+
+                return field(key, DECODED_FIELD.TEXT, name === id ? id : `${ name } (${ id })`);
+            },
+            number: (key, value, values) => field(key, DECODED_FIELD.NUMBER, value, { values }),
+            text: (key, value) => field(key, DECODED_FIELD.TEXT, value),
+            hexText: (key, hex) => field(key, DECODED_FIELD.TEXT, isMissing(hex) ? hex : this.utf8(hex)),
+            message: (key, id) => !!id && field(key, DECODED_FIELD.MESSAGE, id),
+            date: (key, timestamp) => field(key, DECODED_FIELD.DATE, timestamp),
+            days: (key, days) => field(key, DECODED_FIELD.DAYS, days),
+            percent: (key, percent) => field(key, DECODED_FIELD.PERCENT, percent)
+        };
+    }
+};
+
+export default TransactionDecoder;
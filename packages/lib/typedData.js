@@ -0,0 +1,195 @@
+import TronWeb from 'tronweb';
+import { utils } from 'ethers';
+
+const DOMAIN_TYPE = 'EIP712Domain';
+
+// Used when a request leaves the domain type out, in the order EIP-712 lists them
+const DOMAIN_FIELDS = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+    { name: 'salt', type: 'bytes32' }
+];
+
+const ARRAY_TYPE = /^(.*)\[(\d*)\]$/;
+const ARRAY_SUFFIX = /(\[\d*\])+$/;
+const ATOMIC_TYPE = /^(address|bool|string|bytes([1-9]|[12][0-9]|3[0-2])?|u?int(8|16|24|32|40|48|56|64|72|80|88|96|104|112|120|128|136|144|152|160|168|176|184|192|200|208|216|224|232|240|248|256)?|trcToken)$/;
+
+/**
+ * Structured data hashing and signing following EIP-712 as adapted by TIP-712: addresses are
+ * TRON addresses (base58 or 41-prefixed hex) encoded as 20 bytes, and trcToken ids encode as
+ * uint256. Signatures use the same 0x-prefixed r, s, v layout as signed messages, so a dapp
+ * backend can check one with
+ *
+ *     TypedData.verify(typedData, signature, address)
+ */
+const TypedData = {
+    // Throws with a readable reason when the request can't be hashed
+    validate({ types, primaryType, domain, message } = {}) {
+        if(!types || typeof types !== 'object')
+            throw new Error('Missing types');
+
+        if(!types.hasOwnProperty(primaryType))
+            throw new Error(`Unknown primary type ${ primaryType }`);
+
+        if(!domain || typeof domain !== 'object')
+            throw new Error('Missing domain');
+
+        if(!message || typeof message !== 'object')
+            throw new Error('Missing message');
+
+        Object.entries(types).forEach(([ name, fields ]) => {
+            if(!Array.isArray(fields))
+                throw new Error(`Type ${ name } must list its fields`);
+
+            fields.forEach(({ type }) => {
+                const baseType = type.replace(ARRAY_SUFFIX, '');
+
+                if(!ATOMIC_TYPE.test(baseType) && !types.hasOwnProperty(baseType))
+                    throw new Error(`Unknown type ${ type } in ${ name }`);
+            });
+        });
+
+        return true;
+    },
+
+    getTypes({ types, domain }) {
+        if(types.hasOwnProperty(DOMAIN_TYPE))
+            return types;
+
+        return {
+            ...types,
+            [ DOMAIN_TYPE ]: DOMAIN_FIELDS.filter(({ name }) => domain.hasOwnProperty(name))
+        };
+    },
+
+    // The element type of an array type such as Person[] or uint256[2], false for anything else
+    getItemType(type) {
+        const [ , itemType = false ] = type.match(ARRAY_TYPE) || [];
+        return itemType;
+    },
+
+    // Struct types referenced by the given one, itself first
+    _dependencies(types, type, found = []) {
+        const baseType = type.replace(ARRAY_SUFFIX, '');
+
+        if(found.includes(baseType) || !types.hasOwnProperty(baseType))
+            return found;
+
+        found.push(baseType);
+
+        types[ baseType ].forEach(field => this._dependencies(types, field.type, found));
+        return found;
+    },
+
+    encodeType(types, primaryType) {
+        const [ primary, ...dependencies ] = this._dependencies(types, primaryType);
+
+        return [ primary, ...dependencies.sort() ].map(type => (
+            `${ type }(${ types[ type ].map(({ name, type }) => `${ type } ${ name }`).join(',') })`
+        )).join('');
+    },
+
+    hashType(types, primaryType) {
+        return utils.keccak256(utils.toUtf8Bytes(this.encodeType(types, primaryType)));
+    },
+
+    _toEthAddress(address) {
+        if(!TronWeb.isAddress(address))
+            throw new Error(`Invalid address ${ address }`);
+
+        return `0x${ TronWeb.address.toHex(address).substr(2) }`;
+    },
+
+    // Every field becomes one 32 byte word
+    _encodeValue(types, type, value) {
+        if(types.hasOwnProperty(type))
+            return this.hashStruct(types, type, value);
+
+        const itemType = this.getItemType(type);
+
+        if(itemType) {
+            if(!Array.isArray(value))
+                throw new Error(`Expected an array for ${ type }`);
+
+            return utils.keccak256(utils.concat(value.map(item => this._encodeValue(types, itemType, item))));
+        }
+
+        if(type === 'string')
+            return utils.keccak256(utils.toUtf8Bytes(value));
+
+        if(type === 'bytes')
+            return utils.keccak256(utils.arrayify(value));
+
+        if(type === 'address')
+            return utils.defaultAbiCoder.encode([ 'address' ], [ this._toEthAddress(value) ]);
+
+        if(type === 'trcToken')
+            return utils.defaultAbiCoder.encode([ 'uint256' ], [ value ]);
+
+        return utils.defaultAbiCoder.encode([ type ], [ value ]);
+    },
+
+    encodeData(types, primaryType, data) {
+        return utils.concat([
+            this.hashType(types, primaryType),
+            ...types[ primaryType ].map(({ name, type }) => this._encodeValue(types, type, data[ name ]))
+        ]);
+    },
+
+    hashStruct(types, primaryType, data) {
+        return utils.keccak256(this.encodeData(types, primaryType, data));
+    },
+
+    hashDomain(typedData) {
+        return this.hashStruct(this.getTypes(typedData), DOMAIN_TYPE, typedData.domain);
+    },
+
+    hashMessage(typedData) {
+        return this.hashStruct(this.getTypes(typedData), typedData.primaryType, typedData.message);
+    },
+
+    digest(domainHash, messageHash) {
+        return utils.keccak256(utils.concat([ '0x1901', domainHash, messageHash ]));
+    },
+
+    // TIP-712 chain ids are the last 4 bytes of the chain's genesis block id
+    getChainId(genesisBlockId) {
+        return new TronWeb.BigNumber(genesisBlockId.substr(-8), 16).toString(10);
+    },
+
+    // Domains that leave the chain id out belong to no chain, a signature for one could be replayed on any
+    isForChain({ domain = {} }, chainId) {
+        return domain.hasOwnProperty('chainId') && new TronWeb.BigNumber(domain.chainId).eq(chainId);
+    },
+
+    hash(typedData) {
+        this.validate(typedData);
+        return this.digest(this.hashDomain(typedData), this.hashMessage(typedData));
+    },
+
+    signDigest(digest, privateKey) {
+        const signingKey = new utils.SigningKey(`0x${ privateKey.replace(/^0x/, '') }`);
+        return utils.joinSignature(signingKey.signDigest(digest));
+    },
+
+    sign(typedData, privateKey) {
+        return this.signDigest(this.hash(typedData), privateKey);
+    },
+
+    recover(typedData, signature) {
+        const address = utils.recoverAddress(this.hash(typedData), signature);
+        return TronWeb.address.fromHex(`41${ address.substr(2) }`);
+    },
+
+    verify(typedData, signature, address) {
+        try {
+            return this.recover(typedData, signature) === TronWeb.address.fromHex(address);
+        } catch(ex) {
+            return false;
+        }
+    }
+};
+
+export default TypedData;
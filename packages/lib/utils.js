@@ -3,9 +3,12 @@ import bip39 from 'bip39';
 import bip32 from 'bip32';
 import TronWeb from 'tronweb';
 import pbkdf2 from 'pbkdf2';
+import scrypt from 'scrypt-js';
+import randomUUID from 'uuid/v4';
 import aesjs from "aes-js";
 import { isAddressValid,pkToAddress } from "@tronscan/client/src/utils/crypto";
 import {utils} from 'ethers';
+import { VAULT, KEYSTORE } from './constants';
 
 const encryptKey = (password, salt) => {
     return pbkdf2.pbkdf2Sync(password, salt, 1, 256 / 8, 'sha512');
@@ -14,6 +17,9 @@ const encryptKey = (password, salt) => {
 const AbiCoder = utils.AbiCoder;
 const abiCoder = new AbiCoder();
 
+// Derived vault keys, cached so each (password, salt) pair is only stretched once per session
+const vaultKeys = new Map();
+
 const Utils = {
     encryptionAlgorithm: 'aes-256-ctr',
     hashAlgorithm: 'sha256',
@@ -93,6 +99,93 @@ const Utils = {
         return JSON.parse(decrypted);
     },
 
+    createKdf(iterations = VAULT.KDF.ITERATIONS) {
+        return {
+            name: VAULT.KDF.NAME,
+            digest: VAULT.KDF.DIGEST,
+            iterations,
+            salt: crypto.randomBytes(VAULT.KDF.SALT_LENGTH).toString('hex')
+        };
+    },
+
+    deriveKey(password, { name, digest, iterations, salt }) {
+        if(name !== VAULT.KDF.NAME)
+            throw new Error(`Unsupported key derivation function ${ name }`);
+
+        const cacheKey = this.hash(`${ password }:${ digest }:${ iterations }:${ salt }`);
+
+        if(!vaultKeys.has(cacheKey)) {
+            vaultKeys.set(cacheKey, pbkdf2.pbkdf2Sync(
+                password,
+                Buffer.from(salt, 'hex'),
+                iterations,
+                256 / 8,
+                digest
+            ));
+        }
+
+        return vaultKeys.get(cacheKey);
+    },
+
+    clearVaultKeys() {
+        vaultKeys.clear();
+    },
+
+    // Vault records written before VAULT.VERSION 2 are bare createCipher hex strings
+    isLegacyEncrypted(data) {
+        return typeof data === 'string';
+    },
+
+    encryptVault(data, password, kdf = this.createKdf()) {
+        const key = this.deriveKey(password, kdf);
+        const iv = crypto.randomBytes(VAULT.IV_LENGTH);
+        const cipher = crypto.createCipheriv(VAULT.CIPHER, key, iv);
+
+        let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
+        encrypted += cipher.final('hex');
+
+        return {
+            version: VAULT.VERSION,
+            cipher: VAULT.CIPHER,
+            kdf,
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            data: encrypted
+        };
+    },
+
+    decryptVault(envelope, password) {
+        if(this.isLegacyEncrypted(envelope))
+            return this.decrypt(envelope, password);
+
+        const {
+            version,
+            cipher,
+            kdf,
+            iv,
+            tag,
+            data
+        } = envelope;
+
+        // Flagged so a vault from a newer build isn't reported as a wrong password
+        if(version > VAULT.VERSION) {
+            const error = new Error(`Vault version ${ version } is newer than supported version ${ VAULT.VERSION }`);
+
+            error.isNewerVersion = true;
+            throw error;
+        }
+
+        const key = this.deriveKey(password, kdf);
+        const decipher = crypto.createDecipheriv(cipher, key, Buffer.from(iv, 'hex'));
+
+        decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+        let decrypted = decipher.update(data, 'hex', 'utf8');
+        decrypted += decipher.final('utf8');
+
+        return JSON.parse(decrypted);
+    },
+
     requestHandler(target) {
         return new Proxy(target, {
             get(target, prop) {
@@ -136,10 +229,16 @@ const Utils = {
         return bip39.generateMnemonic(128);
     },
 
-    getAccountAtIndex(mnemonic, index = 0) {
-        const seed = bip39.mnemonicToSeed(mnemonic);
+    // BIP44 path of the TRON account at `index`, shared by mnemonic and Ledger accounts
+    getDerivationPath(index = 0) {
+        return `m/44'/195'/${ index }'/0/0`;
+    },
+
+    // The optional passphrase is the BIP39 "25th word", an empty one derives the plain mnemonic wallet
+    getAccountAtIndex(mnemonic, index = 0, passphrase = '') {
+        const seed = bip39.mnemonicToSeed(mnemonic, passphrase);
         const node = bip32.fromSeed(seed);
-        const child = node.derivePath(`m/44'/195'/${ index }'/0/0`);
+        const child = node.derivePath(this.getDerivationPath(index));
         const privateKey = child.privateKey.toString('hex');
         const address = TronWeb.address.fromPrivateKey(privateKey);
 
@@ -250,6 +349,26 @@ const Utils = {
       });
     },
 
+    downloadFile(contents, fileName, type = 'application/json') {
+        const url = URL.createObjectURL(new Blob([ contents ], { type }));
+        const a = document.createElement('a');
+
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+
+        URL.revokeObjectURL(url);
+    },
+
+    encryptString(password, salt, string) {
+        const key = encryptKey(password, salt);
+        const textBytes = aesjs.utils.utf8.toBytes(string);
+        const aesCtr = new aesjs.ModeOfOperation.ctr(key);
+
+        return aesjs.utils.hex.fromBytes(aesCtr.encrypt(textBytes));
+    },
 
     decryptString(password, salt, hexString) {
       const key = encryptKey(password, salt);
@@ -259,6 +378,154 @@ const Utils = {
       return aesjs.utils.utf8.fromBytes(decryptedBytes);
     },
 
+    // TronScan keystores are the hex encoded JSON of { version, key, address, salt }, kept as .txt files
+    createTronScanKeystore(privateKey, password) {
+        const salt = crypto.randomBytes(KEYSTORE.TRONSCAN.SALT_LENGTH).toString('hex');
+        const keystore = {
+            version: KEYSTORE.TRONSCAN.VERSION,
+            key: this.encryptString(password, salt, privateKey),
+            address: TronWeb.address.fromPrivateKey(privateKey),
+            salt
+        };
+
+        return Buffer.from(JSON.stringify(keystore), 'utf8').toString('hex').toUpperCase();
+    },
+
+    // Web3 Secret Storage v3. The address is the 20 byte hex form, which Ethereum tooling derives from the same key
+    createWeb3Keystore(privateKey, password) {
+        const {
+            VERSION,
+            CIPHER,
+            KDF,
+            PRF,
+            ITERATIONS,
+            DKLEN
+        } = KEYSTORE.WEB3;
+
+        const salt = crypto.randomBytes(32);
+        const iv = crypto.randomBytes(16);
+        const derivedKey = pbkdf2.pbkdf2Sync(password, salt, ITERATIONS, DKLEN, 'sha256');
+        const cipher = crypto.createCipheriv(CIPHER, derivedKey.slice(0, 16), iv);
+        const ciphertext = Buffer.concat([
+            cipher.update(Buffer.from(privateKey, 'hex')),
+            cipher.final()
+        ]);
+
+        return JSON.stringify({
+            version: VERSION,
+            id: randomUUID(),
+            address: TronWeb.address.toHex(TronWeb.address.fromPrivateKey(privateKey)).substr(2).toLowerCase(),
+            crypto: {
+                ciphertext: ciphertext.toString('hex'),
+                cipherparams: {
+                    iv: iv.toString('hex')
+                },
+                cipher: CIPHER,
+                kdf: KDF,
+                kdfparams: {
+                    c: ITERATIONS,
+                    dklen: DKLEN,
+                    prf: PRF,
+                    salt: salt.toString('hex')
+                },
+                mac: this._web3KeystoreMac(derivedKey, ciphertext)
+            }
+        });
+    },
+
+    createKeystore(privateKey, password, format) {
+        if(format === KEYSTORE.FORMAT.WEB3)
+            return this.createWeb3Keystore(privateKey, password);
+
+        return this.createTronScanKeystore(privateKey, password);
+    },
+
+    _web3KeystoreMac(derivedKey, ciphertext) {
+        return utils.keccak256(Buffer.concat([ derivedKey.slice(16, 32), ciphertext ])).substr(2);
+    },
+
+    _deriveWeb3KeystoreKey(password, { kdf, kdfparams }) {
+        const salt = Buffer.from(kdfparams.salt, 'hex');
+
+        if(kdf === 'pbkdf2') {
+            if(kdfparams.prf !== KEYSTORE.WEB3.PRF)
+                throw new Error(`Unsupported keystore prf ${ kdfparams.prf }`);
+
+            return Promise.resolve(pbkdf2.pbkdf2Sync(password, salt, kdfparams.c, kdfparams.dklen, 'sha256'));
+        }
+
+        if(kdf !== 'scrypt')
+            throw new Error(`Unsupported keystore kdf ${ kdf }`);
+
+        const { n, r, p, dklen } = kdfparams;
+
+        return new Promise((resolve, reject) => {
+            scrypt(Buffer.from(password, 'utf8'), salt, n, r, p, dklen, (error, progress, key) => {
+                if(error)
+                    reject(error);
+                else if(key)
+                    resolve(Buffer.from(key));
+            });
+        });
+    },
+
+    // Accepts either keystore format and resolves the key it holds, rejecting on a wrong password
+    async decryptKeystore(contents, password) {
+        const trimmed = contents.trim();
+        let keystore;
+
+        try {
+            keystore = JSON.parse(trimmed);
+        } catch(ex) {
+            keystore = JSON.parse(Buffer.from(trimmed, 'hex').toString('utf8'));
+        }
+
+        if(!keystore || typeof keystore !== 'object')
+            throw new Error('Unrecognised keystore file');
+
+        const web3Crypto = keystore.crypto || keystore.Crypto;
+        let privateKey;
+
+        if(web3Crypto) {
+            const derivedKey = await this._deriveWeb3KeystoreKey(password, web3Crypto);
+            const ciphertext = Buffer.from(web3Crypto.ciphertext, 'hex');
+
+            if(this._web3KeystoreMac(derivedKey, ciphertext) !== web3Crypto.mac.toLowerCase())
+                throw new Error('Invalid keystore password');
+
+            const decipher = crypto.createDecipheriv(
+                web3Crypto.cipher,
+                derivedKey.slice(0, 16),
+                Buffer.from(web3Crypto.cipherparams.iv, 'hex')
+            );
+
+            privateKey = Buffer.concat([
+                decipher.update(ciphertext),
+                decipher.final()
+            ]).toString('hex');
+        } else privateKey = this.decryptString(password, keystore.salt, keystore.key);
+
+        if(!this.validatePrivateKey(privateKey))
+            throw new Error('Invalid keystore password');
+
+        const address = TronWeb.address.fromPrivateKey(privateKey);
+
+        // TronScan keeps the base58 address, Web3 keystores the hex one (optionally 0x prefixed)
+        if(keystore.address) {
+            const matches = web3Crypto ?
+                keystore.address.replace(/^0x/, '').toLowerCase() === TronWeb.address.toHex(address).substr(2).toLowerCase() :
+                keystore.address === address;
+
+            if(!matches)
+                throw new Error('Keystore address does not match its key');
+        }
+
+        return {
+            privateKey,
+            address
+        };
+    },
+
     validatePrivateKey(privateKey){
         try {
             let address = pkToAddress(privateKey);
@@ -0,0 +1,116 @@
+import EventEmitter from 'eventemitter3';
+import Logger from '@tronlink/lib/logger';
+import SignedMessage from '@tronlink/lib/signedMessage';
+
+import { PROVIDER_ERROR } from '@tronlink/lib/constants';
+
+const logger = new Logger('TronLinkProvider');
+
+// The background answers tab requests with plain strings, the ones dapps need to tell apart get a code
+const ERROR_CODES = [
+    [ /declined by user|denied by the user/, PROVIDER_ERROR.USER_REJECTED ],
+    [ /not unlocked wallet|not connected/, PROVIDER_ERROR.UNAUTHORIZED ],
+    [ /^Invalid (typed data|message)/, PROVIDER_ERROR.INVALID_PARAMS ]
+];
+
+class ProviderRpcError extends Error {
+    constructor({ code, message }, data) {
+        super(message);
+
+        this.code = code;
+
+        if(data !== undefined)
+            this.data = data;
+    }
+
+    static from(error) {
+        if(error instanceof ProviderRpcError)
+            return error;
+
+        const reason = (error && error.message) || error;
+        const [ , type = PROVIDER_ERROR.INTERNAL ] = ERROR_CODES.find(([ pattern ]) => pattern.test(reason)) || [];
+
+        return new ProviderRpcError({ code: type.code, message: typeof reason === 'string' ? reason : type.message });
+    }
+}
+
+/**
+ * EIP-1193 style provider injected as window.tronLink. Requests are answered by the given
+ * methods (keyed by RPC name, called with the params array) and rejected with a
+ * ProviderRpcError. The chain id is the one typed data domains are checked against, it
+ * differs between mainnet, testnets and the side chain. Events:
+ *
+ *  - connect ({ chainId })     TronLink has told the page which node to use
+ *  - chainChanged (chainId)    the selected chain or node changed
+ *  - accountsChanged (accounts) the accounts this site may use changed, including on lock and unlock
+ *  - lock ()                   the wallet was locked, accounts stay empty until it is unlocked
+ *  - disconnect (error)        the user disconnected this site
+ */
+class TronLinkProvider extends EventEmitter {
+    constructor(methods) {
+        super();
+
+        this.methods = methods;
+        this.isTronLink = true;
+        this.accounts = [];
+        this.chainId = false;
+        this.fullNode = false;
+        this.isConnected = false;
+    }
+
+    request({ method, params = [] } = {}) {
+        if(!this.methods.hasOwnProperty(method))
+            return Promise.reject(new ProviderRpcError(PROVIDER_ERROR.UNSUPPORTED_METHOD, { method }));
+
+        if(!Array.isArray(params))
+            return Promise.reject(new ProviderRpcError(PROVIDER_ERROR.INVALID_PARAMS, { params }));
+
+        return Promise.resolve()
+            .then(() => this.methods[ method ](params))
+            .catch(error => {
+                logger.warn(`Request ${ method } failed:`, error);
+                return Promise.reject(ProviderRpcError.from(error));
+            });
+    }
+
+    // Checked locally, so dapps can verify signMessageV2 signatures without asking TronLink
+    verifyMessage(message, signature, address) {
+        return SignedMessage.verify(message, signature, address);
+    }
+
+    _setAccounts({ accounts = [], isConnected = false }) {
+        const wasConnected = this.isConnected;
+        const changed = accounts.join() !== this.accounts.join();
+
+        this.accounts = accounts;
+        this.isConnected = isConnected;
+
+        if(changed)
+            this.emit('accountsChanged', accounts);
+
+        if(wasConnected && !isConnected)
+            this.emit('disconnect', new ProviderRpcError(PROVIDER_ERROR.DISCONNECTED));
+    }
+
+    _setNode({ chainId, fullNode }) {
+        const isFirst = this.chainId === false;
+        const changed = chainId !== this.chainId || fullNode !== this.fullNode;
+
+        this.chainId = chainId;
+        this.fullNode = fullNode;
+
+        if(isFirst)
+            return this.emit('connect', { chainId });
+
+        if(changed)
+            this.emit('chainChanged', chainId);
+    }
+
+    _lock() {
+        this.emit('lock');
+    }
+}
+
+export { ProviderRpcError };
+
+export default TronLinkProvider;
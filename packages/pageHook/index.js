@@ -4,9 +4,11 @@ import TronWeb from 'tronweb';
 //import SunWeb from 'sunweb';
 
 import Utils from '@tronlink/lib/utils';
-import { CONTRACT_ADDRESS, SIDE_CHAIN_ID, NODE } from '@tronlink/lib/constants'
+import { CONTRACT_ADDRESS, SIDE_CHAIN_ID, NODE, PROVIDER_METHOD } from '@tronlink/lib/constants';
 import RequestHandler from './handlers/RequestHandler';
 import ProxiedProvider from './handlers/ProxiedProvider';
+import TronLinkProvider from './handlers/TronLinkProvider';
+import SignedMessage from '@tronlink/lib/signedMessage';
 import SunWeb from './SunWeb';
 // import SunWeb from './SunWeb/js-sdk/src/index';
 
@@ -22,14 +24,15 @@ const pageHook = {
         this._bindTronWeb();
         this._bindEventChannel();
         this._bindEvents();
+        this._bindTronLink();
 
-        this.request('init').then(({ address, node, name, type, phishingList}) => {
-            if(address)
-                this.setAddress({address,name,type});
-
+        this.request('init').then(({ address, node, name, type, accounts, isConnected, phishingList }) => {
             if(node.fullNode)
                 this.setNode(node);
 
+            // Sites the user hasn't connected get no address and stay not ready
+            this.setAddress({ address, name, type, accounts, isConnected });
+
             logger.info('TronLink initiated');
             const href = window.location.origin;
             const c = phishingList.filter(({url})=>{
@@ -107,6 +110,17 @@ const pageHook = {
             this.sign(...args)
         );
 
+        tronWeb.trx.signTypedData = (...args) => (
+            this.signTypedData(...args)
+        );
+
+        tronWeb.trx.signMessageV2 = (...args) => (
+            this.signMessageV2(...args)
+        );
+
+        tronWeb.trx.verifyMessageV2 = (message, signature) => (
+            SignedMessage.recover(message, signature)
+        );
 
         window.sunWeb = sunWeb;
         window.tronWeb = tronWeb;
@@ -117,6 +131,30 @@ const pageHook = {
         this.request = RequestHandler.init(this.eventChannel);
     },
 
+    _bindTronLink() {
+        const tronLink = new TronLinkProvider({
+            // Resolves once the user has approved this site in the popup
+            [ PROVIDER_METHOD.REQUEST_ACCOUNTS ]: () => this.request('requestAccounts').then(account => {
+                this.setAddress(account);
+                return account.accounts;
+            }),
+            [ PROVIDER_METHOD.ACCOUNTS ]: () => tronLink.accounts,
+            [ PROVIDER_METHOD.CHAIN_ID ]: () => tronLink.chainId,
+            [ PROVIDER_METHOD.SIGN_TRANSACTION ]: ([ transaction ]) => this.sign(transaction),
+            [ PROVIDER_METHOD.SIGN_MESSAGE ]: ([ message ]) => this.sign(message),
+            [ PROVIDER_METHOD.SIGN_MESSAGE_V2 ]: ([ message, address ]) => this.signMessageV2(message, address),
+            [ PROVIDER_METHOD.VERIFY_MESSAGE ]: ([ message, signature, address ]) => tronLink.verifyMessage(message, signature, address),
+            // Same params as eth_signTypedData_v4, the typed data may be passed as JSON
+            [ PROVIDER_METHOD.SIGN_TYPED_DATA ]: ([ address, typedData ]) => this.signTypedData(
+                typeof typedData === 'string' ? JSON.parse(typedData) : typedData,
+                address
+            )
+        });
+
+        this.tronLink = tronLink;
+        window.tronLink = tronLink;
+    },
+
     _bindEvents() {
         this.eventChannel.on('setAccount', address => (
             this.setAddress(address)
@@ -125,9 +163,13 @@ const pageHook = {
         this.eventChannel.on('setNode', node => (
             this.setNode(node)
         ));
+
+        this.eventChannel.on('lock', () => (
+            this.tronLink._lock()
+        ));
     },
 
-    setAddress({address,name,type}) {
+    setAddress({ address, name, type, accounts, isConnected }) {
         // logger.info('TronLink: New address configured');
         if(!tronWeb.isAddress(address)){
             tronWeb.defaultAddress = {
@@ -148,6 +190,7 @@ const pageHook = {
             tronWeb.ready = true;
         }
 
+        this.tronLink._setAccounts({ accounts, isConnected });
     },
 
     setNode(node) {
@@ -163,6 +206,8 @@ const pageHook = {
         sunWeb.sidechain.fullNode.configure(NODE.SIDE.fullNode);
         sunWeb.sidechain.solidityNode.configure(NODE.SIDE.solidityNode);
         sunWeb.sidechain.eventServer.configure(NODE.SIDE.eventServer);
+
+        this.tronLink._setNode(node);
     },
 
     setVisited(href){
@@ -210,6 +255,59 @@ const pageHook = {
             logger.error('Failed to sign transaction:', err);
             callback(err);
         });
+    },
+
+    // Strings are signed as UTF-8, byte arrays as given
+    signMessageV2(message, address = false, callback = false) {
+        if(Utils.isFunction(address)) {
+            callback = address;
+            address = false;
+        }
+
+        if(!callback)
+            return Utils.injectPromise(this.signMessageV2.bind(this), message, address);
+
+        if(typeof message !== 'string' && !Array.isArray(message) && !(message instanceof Uint8Array))
+            return callback('Invalid message provided');
+
+        if(!tronWeb.ready)
+            return callback('User has not unlocked wallet');
+
+        this.request('signMessageV2', {
+            message: SignedMessage.toHex(message),
+            address
+        }).then(signature => (
+            callback(null, signature)
+        )).catch(err => {
+            logger.error('Failed to sign message:', err);
+            callback(err);
+        });
+    },
+
+    signTypedData(typedData, address = false, callback = false) {
+        if(Utils.isFunction(address)) {
+            callback = address;
+            address = false;
+        }
+
+        if(!callback)
+            return Utils.injectPromise(this.signTypedData.bind(this), typedData, address);
+
+        if(!typedData || typeof typedData !== 'object')
+            return callback('Invalid typed data provided');
+
+        if(!tronWeb.ready)
+            return callback('User has not unlocked wallet');
+
+        this.request('signTypedData', {
+            typedData,
+            address
+        }).then(signature => (
+            callback(null, signature)
+        )).catch(err => {
+            logger.error('Failed to sign typed data:', err);
+            callback(err);
+        });
     }
 };
 
@@ -31,6 +31,11 @@ import LedgerController from '@tronlink/popup/src/controllers/LedgerController';
 import LedgerAccountImportController from '@tronlink/popup/src/controllers/LedgerController/LedgerAccountImportController';
 import NodeManageController from '@tronlink/popup/src/controllers/NodeManageController';
 import TransferController from '@tronlink/popup/src/controllers/TransferController';
+import ChangePasswordController from '@tronlink/popup/src/controllers/ChangePasswordController';
+import BackupController from '@tronlink/popup/src/controllers/BackupController';
+import KeystoreExportController from '@tronlink/popup/src/controllers/KeystoreExportController';
+import ConnectedSitesController from '@tronlink/popup/src/controllers/ConnectedSitesController';
+import AllowancesController from '@tronlink/popup/src/controllers/AllowancesController';
 
 import 'antd-mobile/dist/antd-mobile.css';
 import 'react-custom-scroll/dist/customScroll.css';
@@ -48,7 +53,7 @@ class App extends React.Component {
     }
 
     render() {
-        const { appState,accounts,prices,nodes,language,lock,version,authorizeDapps,vTokenList,chains } = this.props;
+        const { appState,accounts,prices,nodes,language,lock,version,authorizeDapps,connectedSites,vTokenList,chains } = this.props;
         let dom = null;
         switch(appState) {
             case APP_STATE.UNINITIALISED:
@@ -129,6 +134,21 @@ class App extends React.Component {
             case APP_STATE.NODE_MANAGE:
                 dom = <NodeManageController nodes={nodes} chains={chains}  onCancel={ () => PopupAPI.changeState(APP_STATE.SETTING) } />;
                 break;
+            case APP_STATE.CHANGE_PASSWORD:
+                dom = <ChangePasswordController onCancel={ () => PopupAPI.changeState(APP_STATE.SETTING) } />;
+                break;
+            case APP_STATE.BACKUP:
+                dom = <BackupController onCancel={ () => PopupAPI.changeState(APP_STATE.SETTING) } />;
+                break;
+            case APP_STATE.EXPORT_KEYSTORE:
+                dom = <KeystoreExportController onCancel={ () => PopupAPI.changeState(APP_STATE.READY) } />;
+                break;
+            case APP_STATE.CONNECTED_SITES:
+                dom = <ConnectedSitesController connectedSites={connectedSites} accounts={accounts.accounts} onCancel={ () => PopupAPI.changeState(APP_STATE.SETTING) } />;
+                break;
+            case APP_STATE.ALLOWANCES:
+                dom = <AllowancesController onCancel={ () => PopupAPI.changeState(APP_STATE.SETTING) } />;
+                break;
             default:
                 dom =
                     <div className='unsupportedState' onClick={ () => PopupAPI.resetState(APP_STATE.USDT_INCOME_RECORD) }>
@@ -154,5 +174,6 @@ export default connect(state => ({
     lock: state.app.setting.lock,
     version: state.app.version,
     authorizeDapps: state.app.authorizeDapps,
+    connectedSites: state.app.connectedSites,
     chains: state.app.chains
 }))(App);
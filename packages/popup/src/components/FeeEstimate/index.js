@@ -0,0 +1,92 @@
+import React from 'react';
+
+import { BigNumber } from 'bignumber.js';
+import { FormattedMessage, FormattedNumber } from 'react-intl';
+
+import './FeeEstimate.scss';
+
+const toTrx = sun => new BigNumber(sun).shiftedBy(-6).toString();
+
+const Resource = ({ id, required, burn }) => (
+    <div className='feeLine'>
+        <FormattedMessage id={ id } />
+        <span className='value'>
+            {
+                required === false ?
+                    <FormattedMessage id='FEE_ESTIMATE.UNKNOWN' /> :
+                    <FormattedMessage
+                        id={ burn ? 'FEE_ESTIMATE.BURNED' : 'FEE_ESTIMATE.COVERED' }
+                        values={{ amount: <FormattedNumber value={ required } />, fee: toTrx(burn) }}
+                    />
+            }
+        </span>
+    </div>
+);
+
+// What a transaction is expected to burn, as FeeService estimates it. `feeLimit` is the one the
+// transaction will be signed with, if the user can still change it
+const FeeEstimate = ({ estimate, feeLimit = false }) => {
+    if(!estimate)
+        return null;
+
+    const {
+        bandwidth,
+        energy,
+        activation,
+        memo,
+        total
+    } = estimate;
+
+    const isContract = estimate.feeLimit !== false;
+
+    return (
+        <div className='feeEstimate'>
+            <Resource id='FEE_ESTIMATE.BANDWIDTH' { ...bandwidth } />
+            { isContract || energy.required ? <Resource id='FEE_ESTIMATE.ENERGY' { ...energy } /> : null }
+            {
+                activation ? (
+                    <div className='feeLine'>
+                        <FormattedMessage id='FEE_ESTIMATE.ACTIVATION' />
+                        <span className='value'>{ toTrx(activation) } TRX</span>
+                    </div>
+                ) : null
+            }
+            {
+                memo ? (
+                    <div className='feeLine'>
+                        <FormattedMessage id='FEE_ESTIMATE.MEMO' />
+                        <span className='value'>{ toTrx(memo) } TRX</span>
+                    </div>
+                ) : null
+            }
+            <div className='feeLine total'>
+                <FormattedMessage id='FEE_ESTIMATE.TOTAL' />
+                <span className='value'>{ toTrx(total) } TRX</span>
+            </div>
+            {
+                isContract && feeLimit !== false ? (
+                    <div className='feeLine'>
+                        <FormattedMessage id='FEE_ESTIMATE.FEE_LIMIT' />
+                        <span className='value'>{ toTrx(estimate.feeLimit) } TRX</span>
+                    </div>
+                ) : null
+            }
+            {
+                energy.error ? (
+                    <div className='feeWarning'>
+                        <FormattedMessage id='FEE_ESTIMATE.WILL_FAIL' values={{ reason: energy.error }} />
+                    </div>
+                ) : null
+            }
+            {
+                feeLimit !== false && energy.required !== false && feeLimit < energy.cost ? (
+                    <div className='feeWarning'>
+                        <FormattedMessage id='FEE_ESTIMATE.LOW_FEE_LIMIT' values={{ fee: toTrx(energy.cost) }} />
+                    </div>
+                ) : null
+            }
+        </div>
+    );
+};
+
+export default FeeEstimate;
@@ -4,6 +4,7 @@
 import React from 'react';
 import Button from '@tronlink/popup/src/components/Button';
 import LoadingGif from 'assets/images/loading_black.gif';
+import LedgerBridge from '@tronlink/lib/LedgerBridge';
 
 import { injectIntl } from 'react-intl';
 
@@ -15,13 +16,8 @@ class Loading extends React.Component {
     }
 
     componentDidMount(){
-        if(document.getElementById('tronLedgerBridge')){
-            document.head.removeChild(document.getElementById('tronLedgerBridge'));
-        }
-        const iframe = document.createElement('iframe');
-        iframe.id = 'tronLedgerBridge';
-        iframe.src = 'https://zacharyle.github.io/tron-ledger-bridge?new='+Math.random();
-        document.head.appendChild(iframe);
+        // Left mounted between screens, a request may still be waiting on the device
+        LedgerBridge.mount();
     }
 
     render() {
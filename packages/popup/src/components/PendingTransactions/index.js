@@ -0,0 +1,60 @@
+import React from 'react';
+import moment from 'moment';
+
+import { BigNumber } from 'bignumber.js';
+import { FormattedMessage } from 'react-intl';
+import { PENDING_STATUS } from '@tronlink/lib/constants';
+
+import './PendingTransactions.scss';
+
+const trim = address => `${ address.substr(0, 4) }...${ address.substr(-12) }`;
+
+// Transactions this wallet broadcast that haven't settled yet, or did so recently. `tokenId`
+// keeps the ones moving that token, TRX also keeps the ones that moved nothing
+const PendingTransactions = ({ transactions = [], tokenId = false }) => {
+    const shown = transactions.filter(({ tokens }) => (
+        !tokenId || tokens.some(({ tokenID }) => tokenID === tokenId) || (tokenId === '_' && !tokens.length)
+    ));
+
+    if(!shown.length)
+        return null;
+
+    return (
+        <div className='lists pendingTransactions'>
+            {
+                shown.slice().reverse().map(({ txID, status, reason, recipient, tokens, createdAt }) => {
+                    const token = tokens.find(({ tokenID }) => !tokenId || tokenID === tokenId);
+
+                    return (
+                        <div className={ `item send ${ status }` } key={ txID }>
+                            <div className='left'>
+                                <div className='address'>
+                                    <span className='status'>
+                                        <FormattedMessage id={ `PENDING.${ status.toUpperCase() }` } />
+                                    </span>
+                                    { trim(recipient || txID) }
+                                </div>
+                                <div className='time'>
+                                    {
+                                        status === PENDING_STATUS.FAILED && reason ?
+                                            <FormattedMessage id='PENDING.REASON' values={{ reason }} /> :
+                                            moment(createdAt).format('YYYY-MM-DD HH:mm:ss')
+                                    }
+                                </div>
+                            </div>
+                            {
+                                token ? (
+                                    <div className='right'>
+                                        { new BigNumber(token.amount).shiftedBy(-token.decimals).toString() } { token.abbr }
+                                    </div>
+                                ) : null
+                            }
+                        </div>
+                    );
+                })
+            }
+        </div>
+    );
+};
+
+export default PendingTransactions;
@@ -0,0 +1,131 @@
+import React from 'react';
+import TronWeb from 'tronweb';
+import Input from '@tronlink/popup/src/components/Input';
+
+import { FormattedMessage } from 'react-intl';
+import { FEE_ESTIMATE, SEND_OPTIONS } from '@tronlink/lib/constants';
+
+import './SendOptions.scss';
+
+// As typed, the fee limit in TRX and the expiration in minutes. Empty fields are left to the wallet
+export const DEFAULT_OPTIONS = {
+    isOpen: false,
+    memo: '',
+    feeLimit: '',
+    expiration: '',
+    permissionId: '0'
+};
+
+const MAX_FEE_LIMIT = FEE_ESTIMATE.MAX_FEE_LIMIT / 1000000;
+const MIN_EXPIRATION = SEND_OPTIONS.MIN_EXPIRATION / 60000;
+const MAX_EXPIRATION = SEND_OPTIONS.MAX_EXPIRATION / 60000;
+
+// fromUtf8 prefixes the bytes with 0x
+const getMemoSize = memo => (TronWeb.fromUtf8(memo).length / 2) - 1;
+
+const getErrors = ({ memo, feeLimit, expiration, permissionId }, hasFeeLimit) => ({
+    memo: getMemoSize(memo) > SEND_OPTIONS.MAX_MEMO_SIZE,
+    feeLimit: hasFeeLimit && feeLimit !== '' && !(Number(feeLimit) > 0 && Number(feeLimit) <= MAX_FEE_LIMIT),
+    expiration: expiration !== '' && (Number(expiration) < MIN_EXPIRATION || Number(expiration) > MAX_EXPIRATION),
+    permissionId: permissionId === ''
+});
+
+export const isValid = (options, hasFeeLimit = false) => (
+    !Object.values(getErrors(options, hasFeeLimit)).some(Boolean)
+);
+
+// What the send actions take, see WalletService._validateSendOptions
+export const toSendOptions = ({ memo, feeLimit, expiration, permissionId }, hasFeeLimit = false) => ({
+    memo,
+    feeLimit: hasFeeLimit && feeLimit !== '' && Math.round(Number(feeLimit) * 1000000),
+    expiration: expiration !== '' && Number(expiration) * 60000,
+    permissionId: Number(permissionId)
+});
+
+const Field = ({ id, error = false, values, children }) => (
+    <div className='optionField'>
+        <FormattedMessage id={ id } />
+        { children }
+        { error ? <div className='optionError'><FormattedMessage id={ error } values={ values } /></div> : null }
+    </div>
+);
+
+// The advanced section of send forms, collapsed until the user asks for it
+const SendOptions = ({ options, hasFeeLimit = false, isDisabled = false, onChange }) => {
+    const {
+        isOpen,
+        memo,
+        feeLimit,
+        expiration,
+        permissionId
+    } = options;
+
+    const errors = getErrors(options, hasFeeLimit);
+    const onEdit = changes => onChange({ ...options, ...changes });
+
+    return (
+        <div className='sendOptions'>
+            <div className={ `optionsToggle ${ isOpen ? 'isOpen' : '' }` } onClick={ () => onEdit({ isOpen: !isOpen }) }>
+                <FormattedMessage id='SEND_OPTIONS.TITLE' />
+            </div>
+            {
+                isOpen ? (
+                    <React.Fragment>
+                        <Field
+                            id='SEND_OPTIONS.MEMO'
+                            error={ errors.memo && 'SEND_OPTIONS.MEMO_TOO_LONG' }
+                            values={{ size: SEND_OPTIONS.MAX_MEMO_SIZE }}
+                        >
+                            <Input
+                                value={ memo }
+                                placeholder='SEND_OPTIONS.MEMO.PLACEHOLDER'
+                                onChange={ value => onEdit({ memo: value }) }
+                                isDisabled={ isDisabled }
+                            />
+                        </Field>
+                        {
+                            hasFeeLimit ? (
+                                <Field
+                                    id='SEND_OPTIONS.FEE_LIMIT'
+                                    error={ errors.feeLimit && 'SEND_OPTIONS.INVALID_FEE_LIMIT' }
+                                    values={{ max: MAX_FEE_LIMIT }}
+                                >
+                                    <Input
+                                        value={ feeLimit }
+                                        placeholder='SEND_OPTIONS.SUGGESTED'
+                                        validator={ /^\d*(\.\d{0,6})?$/ }
+                                        onChange={ value => onEdit({ feeLimit: value }) }
+                                        isDisabled={ isDisabled }
+                                    />
+                                </Field>
+                            ) : null
+                        }
+                        <Field
+                            id='SEND_OPTIONS.EXPIRATION'
+                            error={ errors.expiration && 'SEND_OPTIONS.INVALID_EXPIRATION' }
+                            values={{ min: MIN_EXPIRATION, max: MAX_EXPIRATION }}
+                        >
+                            <Input
+                                value={ expiration }
+                                placeholder='SEND_OPTIONS.DEFAULT'
+                                validator={ /^\d*$/ }
+                                onChange={ value => onEdit({ expiration: value }) }
+                                isDisabled={ isDisabled }
+                            />
+                        </Field>
+                        <Field id='SEND_OPTIONS.PERMISSION_ID'>
+                            <Input
+                                value={ permissionId }
+                                validator={ /^\d*$/ }
+                                onChange={ value => onEdit({ permissionId: value }) }
+                                isDisabled={ isDisabled }
+                            />
+                        </Field>
+                    </React.Fragment>
+                ) : null
+            }
+        </div>
+    );
+};
+
+export default SendOptions;
@@ -0,0 +1,184 @@
+import React from 'react';
+import Button from 'components/Button';
+import Toast, { T } from 'react-toast-mobile';
+import moment from 'moment';
+
+import { BigNumber } from 'bignumber.js';
+import { FormattedMessage, injectIntl } from 'react-intl';
+import { PopupAPI } from '@tronlink/lib/api';
+
+import '../DappWhitelistController/DappWhitelistController.scss';
+import './AllowancesController.scss';
+
+const getKey = ({ token, spender }) => `${ token }_${ spender }`;
+
+const trim = address => `${ address.substr(0, 10) }...${ address.substr(-10) }`;
+
+class AllowancesController extends React.Component {
+    state = {
+        allowances: [],
+        selected: {},
+        isLoading: true,
+        isRevoking: false
+    };
+
+    constructor() {
+        super();
+
+        this.onRevoke = this.onRevoke.bind(this);
+    }
+
+    componentDidMount() {
+        this.loadAllowances();
+    }
+
+    async loadAllowances() {
+        this.setState({
+            isLoading: true
+        });
+
+        const allowances = await PopupAPI.getAllowances().catch(() => []);
+
+        this.setState({
+            allowances,
+            selected: {},
+            isLoading: false
+        });
+    }
+
+    toggleAllowance(allowance) {
+        const selected = { ...this.state.selected };
+        const key = getKey(allowance);
+
+        if(key in selected)
+            delete selected[ key ];
+        else selected[ key ] = allowance;
+
+        this.setState({
+            selected
+        });
+    }
+
+    async onRevoke() {
+        const { formatMessage } = this.props.intl;
+        const allowances = Object.values(this.state.selected).map(({ token, spender }) => ({ token, spender }));
+
+        this.setState({
+            isRevoking: true
+        });
+
+        const results = await PopupAPI.revokeAllowances(allowances).catch(error => (
+            allowances.map(allowance => ({ ...allowance, error }))
+        ));
+
+        const failed = results.filter(({ error }) => error).length;
+
+        T.notify(formatMessage(
+            { id: failed ? 'ALLOWANCES.REVOKE_FAILED' : 'ALLOWANCES.REVOKE_SUCCESS' },
+            { count: results.length - failed, failed }
+        ));
+
+        this.setState({
+            isRevoking: false
+        });
+
+        this.loadAllowances();
+    }
+
+    renderAmount({ amount, isUnlimited, decimals, symbol }) {
+        const { formatNumber } = this.props.intl;
+
+        if(amount === false)
+            return <FormattedMessage id='ALLOWANCES.UNKNOWN' />;
+
+        if(isUnlimited)
+            return <FormattedMessage id='ALLOWANCES.UNLIMITED' values={{ symbol }} />;
+
+        return `${ formatNumber(new BigNumber(amount).shiftedBy(-decimals).toNumber()) } ${ symbol }`;
+    }
+
+    render() {
+        const {
+            allowances,
+            selected,
+            isLoading,
+            isRevoking
+        } = this.state;
+
+        const { onCancel } = this.props;
+        const count = Object.keys(selected).length;
+
+        return (
+            <div className='insetContainer whitelist allowances'>
+                <div className='pageHeader'>
+                    <div className='back' onClick={ () => onCancel() }>&nbsp;</div>
+                    <FormattedMessage id='SETTING.TITLE.ALLOWANCES' />
+                </div>
+                <div className='greyModal scroll'>
+                    <Toast />
+                    <div className='white'>
+                        {
+                            allowances.map(allowance => {
+                                const { token, spender, symbol, hostname, timestamp, amount } = allowance;
+                                // Nothing left to revoke, or nothing known about it
+                                const canRevoke = amount !== false && amount !== '0';
+                                const isSelected = getKey(allowance) in selected;
+
+                                return (
+                                    <div
+                                        className={ `dapp ${ canRevoke ? '' : 'isRevoked' }` }
+                                        key={ getKey(allowance) }
+                                        onClick={ () => canRevoke && !isRevoking && this.toggleAllowance(allowance) }
+                                    >
+                                        <div className='url'>
+                                            <div className={ `checkbox ${ isSelected ? 'isSelected' : '' }` }>&nbsp;</div>
+                                            <span>{ symbol || trim(token) }</span>
+                                            <span className='amount'>{ this.renderAmount(allowance) }</span>
+                                        </div>
+                                        <div className='row'>
+                                            <FormattedMessage id='ALLOWANCES.SPENDER' />
+                                            <span>{ trim(spender) }</span>
+                                        </div>
+                                        {
+                                            hostname ? (
+                                                <div className='row'>
+                                                    <FormattedMessage id='ALLOWANCES.REQUESTED_BY' />
+                                                    <span>{ hostname }</span>
+                                                </div>
+                                            ) : null
+                                        }
+                                        {
+                                            timestamp ? (
+                                                <div className='row'>
+                                                    <FormattedMessage id='ALLOWANCES.APPROVED' />
+                                                    <span>{ moment(timestamp).format('YYYY-MM-DD HH:mm') }</span>
+                                                </div>
+                                            ) : null
+                                        }
+                                    </div>
+                                );
+                            })
+                        }
+                        {
+                            !isLoading && allowances.length === 0 ? <div className='noData'><FormattedMessage id='ALLOWANCES.NO_DATA' /></div> : null
+                        }
+                    </div>
+                    {
+                        allowances.length ? (
+                            <div className='buttonRow'>
+                                <Button
+                                    id='ALLOWANCES.REVOKE'
+                                    isValid={ !!count }
+                                    isLoading={ isLoading || isRevoking }
+                                    onClick={ this.onRevoke }
+                                />
+                            </div>
+                        ) : null
+                    }
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(AllowancesController);
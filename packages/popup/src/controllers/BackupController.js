@@ -0,0 +1,180 @@
+import React from 'react';
+import moment from 'moment';
+import Input from 'components/Input';
+import Button from 'components/Button';
+import InputCriteria from 'components/InputCriteria';
+import Toast, { T } from 'react-toast-mobile';
+import Utils from '@tronlink/lib/utils';
+
+import { FormattedMessage, injectIntl } from 'react-intl';
+import { VALIDATION_STATE } from '@tronlink/lib/constants';
+import { PopupAPI } from '@tronlink/lib/api';
+
+const initialState = () => ({
+    passphrase: {
+        value: '',
+        hasLength: false,
+        hasSpecial: false,
+        isValid: VALIDATION_STATE.NONE,
+        showCriteria: false
+    },
+    repeatPassphrase: {
+        value: '',
+        isValid: VALIDATION_STATE.NONE,
+        showCriteria: false
+    },
+    loading: false,
+    error: false
+});
+
+class BackupController extends React.Component {
+    state = initialState();
+
+    constructor() {
+        super();
+
+        this.onPassphraseChange = this.onPassphraseChange.bind(this);
+        this.onRepeatPassphraseChange = this.onRepeatPassphraseChange.bind(this);
+        this.onButtonClick = this.onButtonClick.bind(this);
+    }
+
+    onPassphraseChange(value) {
+        const trimmed = value.trim();
+        const hasLength = trimmed.length >= 8;
+        const hasSpecial = /[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?\d]+/.test(trimmed);
+        const showCriteria = !!trimmed.length;
+        let isValid = trimmed.length ? VALIDATION_STATE.INVALID : VALIDATION_STATE.NONE;
+
+        if(hasLength && hasSpecial)
+            isValid = VALIDATION_STATE.VALID;
+
+        this.setState({
+            passphrase: {
+                value: trimmed,
+                hasLength,
+                hasSpecial,
+                isValid,
+                showCriteria
+            }
+        });
+    }
+
+    onRepeatPassphraseChange(value) {
+        const trimmed = value.trim();
+        const { passphrase } = this.state;
+        const matches = trimmed.length && trimmed === passphrase.value;
+
+        this.setState({
+            repeatPassphrase: {
+                value: trimmed,
+                isValid: matches ? VALIDATION_STATE.VALID : (trimmed.length ? VALIDATION_STATE.INVALID : VALIDATION_STATE.NONE),
+                showCriteria: !matches
+            }
+        });
+    }
+
+    onButtonClick() {
+        const { passphrase } = this.state;
+        const { formatMessage } = this.props.intl;
+
+        this.setState({
+            loading: true
+        });
+
+        PopupAPI
+            .exportBackup(passphrase.value)
+            .then(backup => {
+                Utils.downloadFile(backup, `tronlink-backup-${ moment().format('YYYY-MM-DD') }.json`);
+
+                this.setState(initialState());
+                T.notify(formatMessage({ id: 'BACKUP.SUCCESS' }));
+            })
+            .catch(error => this.setState({
+                error,
+                loading: false
+            }));
+    }
+
+    render() {
+        const {
+            passphrase,
+            repeatPassphrase,
+            loading,
+            error
+        } = this.state;
+        const { onCancel } = this.props;
+        const isValid =
+            passphrase.isValid === VALIDATION_STATE.VALID &&
+            repeatPassphrase.isValid === VALIDATION_STATE.VALID;
+
+        return (
+            <div className='insetContainer backup'>
+                <div className='pageHeader'>
+                    <div className='back' onClick={ onCancel }>&nbsp;</div>
+                    <FormattedMessage id='SETTING.TITLE.BACKUP' />
+                </div>
+                { error ? (
+                    <div className='errorModal hasBottomMargin'>
+                        <FormattedMessage className='modalTitle' id='ERRORS.BACKUP_FAILED' />
+                        <FormattedMessage className='modalBody' id={ error } />
+                    </div>
+                ) : '' }
+                <div className='greyModal registrationModel'>
+                    <Toast />
+                    <div className='passwordNotForgot'>
+                        <FormattedMessage id='BACKUP.DESCRIPTION' />
+                    </div>
+                    <div className='inputGroup'>
+                        <Input
+                            type='password'
+                            placeholder='INPUT.BACKUP_PASSPHRASE'
+                            status={ passphrase.isValid }
+                            value={ passphrase.value }
+                            isDisabled={ loading }
+                            onChange={ this.onPassphraseChange }
+                            tabIndex={ 1 }
+                        />
+                        {
+                            passphrase.showCriteria ?
+                                <div className='criteria'>
+                                    <InputCriteria id='PASSWORD_CRITERIA.HAS_LENGTH' isValid={ passphrase.hasLength } />
+                                    <InputCriteria id='PASSWORD_CRITERIA.HAS_SPECIAL' isValid={ passphrase.hasSpecial } />
+                                </div>
+                                :
+                                null
+                        }
+                    </div>
+                    <div className='inputGroup'>
+                        <Input
+                            type='password'
+                            placeholder='INPUT.REPEAT_BACKUP_PASSPHRASE'
+                            status={ repeatPassphrase.isValid }
+                            value={ repeatPassphrase.value }
+                            isDisabled={ loading }
+                            onChange={ this.onRepeatPassphraseChange }
+                            onEnter={ () => isValid && this.onButtonClick() }
+                            tabIndex={ 2 }
+                        />
+                        {
+                            repeatPassphrase.showCriteria ?
+                                <div className='criteria'>
+                                    <InputCriteria id='PASSWORD_CRITERIA.NO_REPEAT' isValid={ false } />
+                                </div>
+                                :
+                                null
+                        }
+                    </div>
+                    <Button
+                        id='BUTTON.EXPORT'
+                        isValid={ isValid }
+                        isLoading={ loading }
+                        onClick={ this.onButtonClick }
+                        tabIndex={ 3 }
+                    />
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(BackupController);
@@ -0,0 +1,206 @@
+import React from 'react';
+import Input from 'components/Input';
+import Button from 'components/Button';
+import InputCriteria from 'components/InputCriteria';
+import Toast, { T } from 'react-toast-mobile';
+
+import { FormattedMessage, injectIntl } from 'react-intl';
+import { VALIDATION_STATE } from '@tronlink/lib/constants';
+import { PopupAPI } from '@tronlink/lib/api';
+
+const initialState = () => ({
+    oldPassword: {
+        value: '',
+        isValid: VALIDATION_STATE.NONE
+    },
+    newPassword: {
+        value: '',
+        hasLength: false,
+        hasSpecial: false,
+        isValid: VALIDATION_STATE.NONE,
+        showCriteria: false
+    },
+    repeatPassword: {
+        value: '',
+        isValid: VALIDATION_STATE.NONE,
+        showCriteria: false
+    },
+    loading: false,
+    error: false
+});
+
+class ChangePasswordController extends React.Component {
+    state = initialState();
+
+    constructor() {
+        super();
+
+        this.onOldPasswordChange = this.onOldPasswordChange.bind(this);
+        this.onNewPasswordChange = this.onNewPasswordChange.bind(this);
+        this.onRepeatPasswordChange = this.onRepeatPasswordChange.bind(this);
+        this.onButtonClick = this.onButtonClick.bind(this);
+    }
+
+    onOldPasswordChange(value) {
+        const trimmed = value.trim();
+
+        this.setState({
+            oldPassword: {
+                value: trimmed,
+                isValid: trimmed.length ? VALIDATION_STATE.VALID : VALIDATION_STATE.NONE
+            },
+            error: false
+        });
+    }
+
+    onNewPasswordChange(value) {
+        const trimmed = value.trim();
+        const hasLength = trimmed.length >= 8;
+        const hasSpecial = /[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?\d]+/.test(trimmed);
+        const showCriteria = !!trimmed.length;
+        let isValid = trimmed.length ? VALIDATION_STATE.INVALID : VALIDATION_STATE.NONE;
+
+        if(hasLength && hasSpecial)
+            isValid = VALIDATION_STATE.VALID;
+
+        this.setState({
+            newPassword: {
+                value: trimmed,
+                hasLength,
+                hasSpecial,
+                isValid,
+                showCriteria
+            }
+        });
+    }
+
+    onRepeatPasswordChange(value) {
+        const trimmed = value.trim();
+        const { newPassword } = this.state;
+        const matches = trimmed.length && trimmed === newPassword.value;
+
+        this.setState({
+            repeatPassword: {
+                value: trimmed,
+                isValid: matches ? VALIDATION_STATE.VALID : (trimmed.length ? VALIDATION_STATE.INVALID : VALIDATION_STATE.NONE),
+                showCriteria: !matches
+            }
+        });
+    }
+
+    onButtonClick() {
+        const { oldPassword, newPassword } = this.state;
+        const { formatMessage } = this.props.intl;
+
+        this.setState({
+            loading: true
+        });
+
+        PopupAPI
+            .changePassword(oldPassword.value, newPassword.value)
+            .then(() => {
+                this.setState(initialState());
+                T.notify(formatMessage({ id: 'CHANGE_PASSWORD.SUCCESS' }));
+            })
+            .catch(error => this.setState({
+                error,
+                loading: false
+            }));
+    }
+
+    render() {
+        const {
+            oldPassword,
+            newPassword,
+            repeatPassword,
+            loading,
+            error
+        } = this.state;
+        const { onCancel } = this.props;
+        const isValid =
+            oldPassword.isValid === VALIDATION_STATE.VALID &&
+            newPassword.isValid === VALIDATION_STATE.VALID &&
+            repeatPassword.isValid === VALIDATION_STATE.VALID;
+
+        return (
+            <div className='insetContainer changePassword'>
+                <div className='pageHeader'>
+                    <div className='back' onClick={ onCancel }>&nbsp;</div>
+                    <FormattedMessage id='SETTING.TITLE.CHANGE_PASSWORD' />
+                </div>
+                { error ? (
+                    <div className='errorModal hasBottomMargin'>
+                        <FormattedMessage className='modalTitle' id='ERRORS.PASSWORD_CHANGE_FAILED' />
+                        <FormattedMessage className='modalBody' id={ error } />
+                    </div>
+                ) : '' }
+                <div className='greyModal registrationModel'>
+                    <Toast />
+                    <div className='inputGroup'>
+                        <Input
+                            type='password'
+                            placeholder='INPUT.OLD_PASSWORD'
+                            status={ oldPassword.isValid }
+                            value={ oldPassword.value }
+                            isDisabled={ loading }
+                            onChange={ this.onOldPasswordChange }
+                            tabIndex={ 1 }
+                        />
+                    </div>
+                    <div className='inputGroup'>
+                        <Input
+                            type='password'
+                            placeholder='INPUT.NEW_PASSWORD'
+                            status={ newPassword.isValid }
+                            value={ newPassword.value }
+                            isDisabled={ loading }
+                            onChange={ this.onNewPasswordChange }
+                            tabIndex={ 2 }
+                        />
+                        {
+                            newPassword.showCriteria ?
+                                <div className='criteria'>
+                                    <InputCriteria id='PASSWORD_CRITERIA.HAS_LENGTH' isValid={ newPassword.hasLength } />
+                                    <InputCriteria id='PASSWORD_CRITERIA.HAS_SPECIAL' isValid={ newPassword.hasSpecial } />
+                                </div>
+                                :
+                                null
+                        }
+                    </div>
+                    <div className='inputGroup'>
+                        <Input
+                            type='password'
+                            placeholder='INPUT.REPEAT_PASSWORD'
+                            status={ repeatPassword.isValid }
+                            value={ repeatPassword.value }
+                            isDisabled={ loading }
+                            onChange={ this.onRepeatPasswordChange }
+                            onEnter={ () => isValid && this.onButtonClick() }
+                            tabIndex={ 3 }
+                        />
+                        {
+                            repeatPassword.showCriteria ?
+                                <div className='criteria'>
+                                    <InputCriteria id='PASSWORD_CRITERIA.NO_REPEAT' isValid={ false } />
+                                </div>
+                                :
+                                null
+                        }
+                    </div>
+                    <Button
+                        id='BUTTON.CONFIRM'
+                        isValid={ isValid }
+                        isLoading={ loading }
+                        onClick={ this.onButtonClick }
+                        tabIndex={ 4 }
+                    />
+                    <div className='passwordNotForgot'>
+                        <FormattedMessage id='PASSWORD_TIP.NOT_FORGOT' />
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(ChangePasswordController);
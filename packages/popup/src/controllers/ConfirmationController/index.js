@@ -1,12 +1,20 @@
 import React from 'react';
 import Button from '@tronlink/popup/src/components/Button';
-import Alert from '@tronlink/popup/src/components/Alert';
+import Loading from '@tronlink/popup/src/components/Loading';
+import Input from '@tronlink/popup/src/components/Input';
+import FeeEstimate from '@tronlink/popup/src/components/FeeEstimate';
+import LedgerBridge from '@tronlink/lib/LedgerBridge';
 import TronWeb from 'tronweb';
 import Dropdown from 'react-dropdown';
 import Utils from '@tronlink/lib/utils';
+import TypedData from '@tronlink/lib/typedData';
+import SignedMessage from '@tronlink/lib/signedMessage';
+import TransactionDecoder from '@tronlink/lib/transactionDecoder';
 import { PopupAPI } from '@tronlink/lib/api';
+import { BigNumber } from 'bignumber.js';
 import { connect } from 'react-redux';
 import ReactTooltip from 'react-tooltip';
+import { Toast } from 'antd-mobile';
 import {
     FormattedMessage,
     FormattedHTMLMessage,
@@ -16,27 +24,44 @@ import {
 import {
     CONFIRMATION_TYPE,
     BUTTON_TYPE,
-    ACCOUNT_TYPE
+    ACCOUNT_TYPE,
+    DECODED_FIELD,
+    FEE_LIMIT_CONTRACTS
 } from '@tronlink/lib/constants';
 
 import 'react-dropdown/style.css';
 import './ConfirmationController.scss';
 
 class ConfirmationController extends React.Component {
-    constructor({ intl }) {
+    constructor({ intl, account, confirmation: { input, contractType } }) {
         super();
         this.loadWhitelistOptions(intl);
+        // Accounts offered to a site asking to connect, starting with the selected one
+        this.state.connectAccounts = [ account.address ];
+        // What the user may change before a transaction is signed, the fee limit in TRX
+        this.state.edit = {
+            isOpen: false,
+            feeLimit: input.fee_limit ? String(input.fee_limit / 1000000) : '',
+            permissionId: String(input.Permission_id || 0),
+            allowance: '' // in whole tokens, left empty to sign the allowance as requested
+        };
+        this.state.estimate = false;
         this.onReject = this.onReject.bind(this);
         this.onAccept = this.onAccept.bind(this);
         this.onWhitelist = this.onWhitelist.bind(this);
         this.tokensMap = JSON.parse(localStorage.getItem('tokensMap'));
+        this.tokens = this.loadTokens(account.tokens || {});
+        this.approval = TransactionDecoder.Approval.parse(contractType, input);
     }
 
     async componentDidMount() {
         const {
+            type,
             contractType,
             input: { parameter, contract_address, function_selector }
         } = this.props.confirmation;
+        if(type === CONFIRMATION_TYPE.TRANSACTION)
+            this.loadEstimate();
         if (contractType === 'TriggerSmartContract') {
             const abi = await PopupAPI.getAbiCode(contract_address);
             const args = Utils.decodeParams(parameter, abi, function_selector);
@@ -44,6 +69,20 @@ class ConfirmationController extends React.Component {
         }
     }
 
+    // The confirmation is shown without an estimate when the node can't give one
+    async loadEstimate() {
+        const estimate = await PopupAPI.estimateConfirmation(this.props.confirmation.uuid).catch(() => false);
+
+        if(!estimate)
+            return;
+
+        this.setState({ estimate });
+
+        // Sites leaving the fee limit out get the suggested one
+        if(this.state.edit.feeLimit === '' && estimate.feeLimit)
+            this.onEdit({ feeLimit: String(estimate.feeLimit / 1000000) });
+    }
+
     loadWhitelistOptions({ formatMessage }) {
         const options = [{
             value: false,
@@ -69,6 +108,7 @@ class ConfirmationController extends React.Component {
         this.state = {
             args: [],
             showArgs: false,
+            signing: false,
             whitelisting: {
                 selected: options[0],
                 options,
@@ -97,7 +137,7 @@ class ConfirmationController extends React.Component {
     }
 
     onReject() {
-        PopupAPI.rejectConfirmation();
+        PopupAPI.rejectConfirmation(this.props.confirmation.uuid);
     }
 
     async onAccept() {
@@ -105,7 +145,8 @@ class ConfirmationController extends React.Component {
             selected,
             isAutoAuthorize
         } = this.state.whitelisting;
-        const { confirmation, authorizeDapps } = this.props;
+        const { confirmation, authorizeDapps, type } = this.props;
+        const { formatMessage } = this.props.intl;
         if (confirmation.contractType === 'TriggerSmartContract') {
             await this.addUsedDapp();
             const contractAddress = TronWeb.address.fromHex(confirmation.input.contract_address);
@@ -118,7 +159,17 @@ class ConfirmationController extends React.Component {
                 PopupAPI.setAuthorizeDapps(authorizeDapps);
             }
         }
-        PopupAPI.acceptConfirmation(selected.value);
+        // Ledger accounts are only asked to sign now, the device prompt is shown until it answers
+        this.setState({ signing: type === ACCOUNT_TYPE.LEDGER && confirmation.type !== CONFIRMATION_TYPE.CONNECT });
+        PopupAPI.acceptConfirmation(
+            confirmation.uuid,
+            selected.value,
+            this.state.connectAccounts,
+            confirmation.type === CONFIRMATION_TYPE.TRANSACTION ? this.getOverrides() : undefined
+        ).catch(error => {
+            this.setState({ signing: false });
+            Toast.fail(typeof error === 'string' ? formatMessage({ id: error }) : JSON.stringify(error), 3, () => {}, true);
+        });
     }
 
     onWhitelist(selected) {
@@ -130,6 +181,149 @@ class ConfirmationController extends React.Component {
         });
     }
 
+    onEdit(changes) {
+        this.setState({
+            edit: {
+                ...this.state.edit,
+                ...changes
+            }
+        });
+    }
+
+    getOverrides() {
+        const { contractType } = this.props.confirmation;
+        const {
+            feeLimit,
+            permissionId,
+            allowance
+        } = this.state.edit;
+
+        const overrides = {
+            permissionId: Number(permissionId)
+        };
+
+        if(FEE_LIMIT_CONTRACTS.includes(contractType))
+            overrides.feeLimit = Math.round(Number(feeLimit) * 1000000);
+
+        if(this.approval && allowance !== '')
+            overrides.allowance = new BigNumber(allowance).shiftedBy(this.getApprovalToken().decimals).toFixed();
+
+        return overrides;
+    }
+
+    isEditValid() {
+        const { type, contractType } = this.props.confirmation;
+        const {
+            feeLimit,
+            permissionId,
+            allowance
+        } = this.state.edit;
+
+        if(type !== CONFIRMATION_TYPE.TRANSACTION)
+            return true;
+
+        if(FEE_LIMIT_CONTRACTS.includes(contractType) && !(Number(feeLimit) > 0))
+            return false;
+
+        if(this.approval && allowance !== '') {
+            const amount = new BigNumber(allowance).shiftedBy(this.getApprovalToken().decimals);
+
+            if(amount.isNaN() || !amount.isInteger() || amount.gt(this.approval.amount))
+                return false;
+        }
+
+        return permissionId !== '';
+    }
+
+    getApprovalToken() {
+        const { token } = this.approval;
+        const {
+            symbol,
+            decimals = 0
+        } = this.tokens[ token ] || {};
+
+        return {
+            symbol: symbol || `${ token.substr(0, 6) }...${ token.substr(-6) }`,
+            decimals
+        };
+    }
+
+    // Unlimited allowances, and ones above what the account holds, let the spender take more than this request needs
+    renderApproval() {
+        const { formatNumber } = this.props.intl;
+        const { amount, spender, isUnlimited } = this.approval;
+        const { allowance } = this.state.edit;
+        const { symbol, decimals } = this.getApprovalToken();
+        const { smart = {} } = this.props.account.tokens || {};
+        const { balance = 0 } = smart[ this.approval.token ] || {};
+
+        const isLarge = !isUnlimited && new BigNumber(amount).gt(balance);
+
+        return (
+            <div className='approval'>
+                {isUnlimited || isLarge ? (
+                    <div className='approvalWarning'>
+                        <FormattedMessage
+                            id={isUnlimited ? 'CONFIRMATIONS.ALLOWANCE.UNLIMITED_WARNING' : 'CONFIRMATIONS.ALLOWANCE.LARGE_WARNING'}
+                            values={{
+                                spender: `${ spender.substr(0, 10) }...${ spender.substr(-10) }`,
+                                balance: formatNumber(new BigNumber(balance).shiftedBy(-decimals).toNumber()),
+                                symbol
+                            }}
+                        />
+                    </div>
+                ) : null}
+                <div className='editField'>
+                    <FormattedMessage id='CONFIRMATIONS.ALLOWANCE.LOWER' values={{ symbol }} />
+                    <Input
+                        value={allowance}
+                        validator={new RegExp(`^\\d*${ decimals ? `(\\.\\d{0,${ decimals }})?` : '' }$`)}
+                        onChange={value => this.onEdit({ allowance: value })}
+                    />
+                </div>
+            </div>
+        );
+    }
+
+    renderEdit() {
+        const { contractType } = this.props.confirmation;
+        const {
+            isOpen,
+            feeLimit,
+            permissionId
+        } = this.state.edit;
+
+        return (
+            <div className='edit'>
+                <div className={`editToggle ${ isOpen ? 'isOpen' : '' }`} onClick={() => this.onEdit({ isOpen: !isOpen })}>
+                    <FormattedMessage id='CONFIRMATIONS.EDIT.TITLE' />
+                </div>
+                {isOpen ? (
+                    <React.Fragment>
+                        {FEE_LIMIT_CONTRACTS.includes(contractType) ? (
+                            <div className='editField'>
+                                <FormattedMessage id='CONFIRMATIONS.EDIT.FEE_LIMIT' />
+                                <Input
+                                    value={feeLimit}
+                                    validator={/^\d*(\.\d{0,6})?$/}
+                                    onChange={value => this.onEdit({ feeLimit: value })}
+                                />
+                            </div>
+                        ) : null}
+                        <div className='editField'>
+                            <FormattedMessage id='CONFIRMATIONS.EDIT.PERMISSION_ID' />
+                            <Input
+                                value={permissionId}
+                                validator={/^\d*$/}
+                                onChange={value => this.onEdit({ permissionId: value })}
+                            />
+                        </div>
+                    </React.Fragment>
+                ) : null}
+            </div>
+        );
+    }
+
     renderMessage() {
         const {
             formatMessage
@@ -146,6 +340,13 @@ class ConfirmationController extends React.Component {
             isAutoAuthorize
         } = this.state.whitelisting;
 
+        // Hex is decoded when it is readable text, otherwise the user is told they can't read what they sign
+        const {
+            text,
+            hex,
+            isHashLike
+        } = SignedMessage.describe(input);
+
         return (
             <React.Fragment>
                 <div className='modalDesc hasBottomMargin'>
@@ -157,9 +358,25 @@ class ConfirmationController extends React.Component {
                         }}
                     />
                 </div>
-                <div className='parameters mono'>
-                    {input}
-                </div>
+                {isHashLike ? (
+                    <div className='messageWarning'>
+                        <FormattedMessage id='CONFIRMATIONS.MESSAGE.HASH_WARNING' />
+                    </div>
+                ) : null}
+                {text === false ? (
+                    <React.Fragment>
+                        <div className='messageNote'>
+                            <FormattedMessage id='CONFIRMATIONS.MESSAGE.NOT_TEXT' />
+                        </div>
+                        <div className='parameters mono'>
+                            {hex}
+                        </div>
+                    </React.Fragment>
+                ) : (
+                    <div className='parameters message'>
+                        {text}
+                    </div>
+                )}
                 <div className='whitelist hasBottomMargin'>
                     <FormattedMessage
                         id='CONFIRMATIONS.WHITELIST.TITLE'
@@ -189,115 +406,196 @@ class ConfirmationController extends React.Component {
         );
     }
 
-    renderTransaction() {
-        const { args, showArgs } = this.state;
-        const {
-            options,
-            selected,
-            isAutoAuthorize
-        } = this.state.whitelisting;
+    toggleConnectAccount(address) {
+        const { connectAccounts } = this.state;
 
-        const {
-            formatMessage,
-            formatNumber
-        } = this.props.intl;
+        this.setState({
+            connectAccounts: connectAccounts.includes(address) ?
+                connectAccounts.filter(connected => connected !== address) :
+                [ ...connectAccounts, address ]
+        });
+    }
 
-        const {
-            hostname,
-            contractType,
-            input
-        } = this.props.confirmation;
+    renderConnection() {
+        const { hostname } = this.props.confirmation;
+        const { accounts } = this.props;
+        const { connectAccounts } = this.state;
 
-        const meta = [];
-        const showWhitelist = contractType === 'TriggerSmartContract';
-        //const showWhitelist = true;
-        const showAuthorizeAudio = contractType === 'TriggerSmartContract';
+        return (
+            <React.Fragment>
+                <div className='modalDesc hasBottomMargin'>
+                    <FormattedHTMLMessage
+                        id='CONFIRMATIONS.CONNECT.BODY'
+                        values={{
+                            hostname: encodeURIComponent(hostname)
+                        }}
+                    />
+                </div>
+                <div className='connectAccounts'>
+                    {Object.entries(accounts).map(([ address, { name } ]) => {
+                        const isSelected = connectAccounts.includes(address);
+
+                        return (
+                            <div
+                                className={`connectAccount ${ isSelected ? 'isSelected' : '' }`}
+                                key={address}
+                                onClick={() => this.toggleConnectAccount(address)}
+                            >
+                                <div className={`checkbox ${ isSelected ? 'isSelected' : '' }`}>&nbsp;</div>
+                                <div className='account'>
+                                    <span className='name'>{name}</span>
+                                    <span className='address mono'>{`${ address.substr(0, 10) }...${ address.substr(-10) }`}</span>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </React.Fragment>
+        );
+    }
 
-        let showParameters = false;
+    // Structs nest, arrays list their items by index, everything else is shown as given
+    renderTypedValue(types, type, value) {
+        if(types.hasOwnProperty(type))
+            return this.renderTypedFields(types, type, value);
 
-        if (input.call_value) {
-            meta.push({ key: 'CONFIRMATIONS.COST', value: formatNumber(input.call_value / 1000000) });
-        }
+        const itemType = TypedData.getItemType(type);
 
-        if (input.amount && contractType === 'TransferContract') {
-            meta.push({ key: 'CONFIRMATIONS.COST', value: formatNumber(input.amount / 1000000) });
-        } else if (input.amount) {
-            meta.push({ key: 'CONFIRMATIONS.COST', value: formatNumber(input.amount) });
+        if(itemType) {
+            return (
+                <div className='typedFields'>
+                    {value.map((item, index) => (
+                        <div className='typedField' key={index}>
+                            <span className='fieldName'>{`[${ index }]`}</span>
+                            {this.renderTypedValue(types, itemType, item)}
+                        </div>
+                    ))}
+                </div>
+            );
         }
 
-        if (input.frozen_balance) {
-            meta.push({ key: 'CONFIRMATIONS.COST', value: formatNumber(input.frozen_balance / 1000000) });
-        }
+        return <span className='fieldValue mono'>{String(value)}</span>;
+    }
 
-        if (input.asset_name) {
-            meta.push({
-                key: 'CONFIRMATIONS.TOKEN',
-                value: this.tokensMap[TronWeb.toUtf8(input.asset_name)].split('_')[0] + ' (' + TronWeb.toUtf8(input.asset_name) + ')'
-            });
-        }
+    renderTypedFields(types, type, value) {
+        return (
+            <div className='typedFields'>
+                {types[ type ].map(field => (
+                    <div className='typedField' key={field.name}>
+                        <span className='fieldName'>{field.name}</span>
+                        {this.renderTypedValue(types, field.type, value[ field.name ])}
+                    </div>
+                ))}
+            </div>
+        );
+    }
 
-        if (input.token_id) {
-            meta.push({ key: 'CONFIRMATIONS.TOKEN', value: input.token_id });
-        }
+    renderTypedData() {
+        const {
+            formatMessage
+        } = this.props.intl;
 
-        if (input.to_address) {
-            const address = TronWeb.address.fromHex(input.to_address);
-            const trimmed = [
-                address.substr(0, 16),
-                address.substr(28)
-            ].join('...');
+        const {
+            hostname,
+            input
+        } = this.props.confirmation;
 
-            meta.push({ key: 'CONFIRMATIONS.RECIPIENT', value: trimmed });
-        }
+        const types = TypedData.getTypes(input);
 
-        if (input.resource) {
-            meta.push({
-                key: 'CONFIRMATIONS.RESOURCE',
-                value: formatMessage({ id: `CONFIRMATIONS.RESOURCE.${ input.resource }` })
-            });
-        }
+        return (
+            <React.Fragment>
+                <div className='modalDesc hasBottomMargin'>
+                    <FormattedHTMLMessage
+                        id='CONFIRMATIONS.BODY'
+                        values={{
+                            hostname: encodeURIComponent(hostname),
+                            action: formatMessage({ id: 'CONTRACTS.SignTypedData' })
+                        }}
+                    />
+                </div>
+                <div className='typedData'>
+                    <div className='typedDataTitle'>
+                        <FormattedMessage id='CONFIRMATIONS.TYPED_DATA.DOMAIN' />
+                    </div>
+                    {this.renderTypedFields(types, 'EIP712Domain', input.domain)}
+                    <div className='typedDataTitle'>
+                        {input.primaryType}
+                    </div>
+                    {this.renderTypedFields(types, input.primaryType, input.message)}
+                </div>
+            </React.Fragment>
+        );
+    }
 
-        if (input.function_selector) {
-            meta.push({ key: 'CONFIRMATIONS.FUNCTION', value: input.function_selector });
-            //args.length && args.map(({name,type,value})=>({key:name,value})).forEach(v=>meta.push(v))
-        }
+    // Tokens the decoder can scale amounts for, known TRC10 tokens first and the account's own on top
+    loadTokens({ basic = {}, smart = {} }) {
+        const tokens = {};
 
-        if (input.trx_num) {
-            meta.push({ key: 'CONFIRMATIONS.TRX_RATIO', value: formatNumber(input.trx_num) });
-        }
+        Object.entries(this.tokensMap || {}).forEach(([ id, token ]) => {
+            const [ name, , decimals, symbol ] = token.split('_');
+            tokens[ id ] = { name, symbol, decimals: Number(decimals) || 0 };
+        });
 
-        if (input.num) {
-            meta.push({ key: 'CONFIRMATIONS.TOKEN_RATIO', value: formatNumber(input.num) });
-        }
+        Object.entries({ ...basic, ...smart }).forEach(([ id, { name, abbr, symbol, decimals = 0 } ]) => {
+            tokens[ id ] = { name, symbol: abbr || symbol || name, decimals };
+        });
 
-        if (input.account_name) {
-            meta.push({ key: 'CONFIRMATIONS.ACCOUNT_NAME', value: input.account_name });
-        }
+        return tokens;
+    }
 
-        if (input.proposal_id) {
-            meta.push({ key: 'CONFIRMATIONS.PROPOSAL_ID', value: input.proposal_id });
-        }
+    renderFieldValue({ type, value, symbol, decimals }) {
+        const {
+            formatMessage,
+            formatNumber,
+            formatDate
+        } = this.props.intl;
 
-        if (input.quant) {
-            meta.push({ key: 'CONFIRMATIONS.QUANTITY', value: formatNumber(input.quant) });
+        switch(type) {
+            case DECODED_FIELD.ADDRESS:
+                return `${ value.substr(0, 16) }...${ value.substr(28) }`;
+            case DECODED_FIELD.AMOUNT: {
+                // Past what a double holds exactly the decimal string is shown as is
+                const amount = String(Number(value)) === value ? formatNumber(value, { maximumFractionDigits: decimals }) : value;
+                return symbol ? `${ amount } ${ symbol }` : amount;
+            }
+            case DECODED_FIELD.NUMBER:
+                return formatNumber(value);
+            case DECODED_FIELD.MESSAGE:
+                return formatMessage({ id: value });
+            case DECODED_FIELD.DATE:
+                return formatDate(value, { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: 'numeric' });
+            case DECODED_FIELD.DAYS:
+                return formatMessage({ id: 'CONFIRMATIONS.DAYS' }, { days: value });
+            case DECODED_FIELD.PERCENT:
+                return formatNumber(value / 100, { style: 'percent' });
+            default:
+                return value;
         }
+    }
 
-        // This should be translated
-        if ('is_add_approval' in input) {
-            meta.push({ key: 'CONFIRMATIONS.APPROVE', value: input.is_add_approval });
-        }
+    renderTransaction() {
+        const { args, showArgs, estimate } = this.state;
+        const { feeLimit } = this.state.edit;
+        const {
+            options,
+            selected,
+            isAutoAuthorize
+        } = this.state.whitelisting;
 
-        switch (contractType) {
-            case 'ProposalCreateContract':
-            case 'ExchangeCreateContract':
-            case 'ExchangeInjectContract':
-            case 'ExchangeWithdrawContract':
-            case 'CreateSmartContract':
-                showParameters = true;
-                break;
-            default:
-                showParameters = false;
-        }
+        const { formatMessage } = this.props.intl;
+
+        const {
+            hostname,
+            contractType,
+            input
+        } = this.props.confirmation;
+
+        const { action, isDecoded, fields } = TransactionDecoder.decode(contractType, input, this.tokens);
+        const showWhitelist = contractType === 'TriggerSmartContract';
+        //const showWhitelist = true;
+        const showAuthorizeAudio = contractType === 'TriggerSmartContract';
+        // Only contracts without a decoder fall back to the raw parameters
+        const showParameters = !isDecoded;
 
         return (
             <React.Fragment>
@@ -306,22 +604,22 @@ class ConfirmationController extends React.Component {
                         id='CONFIRMATIONS.BODY'
                         values={{
                             hostname: encodeURIComponent(hostname),
-                            action: formatMessage({ id: `CONTRACTS.${ contractType }` })
+                            action: formatMessage({ id: action })
                         }}
                     />
                 </div>
-                {meta.length ? (
+                {fields.length ? (
                     <div className='meta'>
-                        {meta.map(({ key, value }) => (
+                        {fields.map(({ key, values, ...field }, index) => (
                             key === 'CONFIRMATIONS.FUNCTION' ?
-                                <div className={'function' + (showArgs ? ' show' : '')}>
+                                <div className={`function${ showArgs ? ' show' : '' }`} key={index}>
                                     <div data-tip={formatMessage({ id: 'CONFIRMATIONS.CLICK_SHOW_PARAMS' })}
-                                         data-for='showArgs' className='metaLine'
-                                         onClick={() => args.length && this.setState({ showArgs: !showArgs })}
-                                         key={key}>
+                                        data-for='showArgs' className='metaLine'
+                                        onClick={() => args.length && this.setState({ showArgs: !showArgs })}
+                                    >
                                         <FormattedMessage id={key}/>
                                         <span className='value'>
-                                        {value}
+                                            {this.renderFieldValue(field)}
                                         </span>
                                         {args.length ? <ReactTooltip id='showArgs' effect='solid'/> : null}
                                     </div>
@@ -336,10 +634,10 @@ class ConfirmationController extends React.Component {
                                     </div>
                                 </div>
                                 :
-                                <div className='metaLine' key={key}>
-                                    <FormattedMessage id={key}/>
+                                <div className='metaLine' key={index}>
+                                    <FormattedMessage id={key} values={values}/>
                                     <span className='value'>
-                                        {value}
+                                        {this.renderFieldValue(field)}
                                     </span>
                                 </div>
                         ))}
@@ -350,6 +648,12 @@ class ConfirmationController extends React.Component {
                         {JSON.stringify(input, null, 2)}
                     </div>
                 ) : null}
+                {this.approval ? this.renderApproval() : null}
+                <FeeEstimate
+                    estimate={estimate}
+                    feeLimit={FEE_LIMIT_CONTRACTS.includes(contractType) && Math.round(Number(feeLimit) * 1000000)}
+                />
+                {this.renderEdit()}
                 {showWhitelist ? (
                     <div className='whitelist'>
                         <FormattedMessage
@@ -396,54 +700,138 @@ class ConfirmationController extends React.Component {
         );
     }
 
+    renderQueue() {
+        const {
+            position,
+            total,
+            siteTotal,
+            onSelect,
+            confirmation: { hostname }
+        } = this.props;
+
+        if(total < 2)
+            return null;
+
+        return (
+            <div className='queue hasBottomMargin'>
+                <div className='navigator'>
+                    <div
+                        className={`arrow previous ${ position === 0 ? 'disabled' : '' }`}
+                        onClick={() => position > 0 && onSelect(position - 1)}
+                    >
+                        &nbsp;
+                    </div>
+                    <FormattedMessage id='CONFIRMATIONS.QUEUE.POSITION' values={{ position: position + 1, total }} />
+                    <div
+                        className={`arrow next ${ position === total - 1 ? 'disabled' : '' }`}
+                        onClick={() => position < total - 1 && onSelect(position + 1)}
+                    >
+                        &nbsp;
+                    </div>
+                </div>
+                {siteTotal > 1 ? (
+                    <div className='rejectSite' onClick={() => PopupAPI.rejectSiteConfirmations(hostname)}>
+                        <FormattedMessage id='CONFIRMATIONS.QUEUE.REJECT_SITE' values={{ count: siteTotal, hostname }} />
+                    </div>
+                ) : null}
+            </div>
+        );
+    }
+
     render() {
         const {
             type,
             input: { parameter, contract_address }
         } = this.props.confirmation;
+        const { signing, connectAccounts } = this.state;
+        const isValid = (type !== CONFIRMATION_TYPE.CONNECT || !!connectAccounts.length) && this.isEditValid();
         return (
             <div className='insetContainer confirmationController'>
-                {
-                    this.props.type !== ACCOUNT_TYPE.LEDGER
-                        ?
-                        <div className='greyModal confirmModal'>
-                            <FormattedMessage id='CONFIRMATIONS.HEADER' children={text => (
-                                <div className='pageHeader hasBottomMargin'>
-                                    {text}
-                                </div>
-                            )}
-                            />
-                            {type === CONFIRMATION_TYPE.STRING ?
-                                this.renderMessage() :
-                                (type === CONFIRMATION_TYPE.TRANSACTION ?
-                                        this.renderTransaction() : null
-                                )
-                            }
-                            <div className='buttonRow'>
-                                <Button
-                                    id='BUTTON.REJECT'
-                                    type={BUTTON_TYPE.DANGER}
-                                    onClick={this.onReject}
-                                    tabIndex={3}
-                                />
-                                <Button
-                                    id='BUTTON.ACCEPT'
-                                    onClick={this.onAccept}
-                                    tabIndex={2}
-                                />
-                            </div>
+                <Loading show={ signing } onClose={ () => LedgerBridge.cancel() } />
+                <div className='greyModal confirmModal'>
+                    <FormattedMessage id='CONFIRMATIONS.HEADER' children={text => (
+                        <div className='pageHeader hasBottomMargin'>
+                            {text}
                         </div>
-                        :
-                        <Alert onClose={() => PopupAPI.rejectConfirmation()}/>
-                }
+                    )}
+                    />
+                    {this.renderQueue()}
+                    {type === CONFIRMATION_TYPE.STRING || type === CONFIRMATION_TYPE.MESSAGE_V2 ?
+                        this.renderMessage() :
+                        (type === CONFIRMATION_TYPE.TRANSACTION ?
+                            this.renderTransaction() :
+                            (type === CONFIRMATION_TYPE.CONNECT ?
+                                this.renderConnection() :
+                                (type === CONFIRMATION_TYPE.TYPED_DATA ? this.renderTypedData() : null)
+                            )
+                        )
+                    }
+                    <div className='buttonRow'>
+                        <Button
+                            id='BUTTON.REJECT'
+                            type={BUTTON_TYPE.DANGER}
+                            onClick={this.onReject}
+                            tabIndex={3}
+                        />
+                        <Button
+                            id='BUTTON.ACCEPT'
+                            isValid={isValid}
+                            onClick={this.onAccept}
+                            isLoading={ signing }
+                            tabIndex={2}
+                        />
+                    </div>
+                </div>
             </div>
         );
     }
 }
 
-export default injectIntl(
-    connect(state => ({
-        type: state.accounts.selected.type,
-        confirmation: state.confirmations[0]
-    }))(ConfirmationController)
+const QueuedConfirmation = injectIntl(
+    connect((state, { confirmation }) => {
+        // Site requests are signed by the account bound to the site, not necessarily the selected one.
+        // Balances and tokens shown against the request are that account's
+        const { selected, accounts } = state.accounts;
+        const signer = accounts[ confirmation.address ] ?
+            { ...accounts[ confirmation.address ], address: confirmation.address } :
+            selected;
+
+        return {
+            type: signer.type,
+            account: signer,
+            accounts
+        };
+    })(ConfirmationController)
 );
+
+// Shows one queued request at a time, oldest first, falling back to the oldest once the shown one is answered
+class ConfirmationQueue extends React.Component {
+    state = {
+        uuid: false
+    };
+
+    render() {
+        const { confirmations, authorizeDapps } = this.props;
+        const position = Math.max(confirmations.findIndex(({ uuid }) => uuid === this.state.uuid), 0);
+        const confirmation = confirmations[ position ];
+
+        if(!confirmation)
+            return null;
+
+        return (
+            <QueuedConfirmation
+                key={confirmation.uuid}
+                confirmation={confirmation}
+                authorizeDapps={authorizeDapps}
+                position={position}
+                total={confirmations.length}
+                siteTotal={confirmations.filter(({ hostname }) => hostname === confirmation.hostname).length}
+                onSelect={index => this.setState({ uuid: confirmations[ index ].uuid })}
+            />
+        );
+    }
+}
+
+export default connect(state => ({
+    confirmations: state.confirmations
+}))(ConfirmationQueue);
@@ -0,0 +1,60 @@
+import React from 'react';
+import { FormattedMessage } from 'react-intl';
+import { PopupAPI } from '@tronlink/lib/api';
+import moment from 'moment';
+
+import '../DappWhitelistController/DappWhitelistController.scss';
+import './ConnectedSitesController.scss';
+
+class ConnectedSitesController extends React.Component {
+    render() {
+        const { connectedSites, accounts, onCancel } = this.props;
+        const sites = Object.values(connectedSites).sort((a, b) => b.connectTime - a.connectTime);
+
+        return (
+            <div className='insetContainer whitelist connectedSites'>
+                <div className='pageHeader'>
+                    <div className='back' onClick={ () => onCancel() }>&nbsp;</div>
+                    <FormattedMessage id='SETTING.TITLE.CONNECTED_SITES' />
+                </div>
+                <div className='greyModal scroll'>
+                    <div className='white'>
+                        {
+                            sites.map(({ hostname, connectTime, accounts: bound, selected }) => (
+                                <div className='dapp' key={ hostname }>
+                                    <div className='url'>
+                                        <FormattedMessage id='DAPP_WHITELIST.URL' />
+                                        <a target='_blank' rel='noopener noreferrer' href={ `http://${ hostname }` }>{ hostname }</a>
+                                        <div className='delete' onClick={ () => PopupAPI.disconnectSite(hostname) }>&nbsp;</div>
+                                    </div>
+                                    <div className='row'>
+                                        <FormattedMessage id='CONNECTED_SITES.CONNECT_TIME' />
+                                        <span>{ moment(connectTime).format('YYYY-MM-DD HH:mm') }</span>
+                                    </div>
+                                    {
+                                        // The site uses the highlighted account, any other bound one can take its place
+                                        bound.filter(address => address in accounts).map(address => (
+                                            <div
+                                                className={ `row account ${ address === selected ? 'isSelected' : '' }` }
+                                                key={ address }
+                                                onClick={ () => PopupAPI.selectSiteAccount(hostname, address) }
+                                            >
+                                                <span>{ accounts[ address ].name }</span>
+                                                <span>{ `${ address.substr(0, 10) }...${ address.substr(-10) }` }</span>
+                                            </div>
+                                        ))
+                                    }
+                                </div>
+                            ))
+                        }
+                        {
+                            sites.length === 0 ? <div className='noData'><FormattedMessage id='CONNECTED_SITES.NO_DATA' /></div> : null
+                        }
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default ConnectedSitesController;
@@ -23,7 +23,9 @@ class CreateAccountController extends React.Component {
 
     state = {
         stage: CREATION_STAGE.SETTING_NAME,
-        walletName: false
+        walletName: false,
+        passphrase: '',
+        repeatPassphrase: ''
     };
 
     constructor() {
@@ -46,7 +48,8 @@ class CreateAccountController extends React.Component {
         if(newStage === CREATION_STAGE.SUCCESS) {
             await PopupAPI.addAccount(
                 this.mnemonic,
-                this.state.walletName
+                this.state.walletName,
+                this.state.passphrase
             );
 
             // This is temp until we have a success component
@@ -60,7 +63,11 @@ class CreateAccountController extends React.Component {
     }
 
     render() {
-        const { stage } = this.state;
+        const {
+            stage,
+            passphrase,
+            repeatPassphrase
+        } = this.state;
 
         switch(stage) {
             case CREATION_STAGE.SETTING_NAME:
@@ -74,6 +81,10 @@ class CreateAccountController extends React.Component {
                 return (
                     <WritingPhrase
                         mnemonic={ this.mnemonic }
+                        passphrase={ passphrase }
+                        repeatPassphrase={ repeatPassphrase }
+                        onPassphraseChange={ value => this.setState({ passphrase: value, repeatPassphrase: '' }) }
+                        onRepeatPassphraseChange={ value => this.setState({ repeatPassphrase: value }) }
                         onSubmit={ () => this.changeStage(CREATION_STAGE.CONFIRMING_PHRASE) }
                         onCancel={ () => this.changeStage(CREATION_STAGE.SETTING_NAME) }
                     />
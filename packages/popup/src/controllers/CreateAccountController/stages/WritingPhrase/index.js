@@ -1,7 +1,9 @@
 import React from 'react';
 import Button from '@tronlink/popup/src/components/Button';
+import Input from '@tronlink/popup/src/components/Input';
 
 import { FormattedMessage } from 'react-intl';
+import { VALIDATION_STATE } from '@tronlink/lib/constants';
 // import { BUTTON_TYPE } from '@tronlink/lib/constants';
 
 import './WritingPhrase.scss';
@@ -9,10 +11,21 @@ import './WritingPhrase.scss';
 const WritingPhrase = props => {
     const {
         mnemonic,
+        passphrase,
+        repeatPassphrase,
+        onPassphraseChange,
+        onRepeatPassphraseChange,
         onSubmit,
         onCancel
     } = props;
 
+    // The passphrase is optional, but a mistyped one would derive a different wallet on restore
+    const isValid = passphrase === repeatPassphrase;
+    let repeatStatus = VALIDATION_STATE.NONE;
+
+    if(repeatPassphrase.length)
+        repeatStatus = isValid ? VALIDATION_STATE.VALID : VALIDATION_STATE.INVALID;
+
     return (
         <div className='insetContainer writingPhrase'>
             <div className='pageHeader'>
@@ -30,6 +43,33 @@ const WritingPhrase = props => {
                         </div>
                     )) }
                 </div>
+                <div className='passphrase'>
+                    <div className='passphraseTip'>
+                        <FormattedMessage id='WRITING_PHRASE.PASSPHRASE_TIP' />
+                    </div>
+                    <div className='inputGroup'>
+                        <Input
+                            type='password'
+                            placeholder='INPUT.MNEMONIC_PASSPHRASE'
+                            value={ passphrase }
+                            onChange={ onPassphraseChange }
+                        />
+                    </div>
+                    {
+                        passphrase.length ?
+                            <div className='inputGroup'>
+                                <Input
+                                    type='password'
+                                    placeholder='INPUT.REPEAT_MNEMONIC_PASSPHRASE'
+                                    status={ repeatStatus }
+                                    value={ repeatPassphrase }
+                                    onChange={ onRepeatPassphraseChange }
+                                />
+                            </div>
+                            :
+                            null
+                    }
+                </div>
                 <div className='buttonRow'>
                     {/*<Button*/}
                         {/*id='BUTTON.GO_BACK'*/}
@@ -39,7 +79,8 @@ const WritingPhrase = props => {
                     {/*/>*/}
                     <Button
                         id='BUTTON.CONTINUE'
-                        onClick={ () => onSubmit() }
+                        isValid={ isValid }
+                        onClick={ () => isValid && onSubmit() }
                         tabIndex={ 1 }
                     />
                 </div>
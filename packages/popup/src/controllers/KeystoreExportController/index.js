@@ -0,0 +1,202 @@
+import React from 'react';
+import Input from 'components/Input';
+import Button from 'components/Button';
+import InputCriteria from 'components/InputCriteria';
+import Toast, { T } from 'react-toast-mobile';
+import Utils from '@tronlink/lib/utils';
+
+import { FormattedMessage, injectIntl } from 'react-intl';
+import { KEYSTORE, VALIDATION_STATE } from '@tronlink/lib/constants';
+import { PopupAPI } from '@tronlink/lib/api';
+
+import './KeystoreExportController.scss';
+
+const FORMATS = [
+    KEYSTORE.FORMAT.TRONSCAN,
+    KEYSTORE.FORMAT.WEB3
+];
+
+const initialState = () => ({
+    password: {
+        value: '',
+        hasLength: false,
+        hasSpecial: false,
+        isValid: VALIDATION_STATE.NONE,
+        showCriteria: false
+    },
+    repeatPassword: {
+        value: '',
+        isValid: VALIDATION_STATE.NONE,
+        showCriteria: false
+    },
+    format: KEYSTORE.FORMAT.TRONSCAN,
+    loading: false,
+    error: false
+});
+
+class KeystoreExportController extends React.Component {
+    state = initialState();
+
+    constructor() {
+        super();
+
+        this.onPasswordChange = this.onPasswordChange.bind(this);
+        this.onRepeatPasswordChange = this.onRepeatPasswordChange.bind(this);
+        this.onButtonClick = this.onButtonClick.bind(this);
+    }
+
+    onPasswordChange(value) {
+        const trimmed = value.trim();
+        const hasLength = trimmed.length >= 8;
+        const hasSpecial = /[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?\d]+/.test(trimmed);
+        const showCriteria = !!trimmed.length;
+        let isValid = trimmed.length ? VALIDATION_STATE.INVALID : VALIDATION_STATE.NONE;
+
+        if(hasLength && hasSpecial)
+            isValid = VALIDATION_STATE.VALID;
+
+        this.setState({
+            password: {
+                value: trimmed,
+                hasLength,
+                hasSpecial,
+                isValid,
+                showCriteria
+            }
+        });
+    }
+
+    onRepeatPasswordChange(value) {
+        const trimmed = value.trim();
+        const { password } = this.state;
+        const matches = trimmed.length && trimmed === password.value;
+
+        this.setState({
+            repeatPassword: {
+                value: trimmed,
+                isValid: matches ? VALIDATION_STATE.VALID : (trimmed.length ? VALIDATION_STATE.INVALID : VALIDATION_STATE.NONE),
+                showCriteria: !matches
+            }
+        });
+    }
+
+    onButtonClick() {
+        const { password, format } = this.state;
+        const { formatMessage } = this.props.intl;
+
+        this.setState({
+            loading: true
+        });
+
+        PopupAPI
+            .exportKeystore(password.value, format)
+            .then(({ fileName, contents }) => {
+                Utils.downloadFile(contents, fileName, format === KEYSTORE.FORMAT.WEB3 ? 'application/json' : 'text/plain');
+
+                this.setState(initialState());
+                T.notify(formatMessage({ id: 'KEYSTORE_EXPORT.SUCCESS' }));
+            })
+            .catch(error => this.setState({
+                error,
+                loading: false
+            }));
+    }
+
+    render() {
+        const {
+            password,
+            repeatPassword,
+            format,
+            loading,
+            error
+        } = this.state;
+        const { onCancel } = this.props;
+        const isValid =
+            password.isValid === VALIDATION_STATE.VALID &&
+            repeatPassword.isValid === VALIDATION_STATE.VALID;
+
+        return (
+            <div className='insetContainer keystoreExport'>
+                <div className='pageHeader'>
+                    <div className='back' onClick={ onCancel }>&nbsp;</div>
+                    <FormattedMessage id='KEYSTORE_EXPORT.TITLE' />
+                </div>
+                { error ? (
+                    <div className='errorModal hasBottomMargin'>
+                        <FormattedMessage className='modalTitle' id='ERRORS.KEYSTORE_EXPORT_FAILED' />
+                        <FormattedMessage className='modalBody' id={ error } />
+                    </div>
+                ) : '' }
+                <div className='greyModal registrationModel'>
+                    <Toast />
+                    <div className='passwordNotForgot'>
+                        <FormattedMessage id='KEYSTORE_EXPORT.DESCRIPTION' />
+                    </div>
+                    <div className='formatList'>
+                        {
+                            FORMATS.map(option => (
+                                <div
+                                    key={ option }
+                                    className={ `formatOption ${ option === format ? 'isSelected' : '' }` }
+                                    onClick={ () => !loading && this.setState({ format: option }) }
+                                >
+                                    <div className={ `checkbox ${ option === format ? 'isSelected' : '' }` }>&nbsp;</div>
+                                    <FormattedMessage id={ `KEYSTORE_EXPORT.FORMAT.${ option.toUpperCase() }` } />
+                                </div>
+                            ))
+                        }
+                    </div>
+                    <div className='inputGroup'>
+                        <Input
+                            type='password'
+                            placeholder='INPUT.KEYSTORE_PASSWORD'
+                            status={ password.isValid }
+                            value={ password.value }
+                            isDisabled={ loading }
+                            onChange={ this.onPasswordChange }
+                            tabIndex={ 1 }
+                        />
+                        {
+                            password.showCriteria ?
+                                <div className='criteria'>
+                                    <InputCriteria id='PASSWORD_CRITERIA.HAS_LENGTH' isValid={ password.hasLength } />
+                                    <InputCriteria id='PASSWORD_CRITERIA.HAS_SPECIAL' isValid={ password.hasSpecial } />
+                                </div>
+                                :
+                                null
+                        }
+                    </div>
+                    <div className='inputGroup'>
+                        <Input
+                            type='password'
+                            placeholder='INPUT.REPEAT_KEYSTORE_PASSWORD'
+                            status={ repeatPassword.isValid }
+                            value={ repeatPassword.value }
+                            isDisabled={ loading }
+                            onChange={ this.onRepeatPasswordChange }
+                            onEnter={ () => isValid && this.onButtonClick() }
+                            tabIndex={ 2 }
+                        />
+                        {
+                            repeatPassword.showCriteria ?
+                                <div className='criteria'>
+                                    <InputCriteria id='PASSWORD_CRITERIA.NO_REPEAT' isValid={ false } />
+                                </div>
+                                :
+                                null
+                        }
+                    </div>
+                    <Button
+                        id='BUTTON.EXPORT'
+                        isValid={ isValid }
+                        isLoading={ loading }
+                        onClick={ this.onButtonClick }
+                        tabIndex={ 3 }
+                    />
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(KeystoreExportController);
@@ -1,132 +1,165 @@
 import React from 'react';
 import AccountName from '@tronlink/popup/src/components/AccountName';
 import Button from '@tronlink/popup/src/components/Button';
-import { APP_STATE } from '@tronlink/lib/constants';
+import Loading from '@tronlink/popup/src/components/Loading';
+import LedgerBridge from '@tronlink/lib/LedgerBridge';
+import { APP_STATE, LEDGER_BRIDGE } from '@tronlink/lib/constants';
 import { Toast } from 'antd-mobile';
-import { connect } from 'react-redux';
 import { FormattedMessage, injectIntl } from 'react-intl';
-import NodeService from '@tronlink/backgroundScript/services/NodeService';
 import { PopupAPI } from '@tronlink/lib/api';
 
-//import './MnemonicImport.scss';
+import './LedgerController.scss';
+
 const IMPORT_STAGE = {
-    ENTERING_MNEMONIC: 0,
-    SELECTING_ACCOUNTS: 1
+    SELECTING_ACCOUNTS: 0,
+    FILLING_NAME: 1
 };
 
 class LedgerAccountImportController extends React.Component {
     state = {
-        subStage: 'choose account',
+        subStage: IMPORT_STAGE.SELECTING_ACCOUNTS,
         isLoading: false,
-        error:'',
-        accounts:[],
-        address:'',
-        name:'',
-        isValid:false
+        page: 0,
+        addresses: [],
+        selected: {} // address => derivation index, kept while paging
     };
 
     constructor() {
         super();
-        this.import = this.import.bind(this);
-    }
 
-    async componentDidMount(){
-        const { chains } = this.props;
-        const accounts = [];
-        const { ledgerImportAddress } = this.props;
-        for(const address of ledgerImportAddress){
-            const account = await PopupAPI.getAccountInfo(address);
-            let balance = account[chains === '_'? 'mainchain':'sidechain'].balance;
-            balance = balance ? balance:0;
-            accounts.push({address,balance:balance});
-        }
-        this.setState({accounts});
+        this.loadPage = this.loadPage.bind(this);
+        this.toggleAddress = this.toggleAddress.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
     }
 
-    handleCancel(){
-        this.setState({subStage: 'choose account'});
+    componentDidMount() {
+        this.loadPage(0);
     }
 
-    async handleSubmit(name){
+    async loadPage(page) {
+        const { formatMessage } = this.props.intl;
+
+        this.setState({
+            isLoading: true
+        });
 
-        const { address } = this.state;
+        const addresses = await PopupAPI.discoverLedgerAccounts(
+            page * LEDGER_BRIDGE.PAGE_SIZE,
+            LEDGER_BRIDGE.PAGE_SIZE
+        ).catch(error => {
+            Toast.fail(formatMessage({ id: error }), 3, () => {}, true);
+            return false;
+        });
 
-        const res = await PopupAPI.importAccount(
-            address,
-            name
-        );
-        PopupAPI.setGaEvent('Ledger','Login',address);
-        if(res)PopupAPI.resetState();
+        if(!addresses) {
+            return this.setState({
+                isLoading: false
+            });
+        }
+
+        this.setState({
+            addresses,
+            page,
+            isLoading: false
+        });
     }
 
-    toggleAddress(address,index) {
-        const { ledgerImportAddress } = this.props;
-        ledgerImportAddress.forEach((v,i)=>{
-            if(i === index){
-                this.refs['option' + index].classList.toggle('isSelected');
-                this.refs['option' + index].getElementsByClassName('checkbox')[0].classList.toggle('isSelected');
-                if(this.refs['option' + index].classList.contains('isSelected')){
-                    this.setState({address,isValid:true});
-                } else {
-                    this.setState({address:'',isValid:false});
-                }
-            }else{
-                this.refs['option'+i].classList.remove('isSelected');
-                this.refs['option'+i].getElementsByClassName('checkbox')[0].classList.remove('isSelected');
-            }
+    handleCancelLoading() {
+        LedgerBridge.cancel();
+        this.setState({
+            isLoading: false
         });
     }
 
+    toggleAddress(address, index) {
+        const selected = { ...this.state.selected };
 
-    async import() {
-        const { formatMessage } = this.props.intl;
-        const { accounts } = this.props;
-        const { address } = this.state;
-        if(Object.keys(accounts).includes(address)){
-            Toast.fail(formatMessage({id:'CREATION.LEDGER.REPEAT_IMPORT'}), 3, () => {}, true);
-            return;
-        }
-        this.setState({subStage:'fill name'});
+        if(address in selected)
+            delete selected[ address ];
+        else selected[ address ] = index;
+
+        this.setState({
+            selected
+        });
+    }
+
+    async handleSubmit(name) {
+        const { selected } = this.state;
+
+        const accounts = Object.entries(selected)
+            .map(([ address, index ]) => ({ address, index }))
+            .sort((a, b) => a.index - b.index);
+
+        const res = await PopupAPI.importLedgerAccounts(accounts, name);
+
+        accounts.forEach(({ address }) => PopupAPI.setGaEvent('Ledger', 'Login', address));
+
+        if(res)
+            PopupAPI.resetState();
     }
 
     renderAccounts() {
-        const { accounts,isValid } = this.state;
-        const { isLoading } = this.state;
+        const {
+            addresses,
+            selected,
+            page,
+            isLoading
+        } = this.state;
+
+        const isValid = !!Object.keys(selected).length;
+
         return (
-            <div className='insetContainer mnemonicImport'>
+            <div className='insetContainer mnemonicImport ledgerImport'>
+                <Loading show={ isLoading } onClose={ () => this.handleCancelLoading() } />
                 <div className='pageHeader'>
                     <div className="back" onClick={ () => PopupAPI.changeState(APP_STATE.LEDGER) }>&nbsp;</div>
                     <FormattedMessage id="CREATION.RESTORE.MNEMONIC.RELATED_TO.ACCOUNT.TITLE" />
                 </div>
                 <div className='greyModal'>
                     <div className='modalDesc'>
-                        <FormattedMessage id='CREATION.LEDGER.CHOOSE_ADDRESS' />
+                        <FormattedMessage id='CREATION.LEDGER.SELECTION' />
                     </div>
                     <div className='addressList'>
+                        { addresses.map(({ address, balance, index, path, isImported }) => {
+                            const isSelected = isImported || address in selected;
+                            const className = `addressOption ${ isSelected ? 'isSelected' : '' } ${ isImported ? 'disabled' : '' } ${ isLoading ? 'isLoading' : '' }`;
 
-                        { accounts.map(({address,balance}, index) => {
                             return (
                                 <div
-                                    ref={ 'option'+index }
-                                    className='addressOption'
+                                    className={ className }
                                     key={ index }
                                     tabIndex={ index + 1 }
-                                    onClick={ () => !isLoading && this.toggleAddress(address,index) }
+                                    onClick={ () => !isLoading && !isImported && this.toggleAddress(address, index) }
                                 >
-                                    <div className='checkbox'>&nbsp;</div>
+                                    <div className={ `checkbox ${ isSelected ? 'isSelected' : '' }` }>&nbsp;</div>
                                     <span className="address">
                                         <span>{ `${address.substr(0,10)}...${address.substr(-10)}` }</span>
+                                        <span className="path">{ path }</span>
                                         <span><FormattedMessage id="COMMON.BALANCE" /> <FormattedMessage id="ACCOUNT.BALANCE" values={{amount:balance/1000000}} /></span>
                                     </span>
                                 </div>
                             );
                         }) }
                     </div>
+                    <div className='pagination'>
+                        <div
+                            className={ `pageLink ${ page === 0 || isLoading ? 'disabled' : '' }` }
+                            onClick={ () => page > 0 && !isLoading && this.loadPage(page - 1) }
+                        >
+                            <FormattedMessage id='CREATION.LEDGER.PREVIOUS_PAGE' />
+                        </div>
+                        <div
+                            className={ `pageLink ${ isLoading ? 'disabled' : '' }` }
+                            onClick={ () => !isLoading && this.loadPage(page + 1) }
+                        >
+                            <FormattedMessage id='CREATION.LEDGER.NEXT_PAGE' />
+                        </div>
+                    </div>
                     <div className='buttonRow'>
                         <Button
-                            isValid={ isValid }
                             id='BUTTON.IMPORT'
-                            onClick={ () => this.import() }
+                            isValid={ isValid }
+                            onClick={ () => isValid && this.setState({ subStage: IMPORT_STAGE.FILLING_NAME }) }
                             isLoading={ isLoading }
                         />
                     </div>
@@ -137,19 +170,17 @@ class LedgerAccountImportController extends React.Component {
 
     render() {
         const { subStage } = this.state;
-        if(subStage === 'choose account'){
-            return this.renderAccounts();
-        } else {
-            return <AccountName onCancel={this.handleCancel.bind(this)} onSubmit={this.handleSubmit.bind(this)} />;
-        }
 
+        if(subStage === IMPORT_STAGE.SELECTING_ACCOUNTS)
+            return this.renderAccounts();
 
+        return (
+            <AccountName
+                onCancel={ () => this.setState({ subStage: IMPORT_STAGE.SELECTING_ACCOUNTS }) }
+                onSubmit={ this.handleSubmit }
+            />
+        );
     }
 }
 
-export default injectIntl(
-    connect(state => ({
-        accounts:state.accounts.accounts,
-        ledgerImportAddress: state.app.ledgerImportAddress
-    }))(LedgerAccountImportController)
-);
+export default injectIntl(LedgerAccountImportController);
@@ -27,9 +27,8 @@ class LedgerController extends React.Component {
         const { formatMessage } = this.props.intl;
         if(event.data.target==='LEDGER-IFRAME'){
             console.log(event.data);
-            const { connected,address,error } = event.data;
+            const { connected,error } = event.data;
             if(connected){
-                PopupAPI.setLedgerImportAddress([address]);
                 PopupAPI.changeState(APP_STATE.LEDGER_IMPORT_ACCOUNT);
                 this.setState({loading:false});
             } else {
@@ -8,6 +8,8 @@ import ChoosingType from './stages/ChoosingType';
 import MnemonicImport from './stages/MnemonicImport';
 import PrivateKeyImport from './stages/PrivateKeyImport';
 import KeystoreImport from './stages/KeystoreImport';
+import BackupImport from './stages/BackupImport';
+import WatchOnlyImport from './stages/WatchOnlyImport';
 
 import './RestoreAccountController.scss';
 
@@ -78,7 +80,20 @@ class RestoreAccountController extends React.Component {
                         name={ walletName }
                         onCancel={ () => this.changeStage(RESTORATION_STAGE.CHOOSING_TYPE) }
                     />
-                );    
+                );
+            case RESTORATION_STAGE.IMPORT_WATCH_ONLY:
+                return (
+                    <WatchOnlyImport
+                        name={ walletName }
+                        onCancel={ () => this.changeStage(RESTORATION_STAGE.CHOOSING_TYPE) }
+                    />
+                );
+            case RESTORATION_STAGE.IMPORT_BACKUP:
+                return (
+                    <BackupImport
+                        onCancel={ () => this.changeStage(RESTORATION_STAGE.CHOOSING_TYPE) }
+                    />
+                );
             default:
                 return null;
         }
@@ -0,0 +1,192 @@
+import React from 'react';
+import moment from 'moment';
+import Button from '@tronlink/popup/src/components/Button';
+import Utils from '@tronlink/lib/utils';
+import { Toast } from 'antd-mobile';
+import { FormattedMessage, injectIntl } from 'react-intl';
+import { PopupAPI } from '@tronlink/lib/api';
+import { BUTTON_TYPE } from '@tronlink/lib/constants';
+
+import '../KeystoreImport/KeystoreImport.scss';
+import './BackupImport.scss';
+
+class BackupImport extends React.Component {
+    state = {
+        isLoading: false,
+        selectedFile: {
+            show: false,
+            name: '',
+            contents: ''
+        },
+        passphrase: '',
+        preview: false
+    };
+
+    onError(error) {
+        const { formatMessage } = this.props.intl;
+
+        Toast.fail(formatMessage({ id: error }), 3, () => {
+            this.setState({ isLoading: false });
+        });
+    }
+
+    async onFileChange(e) {
+        if(!e.target.value.endsWith('.json'))
+            return;
+
+        const files = e.target.files;
+        const contents = await Utils.readFileContentsFromEvent(e);
+        const name = files[ 0 ].name.length > 14 ? `${ files[ 0 ].name.substr(0, 5) }...${ files[ 0 ].name.substr(-10) }` : files[ 0 ].name;
+
+        e.target.value = '';
+        this.setState({
+            selectedFile: { show: true, name, contents },
+            preview: false
+        });
+    }
+
+    previewBackup() {
+        const { passphrase, selectedFile: { contents } } = this.state;
+
+        this.setState({ isLoading: true });
+
+        PopupAPI
+            .previewBackup(contents, passphrase)
+            .then(preview => this.setState({
+                isLoading: false,
+                preview
+            }))
+            .catch(error => this.onError(error));
+    }
+
+    restoreBackup(replace) {
+        const { passphrase, selectedFile: { contents } } = this.state;
+
+        this.setState({ isLoading: true });
+
+        PopupAPI
+            .restoreBackup(contents, passphrase, replace)
+            .then(() => {
+                this.setState({ isLoading: false });
+                PopupAPI.resetState();
+            })
+            .catch(error => this.onError(error));
+    }
+
+    renderPreview() {
+        const { preview, isLoading } = this.state;
+        const {
+            createdAt,
+            accounts,
+            tokens,
+            nodes,
+            chains,
+            authorizeDapps,
+            settings
+        } = preview;
+
+        const rows = [
+            { id: 'BACKUP.DIFF.ACCOUNTS', values: { added: accounts.added.length, existing: accounts.existing.length, removed: accounts.removed.length } },
+            { id: 'BACKUP.DIFF.TOKENS', values: { added: tokens } },
+            { id: 'BACKUP.DIFF.NODES', values: { added: nodes.added + chains.added, removed: nodes.removed + chains.removed } },
+            { id: 'BACKUP.DIFF.DAPPS', values: { added: authorizeDapps.added, removed: authorizeDapps.removed } },
+            { id: 'BACKUP.DIFF.SETTINGS', values: { changed: settings.length } }
+        ];
+
+        return (
+            <div className='passwordWrap backupPreview'>
+                <div className='createdAt'>
+                    <FormattedMessage id='BACKUP.DIFF.CREATED_AT' values={{ date: moment(createdAt).format('YYYY-MM-DD HH:mm') }} />
+                </div>
+                {
+                    rows.map(({ id, values }) => (
+                        <div className='row' key={ id }>
+                            <FormattedMessage id={ id } values={ values } />
+                        </div>
+                    ))
+                }
+                {
+                    accounts.added.length ?
+                        <div className='accounts'>
+                            {
+                                accounts.added.map(({ address, name }) => (
+                                    <div className='account' key={ address }>
+                                        <span className='name'>{ name }</span>
+                                        <span className='address'>{ `${ address.substr(0, 10) }...${ address.substr(-10) }` }</span>
+                                    </div>
+                                ))
+                            }
+                        </div>
+                        :
+                        null
+                }
+                <div className='tip'>
+                    <FormattedMessage id='BACKUP.RESTORE.TIP' />
+                </div>
+                <div className='buttonRow'>
+                    <Button
+                        id='BACKUP.RESTORE.REPLACE'
+                        type={ BUTTON_TYPE.DANGER }
+                        isLoading={ isLoading }
+                        onClick={ () => this.restoreBackup(true) }
+                    />
+                    <Button
+                        id='BACKUP.RESTORE.MERGE'
+                        isLoading={ isLoading }
+                        onClick={ () => this.restoreBackup(false) }
+                    />
+                </div>
+            </div>
+        );
+    }
+
+    render() {
+        const { selectedFile, passphrase, isLoading, preview } = this.state;
+        const { onCancel } = this.props;
+
+        return (
+            <div className='insetContainer keystoreImport backupImport'>
+                <div className='pageHeader'>
+                    <div className='back' onClick={ () => onCancel() }></div>
+                    <FormattedMessage id='CHOOSING_TYPE.BACKUP.TITLE' />
+                </div>
+                <div className='greyModal'>
+                    <div className='uploadDesc'>
+                        <FormattedMessage id='BACKUP.RESTORE.UPLOAD_DESC' />
+                    </div>
+                    <div className='uploadWrap'>
+                        <input type='file' accept='.json' onChange={ e => this.onFileChange(e) } />
+                        <div className='icon'>&nbsp;</div>
+                        <div className='text'>
+                            <FormattedMessage id='CREATION.RESTORE.KEY_STORE.SELECT_FILE' />
+                        </div>
+                    </div>
+                    {
+                        preview ?
+                            this.renderPreview()
+                            :
+                            <div className='passwordWrap'>
+                                {
+                                    selectedFile.show ?
+                                        <div className='selectedFile'>
+                                            <span>{ selectedFile.name }</span>
+                                        </div>
+                                        :
+                                        null
+                                }
+                                <div className='password'>
+                                    <label>
+                                        <FormattedMessage id='INPUT.BACKUP_PASSPHRASE' />
+                                    </label>
+                                    <input type='password' onChange={ e => this.setState({ passphrase: e.target.value }) } />
+                                </div>
+                                <Button id='BUTTON.CONTINUE' isLoading={ isLoading } isValid={ selectedFile.show && passphrase } onClick={ () => this.previewBackup() } />
+                            </div>
+                    }
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(BackupImport);
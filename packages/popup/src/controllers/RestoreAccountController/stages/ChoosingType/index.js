@@ -28,6 +28,12 @@ const ChoosingType = props => {
                 <div className='option' onClick={ () => onSubmit(RESTORATION_STAGE.IMPORT_KEY_STORE) }>
                     <FormattedMessage id='CHOOSING_TYPE.KEY_STORE.TITLE' />
                 </div>
+                <div className='option' onClick={ () => onSubmit(RESTORATION_STAGE.IMPORT_WATCH_ONLY) }>
+                    <FormattedMessage id='CHOOSING_TYPE.WATCH_ONLY.TITLE' />
+                </div>
+                <div className='option' onClick={ () => onSubmit(RESTORATION_STAGE.IMPORT_BACKUP) }>
+                    <FormattedMessage id='CHOOSING_TYPE.BACKUP.TITLE' />
+                </div>
             </div>
         </div>
     );
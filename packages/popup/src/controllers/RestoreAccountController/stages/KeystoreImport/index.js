@@ -5,9 +5,6 @@ import { connect } from 'react-redux';
 import { Toast } from 'antd-mobile';
 import { FormattedMessage, injectIntl } from 'react-intl';
 import { PopupAPI } from '@tronlink/lib/api';
-import { bytesToString } from "@tronscan/client/src/utils/bytes";
-import { hexStr2byteArray } from "@tronscan/client/src/lib/code";
-import { pkToAddress } from "@tronscan/client/src/utils/crypto";
 
 import './KeystoreImport.scss';
 
@@ -34,24 +31,18 @@ class KeystoreImport extends React.Component {
         const { formatMessage } = this.props.intl;
         const {password, selectedFile:{ contents }} = this.state;
         try {
-            const {key, address, salt} = JSON.parse(bytesToString(hexStr2byteArray(contents)));
-            const privateKey = Utils.decryptString(password, salt, key);
-            if (Utils.validatePrivateKey(privateKey) && pkToAddress(privateKey) === address) {
-                if (address in accounts) {
-                    Toast.fail(formatMessage({id: 'EXCEPTION.ACCOUNT_EXIST'}), 3, () => {
-                        this.setState({isLoading: false});
-                    });
-                } else {
-                    const res = await PopupAPI.importAccount(privateKey, name);
-                    if (res) {
-                        this.setState({isLoading: false});
-                        PopupAPI.resetState();
-                    }
-                }
-            } else {
-                Toast.fail(formatMessage({id: 'CREATION.RESTORE.KEY_STORE.EXCEPTION'}), 3, () => {
-                    this.setState({isLoading: false});
+            // Either a TronScan (.txt) or a Web3 v3 (.json) keystore, a wrong password throws
+            const { privateKey, address } = await Utils.decryptKeystore(contents, password);
+            if (address in accounts) {
+                Toast.fail(formatMessage({ id: 'EXCEPTION.ACCOUNT_EXIST' }), 3, () => {
+                    this.setState({ isLoading: false });
                 });
+            } else {
+                const res = await PopupAPI.importAccount(privateKey, name);
+                if (res) {
+                    this.setState({ isLoading: false });
+                    PopupAPI.resetState();
+                }
             }
         } catch(e){
             Toast.fail(formatMessage({id: 'CREATION.RESTORE.KEY_STORE.EXCEPTION'}), 3, () => {
@@ -75,16 +66,17 @@ class KeystoreImport extends React.Component {
                         <FormattedMessage id='CREATION.RESTORE.KEY_STORE.UPLOAD_DESC' />
                     </div>
                     <div className='uploadWrap'>
-                        <input type='file' ref='file' accept='.txt' onChange={async(e) => {
-                                if (e.target.value.endsWith(".txt")){
-                                    const files = e.target.files;
-                                    const contents = await Utils.readFileContentsFromEvent(e);
-                                    const name = files[0].name.length>14?files[0].name.substr(0,5)+'...'+files[0].name.substr(-9,5)+'.txt':files[0].name;
-                                    this.refs.file.value = '';
-                                    const selectedFile = { show: true, name, contents };
-                                    this.setState({selectedFile});
-                                }
-                            }} />
+                        <input type='file' ref='file' accept='.txt,.json' onChange={ async e => {
+                            if (/\.(txt|json)$/.test(e.target.value)) {
+                                const files = e.target.files;
+                                const contents = await Utils.readFileContentsFromEvent(e);
+                                const name = files[ 0 ].name.length > 14 ? `${ files[ 0 ].name.substr(0, 5) }...${ files[ 0 ].name.substr(-10) }` : files[ 0 ].name;
+                                this.refs.file.value = '';
+                                const selectedFile = { show: true, name, contents };
+                                this.setState({ selectedFile });
+                            }
+                        } }
+                        />
                         <div className='icon'>&nbsp;</div>
                         <div className='text'>
                             <FormattedMessage id='CREATION.RESTORE.KEY_STORE.SELECT_FILE' />
@@ -1,10 +1,10 @@
 import React from 'react';
 import Button from '@tronlink/popup/src/components/Button';
+import Input from '@tronlink/popup/src/components/Input';
 import Utils from '@tronlink/lib/utils';
 import Toast, { T } from 'react-toast-mobile';
 import { connect } from 'react-redux';
 import { FormattedMessage, injectIntl } from 'react-intl';
-import NodeService from '@tronlink/backgroundScript/services/NodeService';
 import { PopupAPI } from '@tronlink/lib/api';
 
 import './MnemonicImport.scss';
@@ -19,6 +19,7 @@ class MnemonicImport extends React.Component {
         selected: [],
         subStage: IMPORT_STAGE.ENTERING_MNEMONIC,
         mnemonic: '',
+        passphrase: '',
         isValid: false,
         isLoading: false,
         error:''
@@ -56,29 +57,25 @@ class MnemonicImport extends React.Component {
     }
 
     async generateAccounts() {
-        // Move this to Utils (generateXAccounts)
-
         this.setState({
             isLoading: true
         });
-        const { chains } = this.props;
-        const { mnemonic } = this.state;
+        const { mnemonic, passphrase } = this.state;
         const { formatMessage } = this.props.intl;
-        const addresses = [];
-        for(let i = 0; i < 5; i++) {
-            let account = Utils.getAccountAtIndex(
-                mnemonic,
-                i
-            );
-            if(!(account.address in this.props.accounts)) {
-                const accountInfo = await PopupAPI.getAccountInfo(account.address);
-                let balance = accountInfo[chains === '_'? 'mainchain':'sidechain'].balance;
-                balance = balance ? balance:0;
-                account.balance = balance;
-                addresses.push(account);
-            }
+        const discovered = await PopupAPI.discoverAccounts(mnemonic.trim(), passphrase).catch(error => {
+            T.notify(formatMessage({ id: error }));
+            return false;
+        });
 
+        if(!discovered) {
+            this.setState({
+                isLoading: false
+            });
+            return false;
         }
+
+        const addresses = discovered.filter(({ isImported }) => !isImported);
+
         if(addresses.length === 0) {
             this.setState({
                 isLoading: false
@@ -86,8 +83,11 @@ class MnemonicImport extends React.Component {
             T.notify(formatMessage({id:'CHOOSING_TYPE.MNEMONIC.NO_OPTIONS'}))
             return false;
         } else {
+            // Offer every account that has been used on chain, pre-selected
+            const used = addresses.filter(({ isUsed }) => isUsed);
             this.setState({
                 addresses,
+                selected: (used.length ? used : addresses).map(({ index }) => index),
                 isLoading: false
             });
             return true;
@@ -107,28 +107,24 @@ class MnemonicImport extends React.Component {
     }
 
     async import() {
-        let i = 0;
         this.setState({
             isLoading: true
         });
 
         const {
-            addresses,
+            mnemonic,
+            passphrase,
             selected
         } = this.state;
 
         const { name } = this.props;
-        const isSingle = selected.length === 1;
-
-        for(const internalIndex of selected) {
-            i++;
-            const { privateKey } = addresses[ internalIndex ];
-            const walletName = isSingle ? name : `${ name } #${ i }`;
-            await PopupAPI.importAccount(
-                privateKey,
-                walletName
-            );
-        }
+
+        await PopupAPI.importMnemonicAccounts(
+            mnemonic.trim(),
+            [ ...selected ].sort((a, b) => a - b),
+            name,
+            passphrase
+        );
         PopupAPI.resetState();
     }
 
@@ -152,7 +148,7 @@ class MnemonicImport extends React.Component {
                         <FormattedMessage id='MNEMONIC_IMPORT.SELECTION' />
                     </div>
                     <div className='addressList'>
-                        { addresses.map(({ address,balance }, index) => {
+                        { addresses.map(({ address, balance, index }) => {
                             const isSelected = selected.includes(index);
                             // const icon = isSelected ? 'dot-circle' : 'circle';
                             const className = `addressOption ${ isSelected ? 'isSelected' : '' } ${ isLoading ? 'isLoading' : '' }`;
@@ -192,6 +188,7 @@ class MnemonicImport extends React.Component {
         const { formatMessage } = this.props.intl;
         const {
             mnemonic,
+            passphrase,
             isValid,
             isLoading,
             // showWarning
@@ -221,12 +218,25 @@ class MnemonicImport extends React.Component {
                         />
                         {!isValid ? <div className='tipError'>{error ? <FormattedMessage id={error} /> : null}</div> : null}
                     </div>
+                    <div className='inputUnit passphrase'>
+                        <Input
+                            type='password'
+                            placeholder='INPUT.MNEMONIC_PASSPHRASE'
+                            value={ passphrase }
+                            isDisabled={ isLoading }
+                            onChange={ value => this.setState({ passphrase: value }) }
+                            tabIndex={ 2 }
+                        />
+                        <div className='passphraseTip'>
+                            <FormattedMessage id='MNEMONIC_IMPORT.PASSPHRASE_TIP' />
+                        </div>
+                    </div>
                     <div className='buttonRow'>
                         <Button
                             id='BUTTON.CONTINUE'
                             isValid={ isValid }
                             onClick={ () => isValid && this.changeStage(IMPORT_STAGE.SELECTING_ACCOUNTS) }
-                            tabIndex={ 2 }
+                            tabIndex={ 3 }
                             isLoading={ isLoading }
                         />
                     </div>
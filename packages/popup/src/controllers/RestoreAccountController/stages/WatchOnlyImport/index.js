@@ -0,0 +1,113 @@
+import React from 'react';
+import Button from '@tronlink/popup/src/components/Button';
+import TronWeb from 'tronweb';
+
+import { connect } from 'react-redux';
+import { Toast } from 'antd-mobile';
+import { FormattedMessage, injectIntl } from 'react-intl';
+import { PopupAPI } from '@tronlink/lib/api';
+
+import './WatchOnlyImport.scss';
+
+class WatchOnlyImport extends React.Component {
+    state = {
+        address: '',
+        isValid: false,
+        error: '',
+        loading: false
+    };
+
+    constructor() {
+        super();
+        this.onChange = this.onChange.bind(this);
+        this.onSubmit = this.onSubmit.bind(this);
+    }
+
+    onChange({ target: { value } }) {
+        const { accounts } = this.props;
+        const address = value.trim();
+        let isValid = TronWeb.isAddress(address);
+        let error = isValid ? '' : 'EXCEPTION.FORMAT_ERROR';
+
+        if(isValid && TronWeb.address.fromHex(address) in accounts) {
+            isValid = false;
+            error = 'EXCEPTION.ACCOUNT_EXIST';
+        }
+
+        if(!address.length)
+            error = '';
+
+        this.setState({
+            address,
+            isValid,
+            error
+        });
+    }
+
+    onSubmit() {
+        const { address } = this.state;
+        const { name } = this.props;
+        const { formatMessage } = this.props.intl;
+
+        this.setState({ loading: true });
+
+        PopupAPI
+            .importWatchOnlyAccount(address, name)
+            .then(() => {
+                this.setState({ loading: false });
+                PopupAPI.resetState();
+            })
+            .catch(error => Toast.fail(formatMessage({ id: error }), 3, () => {
+                this.setState({ loading: false });
+            }));
+    }
+
+    render() {
+        const { onCancel } = this.props;
+        const { formatMessage } = this.props.intl;
+        const {
+            address,
+            isValid,
+            error,
+            loading
+        } = this.state;
+
+        return (
+            <div className='insetContainer watchOnlyImport'>
+                <div className='pageHeader'>
+                    <div className='back' onClick={ onCancel }></div>
+                    <FormattedMessage id='CHOOSING_TYPE.WATCH_ONLY.TITLE' />
+                </div>
+                <div className={ `greyModal${ !isValid && error ? ' error' : '' }` }>
+                    <div className='modalDesc hasBottomMargin'>
+                        <FormattedMessage id='WATCH_ONLY_IMPORT.DESC' />
+                    </div>
+                    <div className='inputUnit'>
+                        <textarea
+                            placeholder={ formatMessage({ id: 'WATCH_ONLY_IMPORT.PLACEHOLDER' }) }
+                            className='addressInput'
+                            rows={ 2 }
+                            value={ address }
+                            onChange={ this.onChange }
+                            tabIndex={ 1 }
+                        />
+                        { !isValid ? <div className='tipError'>{ error ? <FormattedMessage id={ error } /> : null }</div> : null }
+                    </div>
+                    <div className='buttonRow'>
+                        <Button
+                            id='BUTTON.CONTINUE'
+                            isValid={ isValid }
+                            isLoading={ loading }
+                            onClick={ () => isValid && this.onSubmit() }
+                            tabIndex={ 2 }
+                        />
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default injectIntl(connect(state => ({
+    accounts: state.accounts.accounts
+}))(WatchOnlyImport));
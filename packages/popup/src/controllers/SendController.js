@@ -4,6 +4,9 @@ import { BigNumber } from 'bignumber.js';
 import { PopupAPI } from "@tronlink/lib/api";
 import Button from '@tronlink/popup/src/components/Button';
 import Loading from '@tronlink/popup/src/components/Loading';
+import FeeEstimate from '@tronlink/popup/src/components/FeeEstimate';
+import SendOptions, { DEFAULT_OPTIONS, isValid, toSendOptions } from '@tronlink/popup/src/components/SendOptions';
+import LedgerBridge from '@tronlink/lib/LedgerBridge';
 import { VALIDATION_STATE, APP_STATE, CONTRACT_ADDRESS, ACCOUNT_TYPE, TOP_TOKEN } from '@tronlink/lib/constants';
 import TronWeb from "tronweb";
 import { Toast } from 'antd-mobile';
@@ -38,54 +41,20 @@ class SendController extends React.Component {
             },
             loading: false,
             loadingLedger: false,
-            allTokens:[],
-            selectedAddress:''
+            allTokens: [],
+            selectedAddress: '',
+            estimate: false,
+            options: DEFAULT_OPTIONS
         };
-        this.listener = this.listener.bind(this);
+        this.estimateRequest = 0;
     }
 
-    listener(event){
-        const { selected } = this.props.accounts;
-        const { formatMessage } = this.props.intl;
-        if(event.data.target==='LEDGER-IFRAME'){
-            console.log(event.data);
-            if(event.data.success){
-                this.setState({loading: false,loadingLedger: false});
-                Toast.success(formatMessage({ id: 'SEND.SUCCESS' }), 3, () => {
-                    this.onCancel();
-                    PopupAPI.setGaEvent('Ledger','Confirmed Transaction',selected.address);
-                }, true);
-            } else {
-                let id = '';
-                if(event.data.error === 'User has not unlocked wallet'){
-                    id = 'CREATION.LEDGER.CONNECT_TIMEOUT';
-                }else if(event.data.error.match(/denied by the user/)){
-                    id = 'CREATION.LEDGER.REJECT';
-                }else if(event.data.error.match(/U2F TIMEOUT/)){
-                    id = 'CREATION.LEDGER.AUTHORIZE_TIMEOUT';
-                }else if(event.data.error === "Cannot read property 'message' of undefined"){
-                    id = 'CREATION.LEDGER.NO_TOKEN';
-                }else if(event.data.error === "address not match"){
-                    id = 'CREATION.LEDGER.NOT_MATCH';
-                }
-                this.setState({loadingLedger: false,loading: false});
-                Toast.fail(id ? formatMessage({id}) : event.data.error, 3, () => {
-                    PopupAPI.setGaEvent('Ledger','Rejected Transaction',selected.address);
-                }, true);
-            }
-        }
-    }
     async componentDidMount() {
         const allTokens = await PopupAPI.getAllTokens();
         this.setState({allTokens});
         let {selectedToken,selected} = this.props.accounts;
         selectedToken.amount = selectedToken.id === '_' ? selected.balance / Math.pow(10 ,  6) : selectedToken.amount;
         this.setState({selectedToken,selectedAddress:selected.address});
-        window.addEventListener('message',this.listener,false);
-    }
-
-    componentWillUnmount(){
-        window.removeEventListener('message',this.listener,false);
     }
 
     componentWillReceiveProps(nextProps) {
@@ -169,7 +138,7 @@ class SendController extends React.Component {
         }
         this.setState({
             recipient
-        });
+        }, () => this.validateAmount());
     }
 
     onAmountChange(e) {
@@ -185,14 +154,34 @@ class SendController extends React.Component {
         );
     }
 
+    // Only TRC20 transfers are contract calls with a fee limit
+    hasFeeLimit() {
+        return !!this.state.selectedToken.id.match(/^T/);
+    }
+
+    getOptions() {
+        return toSendOptions(this.state.options, this.hasFeeLimit());
+    }
+
+    onOptionsChange(options) {
+        const { memo, feeLimit, expiration, permissionId } = this.state.options;
+        const isChanged = memo !== options.memo || feeLimit !== options.feeLimit || expiration !== options.expiration || permissionId !== options.permissionId;
+
+        // Opening or closing the section leaves the estimate as it is
+        this.setState({ options }, () => isChanged && this.state.amount.value !== '' && this.validateAmount());
+    }
+
     validateAmount() {
         const {
             amount:tokenCount,
-            decimals,
-            id
+            decimals
         } = this.state.selectedToken;
-        const { selected } = this.props.accounts;
         let { amount } = this.state;
+
+        // An estimate for what was entered before, or one still on its way, no longer applies
+        this.estimateRequest++;
+        this.setState({ estimate: false });
+
         if(amount.value === '') {
             return this.setState({
                 amount: {
@@ -229,104 +218,48 @@ class SendController extends React.Component {
                 }
             });
         } else {
-            if(!this.state.recipient.isActivated) {
-                if(id === '_' && value.gt(new BigNumber(selected.balance).shiftedBy(-6).minus(0.1)) || id !=='_' && new BigNumber(selected.balance).shiftedBy(-6).lt(new BigNumber(0.1))) {
-                    return this.setState({
-                        amount: {
-                            ...amount,
-                            valid: false,
-                            error: 'ACCOUNT.TRANSFER.WARNING.TRX_NOT_ENOUGH'
-                        }
-                    });
-                }
-            }else{
-                if(id === '_' && selected.netLimit - selected.netUsed < 300 && value.gt(new BigNumber(selected.balance).shiftedBy(-6).minus(1))){
-                    return this.setState({
-                        amount: {
-                            ...amount,
-                            valid: false,
-                            error: 'EXCEPTION.SEND.BANDWIDTH_NOT_ENOUGH_TRX_ERROR'
-                        }
-                    });
-                }
-            }
-            if(id.match(/^T/)) {
-                const valid = this.state.recipient.isActivated ? true : false;
-                if(valid) {
-                    const isEnough = new BigNumber(selected.balance).shiftedBy(-6).gte(new BigNumber(1))   ? true : false;
-                    if(selected.netLimit - selected.netUsed < 300 && selected.energy - selected.energyUsed > 10000){
-                        return this.setState({
-                            amount: {
-                                ...amount,
-                                valid:isEnough,
-                                error: 'EXCEPTION.SEND.BANDWIDTH_NOT_ENOUGH_ERROR'
-                            }
-                        });
-                    } else if(selected.netLimit - selected.netUsed >= 300 && selected.energy - selected.energyUsed < 10000) {
-                        return this.setState({
-                            amount: {
-                                ...amount,
-                                valid:isEnough,
-                                error: 'EXCEPTION.SEND.ENERGY_NOT_ENOUGH_ERROR'
-                            }
-                        });
-                    } else if(selected.netLimit - selected.netUsed < 300 && selected.energy - selected.energyUsed < 10000) {
-                        return this.setState({
-                            amount: {
-                                ...amount,
-                                valid:isEnough,
-                                error: 'EXCEPTION.SEND.BANDWIDTH_ENERGY_NOT_ENOUGH_ERROR'
-                            }
-                        });
-
-                    } else {
-                        return this.setState({
-                            amount: {
-                                ...amount,
-                                valid: true,
-                                error: ''
-                            }
-                        });
-                    }
-                } else {
-                    return this.setState({
-                        amount: {
-                            ...amount,
-                            //valid,
-                            valid:true,
-                            //error: 'EXCEPTION.SEND.ADDRESS_UNACTIVATED_TRC20_ERROR',
-                            error:''
-                        }
-                    });
-                }
-            } else {
-                if(selected.netLimit - selected.netUsed < 300){
-                    return this.setState({
-                        amount: {
-                            ...amount,
-                            valid: id === '_' ? value.lte(new BigNumber(selected.balance).shiftedBy(-6).minus(1)) : new BigNumber(selected.balance).shiftedBy(-6).gte(new BigNumber(1)),   //new BigNumber(selected.balance).shiftedBy(-6).gte(new BigNumber(1)) ? true : false,
-                            error: 'EXCEPTION.SEND.BANDWIDTH_NOT_ENOUGH_ERROR'
-                        }
-                    });
-                } else {
-                    return this.setState({
-                        amount: {
-                            ...amount,
-                            valid: true,
-                            error: ''
-                        }
-                    });
-                }
-
-            }
             return this.setState({
                 amount: {
                     ...amount,
                     valid: true,
                     error: ''
                 }
+            }, () => this.estimate());
+        }
+    }
+
+    // What the send burns in TRX, on top of the amount when sending TRX, has to be left in the account
+    async estimate() {
+        const request = this.estimateRequest;
+        const { recipient, amount } = this.state;
+        const { id, decimals } = this.state.selectedToken;
+        const { selected } = this.props.accounts;
+
+        if(!recipient.valid || !amount.valid || !isValid(this.state.options, this.hasFeeLimit()))
+            return;
+
+        const value = new BigNumber(amount.value).shiftedBy(id === '_' ? 6 : decimals);
+        const estimate = await PopupAPI.estimateSend(recipient.value, value.toString(), id, this.getOptions()).catch(() => false);
+
+        // Recipient or amount changed while the node was asked
+        if(request !== this.estimateRequest || !estimate)
+            return;
+
+        const left = new BigNumber(selected.balance).minus(id === '_' ? value : 0);
+
+        if(left.lt(estimate.total)) {
+            return this.setState({
+                estimate,
+                amount: {
+                    ...amount,
+                    valid: false,
+                    error: 'EXCEPTION.SEND.FEE_NOT_ENOUGH_ERROR',
+                    values: { fee: new BigNumber(estimate.total).shiftedBy(-6).toString() }
+                }
             });
         }
+
+        this.setState({ estimate });
     }
 
     onSend() {
@@ -342,57 +275,54 @@ class SendController extends React.Component {
 
         const {
             id,
-            decimals,
-            name
+            decimals
         } = this.state.selectedToken;
-        if(selected.type !== ACCOUNT_TYPE.LEDGER) {
-            let func;
-            if (id === "_") {
-                func = PopupAPI.sendTrx(
-                    recipient,
-                    new BigNumber(amount).shiftedBy(6).toString()
-                );
-            } else if (id.match(/^T/)) {
-                func = PopupAPI.sendSmartToken(
-                    recipient,
-                    new BigNumber(amount).shiftedBy(decimals).toString(),
-                    id
-                );
-            } else {
-                func = PopupAPI.sendBasicToken(
-                    recipient,
-                    new BigNumber(amount).shiftedBy(decimals).toString(),
-                    id
-                );
-            }
-            func.then((res) => {
-                this.setState({loading: false});
-                Toast.success(formatMessage({ id: 'SEND.SUCCESS' }), 3, () => this.onCancel(), true);
-                // PopupAPI.setPushMessage({
-                //     title:`-${amount}${selectedToken.abbr} ${formatMessage({id:'NOTIFICATIONS.TITLE'})}`,
-                //     message:formatMessage({id:'NOTIFICATIONS.MESSAGE'}),
-                //     hash:res
-                // });
-            }).catch(error => {
-                Toast.fail(JSON.stringify(error), 3, () => {
-                    this.setState({
-                        loading: false
-                    });
-                }, true);
-            });
+        const isLedger = selected.type === ACCOUNT_TYPE.LEDGER;
+        const options = this.getOptions();
+        let func;
+        if (id === '_') {
+            func = PopupAPI.sendTrx(
+                recipient,
+                new BigNumber(amount).shiftedBy(6).toString(),
+                options
+            );
+        } else if (id.match(/^T/)) {
+            func = PopupAPI.sendSmartToken(
+                recipient,
+                new BigNumber(amount).shiftedBy(decimals).toString(),
+                id,
+                options
+            );
         } else {
-            const iframe = document.querySelector('#tronLedgerBridge').contentWindow;
-            const fromAddress = selected.address;
-            const toAddress = recipient;
-            this.setState({loadingLedger:true});
-            if (id === "_") {
-                iframe.postMessage({target:"LEDGER-IFRAME",action:'send trx',data:{toAddress,fromAddress,amount:new BigNumber(amount).shiftedBy(6).toString()}},'*')
-            }else if(id.match(/^T/)){
-                iframe.postMessage({target:"LEDGER-IFRAME",action:'send trc20',data:{id,toAddress,fromAddress,amount:new BigNumber(amount).shiftedBy(decimals).toString(),decimals,TokenName:name}},'*')
-            }else{
-                iframe.postMessage({target:"LEDGER-IFRAME",action:'send trc10',data:{id,toAddress,fromAddress,amount:new BigNumber(amount).shiftedBy(decimals).toString()}},'*')
-            }
+            func = PopupAPI.sendBasicToken(
+                recipient,
+                new BigNumber(amount).shiftedBy(decimals).toString(),
+                id,
+                options
+            );
         }
+        // Ledger accounts sign through the same calls, the device prompt is shown while they wait
+        this.setState({ loadingLedger: isLedger });
+        func.then((res) => {
+            this.setState({ loading: false, loadingLedger: false });
+            Toast.success(formatMessage({ id: 'SEND.SUCCESS' }), 3, () => {
+                this.onCancel();
+                isLedger && PopupAPI.setGaEvent('Ledger', 'Confirmed Transaction', selected.address);
+            }, true);
+            // PopupAPI.setPushMessage({
+            //     title:`-${amount}${selectedToken.abbr} ${formatMessage({id:'NOTIFICATIONS.TITLE'})}`,
+            //     message:formatMessage({id:'NOTIFICATIONS.MESSAGE'}),
+            //     hash:res
+            // });
+        }).catch(error => {
+            this.setState({ loadingLedger: false });
+            Toast.fail(isLedger && typeof error === 'string' ? formatMessage({ id: error }) : JSON.stringify(error), 3, () => {
+                this.setState({
+                    loading: false
+                });
+                isLedger && PopupAPI.setGaEvent('Ledger', 'Rejected Transaction', selected.address);
+            }, true);
+        });
     }
 
     onCancel() {
@@ -409,28 +339,24 @@ class SendController extends React.Component {
                 imgUrl: selectedToken.imgUrl ? selectedToken.imgUrl : token10DefaultImg,
                 balance: selectedToken.balance || 0,
                 frozenBalance: selectedToken.frozenBalance || 0,
-                isMapping : selectedToken.isMapping
+                isMapping: selectedToken.isMapping
             };
             PopupAPI.setSelectedToken(selectedCurrency);
             PopupAPI.changeState(APP_STATE.TRANSACTIONS);
             PopupAPI.changeDealCurrencyPage(0);
-        }else {
-            PopupAPI.changeState(APP_STATE.READY);
-        }
+        } else PopupAPI.changeState(APP_STATE.READY);
     }
 
-    handleClose(){
-        const { formatMessage } = this.props.intl;
-        const iframe = document.querySelector('#tronLedgerBridge').contentWindow;
-        iframe.postMessage({target:"LEDGER-IFRAME",action:'cancel transaction',data:{}},'*');
-        this.setState({loadingLedger:false,loading:false},()=>{
-            Toast.fail(formatMessage({id:'CREATION.LEDGER.TIP_CANCEL_TRANSACTION'}),3,()=>{},true);
-        });
+    handleClose() {
+        // The pending send rejects with CREATION.LEDGER.TIP_CANCEL_TRANSACTION
+        LedgerBridge.cancel();
     }
 
     render() {
-        const {chains} = this.props;
-        const { isOpen, selectedToken, loading, amount, recipient, loadingLedger,allTokens } = this.state;
+        const { chains } = this.props;
+        const { isOpen, selectedToken, loading, amount, recipient, loadingLedger, allTokens, estimate, options } = this.state;
+        const hasFeeLimit = this.hasFeeLimit();
+        const { feeLimit } = this.getOptions();
         const { selected, accounts } = this.props.accounts;
         const trx = { tokenId: '_', name: 'TRX', balance: selected.balance,frozenBalance: selected.frozenBalance, abbr: 'TRX', decimals: 6, imgUrl: trxImg,isMapping:true };
         let tokens = { ...selected.tokens.basic, ...selected.tokens.smart};
@@ -534,12 +460,20 @@ class SendController extends React.Component {
                             {amount.error ? (amount.values ? <FormattedMessage id={amount.error} values={amount.values} /> : <FormattedMessage id={amount.error} />) : null}
                         </div>
                     </div>
+                    <SendOptions
+                        options={ options }
+                        hasFeeLimit={ hasFeeLimit }
+                        isDisabled={ loading }
+                        onChange={ options => this.onOptionsChange(options) }
+                    />
+                    <FeeEstimate estimate={ estimate } feeLimit={ feeLimit } />
                     <Button
                         id='ACCOUNT.SEND'
                         isLoading={ loading }
                         isValid={
                             amount.valid &&
-                            recipient.valid
+                            recipient.valid &&
+                            isValid(options, hasFeeLimit)
                         }
                         onClick={ () => this.onSend() }
                     />
@@ -133,6 +133,34 @@ class SettingController extends React.Component {
                             </div>
 
                         </div>
+                        <div className='option' onClick={ () => PopupAPI.changeState(APP_STATE.CHANGE_PASSWORD) }>
+                            <div className='txt'>
+                                <div className='span'>
+                                    <FormattedMessage id='SETTING.TITLE.CHANGE_PASSWORD' />
+                                </div>
+                            </div>
+                        </div>
+                        <div className='option' onClick={ () => PopupAPI.changeState(APP_STATE.BACKUP) }>
+                            <div className='txt'>
+                                <div className='span'>
+                                    <FormattedMessage id='SETTING.TITLE.BACKUP' />
+                                </div>
+                            </div>
+                        </div>
+                        <div className='option' onClick={ () => PopupAPI.changeState(APP_STATE.CONNECTED_SITES) }>
+                            <div className='txt'>
+                                <div className='span'>
+                                    <FormattedMessage id='SETTING.TITLE.CONNECTED_SITES' />
+                                </div>
+                            </div>
+                        </div>
+                        <div className='option' onClick={ () => PopupAPI.changeState(APP_STATE.ALLOWANCES) }>
+                            <div className='txt'>
+                                <div className='span'>
+                                    <FormattedMessage id='SETTING.TITLE.ALLOWANCES' />
+                                </div>
+                            </div>
+                        </div>
                         <div className="option" onClick={() =>{PopupAPI.lockWallet()}   }>
                             <div className="txt">
                                 <FormattedMessage id="SETTING.TITLE.LOCK" />
@@ -5,6 +5,7 @@ import { BigNumber } from 'bignumber.js';
 import ReactTooltip from 'react-tooltip';
 import { Popover } from 'antd-mobile';
 import CopyToClipboard from 'react-copy-to-clipboard';
+import { TRANSACTION_DIRECTION } from '@tronlink/lib/constants';
 const myImg = src => <img src={`https://gw.alipayobjects.com/zos/rmsportal/${src}.svg`} className='am-icon am-icon-xs' alt="" />;
 class TransactionDetailController extends React.Component {
     constructor(props) {
@@ -27,9 +28,9 @@ class TransactionDetailController extends React.Component {
         const { help } = this.state;
         const { selectedToken, selected, onCancel } = this.props;
         const { formatMessage } = this.props.intl;
-        const { transactionDetail: t, address, } = selected;
-        let amount = t.contractType === 31 ? ( t.tokenTransferInfo ? t.tokenTransferInfo.amount_str : t.trigger_info.call_value ) : t.contractData.amount;
-        amount = new BigNumber(amount).shiftedBy(-selectedToken.decimals).toString();
+        const { transactionDetail: t } = selected;
+        const amount = new BigNumber(t.amount).shiftedBy(-selectedToken.decimals).toString();
+        const fee = t.fee ? t.fee.total : 0;
         return (
             <div className='insetContainer transactions' onClick={ () => { this.setState({ isOpen: { account: false, token: false } }); } }>
                 <div className='pageHeader'>
@@ -41,7 +42,7 @@ class TransactionDetailController extends React.Component {
                         <div className='icon'> </div>
                         <div className='state'><FormattedMessage id='TRANSACTION_DETAIL.TRANSFER_SUCCESS' /></div>
                         <div className='amount'>
-                            {t.toAddress === address ? '+' : '-'}{ amount } {selectedToken.abbr}
+                            {t.direction === TRANSACTION_DIRECTION.IN ? '+' : '-'}{ amount } {selectedToken.abbr}
                         </div>
                     </div>
                     <div className='part2'>
@@ -49,10 +50,10 @@ class TransactionDetailController extends React.Component {
                             <div className='title'>
                                 <FormattedMessage id='TRANSACTION_DETAIL.SEND_ADDRESS' />
                             </div>
-                            <CopyToClipboard text={ t.ownerAddress } onCopy={(e) => this.copy('ownerAddress')}>
+                            <CopyToClipboard text={ t.fromAddress } onCopy={(e) => this.copy('ownerAddress')}>
                                 <div className='content'>
                                     <a data-tip={formatMessage({ id: 'TRANSACTION_DETAIL.ENABLE_COPY' })} data-for='ownerAddress'>
-                                        { t.ownerAddress }
+                                        { t.fromAddress }
                                     </a>
                                     <ReactTooltip id='ownerAddress' effect='solid' />
                                 </div>
@@ -106,7 +107,7 @@ class TransactionDetailController extends React.Component {
                             </CopyToClipboard>
                         </div>
                         {
-                            t.cost.energy_fee >= 0 && t.cost.net_fee >= 0 && t.cost.energy_fee + t.cost.net_fee > 0
+                            fee > 0
                                 ?
                                 <div className='cell'>
                                     <div className='title'>
@@ -129,7 +130,7 @@ class TransactionDetailController extends React.Component {
                                             </Popover>
                                     </div>
                                     <div className='content'>
-                                        {new BigNumber(t.cost.energy_fee + t.cost.net_fee).shiftedBy(-6).toString()} TRX
+                                        {new BigNumber(fee).shiftedBy(-6).toString()} TRX
                                     </div>
                                 </div>
                                 :
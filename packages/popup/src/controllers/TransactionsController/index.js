@@ -1,11 +1,12 @@
 import React from 'react';
 import moment from 'moment';
 import CopyToClipboard from 'react-copy-to-clipboard';
+import PendingTransactions from 'components/PendingTransactions';
 import { Toast } from 'antd-mobile';
 import { BigNumber } from 'bignumber.js';
 import { FormattedMessage, injectIntl } from 'react-intl';
 import { PopupAPI } from '@tronlink/lib/api';
-import { APP_STATE, CONTRACT_ADDRESS, ACCOUNT_TYPE } from '@tronlink/lib/constants';
+import { APP_STATE, CONTRACT_ADDRESS, ACCOUNT_TYPE, TRANSACTION_DIRECTION } from '@tronlink/lib/constants';
 
 BigNumber.config({ EXPONENTIAL_AT: [-20, 30] });
 const token10DefaultImg = require('@tronlink/popup/src/assets/images/new/token_10_default.png');
@@ -45,7 +46,10 @@ class TransactionsController extends React.Component {
             chains
         } = this.props;
         const { formatMessage } = this.props.intl;
-        const { address, airdropInfo, type } = accounts.selected;
+        const { address, airdropInfo, type, pendingTransactions } = accounts.selected;
+        // Ledger accounts can't sign on the side chain, so they can neither send there nor withdraw
+        const isLedgerOnSidechain = type === ACCOUNT_TYPE.LEDGER && chains.selected !== '_';
+        const canSend = type !== ACCOUNT_TYPE.WATCH_ONLY && !isLedgerOnSidechain;
         const { id = '_', name = 'TRX', decimals = 6, imgUrl, price = 0, amount, balance = 0, frozenBalance = 0 } = accounts.selectedToken;
         return (
             <div className='insetContainer transactions'>
@@ -165,7 +169,7 @@ class TransactionsController extends React.Component {
                         <div className={index == 0 ? 'active' : ''} onClick={async () => {
                             this.setState({ index: 0 });
                             Toast.loading('', 0);
-                            const transactions = await PopupAPI.getTransactionsByTokenId(id, '', 'all');
+                            const transactions = await PopupAPI.getTransactionsByTokenId(id, 0, false);
                             Toast.hide();
                             this.setState({ transactions, currentPage: 1, isRequest: false });
 
@@ -175,7 +179,7 @@ class TransactionsController extends React.Component {
                         <div className={index == 2 ? 'active' : ''} onClick={async () => {
                             this.setState({ index: 2 });
                             Toast.loading('', 0);
-                            const transactions = await PopupAPI.getTransactionsByTokenId(id, '', 'from');
+                            const transactions = await PopupAPI.getTransactionsByTokenId(id, 0, TRANSACTION_DIRECTION.IN);
                             Toast.hide();
                             this.setState({ transactions, currentPage: 1, isRequest: false });
 
@@ -185,7 +189,7 @@ class TransactionsController extends React.Component {
                         <div className={index === 1 ? 'active' : ''} onClick={async () => {
                             this.setState({ index: 1 });
                             Toast.loading('', 0);
-                            const transactions = await PopupAPI.getTransactionsByTokenId(id, '', 'to');
+                            const transactions = await PopupAPI.getTransactionsByTokenId(id, 0, TRANSACTION_DIRECTION.OUT);
                             Toast.hide();
                             this.setState({ transactions, currentPage: 1, isRequest: false });
                         }}>
@@ -193,42 +197,40 @@ class TransactionsController extends React.Component {
                         </div>
                     </div>
                     <div className='transaction scroll' onScroll={async (e) => {
-                        const key = index === 0 ? 'all' : (index === 1 ? 'to' : 'from');
+                        const key = index === 0 ? false : (index === 1 ? TRANSACTION_DIRECTION.OUT : TRANSACTION_DIRECTION.IN);
                         if (transactions.records.length > 8) {
                             const isTop = e.target.scrollTop === 0 ? false : true;
                             this.setState({ isTop });
                             if (e.target.scrollTop === ((58 * transactions.records.length + 36) - 484)) {
-                                if (!isRequest) {
+                                if (!isRequest && transactions.finger !== false) {
                                     this.setState({ isRequest: true });
                                     Toast.loading('', 0);
-                                    const records = await PopupAPI.getTransactionsByTokenId(id, typeof transactions.finger === 'string' ? transactions.finger : ++transactions.finger, key);
+                                    const records = await PopupAPI.getTransactionsByTokenId(id, transactions.finger, key);
                                     Toast.hide();
-                                    if (records.records.length === 0 || !records.finger) {
-                                        this.setState({ isRequest: true });
-                                    } else {
-                                        transactions.records = transactions.records.concat(records.records);
-                                        transactions.finger = records.finger;
-                                        this.setState({ transactions, isRequest: false });
-                                    }
+                                    transactions.records = transactions.records.concat(records.records);
+                                    transactions.finger = records.finger;
+                                    // No more pages once the offset runs out
+                                    this.setState({ transactions, isRequest: !records.finger });
                                 }
                             }
                         }
                     }}
                     >
+                        <PendingTransactions transactions={ pendingTransactions } tokenId={ id } />
                         {
                             transactions.records.length > 0 ?
                                 <div className='lists'>
                                     {
                                         transactions.records.map((v, transIndex) => {
 
-                                            const direction = v.toAddress === v.fromAddress ? 'send' : (v.toAddress === address ? 'receive' : 'send');
-                                            const addr = v.toAddress === address ? v.fromAddress : v.toAddress;
+                                            const direction = v.direction === TRANSACTION_DIRECTION.IN ? 'receive' : 'send';
+                                            const addr = (v.toAddress === address ? v.fromAddress : v.toAddress) || address;
 
                                             return (
                                                 <div className={`item ${direction}`} key={transIndex}
                                                      onClick={async () => {
                                                          Toast.loading('', 0);
-                                                         await PopupAPI.setTransactionDetail(v.hash);
+                                                         await PopupAPI.setTransactionDetail(v.hash, id);
                                                          Toast.hide();
                                                          PopupAPI.changeState(APP_STATE.TRANSACTION_DETAIL);
                                                      }}>
@@ -262,20 +264,20 @@ class TransactionsController extends React.Component {
                         <FormattedMessage id='ACCOUNT.RECEIVE'/>
                     </button>
                     <div className="line">&nbsp;</div>
-                    <button className='send' onClick={(e) => {
+                    <button className='send' disabled={ !canSend } onClick={(e) => {
                         PopupAPI.changeDealCurrencyPage(1);
                         PopupAPI.changeState(APP_STATE.SEND);
                     }}>
                         <FormattedMessage id='ACCOUNT.SEND'/>
                     </button>
                     {
-                        accounts.selectedToken.isMapping && type !== ACCOUNT_TYPE.LEDGER ?
+                        accounts.selectedToken.isMapping && canSend ?
                             <div className="line">&nbsp;</div>
                             :
                             null
                     }
                     {
-                        accounts.selectedToken.isMapping && type !== ACCOUNT_TYPE.LEDGER ?
+                        accounts.selectedToken.isMapping && canSend ?
                             <button className='transfer' onClick={(e) => {
                                 PopupAPI.changeState(APP_STATE.TRANSFER);
                             }}>
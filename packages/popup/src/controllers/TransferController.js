@@ -6,6 +6,9 @@ import { FormattedMessage, injectIntl } from 'react-intl';
 import { BigNumber } from 'bignumber.js';
 import { PopupAPI } from "@tronlink/lib/api";
 import Button from '@tronlink/popup/src/components/Button';
+import Loading from '@tronlink/popup/src/components/Loading';
+import LedgerBridge from '@tronlink/lib/LedgerBridge';
+import SendOptions, { DEFAULT_OPTIONS, isValid, toSendOptions } from '@tronlink/popup/src/components/SendOptions';
 import { VALIDATION_STATE, APP_STATE, CONTRACT_ADDRESS, ACCOUNT_TYPE, TOP_TOKEN,FEE } from '@tronlink/lib/constants';
 import { Toast } from 'antd-mobile';
 import { Popover } from 'antd-mobile';
@@ -36,7 +39,8 @@ class TransferController extends React.Component {
             loading: false,
             loadingLedger: false,
             allTokens:[],
-            help: false
+            help: false,
+            options: DEFAULT_OPTIONS // deposits and withdrawals are all contract calls, so they take a fee limit
         };
     }
 
@@ -238,58 +242,54 @@ class TransferController extends React.Component {
             success: false
         });
         const { chains, onCancel } = this.props;
+        const { selected } = this.props.accounts;
         const { formatMessage } = this.props.intl;
         const { value: amount } = this.state.amount;
         const {
             id,
             decimals
         } = this.state.selectedToken;
-            let func;
-            if (id === "_") {
-                if(chains.selected === '_'){
-                    func = PopupAPI.depositTrx(new BigNumber(amount).shiftedBy(6).toString());
-                }else{
-                    func = PopupAPI.withdrawTrx(new BigNumber(amount).shiftedBy(6).toString());
-                }
-            } else if (id.match(/^T/)) {
-                if(chains.selected === '_') {
-                    func = PopupAPI.depositTrc20(id, new BigNumber(amount).shiftedBy(decimals).toString());
-                }else{
-                    func = PopupAPI.withdrawTrc20(id, new BigNumber(amount).shiftedBy(decimals).toString());
-                }
-            } else {
-                if(chains.selected === '_') {
-                    func = PopupAPI.depositTrc10(
-                        id,
-                        new BigNumber(amount).shiftedBy(decimals).toString(),
-                    );
-                }else{
-                    func = PopupAPI.withdrawTrc10(
-                        id,
-                        new BigNumber(amount).shiftedBy(decimals).toString(),
-                    );
-                }
-            }
-            func.then((res) => {
-                this.setState({loading: false});
-                Toast.success(formatMessage({ id: 'SEND.SUCCESS' }), 3, () => onCancel(), true);
-                // PopupAPI.setPushMessage({
-                //     title:`-${amount}${selectedToken.abbr} ${formatMessage({id:'NOTIFICATIONS.TITLE'})}`,
-                //     message:formatMessage({id:'NOTIFICATIONS.MESSAGE'}),
-                //     hash:res
-                // });
-            }).catch(error => {
-                Toast.fail(JSON.stringify(error), 3, () => {
-                    this.setState({
-                        loading: false
-                    });
-                }, true);
-            });
+        const options = toSendOptions(this.state.options, true);
+        let func;
+        if(id === '_') {
+            if(chains.selected === '_')
+                func = PopupAPI.depositTrx(new BigNumber(amount).shiftedBy(6).toString(), options);
+            else func = PopupAPI.withdrawTrx(new BigNumber(amount).shiftedBy(6).toString(), options);
+        } else if(id.match(/^T/)) {
+            if(chains.selected === '_')
+                func = PopupAPI.depositTrc20(id, new BigNumber(amount).shiftedBy(decimals).toString(), options);
+            else func = PopupAPI.withdrawTrc20(id, new BigNumber(amount).shiftedBy(decimals).toString(), options);
+        } else if(chains.selected === '_')
+            func = PopupAPI.depositTrc10(id, new BigNumber(amount).shiftedBy(decimals).toString(), options);
+        else func = PopupAPI.withdrawTrc10(id, new BigNumber(amount).shiftedBy(decimals).toString(), options);
+        // Ledger accounts sign on the device, its prompt is shown while they wait
+        const isLedger = selected.type === ACCOUNT_TYPE.LEDGER;
+        this.setState({ loadingLedger: isLedger });
+        func.then((res) => {
+            this.setState({ loading: false, loadingLedger: false });
+            Toast.success(formatMessage({ id: 'SEND.SUCCESS' }), 3, () => onCancel(), true);
+            // PopupAPI.setPushMessage({
+            //     title:`-${amount}${selectedToken.abbr} ${formatMessage({id:'NOTIFICATIONS.TITLE'})}`,
+            //     message:formatMessage({id:'NOTIFICATIONS.MESSAGE'}),
+            //     hash:res
+            // });
+        }).catch(error => {
+            this.setState({ loadingLedger: false });
+            Toast.fail(isLedger && typeof error === 'string' ? formatMessage({ id: error }) : JSON.stringify(error), 3, () => {
+                this.setState({
+                    loading: false
+                });
+            }, true);
+        });
+    }
 
+    handleClose() {
+        // The pending deposit or withdrawal rejects with CREATION.LEDGER.TIP_CANCEL_TRANSACTION
+        LedgerBridge.cancel();
     }
 
     render() {
-        const { isOpen, selectedToken, loading, amount,allTokens,help } = this.state;
+        const { isOpen, selectedToken, loading, loadingLedger, amount, allTokens, help, options } = this.state;
         const { selected } = this.props.accounts;
         const { chains,onCancel } = this.props;
         const { formatMessage } = this.props.intl;
@@ -312,6 +312,7 @@ class TransferController extends React.Component {
         tokens = [trx, ...tokens];
         return (
             <div className='insetContainer send' onClick={() => this.setState({ isOpen: { account: false, token: false } }) }>
+                <Loading show={loadingLedger} onClose={this.handleClose.bind(this)} />
                 <div className='pageHeader'>
                     <div className='back' onClick={(e) => onCancel() }>&nbsp;</div>
                     <FormattedMessage id={'ACCOUNT.TRANSFER'+(chains.selected === '_'?'':'2')} />
@@ -391,10 +392,16 @@ class TransferController extends React.Component {
                             {amount.error ? (amount.values ? <FormattedMessage id={amount.error} values={amount.values} /> : <FormattedMessage id={amount.error} />) : null}
                         </div>
                     </div>
+                    <SendOptions
+                        options={ options }
+                        hasFeeLimit
+                        isDisabled={ loading }
+                        onChange={ options => this.setState({ options }) }
+                    />
                     <Button
                         id={'ACCOUNT.TRANSFER'+(chains.selected === '_'? '':'2')}
                         isLoading={ loading }
-                        isValid={ amount.valid }
+                        isValid={ amount.valid && isValid(options, true) }
                         onClick={ () => this.onSend() }
                     />
                 </div>
@@ -4,6 +4,7 @@ import reduxLogger from 'redux-logger';
 import App from 'app';
 import Logger from '@tronlink/lib/logger';
 import MessageDuplex from '@tronlink/lib/MessageDuplex';
+import LedgerBridge, { IframeTransport } from '@tronlink/lib/LedgerBridge';
 import reducer from 'reducers';
 import { addLocaleData } from 'react-intl';
 import en from 'react-intl/locale-data/en';
@@ -29,6 +30,7 @@ import {
     setVersion,
     setDappList,
     setAuthorizeDapps,
+    setConnectedSites,
     setLedgerImportAddress,
     setVTokenList,
     setChains
@@ -111,11 +113,12 @@ export const app = {
 
     async getAppState() {
         PopupAPI.init(this.duplex);
+        LedgerBridge.init(new IframeTransport());
         const setting = await PopupAPI.getSetting();
         if (setting.lock.duration !== 0 && new Date().getTime() - setting.lock.lockTime > setting.lock.duration) {
             PopupAPI.lockWallet();
         }
-        let [
+        const [
             appState,
             nodes,
             accounts,
@@ -123,8 +126,9 @@ export const app = {
             prices,
             confirmations,
             selectedToken,
-            language,
+            savedLanguage,
             authorizeDapps,
+            connectedSites,
             ledgerImportAddress,
             vTokenList,
             chains
@@ -138,11 +142,13 @@ export const app = {
             PopupAPI.getSelectedToken(),
             PopupAPI.getLanguage(),
             PopupAPI.getAuthorizeDapps(),
+            PopupAPI.getConnectedSites(),
             PopupAPI.getLedgerImportAddress(),
             PopupAPI.getVTokenList(),
             PopupAPI.getChains()
         ]);
         const lang = navigator.language || navigator.browserLanguage;
+        let language = savedLanguage;
         if (lang.indexOf('zh') > -1) {
             language = language || 'zh';
         } else if (lang.indexOf('ja') > -1) {
@@ -161,6 +167,7 @@ export const app = {
         this.store.dispatch(setSetting(setting));
         this.store.dispatch(setVersion(version));
         this.store.dispatch(setAuthorizeDapps(authorizeDapps));
+        this.store.dispatch(setConnectedSites(connectedSites));
         this.store.dispatch(setLedgerImportAddress(ledgerImportAddress));
         this.store.dispatch(setVTokenList(vTokenList));
         this.store.dispatch(setChains(chains));
@@ -244,6 +251,10 @@ export const app = {
             setAuthorizeDapps(authorizeDapps)
         ));
 
+        this.duplex.on('setConnectedSites', connectedSites => this.store.dispatch(
+            setConnectedSites(connectedSites)
+        ));
+
         this.duplex.on('setLedgerImportAddress', address => this.store.dispatch(
             setLedgerImportAddress(address)
         ));
@@ -256,6 +267,11 @@ export const app = {
             setChains(chains)
         ));
 
+        // The background signs for Ledger accounts through the bridge frame hosted here
+        this.duplex.on('ledgerBridge', ({ data, resolve, reject }) => (
+            LedgerBridge.relay(data).then(resolve).catch(reject)
+        ));
+
     },
 
     render() {
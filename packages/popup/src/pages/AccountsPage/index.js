@@ -26,6 +26,7 @@ class AccountsPage extends React.Component {
         this.onExport = this.onExport.bind(this);
         this.state = {
             mnemonic: false,
+            passphrase: false,
             privateKey: false,
             showMenuList: false,
             showChainList: false,
@@ -107,15 +108,28 @@ class AccountsPage extends React.Component {
     async onExport() {
         const {
             mnemonic,
+            passphrase,
             privateKey
         } = await PopupAPI.exportAccount();
         this.setState({
             mnemonic,
+            passphrase,
             privateKey,
             showBackUp: true
         });
     }
 
+    // Keeps accounts derived from the same mnemonic next to each other, in derivation order
+    groupAccounts(accounts) {
+        const entries = Object.entries(accounts);
+        const seeds = [ ...new Set(entries.map(([ , { seedId } ]) => seedId).filter(Boolean)) ];
+        const groupOf = ({ seedId }) => (seedId ? seeds.indexOf(seedId) : seeds.length);
+
+        return entries.sort(([ , a ], [ , b ]) => (
+            groupOf(a) - groupOf(b) || (a.seedId ? a.accountIndex - b.accountIndex : 0)
+        ));
+    }
+
     handleShowChainList() {
         this.setState({
             showMenuList: false,
@@ -134,6 +148,15 @@ class AccountsPage extends React.Component {
         const { formatMessage } = this.props.intl;
         const { showMenuList } = this.state;
         const { chains } = this.props;
+        const { type } = accounts.selected;
+        const isMainchain = chains.selected === '_';
+        const hasPrivateKey = type !== ACCOUNT_TYPE.LEDGER && type !== ACCOUNT_TYPE.WATCH_ONLY;
+        const menuItems = 2 + (hasPrivateKey && isMainchain ? 3 : 0) + (type !== ACCOUNT_TYPE.LEDGER && isMainchain ? 1 : 0) + (hasPrivateKey ? 1 : 0) + (accounts.selected.seedId ? 1 : 0);
+        // Watch-only accounts can't sign at all, Ledger ones can't sign on the side chain
+        const sendError = (
+            type === ACCOUNT_TYPE.WATCH_ONLY ? 'ERRORS.WATCH_ONLY_ACCOUNT' :
+                type === ACCOUNT_TYPE.LEDGER && !isMainchain ? 'ERRORS.LEDGER_SIDECHAIN' : false
+        );
         return (
             <div className='accountInfo'>
                 <div className='row1'>
@@ -147,15 +170,18 @@ class AccountsPage extends React.Component {
                         {
                             accounts.selected.type === ACCOUNT_TYPE.LEDGER ? <div className="ledger">&nbsp;</div>:null
                         }
+                        {
+                            type === ACCOUNT_TYPE.WATCH_ONLY ? <span className='watchOnly'><FormattedMessage id='ACCOUNTS.WATCH_ONLY' /></span> : null
+                        }
                     </div>
                     <div className='menu' onClick={(e) => { e.stopPropagation();this.setState({ showMenuList: !showMenuList, showNodeList: false }); }}>
-                        <div className='dropList menuList' style={ showMenuList ? { width: '160px', height: 30 * (accounts.selected.type !== ACCOUNT_TYPE.LEDGER && chains.selected === '_'?6:2), opacity: 1 } : {}}>
+                        <div className='dropList menuList' style={ showMenuList ? { width: '160px', height: 30 * menuItems, opacity: 1 } : {}}>
                             <div onClick={ () => { PopupAPI.changeState(APP_STATE.ASSET_MANAGE); }} className='item'>
                                 <span className='icon asset'>&nbsp;</span>
                                 <FormattedMessage id='ASSET.ASSET_MANAGE' />
                             </div>
                             {
-                                accounts.selected.type !== ACCOUNT_TYPE.LEDGER && chains.selected === '_' ?
+                                hasPrivateKey && isMainchain ?
                                     <div onClick={(e) => { e.stopPropagation();window.open(`${tronscanUrl}/account?from=tronlink&type=frozen`); }} className='item'>
                                         <span className='icon frozen'>&nbsp;</span>
                                         <FormattedMessage id='MENU.FROZEN_UNFROZEN' />
@@ -164,7 +190,7 @@ class AccountsPage extends React.Component {
                                     null
                             }
                             {
-                                accounts.selected.type !== ACCOUNT_TYPE.LEDGER && chains.selected === '_' ?
+                                hasPrivateKey && isMainchain ?
                                     <div onClick={(e) => { e.stopPropagation();window.open(`${tronscanUrl}/sr/votes?from=tronlink`); }} className='item'>
                                         <span className='icon vote'>&nbsp;</span>
                                         <FormattedMessage id='MENU.VOTE' />
@@ -173,7 +199,7 @@ class AccountsPage extends React.Component {
                                     null
                             }
                             {
-                                accounts.selected.type !== ACCOUNT_TYPE.LEDGER && chains.selected === '_' ?
+                                hasPrivateKey && isMainchain ?
                                     <div onClick={ this.onExport } className='item'>
                                         <span className='icon backup'>&nbsp;</span>
                                         <FormattedMessage id='ACCOUNTS.EXPORT' />
@@ -181,6 +207,24 @@ class AccountsPage extends React.Component {
                                     :
                                     null
                             }
+                            {
+                                hasPrivateKey ?
+                                    <div onClick={ () => PopupAPI.changeState(APP_STATE.EXPORT_KEYSTORE) } className='item'>
+                                        <span className='icon backup'>&nbsp;</span>
+                                        <FormattedMessage id='MENU.EXPORT_KEYSTORE' />
+                                    </div>
+                                    :
+                                    null
+                            }
+                            {
+                                accounts.selected.seedId ?
+                                    <div onClick={ () => PopupAPI.deriveAccount(accounts.selected.seedId) } className='item'>
+                                        <span className='icon create'>&nbsp;</span>
+                                        <FormattedMessage id='MENU.DERIVE_ACCOUNT' />
+                                    </div>
+                                    :
+                                    null
+                            }
                             {
                                 accounts.selected.type !== ACCOUNT_TYPE.LEDGER && chains.selected === '_'
                                     ?
@@ -214,7 +258,11 @@ class AccountsPage extends React.Component {
                         <span></span>
                         <FormattedMessage id='ACCOUNT.RECEIVE' />
                     </div>
-                    <div onClick={ () => PopupAPI.changeState(APP_STATE.SEND) }>
+                    <div className={ sendError ? 'disabled' : '' } onClick={ () => (
+                        sendError ?
+                            Toast.info(formatMessage({ id: sendError }), 2) :
+                            PopupAPI.changeState(APP_STATE.SEND)
+                    ) }>
                         <span></span>
                         <FormattedMessage id='ACCOUNT.SEND' />
                     </div>
@@ -402,7 +450,7 @@ class AccountsPage extends React.Component {
         return dom;
     }
 
-    renderBackup(mnemonic, privateKey) {
+    renderBackup(mnemonic, passphrase, privateKey) {
         const { showBackUp } = this.state;
         const dom = showBackUp
             ?
@@ -425,6 +473,18 @@ class AccountsPage extends React.Component {
                             :
                             null
                     }
+                    {
+                        passphrase
+                            ?
+                            <div className='option'>
+                                <FormattedMessage id='ACCOUNTS.EXPORT.PASSPHRASE' />
+                                <div className='block'>
+                                    { passphrase }
+                                </div>
+                            </div>
+                            :
+                            null
+                    }
                     {
                         privateKey
                             ?
@@ -454,7 +514,7 @@ class AccountsPage extends React.Component {
         BigNumber.config({ EXPONENTIAL_AT: [-20,30] });
         let totalAsset = new BigNumber(0);
         let totalTrx = new BigNumber(0);
-        const { showChainList,mnemonic,privateKey,news,ieos,allTokens }  = this.state;
+        const { showChainList, mnemonic, passphrase, privateKey, news, ieos, allTokens } = this.state;
         const id = news.length > 0 ? news[0].id : 0;
         const { accounts,prices,nodes,setting,language:lng,vTokenList,chains } = this.props;
 
@@ -500,7 +560,7 @@ class AccountsPage extends React.Component {
                 });
             }}>
                 {
-                    this.renderBackup(mnemonic, privateKey)
+                    this.renderBackup(mnemonic, passphrase, privateKey)
                 }
                 {
                     this.renderDeleteAccount()
@@ -573,44 +633,47 @@ class AccountsPage extends React.Component {
                                 </div>
                             </div>
                             <div className="row3">
-                            {
-                                Object.entries(accounts.accounts).map(([address,account],i)=>{
-                                    return (
-                                        <div className={"cell cell"+ (i%5+1) +(accounts.selected.address === address?" selected":"")} onClick={async()=>{
-                                            const setting = await PopupAPI.getSetting();
-                                            const openAccountsMenu = false;
-                                            PopupAPI.setSetting({...setting,openAccountsMenu});
-                                            if(accounts.selected.address === address)
-                                                return;
-                                            PopupAPI.selectAccount(address);
-                                        }}>
-                                            <div className="top">
-                                                <div className="name">
-                                                    <div className="nameWrap">
-                                                        {account.name.length>30?account.name.substr(0,30)+'...':account.name}
-                                                        {account.type === ACCOUNT_TYPE.LEDGER ? <div className="ledger">&nbsp;</div>:null}
+                                {
+                                    this.groupAccounts(accounts.accounts).map(([ address, account ], i, list) => {
+                                        const startsSeed = account.seedId && (i === 0 || list[ i - 1 ][ 1 ].seedId !== account.seedId);
+                                        return (
+                                            <div key={ address } className={ `cell cell${ (i % 5) + 1 }${ accounts.selected.address === address ? ' selected' : '' }${ startsSeed && i ? ' seedStart' : '' }` } onClick={ async () => {
+                                                const setting = await PopupAPI.getSetting();
+                                                const openAccountsMenu = false;
+                                                PopupAPI.setSetting({...setting,openAccountsMenu});
+                                                if(accounts.selected.address === address)
+                                                    return;
+                                                PopupAPI.selectAccount(address);
+                                            }}>
+                                                <div className="top">
+                                                    <div className="name">
+                                                        <div className="nameWrap">
+                                                            {account.name.length>30?account.name.substr(0,30)+'...':account.name}
+                                                            {account.type === ACCOUNT_TYPE.LEDGER ? <div className="ledger">&nbsp;</div>:null}
+                                                            {account.type === ACCOUNT_TYPE.WATCH_ONLY ? <span className='watchOnly'><FormattedMessage id='ACCOUNTS.WATCH_ONLY' /></span> : null}
+                                                            {account.seedId ? <span className='hdIndex'>{ `#${ account.accountIndex + 1 }` }</span> : null}
+                                                        </div>
+                                                    </div>
+                                                    <div className="asset">
+                                                        <span>TRX: { new BigNumber(new BigNumber(account.balance).shiftedBy(-6).toFixed(2)).toFormat() }</span>
+                                                        <span><FormattedMessage id="MENU.ACCOUNTS.TOTAL_ASSET" values={{sign:':'}} /> {new BigNumber(new BigNumber(account.asset).multipliedBy(trx_price).toFixed(2)).toFormat()}{ prices.selected }</span>
                                                     </div>
                                                 </div>
-                                                <div className="asset">
-                                                    <span>TRX: { new BigNumber(new BigNumber(account.balance).shiftedBy(-6).toFixed(2)).toFormat() }</span>
-                                                    <span><FormattedMessage id="MENU.ACCOUNTS.TOTAL_ASSET" values={{sign:':'}} /> {new BigNumber(new BigNumber(account.asset).multipliedBy(trx_price).toFixed(2)).toFormat()}{ prices.selected }</span>
-                                                </div>
-                                            </div>
-                                            <div className="bottom">
-                                                <span>{address.substr(0,10)+'...'+address.substr(-10)}</span>
-                                                <div onClick={(e)=>{e.stopPropagation()}}>
-                                                    <CopyToClipboard text={address}
-                                                                     onCopy={(e) => {
-                                                                        Toast.info(formatMessage({id:'TOAST.COPY'}));
-                                                                     }}>
-                                                        <span className='copy'></span>
-                                                    </CopyToClipboard>
+                                                <div className="bottom">
+                                                    <span>{address.substr(0,10)+'...'+address.substr(-10)}</span>
+                                                    <div onClick={(e)=>{e.stopPropagation()}}>
+                                                        <CopyToClipboard text={address}
+                                                                         onCopy={(e) => {
+                                                                            Toast.info(formatMessage({id:'TOAST.COPY'}));
+                                                                         }}>
+                                                            <span className='copy'></span>
+                                                        </CopyToClipboard>
+                                                    </div>
                                                 </div>
                                             </div>
-                                        </div>
-                                    )
-                                })
-                            }
+                                        )
+                                    })
+                                }
                             </div>
                         </div>
                         <div className='closed' onClick={async() => {
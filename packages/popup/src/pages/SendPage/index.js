@@ -3,6 +3,7 @@ import AccountDetails from '@tronlink/popup/src/components/AccountDetails';
 import CustomScroll from 'react-custom-scroll';
 import Input from '@tronlink/popup/src/components/Input';
 import Button from '@tronlink/popup/src/components/Button';
+import SendOptions, { DEFAULT_OPTIONS, isValid, toSendOptions } from '@tronlink/popup/src/components/SendOptions';
 import TronWeb from 'tronweb';
 import Dropdown from 'react-dropdown';
 
@@ -37,6 +38,7 @@ class SendPage extends React.Component {
         token: {
             mode: TOKEN_MODE.TRX
         },
+        options: DEFAULT_OPTIONS,
         success: false,
         error: false,
         isLoading: false
@@ -49,6 +51,7 @@ class SendPage extends React.Component {
         this.onAmountChange = this.onAmountChange.bind(this);
         this.onTokenChange = this.onTokenChange.bind(this);
         this.onModeChange = this.onModeChange.bind(this);
+        this.onOptionsChange = this.onOptionsChange.bind(this);
         this.onSend = this.onSend.bind(this);
     }
 
@@ -148,6 +151,10 @@ class SendPage extends React.Component {
         }, () => this.validateAmount());
     }
 
+    onOptionsChange(options) {
+        this.setState({ options });
+    }
+
     validateAmount() {
         const {
             mode,
@@ -224,12 +231,15 @@ class SendPage extends React.Component {
             decimals
         } = this.state.token;
 
+        const options = toSendOptions(this.state.options, mode === TOKEN_MODE.TRC20);
+
         let func;
 
         if(mode === TOKEN_MODE.TRX) {
             func = PopupAPI.sendTrx(
                 recipient,
-                new BigNumber(amount).shiftedBy(6).toString()
+                new BigNumber(amount).shiftedBy(6).toString(),
+                options
             );
         }
 
@@ -237,7 +247,8 @@ class SendPage extends React.Component {
             func = PopupAPI.sendBasicToken(
                 recipient,
                 new BigNumber(amount).shiftedBy(decimals).toString(),
-                tokenID
+                tokenID,
+                options
             );
         }
 
@@ -245,7 +256,8 @@ class SendPage extends React.Component {
             func = PopupAPI.sendSmartToken(
                 recipient,
                 new BigNumber(amount).shiftedBy(decimals).toString(),
-                address
+                address,
+                options
             );
         }
 
@@ -257,7 +269,8 @@ class SendPage extends React.Component {
                 recipient: {
                     valid: VALIDATION_STATE.NONE,
                     value: ''
-                }
+                },
+                options: DEFAULT_OPTIONS
             });
 
             this.reset();
@@ -366,7 +379,7 @@ class SendPage extends React.Component {
     renderAmount() {
         const { mode } = this.state.token;
         const { value } = this.state.amount;
-        const { isLoading } = this.state;
+        const { isLoading, options } = this.state;
 
         return (
             <div className='tokens'>
@@ -421,12 +434,19 @@ class SendPage extends React.Component {
                                     this.renderSmartDropdown()
                         }
                     </div>
+                    <SendOptions
+                        options={ options }
+                        hasFeeLimit={ mode === TOKEN_MODE.TRC20 }
+                        isDisabled={ isLoading }
+                        onChange={ this.onOptionsChange }
+                    />
                     <Button
                         id={ `SEND.BUTTON.${ mode }` }
                         isLoading={ isLoading }
                         isValid={
                             this.state.amount.valid === VALIDATION_STATE.VALID &&
-                            this.state.recipient.valid === VALIDATION_STATE.VALID
+                            this.state.recipient.valid === VALIDATION_STATE.VALID &&
+                            isValid(options, mode === TOKEN_MODE.TRC20)
                         }
                         onClick={ this.onSend }
                     />
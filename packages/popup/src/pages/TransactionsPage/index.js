@@ -2,6 +2,7 @@ import React from 'react';
 import CustomScroll from 'react-custom-scroll';
 // import Transaction from './Transaction';
 import AccountDetails from 'components/AccountDetails';
+import PendingTransactions from 'components/PendingTransactions';
 
 import { connect } from 'react-redux';
 
@@ -15,6 +16,7 @@ const TransactionsPage = ({ account }) => {
             <AccountDetails />
             <div className='transactions'>
                 <CustomScroll heightRelativeToParent='100%'>
+                    <PendingTransactions transactions={ account.pendingTransactions } />
                     {/*{ transactions.map(transaction => (*/}
                         {/*<Transaction transaction={ transaction } key={ transaction.txID } />*/}
                     {/*)) }*/}
@@ -28,6 +28,7 @@ export const accountsReducer = createReducer({
         selectedBankRecordId: 0,
         dealCurrencyPage: 0,
         airdropInfo: {},
+        pendingTransactions: [],
         hash: ''
     },
     accounts: { },
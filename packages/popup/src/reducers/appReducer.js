@@ -18,6 +18,7 @@ export const setSetting = createAction('setSetting');
 export const setVersion = createAction('setVersion');
 export const setDappList = createAction('setDappList');
 export const setAuthorizeDapps = createAction('setAuthorizeDapps');
+export const setConnectedSites = createAction('setConnectedSites');
 export const setLedgerImportAddress = createAction('setLedgerImportAddress');
 export const setVTokenList = createAction('setVTokenList');
 export const setChains = createAction('setChains');
@@ -49,6 +50,7 @@ export const appReducer = createReducer({
         used:[]
     },
     authorizeDapps: {},
+    connectedSites: {},
     ledgerImportAddress:[],
     vTokenList:[]
 
@@ -88,6 +90,9 @@ export const appReducer = createReducer({
     [ setAuthorizeDapps ]: (state, { payload }) => {
         state.authorizeDapps = payload;
     },
+    [ setConnectedSites ]: (state, { payload }) => {
+        state.connectedSites = payload;
+    },
 
     [ setLedgerImportAddress ]: (state, { payload }) => {
         state.ledgerImportAddress = payload;
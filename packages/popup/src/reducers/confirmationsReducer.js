@@ -6,9 +6,11 @@ import {
 export const setConfirmations = createAction('setConfirmations');
 
 export const confirmationsReducer = createReducer([], {
+    // The background queue is oldest first, each confirmation carries the uuid it is answered by
     [ setConfirmations ]: (state, { payload }) => (
-        payload.length && payload.map(({ confirmation }) => (
-            confirmation
-        ))
+        payload.map(({ confirmation, uuid }) => ({
+            ...confirmation,
+            uuid
+        }))
     )
 });